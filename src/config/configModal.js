@@ -6,6 +6,7 @@
 
 import { validateSystem } from '../core/system.js';
 import { validateDiagonalDominance } from '../core/jacobi.js';
+import { validateSystemSize } from '../utils/validation.js';
 
 /**
  * Initialize configuration modal
@@ -59,7 +60,7 @@ export function initConfigModal(state, configState, renderMatrixEditor, updateMa
             const sizeInput = document.getElementById('matrixSize');
             if (sizeInput) {
                 const newSize = parseInt(sizeInput.value);
-                if (newSize >= 2 && newSize <= 10) {
+                if (validateSystemSize(newSize)) {
                     configState.n = newSize;
                     // Resize matrices
                     configState.A = resizeMatrix(configState.A, newSize);
@@ -1,66 +1,452 @@
 /**
  * Equation Parser
- * 
- * Functions for parsing equations from text input
+ *
+ * Tokenizer and recursive-descent parser for linear equations typed as text,
+ * shared by the config text tab and parseEquations(). Each line is one
+ * equation and is normalized to a row of A x = b. Accepted forms:
+ *
+ *   4x1 - x2 + x3 = 7          numbered variables (any letter prefix, x_1 too)
+ *   2x + 3y - z = 1            named variables, columns in alphabetical order
+ *   3x + 2 = y - 4             terms and constants on both sides
+ *   2(x1 - x2) + x3/4 = 0      parentheses, *, / by constants
+ *   1/2x1 + 1.5e-3x2 = 2E2     fractions and scientific notation
+ *   x1 + x2 = 3   # comment    comments with # or // (whole-line too)
+ *
+ * A variable written more than once in an equation has its coefficients
+ * added (x1 + 2x1 = 3 means 3x1 = 3). parseSystemText() is the entry point
+ * for a whole system: it requires one equation per variable and a size
+ * within MIN_SYSTEM_SIZE..MAX_SYSTEM_SIZE, the limits of the system.n store
+ * validator.
+ *
+ * Errors are thrown as Error objects carrying `line`, `column` and `length`
+ * (1-based, in the original text) so the caller can point at the bad token.
  */
 
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE } from '../utils/validation.js';
+
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const INDEXED_VARIABLE_PATTERN = /^([A-Za-z]+)_?(\d+)$/;
+
+// Single-character tokens; typographic minus and multiplication signs are accepted too
+const SYMBOLS = {
+    '+': 'plus',
+    '-': 'minus',
+    '−': 'minus',
+    '*': 'times',
+    '·': 'times',
+    '×': 'times',
+    '/': 'divide',
+    '(': 'lparen',
+    ')': 'rparen',
+    '=': 'equals'
+};
+
+/**
+ * Build a parse error that points at a position in the text
+ * @param {string} message - What is wrong
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @param {number} length - Characters to highlight (default: 1)
+ * @returns {Error} Error with line, column and length properties
+ */
+function parseError(message, line, column, length = 1) {
+    const error = new Error(`Line ${line}, column ${column}: ${message}`);
+    error.line = line;
+    error.column = column;
+    error.length = Math.max(1, length);
+    return error;
+}
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} e.g. "'^'" or "the end of the line"
+ */
+function describeToken(token) {
+    return token.type === 'end' ? 'the end of the line' : `'${token.text}'`;
+}
+
+/**
+ * Split one line into tokens
+ * @param {string} text - Equation text (one line)
+ * @param {number} line - Line number for errors (default: 1)
+ * @returns {Object[]} Tokens { type, text, value, column }, ending with an 'end' token;
+ *   type is 'number', 'variable' or one of the SYMBOLS names
+ * @throws {Error} On a character that can't start a token
+ */
+export function tokenizeEquation(text, line = 1) {
+    const tokens = [];
+    let end = text.length;
+    let i = 0;
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '#' || rest.startsWith('//')) {
+            end = i; // Comment runs to the end of the line
+            break;
+        }
+
+        const number = rest.match(NUMBER_PATTERN);
+        if (number) {
+            tokens.push({ type: 'number', text: number[0], value: parseFloat(number[0]), column: i + 1 });
+            i += number[0].length;
+            continue;
+        }
+        const identifier = rest.match(IDENTIFIER_PATTERN);
+        if (identifier) {
+            // x_3 and x03 are the same variable as x3
+            const indexed = identifier[0].match(INDEXED_VARIABLE_PATTERN);
+            const name = indexed ? `${indexed[1]}${parseInt(indexed[2], 10)}` : identifier[0];
+            tokens.push({ type: 'variable', text: identifier[0], value: name, column: i + 1 });
+            i += identifier[0].length;
+            continue;
+        }
+        if (SYMBOLS[char]) {
+            tokens.push({ type: SYMBOLS[char], text: char, column: i + 1 });
+            i++;
+            continue;
+        }
+        throw parseError(`unexpected '${char}'`, line, i + 1);
+    }
+
+    tokens.push({ type: 'end', text: '', column: text.slice(0, end).replace(/\s+$/, '').length + 1 });
+    return tokens;
+}
+
+/**
+ * Linear expression: sum of coeffs[name] · name, plus a constant
+ * @param {number} constant - Constant part
+ * @param {Object} coeffs - Coefficient per variable name
+ * @returns {Object} Expression
+ */
+function linear(constant, coeffs = {}) {
+    return { constant, coeffs };
+}
+
+function isConstant(expr) {
+    return Object.keys(expr.coeffs).length === 0;
+}
+
+function scale(expr, factor) {
+    const coeffs = {};
+    Object.keys(expr.coeffs).forEach(name => {
+        coeffs[name] = expr.coeffs[name] * factor;
+    });
+    return linear(expr.constant * factor, coeffs);
+}
+
+function add(left, right, sign = 1) {
+    const coeffs = { ...left.coeffs };
+    Object.keys(right.coeffs).forEach(name => {
+        coeffs[name] = (coeffs[name] || 0) + sign * right.coeffs[name];
+    });
+    return linear(left.constant + sign * right.constant, coeffs);
+}
+
+/**
+ * Parse the tokens of one equation
+ *
+ *   equation := expr '=' expr
+ *   expr     := term (('+' | '-') term)*
+ *   term     := unary (('*' | '/') unary | primary)*    (a primary right after
+ *                                                       a factor multiplies it: 2x, 2(x + 1))
+ *   unary    := ('+' | '-') unary | primary
+ *   primary  := number | variable | '(' expr ')'
+ *
+ * @param {Object[]} tokens - Tokens from tokenizeEquation
+ * @param {number} line - Line number for errors
+ * @returns {Object} { coeffs, b, variables } where variables maps each name to the token where it first appears
+ * @throws {Error} On a syntax error or a non-linear term
+ */
+function parseTokens(tokens, line) {
+    let position = 0;
+    const variables = {};
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const fail = (message, token = peek()) => parseError(message, line, token.column, token.text.length);
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === 'number') {
+            return linear(token.value);
+        }
+        if (token.type === 'variable') {
+            if (!variables[token.value]) variables[token.value] = token;
+            return linear(0, { [token.value]: 1 });
+        }
+        if (token.type === 'lparen') {
+            const expr = parseExpression();
+            if (peek().type !== 'rparen') {
+                throw fail(`expected ')' to close the '(' at column ${token.column}, found ${describeToken(peek())}`);
+            }
+            next();
+            return expr;
+        }
+        throw fail(`expected a number, variable or '(', found ${describeToken(token)}`, token);
+    }
+
+    function parseUnary() {
+        const type = peek().type;
+        if (type === 'plus' || type === 'minus') {
+            next();
+            const operand = parseUnary();
+            return type === 'minus' ? scale(operand, -1) : operand;
+        }
+        return parsePrimary();
+    }
+
+    function multiply(left, right, token) {
+        if (!isConstant(left) && !isConstant(right)) {
+            throw fail('multiplying two variables is not linear', token);
+        }
+        return isConstant(left) ? scale(right, left.constant) : scale(left, right.constant);
+    }
+
+    function parseTerm() {
+        let expr = parseUnary();
+        for (;;) {
+            const token = peek();
+            if (token.type === 'times') {
+                next();
+                expr = multiply(expr, parseUnary(), token);
+            } else if (token.type === 'divide') {
+                next();
+                const divisorToken = peek();
+                const divisor = parseUnary();
+                if (!isConstant(divisor)) {
+                    throw fail('dividing by a variable is not linear', divisorToken);
+                }
+                if (divisor.constant === 0) {
+                    throw fail('division by zero', divisorToken);
+                }
+                expr = scale(expr, 1 / divisor.constant);
+            } else if (token.type === 'variable' || token.type === 'lparen') {
+                // Implicit multiplication: 2x1, 1/2x1, 3(x + y)
+                expr = multiply(expr, parsePrimary(), token);
+            } else if (token.type === 'number') {
+                throw fail(`expected an operator before ${describeToken(token)}`, token);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    function parseExpression() {
+        let expr = parseTerm();
+        while (peek().type === 'plus' || peek().type === 'minus') {
+            const sign = next().type === 'minus' ? -1 : 1;
+            expr = add(expr, parseTerm(), sign);
+        }
+        return expr;
+    }
+
+    const left = parseExpression();
+    if (peek().type !== 'equals') {
+        throw fail(peek().type === 'end' ? "missing '='" : `expected '=' or an operator, found ${describeToken(peek())}`);
+    }
+    next();
+    const right = parseExpression();
+    if (peek().type !== 'end') {
+        throw fail(peek().type === 'equals' ? "only one '=' is allowed per equation" : `unexpected ${describeToken(peek())}`);
+    }
+
+    if (Object.keys(variables).length === 0) {
+        throw parseError('no variables found (e.g. 4x1 - x2 = 7 or 2x + y = 3)', line, tokens[0].column, 1);
+    }
+    // Move everything to A x = b form
+    const combined = add(left, right, -1);
+    return { coeffs: combined.coeffs, b: -combined.constant, variables };
+}
+
+/**
+ * Parse one linear equation into A x = b form
+ * @param {string} text - Equation text (e.g. "3x + 2 = y - 4")
+ * @param {number} line - Line number for errors (default: 1)
+ * @returns {Object|null} { coeffs: { name: coefficient }, b, variables: { name: first token } },
+ *   or null if the line is empty or only a comment
+ * @throws {Error} With line, column and length on invalid input
+ */
+export function parseLinearEquation(text, line = 1) {
+    const tokens = tokenizeEquation(text, line);
+    if (tokens.length === 1) return null;
+    return parseTokens(tokens, line);
+}
+
+/**
+ * Assign a column to every variable
+ *
+ * Numbered variables (x1, a2, x_3) use their number as the column, so a
+ * variable that never appears leaves a zero column. Named variables
+ * (x, y, z) are sorted alphabetically. The two styles can't be mixed.
+ *
+ * Numbers above maxSize are rejected before any column is allocated, so a
+ * typo such as x3000000 fails at once instead of building huge rows.
+ *
+ * @param {Object} variables - First token of every variable name
+ * @param {Object} lines - Line of each first token, by name
+ * @param {number} maxSize - Largest variable number allowed
+ * @returns {Object} { columns: { name: index }, names: string[] } (names in column order)
+ * @throws {Error} On mixed styles, index 0, an index above maxSize or two names for one index
+ */
+function assignColumns(variables, lines, maxSize) {
+    const names = Object.keys(variables);
+    const indexed = names.filter(name => INDEXED_VARIABLE_PATTERN.test(name));
+    const named = names.filter(name => !INDEXED_VARIABLE_PATTERN.test(name));
+    const at = (name, message) => parseError(message, lines[name], variables[name].column, variables[name].text.length);
+
+    if (indexed.length > 0 && named.length > 0) {
+        throw at(named[0], `'${named[0]}' is a named variable, but '${indexed[0]}' is numbered; use one style throughout`);
+    }
+
+    const columns = {};
+    if (named.length > 0) {
+        const sorted = [...named].sort((a, b) => a.localeCompare(b));
+        sorted.forEach((name, i) => {
+            columns[name] = i;
+        });
+        return { columns, names: sorted };
+    }
+
+    const byIndex = [];
+    indexed.forEach(name => {
+        const index = parseInt(name.match(INDEXED_VARIABLE_PATTERN)[2], 10);
+        if (index < 1) {
+            throw at(name, `variable numbers start at 1 (found ${name})`);
+        }
+        if (index > maxSize) {
+            throw at(name, `'${name}' is beyond the largest system size (max ${maxSize} variables)`);
+        }
+        if (byIndex[index - 1] && byIndex[index - 1] !== name) {
+            throw at(name, `'${name}' and '${byIndex[index - 1]}' both refer to variable ${index}`);
+        }
+        byIndex[index - 1] = name;
+        columns[name] = index - 1;
+    });
+    // Missing numbers keep the prefix of the first variable: x1, x3 → x1, x2, x3
+    const prefix = indexed[0].match(INDEXED_VARIABLE_PATTERN)[1];
+    const ordered = Array.from(byIndex, (name, i) => name || `${prefix}${i + 1}`);
+    return { columns, names: ordered };
+}
+
+/**
+ * Parse a system of linear equations, one per line
+ * @param {string} text - Equations; blank and comment-only lines are skipped
+ * @param {Object} options - Options
+ * @param {number} options.maxSize - Largest variable number (default: MAX_SYSTEM_SIZE)
+ * @returns {Object} { A, b, variables, equations, lines } where A has one row per
+ *   equation and one column per variable, variables lists the names in column
+ *   order and lines gives the source line of each row
+ * @throws {Error} With line, column and length on invalid input, or a plain
+ *   Error if there are no equations
+ */
+export function parseEquationSystem(text, options = {}) {
+    const { maxSize = MAX_SYSTEM_SIZE } = options;
+    const rows = [];
+    const variables = {};
+    const variableLines = {};
+
+    (text || '').split('\n').forEach((source, i) => {
+        const equation = parseLinearEquation(source, i + 1);
+        if (!equation) return;
+        Object.keys(equation.variables).forEach(name => {
+            if (!variables[name]) {
+                variables[name] = equation.variables[name];
+                variableLines[name] = i + 1;
+            }
+        });
+        rows.push({ ...equation, line: i + 1 });
+    });
+    if (rows.length === 0) {
+        throw new Error('No equations found');
+    }
+
+    const { columns, names } = assignColumns(variables, variableLines, maxSize);
+    const A = rows.map(row => {
+        const coefficients = new Array(names.length).fill(0);
+        Object.keys(row.coeffs).forEach(name => {
+            coefficients[columns[name]] = row.coeffs[name];
+        });
+        return coefficients;
+    });
+
+    return {
+        A,
+        b: rows.map(row => row.b),
+        variables: names,
+        equations: rows.length,
+        lines: rows.map(row => row.line)
+    };
+}
+
+/**
+ * Parse a square system of linear equations, one per line
+ * @param {string} text - Equations; blank and comment-only lines are skipped
+ * @param {Object} options - Options
+ * @param {number} options.minSize - Fewest variables (default: MIN_SYSTEM_SIZE)
+ * @param {number} options.maxSize - Most variables (default: MAX_SYSTEM_SIZE)
+ * @returns {Object} { n, A, b, variables } with variables in column order
+ * @throws {Error} On invalid equations (with line, column and length), a size
+ *   outside the limits, or a number of equations different from the number of variables
+ */
+export function parseSystemText(text, options = {}) {
+    const { minSize = MIN_SYSTEM_SIZE, maxSize = MAX_SYSTEM_SIZE } = options;
+    const { A, b, variables, equations } = parseEquationSystem(text, { maxSize });
+    const n = variables.length;
+
+    if (n < minSize) {
+        throw new Error(`System too small: ${n} variable${n === 1 ? '' : 's'} (min ${minSize})`);
+    }
+    if (n > maxSize) {
+        throw new Error(`System too large: ${n} variables (max ${maxSize})`);
+    }
+    if (equations !== n) {
+        const need = equations < n ? `${n - equations} more` : `${equations - n} fewer`;
+        throw new Error(`System mismatch: ${equations} equation${equations === 1 ? '' : 's'} for ${n} variables (${variables.join(', ')}). Write ${need} equation${Math.abs(n - equations) === 1 ? '' : 's'}.`);
+    }
+
+    return { n, A, b, variables };
+}
+
 /**
  * Parse equations from text input
  * @param {string} text - Text containing equations
+ * @param {Object} options - Size limits (see parseSystemText)
  * @returns {Object|null} Parsed system {n, A, b} or null if parsing fails
  */
-export function parseEquations(text) {
+export function parseEquations(text, options = {}) {
     if (!text || typeof text !== 'string') {
         return null;
     }
-    
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    if (lines.length === 0) {
-        return null;
-    }
-    
-    const equations = [];
-    
-    for (const line of lines) {
-        const equation = parseEquation(line);
-        if (equation) {
-            equations.push(equation);
-        } else {
-            return null; // Return null if any equation fails to parse
-        }
-    }
-    
-    if (equations.length === 0) {
+
+    try {
+        const { n, A, b } = parseSystemText(text, options);
+        return { n, A, b };
+    } catch (e) {
         return null;
     }
-    
-    // Determine system size from equations
-    const n = equations.length;
-    const maxVarIndex = Math.max(...equations.map(eq => 
-        Math.max(...Object.keys(eq.coeffs).map(k => parseInt(k) || 0))
-    ));
-    
-    // Use the larger of equation count or max variable index
-    const systemSize = Math.max(n, maxVarIndex);
-    
-    // Build A and b matrices
-    const A = [];
-    const b = [];
-    
-    for (let i = 0; i < n; i++) {
-        A[i] = new Array(systemSize).fill(0);
-        b[i] = equations[i].b;
-        
-        // Fill coefficients
-        Object.keys(equations[i].coeffs).forEach(varIndex => {
-            const idx = parseInt(varIndex) - 1; // Convert x1 -> index 0
-            if (idx >= 0 && idx < systemSize) {
-                A[i][idx] = equations[i].coeffs[varIndex];
-            }
-        });
+}
+
+/**
+ * Map named coefficients to variable numbers
+ * @param {Object} coeffs - Coefficient per variable name
+ * @returns {Object|null} Coefficient per variable number (x1 → 1), or null if a variable is unnumbered
+ */
+function coefficientsByIndex(coeffs) {
+    const byIndex = {};
+    for (const name of Object.keys(coeffs)) {
+        const match = name.match(INDEXED_VARIABLE_PATTERN);
+        if (!match) return null;
+        const index = parseInt(match[2], 10);
+        byIndex[index] = (byIndex[index] || 0) + coeffs[name];
     }
-    
-    return { n: systemSize, A, b };
+    return byIndex;
 }
 
 /**
@@ -72,26 +458,15 @@ export function parseEquation(equation) {
     if (!equation || typeof equation !== 'string') {
         return null;
     }
-    
-    // Split by = sign
-    const parts = equation.split('=');
-    if (parts.length !== 2) {
-        return null;
-    }
-    
-    const leftSide = parts[0].trim();
-    const rightSide = parts[1].trim();
-    
-    // Parse constant (right side)
-    const b = parseFloat(rightSide);
-    if (isNaN(b)) {
+
+    try {
+        const parsed = parseLinearEquation(equation);
+        if (!parsed) return null;
+        const coeffs = coefficientsByIndex(parsed.coeffs);
+        return coeffs ? { coeffs, b: parsed.b } : null;
+    } catch (e) {
         return null;
     }
-    
-    // Parse coefficients from left side
-    const coeffs = extractCoefficients(leftSide);
-    
-    return { coeffs, b };
 }
 
 /**
@@ -100,38 +475,8 @@ export function parseEquation(equation) {
  * @returns {Object} Object with variable indices as keys and coefficients as values
  */
 export function extractCoefficients(equation) {
-    const coeffs = {};
-    
-    // Pattern to match: optional sign, optional number, variable name (x1, x2, a1, b2, etc.)
-    // Matches: "4x1", "-x2", "+3a1", "x3", etc.
-    const pattern = /([+-]?)(\d*\.?\d*)([a-z])(\d+)/gi;
-    let match;
-    
-    while ((match = pattern.exec(equation)) !== null) {
-        const sign = match[1] || '+';
-        const number = match[2];
-        const varName = match[3];
-        const varIndex = parseInt(match[4]);
-        
-        if (varIndex > 0) {
-            let coeff = 1;
-            if (number) {
-                coeff = parseFloat(number);
-            }
-            if (sign === '-') {
-                coeff = -coeff;
-            }
-            
-            // Accumulate coefficients for same variable
-            if (coeffs[varIndex]) {
-                coeffs[varIndex] += coeff;
-            } else {
-                coeffs[varIndex] = coeff;
-            }
-        }
-    }
-    
-    return coeffs;
+    const parsed = parseEquation(`${equation} = 0`);
+    return parsed ? parsed.coeffs : {};
 }
 
 /**
@@ -143,14 +488,13 @@ export function validateEquationFormat(equation) {
     if (!equation || typeof equation !== 'string') {
         return false;
     }
-    
+
     // Check for = sign
     if (!equation.includes('=')) {
         return false;
     }
-    
+
     // Try to parse
     const parsed = parseEquation(equation);
     return parsed !== null;
 }
-
@@ -1,9 +1,212 @@
 /**
  * Matrix Editor
  * 
- * Functions for rendering and managing the interactive matrix grid editor
+ * Functions for rendering and managing the interactive matrix grid editor,
+ * plus the spreadsheet-style helpers behind it: pasting a block of cells,
+ * moving between cells from the keyboard, inserting and deleting rows and
+ * columns, and spotting rows that aren't diagonally dominant.
+ *
+ * The grid is the augmented matrix [A | b]: column n is the b column.
+ * Helpers return new arrays and leave their inputs untouched.
  */
 
+import { findBestDiagonal } from '../core/reorder.js';
+import { validateSystemSize } from '../utils/validation.js';
+
+// Default diagonal entry for new rows and columns (matches a resized grid)
+export const DEFAULT_DIAGONAL = 4;
+
+/**
+ * Parse a pasted block of cells
+ *
+ * Accepts spreadsheet copies (tab separated), CSV (comma or semicolon) and
+ * Octave/MATLAB output (space separated, optionally in [ ] with ; between
+ * rows, after an optional "A ="). Lines without any numbers, such as a
+ * header row, are skipped; empty cells count as 0.
+ *
+ * @param {string} text - Clipboard text
+ * @returns {number[][]} Rows of values (rows may differ in length)
+ */
+export function parsePastedBlock(text) {
+    let content = String(text);
+    // Inside [ ], as in an Octave/MATLAB literal, ; ends a row
+    if (content.includes('[')) {
+        content = content.replace(/[[\]]/g, '').replace(/;/g, '\n');
+    }
+    // Only spaces are trimmed: a leading tab is an empty spreadsheet cell
+    const lines = content.split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, text: line.replace(/^ +| +$/g, '').replace(/^[A-Za-z_]\w*\s*=\s*/, '') }))
+        .filter(({ text: line }) => line.trim() !== '');
+
+    const rows = [];
+    lines.forEach(({ line, text: values }) => {
+        const separator = values.includes('\t') ? '\t' : (values.includes(',') ? ',' : (values.includes(';') ? ';' : /\s+/));
+        const fields = values.split(separator).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+        if (fields.every(field => field === '' || !isFinite(Number(field)))) {
+            return; // Header or label line
+        }
+        rows.push(fields.map((field, column) => {
+            const value = Number(field);
+            if (!isFinite(value)) {
+                throw new Error(`Line ${line}, cell ${column + 1}: '${field}' is not a number`);
+            }
+            return value;
+        }));
+    });
+
+    if (rows.length === 0) {
+        throw new Error('The clipboard holds no numbers');
+    }
+    return rows;
+}
+
+/**
+ * Size a pasted block describes on its own, when it should replace the grid
+ *
+ * A block pasted into the top-left cell that is a whole n×n or n×(n+1)
+ * system of a different size resizes the grid instead of being cut off.
+ *
+ * @param {number[][]} block - Parsed block
+ * @param {number} row - Row pasted into
+ * @param {number} col - Column pasted into
+ * @param {number} n - Current system size
+ * @returns {number|null} New size, or null to paste into the current grid
+ */
+export function pastedSystemSize(block, row, col, n) {
+    if (row !== 0 || col !== 0) return null;
+    const size = block.length;
+    const square = block.every(values => values.length === size || values.length === size + 1);
+    if (!square || size === n || !validateSystemSize(size)) return null;
+    return size;
+}
+
+/**
+ * Copy a pasted block into the grid starting at a cell
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[][]} block - Parsed block
+ * @param {number} row - Top row of the paste
+ * @param {number} col - Left column of the paste (n for the b column)
+ * @returns {Object} { A, b, filled, clipped } with the number of cells written and dropped
+ */
+export function applyPastedBlock(A, b, block, row, col) {
+    const n = A.length;
+    const newA = A.map(values => [...values]);
+    const newB = [...b];
+    let filled = 0;
+    let clipped = 0;
+
+    block.forEach((values, r) => {
+        values.forEach((value, c) => {
+            const i = row + r;
+            const j = col + c;
+            if (i >= n || j > n) {
+                clipped++;
+            } else {
+                if (j === n) newB[i] = value;
+                else newA[i][j] = value;
+                filled++;
+            }
+        });
+    });
+    return { A: newA, b: newB, filled, clipped };
+}
+
+/**
+ * Cell reached by a navigation key
+ * @param {number} row - Current row
+ * @param {number} col - Current column (n for the b column)
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @param {number} n - System size
+ * @returns {Object|null} { row, col }, or null at the edge of the grid
+ */
+export function neighborCell(row, col, direction, n) {
+    const moves = {
+        up: [row - 1, col],
+        down: [row + 1, col],
+        left: [row, col - 1],
+        right: [row, col + 1]
+    };
+    const [r, c] = moves[direction] || [row, col];
+    if (r < 0 || r >= n || c < 0 || c > n) return null;
+    return { row: r, col: c };
+}
+
+/**
+ * Insert an equation and a variable at an index
+ *
+ * The system stays square, so a new row always comes with a new column:
+ * equation index gets the new variable on its diagonal.
+ *
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number} index - Position of the new row and column
+ * @returns {Object} { A, b }
+ */
+export function insertRowColumn(A, b, index) {
+    const n = A.length + 1;
+    const newA = A.map(values => {
+        const copy = [...values];
+        copy.splice(index, 0, 0);
+        return copy;
+    });
+    const row = new Array(n).fill(0);
+    row[index] = DEFAULT_DIAGONAL;
+    newA.splice(index, 0, row);
+    const newB = [...b];
+    newB.splice(index, 0, 0);
+    return { A: newA, b: newB };
+}
+
+/**
+ * Delete an equation and its variable
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number} index - Row and column to remove
+ * @returns {Object} { A, b }
+ */
+export function deleteRowColumn(A, b, index) {
+    const newA = A.filter((_, i) => i !== index).map(values => values.filter((_, j) => j !== index));
+    return { A: newA, b: b.filter((_, i) => i !== index) };
+}
+
+/**
+ * Set every diagonal entry to a value
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number} value - Diagonal value
+ * @returns {number[][]} New matrix
+ */
+export function fillDiagonal(A, value) {
+    return A.map((values, i) => values.map((entry, j) => (i === j ? value : entry)));
+}
+
+/**
+ * Mirror the upper triangle onto the lower one, so entries typed above the
+ * diagonal define the symmetric matrix
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {number[][]} Symmetric matrix
+ */
+export function makeSymmetric(A) {
+    return A.map((values, i) => values.map((entry, j) => (j < i ? A[j][i] : entry)));
+}
+
+/**
+ * Rows that break strict diagonal dominance (|a_ii| <= Σ_{j≠i} |a_ij|)
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {Object[]} { row, diagonal, offDiagonal } per offending row
+ */
+export function findDominanceViolations(A) {
+    const violations = [];
+    A.forEach((values, i) => {
+        const diagonal = Math.abs(values[i]);
+        const offDiagonal = values.reduce((sum, entry, j) => (j === i ? sum : sum + Math.abs(entry)), 0);
+        if (diagonal <= offDiagonal) {
+            violations.push({ row: i, diagonal, offDiagonal });
+        }
+    });
+    return violations;
+}
+
 /**
  * Render interactive matrix grid
  * @param {number} n - System size
@@ -160,12 +363,15 @@ export function validateMatrix(A, b, n) {
         if (!Array.isArray(A[i]) || A[i].length !== n) {
             return { isValid: false, message: `Row ${i+1} of matrix A must have n columns` };
         }
-        
-        // Check for zero diagonal
+    }
+    
+    // Check for zero diagonal (once every row is known to be complete)
+    for (let i = 0; i < n; i++) {
         if (Math.abs(A[i][i]) < 1e-10) {
             return { 
                 isValid: false, 
-                message: `Diagonal element A[${i+1}][${i+1}] is too close to zero` 
+                message: `Diagonal element A[${i+1}][${i+1}] is too close to zero` +
+                    (findBestDiagonal(A) ? '; reordering the equations fixes this (Make solvable)' : '')
             };
         }
     }
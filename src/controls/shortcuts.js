@@ -0,0 +1,48 @@
+/**
+ * Keyboard Shortcuts
+ *
+ * Global single-key shortcuts (step, step back, autoplay, mute). They never
+ * fire while the user is typing in a form field.
+ */
+
+/**
+ * Whether a key event target takes typed text
+ * @param {EventTarget|null} target - Event target
+ * @returns {boolean} True for inputs, textareas, selects and contentEditable elements
+ */
+export function isEditableTarget(target) {
+    if (!target) return false;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable === true;
+}
+
+/**
+ * Run the global shortcut for a key press
+ * @param {KeyboardEvent} e - Key event
+ * @param {Object} actions - Shortcut actions
+ * @param {Function} actions.step - Enter or space: perform one iteration
+ * @param {Function} actions.stepBack - B: step back one iteration
+ * @param {Function} actions.toggleAutoplay - P: play/pause
+ * @param {Function} actions.toggleMute - M: mute/unmute
+ * @returns {boolean} True if the key was handled
+ */
+export function handleGlobalShortcut(e, actions) {
+    // Typed text belongs to the field
+    if (isEditableTarget(e.target)) return false;
+
+    let action = null;
+    if (e.key === 'Enter' || e.key === ' ') {
+        action = actions.step;
+    } else if (e.key === 'b' || e.key === 'B') {
+        action = actions.stepBack;
+    } else if (e.key === 'p' || e.key === 'P') {
+        action = actions.toggleAutoplay;
+    } else if (e.key === 'm' || e.key === 'M') {
+        action = actions.toggleMute;
+    }
+    if (!action) return false;
+
+    e.preventDefault();
+    action();
+    return true;
+}
@@ -0,0 +1,188 @@
+/**
+ * Conjugate Gradient (CG) Algorithm
+ *
+ * Pure functions for the Conjugate Gradient method:
+ * - Detecting symmetric positive-definite (SPD) matrices
+ * - Creating and copying the CG state (residual, search direction)
+ * - Computing the next iterate one step at a time
+ *
+ * Unlike the stationary methods, CG carries state between steps:
+ *   α_k = (r_kᵀr_k) / (p_kᵀAp_k)        step length
+ *   x_{k+1} = x_k + α_k p_k
+ *   r_{k+1} = r_k − α_k A p_k
+ *   β_k = (r_{k+1}ᵀr_{k+1}) / (r_kᵀr_k)
+ *   p_{k+1} = r_{k+1} + β_k p_k         next search direction
+ * For an n×n SPD system it reaches the exact solution in at most n steps
+ * (in exact arithmetic).
+ */
+
+// Relative tolerance for treating A[i][j] and A[j][i] as equal
+const SYMMETRY_TOLERANCE = 1e-10;
+
+/**
+ * Dot product of two vectors
+ * @param {number[]} u - Vector
+ * @param {number[]} v - Vector
+ * @returns {number} uᵀv
+ */
+export function dot(u, v) {
+    return u.reduce((sum, value, i) => sum + value * v[i], 0);
+}
+
+/**
+ * Matrix-vector product
+ * @param {number[][]} A - Matrix
+ * @param {number[]} v - Vector
+ * @returns {number[]} Av
+ */
+export function matVec(A, v) {
+    return A.map(row => dot(row, v));
+}
+
+/**
+ * Check whether a matrix is symmetric
+ * @param {number[][]} A - Square matrix
+ * @returns {boolean} True if A[i][j] ≈ A[j][i] for all i, j
+ */
+export function isSymmetric(A) {
+    const n = A.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const scale = Math.max(1, Math.abs(A[i][j]), Math.abs(A[j][i]));
+            if (Math.abs(A[i][j] - A[j][i]) > SYMMETRY_TOLERANCE * scale) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Check whether a symmetric matrix is positive definite (Cholesky succeeds)
+ * @param {number[][]} A - Symmetric matrix
+ * @returns {boolean} True if every pivot of the Cholesky factorization is positive
+ */
+export function isPositiveDefinite(A) {
+    const n = A.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+        let pivot = A[j][j];
+        for (let k = 0; k < j; k++) {
+            pivot -= L[j][k] * L[j][k];
+        }
+        if (!(pivot > 0)) {
+            return false;
+        }
+        L[j][j] = Math.sqrt(pivot);
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = A[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+            L[i][j] = sum / L[j][j];
+        }
+    }
+    return true;
+}
+
+/**
+ * Check whether CG applies to a matrix
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {Object} { isSymmetric, isPositiveDefinite, isSPD, message }
+ */
+export function checkSPD(A) {
+    if (!Array.isArray(A) || A.length === 0 || A.some(row => !Array.isArray(row) || row.length !== A.length)) {
+        return { isSymmetric: false, isPositiveDefinite: false, isSPD: false, message: 'Matrix must be square' };
+    }
+    if (!isSymmetric(A)) {
+        return { isSymmetric: false, isPositiveDefinite: false, isSPD: false, message: 'Matrix is not symmetric' };
+    }
+    if (!isPositiveDefinite(A)) {
+        return { isSymmetric: true, isPositiveDefinite: false, isSPD: false, message: 'Matrix is symmetric but not positive definite' };
+    }
+    return { isSymmetric: true, isPositiveDefinite: true, isSPD: true, message: 'Matrix is symmetric positive definite' };
+}
+
+/**
+ * Create the CG state for a starting point (first direction = residual)
+ * @param {number[]} x - Starting iterate
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @returns {Object} CG state { x, residual, direction, rr, beta, lastStep }
+ */
+export function createCGState(x, A, b) {
+    const residual = b.map((value, i) => value - dot(A[i], x));
+    return {
+        x: [...x],
+        residual,
+        direction: [...residual],
+        rr: dot(residual, residual),
+        beta: null, // β that produced the current direction (null for the first one)
+        lastStep: null // { alpha, beta, direction } of the last step taken
+    };
+}
+
+/**
+ * Copy a CG state (for history snapshots)
+ * @param {Object|null} cg - CG state
+ * @returns {Object|null} Independent copy
+ */
+export function copyCGState(cg) {
+    if (!cg) return null;
+    return {
+        x: [...cg.x],
+        residual: [...cg.residual],
+        direction: [...cg.direction],
+        rr: cg.rr,
+        beta: cg.beta,
+        lastStep: cg.lastStep ? { ...cg.lastStep, direction: [...cg.lastStep.direction] } : null
+    };
+}
+
+/**
+ * Check whether a CG state belongs to an iterate
+ * (knob moves or a new run make the stored residual and direction stale)
+ * @param {Object|null} cg - CG state
+ * @param {number[]} x - Current iterate
+ * @returns {boolean} True if the state can continue from x
+ */
+export function isCGStateCurrent(cg, x) {
+    return !!cg && cg.x.length === x.length && cg.x.every((value, i) => value === x[i]);
+}
+
+/**
+ * Compute the next CG iterate
+ * @param {number[]} x - Current iterate (not modified)
+ * @param {number[][]} A - SPD coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {Object} cg - CG state for x from createCGState (updated in place)
+ * @returns {number[]} New solution vector (x unchanged once the residual is zero)
+ */
+export function computeNextCG(x, A, b, cg) {
+    const p = cg.direction;
+    const Ap = matVec(A, p);
+    const pAp = dot(p, Ap);
+
+    // Exact solution reached (or breakdown on a non-SPD matrix): nothing to do
+    if (cg.rr === 0 || !(pAp > 0)) {
+        cg.lastStep = { alpha: 0, beta: cg.beta, direction: [...p] };
+        return [...x];
+    }
+
+    const alpha = cg.rr / pAp;
+    const newX = x.map((value, i) => value + alpha * p[i]);
+    const residual = cg.residual.map((value, i) => value - alpha * Ap[i]);
+    const rr = dot(residual, residual);
+    const beta = rr / cg.rr;
+
+    cg.lastStep = { alpha, beta: cg.beta, direction: [...p] };
+    cg.x = [...newX];
+    cg.residual = residual;
+    cg.direction = residual.map((value, i) => value + beta * p[i]);
+    cg.rr = rr;
+    cg.beta = beta;
+
+    return newX;
+}
@@ -0,0 +1,165 @@
+/**
+ * Convergence Criteria Module
+ *
+ * Pure functions for the configurable stopping rules:
+ * - Vector norms (∞, 1, 2)
+ * - Residual, relative residual and step-size measures
+ * - Validation of convergence settings
+ *
+ * The dial, meters and audio mix were tuned for a tolerance of 0.0001;
+ * normalizeMeasure() rescales any measure so those displays keep the
+ * same feel whatever tolerance is configured.
+ */
+
+export const DEFAULT_TOLERANCE = 0.0001;
+
+/**
+ * Norm keys in display order
+ */
+export const NORMS = ['inf', '1', '2'];
+
+/**
+ * Human-readable norm names
+ */
+export const NORM_LABELS = {
+    inf: '∞-norm (largest entry)',
+    '1': '1-norm (sum of entries)',
+    '2': '2-norm (Euclidean)'
+};
+
+/**
+ * Criterion keys in display order
+ */
+export const CRITERIA = ['residual', 'relativeResidual', 'stepSize'];
+
+/**
+ * Human-readable criterion names
+ */
+export const CRITERION_LABELS = {
+    residual: 'Residual ‖b − Ax‖',
+    relativeResidual: 'Relative residual ‖b − Ax‖ / ‖b‖',
+    stepSize: 'Step size ‖xₖ₊₁ − xₖ‖'
+};
+
+export const MAX_ITERATIONS_LIMIT = 100000;
+
+/**
+ * Default stopping rule (matches the original hard-coded check)
+ */
+export const DEFAULT_CONVERGENCE = {
+    tolerance: DEFAULT_TOLERANCE,
+    norm: 'inf',
+    criterion: 'residual',
+    maxIterations: 1000
+};
+
+/**
+ * Compute a vector norm
+ * @param {number[]} v - Vector
+ * @param {string} norm - Norm key ('inf', '1', '2')
+ * @returns {number} Norm of v
+ */
+export function vectorNorm(v, norm = 'inf') {
+    if (norm === '1') {
+        return v.reduce((sum, value) => sum + Math.abs(value), 0);
+    }
+    if (norm === '2') {
+        return Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+    }
+    return v.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+}
+
+/**
+ * Compute the residual vector b − Ax
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[]} x - Current solution
+ * @returns {number[]} Residual vector
+ */
+export function residualVector(A, b, x) {
+    return A.map((row, i) => b[i] - row.reduce((sum, a, j) => sum + a * x[j], 0));
+}
+
+/**
+ * Compute the configured convergence measure
+ *
+ * Step size needs the previous iterate; without one (before the first
+ * step, or after the knobs were moved by hand) the residual stands in.
+ *
+ * @param {Object} params - Parameters
+ * @param {number[][]} params.A - Coefficient matrix
+ * @param {number[]} params.b - Constant vector
+ * @param {number[]} params.x - Current solution
+ * @param {number[]|null} params.previousX - Previous iterate, if any
+ * @param {Object} settings - Convergence settings
+ * @returns {number} Measure to compare with settings.tolerance
+ */
+export function computeConvergenceMeasure({ A, b, x, previousX = null }, settings = DEFAULT_CONVERGENCE) {
+    const { norm, criterion } = settings;
+
+    if (criterion === 'stepSize' && previousX && previousX.length === x.length) {
+        return vectorNorm(x.map((value, i) => value - previousX[i]), norm);
+    }
+
+    const residual = vectorNorm(residualVector(A, b, x), norm);
+    if (criterion === 'relativeResidual') {
+        const bNorm = vectorNorm(b, norm);
+        // b = 0 has no scale, so fall back to the absolute residual
+        return bNorm > 0 ? residual / bNorm : residual;
+    }
+    return residual;
+}
+
+/**
+ * Check whether a measure satisfies the tolerance
+ * @param {number} measure - Value from computeConvergenceMeasure
+ * @param {Object} settings - Convergence settings
+ * @returns {boolean} True if converged
+ */
+export function isConverged(measure, settings = DEFAULT_CONVERGENCE) {
+    return isFinite(measure) && measure < settings.tolerance;
+}
+
+/**
+ * Rescale a measure as if the tolerance were DEFAULT_TOLERANCE
+ * @param {number} measure - Convergence measure
+ * @param {number} tolerance - Configured tolerance
+ * @returns {number} Measure on the default scale used by dial, meters and audio
+ */
+export function normalizeMeasure(measure, tolerance = DEFAULT_TOLERANCE) {
+    return measure * (DEFAULT_TOLERANCE / tolerance);
+}
+
+/**
+ * Validate convergence settings
+ * @param {Object} settings - Settings to validate
+ * @throws {Error} If any field is invalid
+ */
+export function validateConvergenceSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('Convergence settings must be an object');
+    }
+    const { tolerance, norm, criterion, maxIterations } = settings;
+    if (typeof tolerance !== 'number' || !isFinite(tolerance) || tolerance <= 0 || tolerance >= 1) {
+        throw new Error('Tolerance must be a number between 0 and 1');
+    }
+    if (!NORMS.includes(norm)) {
+        throw new Error(`Norm must be one of: ${NORMS.join(', ')}`);
+    }
+    if (!CRITERIA.includes(criterion)) {
+        throw new Error(`Criterion must be one of: ${CRITERIA.join(', ')}`);
+    }
+    if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > MAX_ITERATIONS_LIMIT) {
+        throw new Error(`Maximum iterations must be an integer between 1 and ${MAX_ITERATIONS_LIMIT}`);
+    }
+}
+
+/**
+ * Describe the stopping rule in one line
+ * @param {Object} settings - Convergence settings
+ * @returns {string} e.g. "Residual ‖b − Ax‖ (∞-norm) < 0.0001"
+ */
+export function describeConvergenceSettings(settings = DEFAULT_CONVERGENCE) {
+    const norm = settings.norm === 'inf' ? '∞' : settings.norm;
+    return `${CRITERION_LABELS[settings.criterion]} (${norm}-norm) < ${settings.tolerance}`;
+}
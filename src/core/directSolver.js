@@ -0,0 +1,199 @@
+/**
+ * Direct Solver Module
+ *
+ * Pure functions for solving A x = b exactly (up to floating point):
+ * - LU decomposition with partial pivoting
+ * - Forward/back substitution
+ * - Singular and ill-conditioned matrix detection
+ * - Distance between an iterate and the reference solution
+ *
+ * Used as the reference ("true") solution for custom systems so error and
+ * residual can be shown separately.
+ */
+
+// Same upper bound as the 'system.n' validator in the state manager
+export const MAX_DIRECT_SIZE = 20;
+
+// Pivots smaller than this (relative to the largest entry) mean A is singular
+const SINGULAR_TOLERANCE = 1e-12;
+
+// Condition numbers above this lose most of double precision's ~16 digits
+export const ILL_CONDITIONED_THRESHOLD = 1e10;
+
+/**
+ * LU decomposition with partial pivoting (PA = LU)
+ * @param {number[][]} A - Square coefficient matrix (not modified)
+ * @returns {Object} { LU, pivots, isSingular } where LU stores L (unit diagonal, below) and U (on and above)
+ */
+export function luDecompose(A) {
+    const n = A.length;
+    const LU = A.map(row => [...row]);
+    const pivots = Array.from({ length: n }, (_, i) => i);
+
+    // Scale for the singularity test so it does not depend on matrix magnitude
+    let scale = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            scale = Math.max(scale, Math.abs(LU[i][j]));
+        }
+    }
+    if (scale === 0) {
+        return { LU, pivots, isSingular: true };
+    }
+
+    let isSingular = false;
+
+    for (let k = 0; k < n; k++) {
+        // Find the largest pivot in column k
+        let pivotRow = k;
+        let pivotValue = Math.abs(LU[k][k]);
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(LU[i][k]) > pivotValue) {
+                pivotValue = Math.abs(LU[i][k]);
+                pivotRow = i;
+            }
+        }
+
+        if (pivotValue < SINGULAR_TOLERANCE * scale) {
+            isSingular = true;
+            continue;
+        }
+
+        if (pivotRow !== k) {
+            [LU[k], LU[pivotRow]] = [LU[pivotRow], LU[k]];
+            [pivots[k], pivots[pivotRow]] = [pivots[pivotRow], pivots[k]];
+        }
+
+        for (let i = k + 1; i < n; i++) {
+            const factor = LU[i][k] / LU[k][k];
+            LU[i][k] = factor;
+            for (let j = k + 1; j < n; j++) {
+                LU[i][j] -= factor * LU[k][j];
+            }
+        }
+    }
+
+    return { LU, pivots, isSingular };
+}
+
+/**
+ * Solve using an existing LU decomposition
+ * @param {Object} decomposition - Result of luDecompose (must not be singular)
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]} Solution vector
+ */
+export function luSolve(decomposition, b) {
+    const { LU, pivots } = decomposition;
+    const n = LU.length;
+
+    // Forward substitution: L y = P b
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        let sum = b[pivots[i]];
+        for (let j = 0; j < i; j++) {
+            sum -= LU[i][j] * y[j];
+        }
+        y[i] = sum;
+    }
+
+    // Back substitution: U x = y
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let j = i + 1; j < n; j++) {
+            sum -= LU[i][j] * x[j];
+        }
+        x[i] = sum / LU[i][i];
+    }
+
+    return x;
+}
+
+/**
+ * Infinity norm of a matrix (maximum absolute row sum)
+ * @param {number[][]} M - Matrix
+ * @returns {number} ||M||∞
+ */
+function matrixInfinityNorm(M) {
+    return M.reduce((max, row) => Math.max(max, row.reduce((sum, value) => sum + Math.abs(value), 0)), 0);
+}
+
+/**
+ * Estimate the infinity-norm condition number κ∞(A) = ||A||∞ ||A⁻¹||∞
+ * @param {number[][]} A - Coefficient matrix
+ * @param {Object} decomposition - LU decomposition of A (must not be singular)
+ * @returns {number} Condition number
+ */
+export function estimateConditionNumber(A, decomposition) {
+    const n = A.length;
+    const inverse = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    // Build A⁻¹ column by column (n ≤ 20, so this is cheap)
+    for (let k = 0; k < n; k++) {
+        const unit = new Array(n).fill(0);
+        unit[k] = 1;
+        const column = luSolve(decomposition, unit);
+        for (let i = 0; i < n; i++) {
+            inverse[i][k] = column[i];
+        }
+    }
+
+    return matrixInfinityNorm(A) * matrixInfinityNorm(inverse);
+}
+
+/**
+ * Solve A x = b directly with Gaussian elimination (partial pivoting)
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @returns {Object} { solution, isSingular, isIllConditioned, conditionNumber, message }
+ */
+export function solveDirect(A, b) {
+    if (!Array.isArray(A) || !Array.isArray(b) || A.length === 0) {
+        return { solution: null, isSingular: false, isIllConditioned: false, conditionNumber: null, message: 'Invalid system' };
+    }
+
+    const n = A.length;
+    if (n > MAX_DIRECT_SIZE) {
+        return { solution: null, isSingular: false, isIllConditioned: false, conditionNumber: null, message: `System too large (maximum ${MAX_DIRECT_SIZE}×${MAX_DIRECT_SIZE})` };
+    }
+    if (b.length !== n || A.some(row => !Array.isArray(row) || row.length !== n)) {
+        return { solution: null, isSingular: false, isIllConditioned: false, conditionNumber: null, message: 'Matrix A must be square and match vector b' };
+    }
+
+    const decomposition = luDecompose(A);
+    if (decomposition.isSingular) {
+        return { solution: null, isSingular: true, isIllConditioned: true, conditionNumber: Infinity, message: 'Matrix is singular — no unique solution' };
+    }
+
+    const solution = luSolve(decomposition, b);
+    const conditionNumber = estimateConditionNumber(A, decomposition);
+    const isIllConditioned = !isFinite(conditionNumber) || conditionNumber > ILL_CONDITIONED_THRESHOLD;
+
+    return {
+        solution,
+        isSingular: false,
+        isIllConditioned,
+        conditionNumber,
+        message: isIllConditioned
+            ? `Matrix is ill-conditioned (κ ≈ ${conditionNumber.toExponential(1)}) — reference solution may be inaccurate`
+            : 'Unique solution found'
+    };
+}
+
+/**
+ * Distance between an iterate and the reference solution (infinity norm)
+ * @param {number[]} x - Current iterate
+ * @param {number[]} solution - Reference solution
+ * @returns {number|null} max |x_i - solution_i|, or null if unavailable
+ */
+export function distanceToSolution(x, solution) {
+    if (!Array.isArray(x) || !Array.isArray(solution) || x.length !== solution.length) {
+        return null;
+    }
+
+    let max = 0;
+    for (let i = 0; i < x.length; i++) {
+        max = Math.max(max, Math.abs(x[i] - solution[i]));
+    }
+    return max;
+}
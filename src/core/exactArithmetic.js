@@ -0,0 +1,143 @@
+/**
+ * Exact Arithmetic Mode
+ *
+ * Runs Jacobi and Gauss-Seidel with fractions (see core/rational.js) so the
+ * iterates match hand calculations. Denominators grow with every step, so
+ * a run falls back to floating point once a denominator passes the
+ * configured number of digits.
+ *
+ * The exact state { x, digits } follows the floating-point iterate: knob
+ * moves or a new run make it stale (isExactStateCurrent), and it is rebuilt
+ * from the decimals shown on the knobs.
+ */
+
+import { fromNumber, toNumber, denominatorDigits, formatRational, parseRational } from './rational.js';
+import { computeNextJacobiExact } from './jacobi.js';
+import { computeNextGaussSeidelExact } from './gaussSeidel.js';
+
+// Methods with an exact version (SOR and CG always run in floating point)
+export const EXACT_METHODS = ['jacobi', 'gaussSeidel'];
+
+export const MAX_DENOMINATOR_DIGITS_LIMIT = 1000;
+
+export const DEFAULT_EXACT_SETTINGS = {
+    enabled: false,
+    maxDenominatorDigits: 12 // Fall back to floating point beyond this
+};
+
+/**
+ * Validate exact arithmetic settings
+ * @param {Object} settings - Settings to validate
+ * @throws {Error} If any field is invalid
+ */
+export function validateExactSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('Exact arithmetic settings must be an object');
+    }
+    if (typeof settings.enabled !== 'boolean') {
+        throw new Error('Exact arithmetic must be switched on or off');
+    }
+    const digits = settings.maxDenominatorDigits;
+    if (!Number.isInteger(digits) || digits < 1 || digits > MAX_DENOMINATOR_DIGITS_LIMIT) {
+        throw new Error(`Maximum denominator digits must be an integer between 1 and ${MAX_DENOMINATOR_DIGITS_LIMIT}`);
+    }
+}
+
+/**
+ * Whether a method runs exactly under the given settings
+ * @param {string} method - Method key
+ * @param {Object} settings - Exact arithmetic settings
+ * @returns {boolean} True for Jacobi/Gauss-Seidel with exact mode on
+ */
+export function usesExactArithmetic(method, settings = DEFAULT_EXACT_SETTINGS) {
+    return !!settings && settings.enabled && EXACT_METHODS.includes(method);
+}
+
+/**
+ * Convert a system to fractions
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @returns {Object} { A, b } as fractions
+ */
+export function toExactSystem(A, b) {
+    return { A: A.map(row => row.map(fromNumber)), b: b.map(fromNumber) };
+}
+
+/**
+ * Create the exact state for a floating-point iterate
+ * @param {number[]} x - Iterate (decimals, e.g. knob values)
+ * @returns {Object} Exact state { x, digits } (digits: largest denominator length)
+ */
+export function createExactState(x) {
+    return describeExactState(x.map(fromNumber));
+}
+
+/**
+ * Wrap an exact iterate with its largest denominator length
+ * @param {Object[]} x - Iterate (fractions)
+ * @returns {Object} Exact state { x, digits }
+ */
+function describeExactState(x) {
+    return { x, digits: Math.max(...x.map(denominatorDigits)) };
+}
+
+/**
+ * Plain-text copy of an exact iterate for run histories (JSON has no BigInt)
+ * @param {Object} exact - Exact state
+ * @returns {string[]} Fractions such as "7/4"
+ */
+export function serializeExactState(exact) {
+    return exact.x.map(formatRational);
+}
+
+/**
+ * Rebuild an exact state from serializeExactState output
+ * @param {string[]} values - Fractions
+ * @returns {Object} Exact state
+ */
+export function restoreExactState(values) {
+    return describeExactState(values.map(parseRational));
+}
+
+/**
+ * Check whether an exact state belongs to an iterate
+ * @param {Object|null} exact - Exact state
+ * @param {number[]} x - Current floating-point iterate
+ * @returns {boolean} True if the exact iterate rounds to x
+ */
+export function isExactStateCurrent(exact, x) {
+    return !!exact && exact.x.length === x.length && exact.x.every((value, i) => toNumber(value) === x[i]);
+}
+
+/**
+ * Compute the next exact iterate
+ * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * @param {Object} exact - Exact state for the current iterate
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @returns {Object} { state, x } with the new exact state and its floating-point iterate
+ * @throws {Error} For a method without an exact version
+ */
+export function computeNextExact(method, exact, A, b) {
+    const system = toExactSystem(A, b);
+    let next;
+    if (method === 'gaussSeidel') {
+        next = computeNextGaussSeidelExact(exact.x, system.A, system.b);
+    } else if (method === 'jacobi') {
+        next = computeNextJacobiExact(exact.x, system.A, system.b);
+    } else {
+        throw new Error(`${method} has no exact version`);
+    }
+    const state = describeExactState(next);
+    return { state, x: next.map(toNumber) };
+}
+
+/**
+ * Whether an exact state has outgrown the denominator limit
+ * @param {Object} exact - Exact state
+ * @param {Object} settings - Exact arithmetic settings
+ * @returns {boolean} True once a denominator has more digits than allowed
+ */
+export function exceedsDenominatorLimit(exact, settings = DEFAULT_EXACT_SETTINGS) {
+    return exact.digits > settings.maxDenominatorDigits;
+}
@@ -2,11 +2,13 @@
  * Gauss-Seidel Iteration Algorithm
  * 
  * Pure functions for Gauss-Seidel iteration method:
- * - Computing next iteration values (in-place updates)
+ * - Computing next iteration values (in-place updates, floating point or exact fractions)
  * - Generating Gauss-Seidel formulas
  * - Note: Uses validateDiagonalDominance from jacobi.js
  */
 
+import { ZERO, add, subtract, multiply, divide, isZero } from './rational.js';
+
 /**
  * Compute next Gauss-Seidel iteration values
  * @param {number[]} currentX - Current solution vector (modified in-place)
@@ -49,6 +51,30 @@ export function computeNextGaussSeidel(currentX, A, b) {
     return currentX;
 }
 
+/**
+ * Compute next Gauss-Seidel iteration values with exact fractions
+ * @param {Object[]} currentX - Current solution vector (fractions, see core/rational.js; not modified)
+ * @param {Object[][]} A - Coefficient matrix (fractions)
+ * @param {Object[]} b - Constant vector (fractions)
+ * @returns {Object[]} New solution vector (fractions)
+ */
+export function computeNextGaussSeidelExact(currentX, A, b) {
+    const x = [...currentX];
+    for (let i = 0; i < A.length; i++) {
+        // A zero diagonal keeps the current value, as in computeNextGaussSeidel
+        if (isZero(A[i][i])) continue;
+        let sum = ZERO;
+        for (let j = 0; j < A.length; j++) {
+            if (i !== j) {
+                // x already holds the new values for j < i
+                sum = add(sum, multiply(A[i][j], x[j]));
+            }
+        }
+        x[i] = divide(subtract(b[i], sum), A[i][i]);
+    }
+    return x;
+}
+
 /**
  * Generate Gauss-Seidel update formulas for a given system
  * @param {number[][]} A - Coefficient matrix
@@ -0,0 +1,319 @@
+/**
+ * Test-Matrix Generator Module
+ *
+ * Pure functions building classic test systems for the "Generate" tab:
+ * - 1D and 2D Poisson (tridiagonal and 5-point Laplacian)
+ * - Random strictly diagonally dominant and random SPD matrices
+ * - Hilbert and tridiagonal Toeplitz matrices
+ *
+ * Every family is paired with a chosen solution vector x*, and b = Ax* is
+ * computed from it, so the exact answer of a generated system is known.
+ * Random families draw from a seeded generator, so the same size and seed
+ * always give the same system.
+ */
+
+import { roundToDecimal } from './math.js';
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE } from '../utils/validation.js';
+
+export const MIN_GENERATED_SIZE = MIN_SYSTEM_SIZE;
+export const MAX_GENERATED_SIZE = MAX_SYSTEM_SIZE;
+export const DEFAULT_SEED = 1;
+
+// Decimals kept in b = Ax* (hides floating-point noise such as 1.8333333333333335)
+const B_DECIMALS = 10;
+
+/**
+ * Generator keys in display order
+ */
+export const GENERATORS = ['poisson1d', 'poisson2d', 'diagonallyDominant', 'spd', 'hilbert', 'toeplitz'];
+
+/**
+ * Human-readable generator names
+ */
+export const GENERATOR_LABELS = {
+    poisson1d: '1D Poisson (tridiagonal)',
+    poisson2d: '2D Poisson (5-point Laplacian)',
+    diagonallyDominant: 'Random diagonally dominant',
+    spd: 'Random SPD',
+    hilbert: 'Hilbert',
+    toeplitz: 'Tridiagonal Toeplitz'
+};
+
+/**
+ * One-line description of each family, shown under the generator select
+ */
+export const GENERATOR_DESCRIPTIONS = {
+    poisson1d: '2 on the diagonal, −1 beside it: the discrete −u″ on a line. SPD; Jacobi slows down as n grows.',
+    poisson2d: '4 on the diagonal, −1 for each grid neighbour on a √n × √n grid. SPD; n must be a perfect square (4, 9, 16).',
+    diagonallyDominant: 'Random integer entries with each diagonal entry larger than the rest of its row. Jacobi and Gauss-Seidel always converge.',
+    spd: 'MᵀM + I for a random integer matrix M. Symmetric positive definite, so Conjugate Gradient applies; rarely diagonally dominant.',
+    hilbert: 'a_ij = 1 / (i + j − 1). SPD but badly conditioned: iterative methods crawl and rounding errors grow quickly.',
+    toeplitz: '4 on the diagonal, −1 below and 2 above. Non-symmetric but diagonally dominant.'
+};
+
+/**
+ * Generators that draw random entries (and use the seed)
+ */
+export const SEEDED_GENERATORS = ['diagonallyDominant', 'spd'];
+
+/**
+ * Solution vector keys in display order
+ */
+export const SOLUTION_KINDS = ['ones', 'sequence', 'random', 'custom'];
+
+/**
+ * Human-readable solution vector names
+ */
+export const SOLUTION_LABELS = {
+    ones: 'All ones (1, 1, …, 1)',
+    sequence: 'Sequence (1, 2, …, n)',
+    random: 'Random integers (seeded)',
+    custom: 'Custom'
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a random integer
+ * @param {Function} random - Generator from createRandom
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number} Integer in [min, max]
+ */
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Create an n×n zero matrix
+ * @param {number} n - Size
+ * @returns {number[][]} Zero matrix
+ */
+function zeroMatrix(n) {
+    return Array.from({ length: n }, () => new Array(n).fill(0));
+}
+
+/**
+ * 1D Poisson matrix: tridiag(−1, 2, −1)
+ * @param {number} n - Size
+ * @returns {number[][]} Matrix
+ */
+export function poisson1D(n) {
+    return tridiagonalToeplitz(n, { lower: -1, diagonal: 2, upper: -1 });
+}
+
+/**
+ * 2D Poisson matrix: 5-point Laplacian on an m×m grid (natural ordering)
+ * @param {number} n - Size, must be m² for an integer m ≥ 2
+ * @returns {number[][]} Matrix
+ */
+export function poisson2D(n) {
+    const m = Math.round(Math.sqrt(n));
+    const A = zeroMatrix(n);
+    for (let row = 0; row < m; row++) {
+        for (let col = 0; col < m; col++) {
+            const k = row * m + col;
+            A[k][k] = 4;
+            if (col > 0) A[k][k - 1] = -1;
+            if (col < m - 1) A[k][k + 1] = -1;
+            if (row > 0) A[k][k - m] = -1;
+            if (row < m - 1) A[k][k + m] = -1;
+        }
+    }
+    return A;
+}
+
+/**
+ * Random strictly diagonally dominant matrix with integer entries
+ * @param {number} n - Size
+ * @param {Function} random - Generator from createRandom
+ * @returns {number[][]} Matrix
+ */
+export function randomDiagonallyDominant(n, random) {
+    const A = zeroMatrix(n);
+    for (let i = 0; i < n; i++) {
+        let offDiagonal = 0;
+        for (let j = 0; j < n; j++) {
+            if (i === j) continue;
+            A[i][j] = randomInt(random, -4, 4);
+            offDiagonal += Math.abs(A[i][j]);
+        }
+        const sign = random() < 0.5 ? -1 : 1;
+        A[i][i] = sign * (offDiagonal + randomInt(random, 1, 4));
+    }
+    return A;
+}
+
+/**
+ * Random symmetric positive-definite matrix MᵀM + I with integer entries
+ * @param {number} n - Size
+ * @param {Function} random - Generator from createRandom
+ * @returns {number[][]} Matrix
+ */
+export function randomSPD(n, random) {
+    const M = Array.from({ length: n }, () => Array.from({ length: n }, () => randomInt(random, -3, 3)));
+    const A = zeroMatrix(n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            let sum = i === j ? 1 : 0;
+            for (let k = 0; k < n; k++) {
+                sum += M[k][i] * M[k][j];
+            }
+            A[i][j] = sum;
+        }
+    }
+    return A;
+}
+
+/**
+ * Hilbert matrix: a_ij = 1 / (i + j − 1) with 1-based indices
+ * @param {number} n - Size
+ * @returns {number[][]} Matrix
+ */
+export function hilbert(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => 1 / (i + j + 1)));
+}
+
+/**
+ * Tridiagonal Toeplitz matrix (constant along each diagonal)
+ * @param {number} n - Size
+ * @param {Object} coefficients - Diagonal values
+ * @param {number} coefficients.lower - Sub-diagonal (default: -1)
+ * @param {number} coefficients.diagonal - Main diagonal (default: 4)
+ * @param {number} coefficients.upper - Super-diagonal (default: 2)
+ * @returns {number[][]} Matrix
+ */
+export function tridiagonalToeplitz(n, { lower = -1, diagonal = 4, upper = 2 } = {}) {
+    const A = zeroMatrix(n);
+    for (let i = 0; i < n; i++) {
+        A[i][i] = diagonal;
+        if (i > 0) A[i][i - 1] = lower;
+        if (i < n - 1) A[i][i + 1] = upper;
+    }
+    return A;
+}
+
+/**
+ * Build the chosen solution vector
+ * @param {string} kind - Key from SOLUTION_KINDS
+ * @param {number} n - Size
+ * @param {Function} random - Generator from createRandom (for 'random')
+ * @param {number[]} custom - Values for 'custom'
+ * @returns {number[]} Solution vector
+ */
+export function buildSolution(kind, n, random, custom = []) {
+    switch (kind) {
+        case 'sequence':
+            return Array.from({ length: n }, (_, i) => i + 1);
+        case 'random':
+            return Array.from({ length: n }, () => randomInt(random, -5, 5));
+        case 'custom':
+            return custom.slice(0, n);
+        case 'ones':
+        default:
+            return new Array(n).fill(1);
+    }
+}
+
+/**
+ * Validate generator options
+ * @param {Object} options - Options for generateSystem
+ * @throws {Error} If any field is invalid
+ */
+export function validateGeneratorOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Generator options must be an object');
+    }
+    const { family, n, seed = DEFAULT_SEED, solution = 'ones', customSolution = [] } = options;
+    if (!GENERATORS.includes(family)) {
+        throw new Error(`Generator must be one of: ${GENERATORS.join(', ')}`);
+    }
+    if (!Number.isInteger(n) || n < MIN_GENERATED_SIZE || n > MAX_GENERATED_SIZE) {
+        throw new Error(`Size must be an integer between ${MIN_GENERATED_SIZE} and ${MAX_GENERATED_SIZE}`);
+    }
+    if (family === 'poisson2d' && Math.round(Math.sqrt(n)) ** 2 !== n) {
+        throw new Error('2D Poisson needs a perfect-square size (4, 9 or 16) to fill a square grid');
+    }
+    if (!Number.isInteger(seed) || seed < 0) {
+        throw new Error('Seed must be a non-negative integer');
+    }
+    if (!SOLUTION_KINDS.includes(solution)) {
+        throw new Error(`Solution must be one of: ${SOLUTION_KINDS.join(', ')}`);
+    }
+    if (solution === 'custom') {
+        if (!Array.isArray(customSolution) || customSolution.length !== n) {
+            throw new Error(`Custom solution must have ${n} values`);
+        }
+        if (customSolution.some(value => typeof value !== 'number' || !isFinite(value))) {
+            throw new Error('Custom solution values must be numbers');
+        }
+    }
+}
+
+/**
+ * Generate a test system with a known solution
+ * @param {Object} options - Options
+ * @param {string} options.family - Key from GENERATORS
+ * @param {number} options.n - Size
+ * @param {number} options.seed - Seed for random families and random solutions (default: 1)
+ * @param {string} options.solution - Key from SOLUTION_KINDS (default: 'ones')
+ * @param {number[]} options.customSolution - Values for a 'custom' solution
+ * @returns {Object} { A, b, n, solution, family, label, description }
+ * @throws {Error} If the options are invalid
+ */
+export function generateSystem(options) {
+    validateGeneratorOptions(options);
+    const { family, n, seed = DEFAULT_SEED, solution = 'ones', customSolution = [] } = options;
+    const random = createRandom(seed);
+
+    let A;
+    switch (family) {
+        case 'poisson1d':
+            A = poisson1D(n);
+            break;
+        case 'poisson2d':
+            A = poisson2D(n);
+            break;
+        case 'diagonallyDominant':
+            A = randomDiagonallyDominant(n, random);
+            break;
+        case 'spd':
+            A = randomSPD(n, random);
+            break;
+        case 'hilbert':
+            A = hilbert(n);
+            break;
+        case 'toeplitz':
+        default:
+            A = tridiagonalToeplitz(n);
+            break;
+    }
+
+    // Matrix entries are drawn first, so the same seed gives the same A for any solution
+    const x = buildSolution(solution, n, random, customSolution);
+    const b = A.map(row => roundToDecimal(row.reduce((sum, value, j) => sum + value * x[j], 0), B_DECIMALS));
+
+    return {
+        A,
+        b,
+        n,
+        solution: x,
+        family,
+        label: GENERATOR_LABELS[family],
+        description: GENERATOR_DESCRIPTIONS[family]
+    };
+}
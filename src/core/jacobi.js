@@ -2,11 +2,13 @@
  * Jacobi Iteration Algorithm
  * 
  * Pure functions for Jacobi iteration method:
- * - Computing next iteration values
+ * - Computing next iteration values (floating point or exact fractions)
  * - Generating Jacobi formulas
  * - Validating diagonal dominance
  */
 
+import { ZERO, add, subtract, multiply, divide, isZero } from './rational.js';
+
 /**
  * Compute next Jacobi iteration values
  * @param {number[]} currentX - Current solution vector
@@ -41,6 +43,27 @@ export function computeNextJacobi(currentX, A, b) {
     return newX;
 }
 
+/**
+ * Compute next Jacobi iteration values with exact fractions
+ * @param {Object[]} currentX - Current solution vector (fractions, see core/rational.js)
+ * @param {Object[][]} A - Coefficient matrix (fractions)
+ * @param {Object[]} b - Constant vector (fractions)
+ * @returns {Object[]} New solution vector (fractions)
+ */
+export function computeNextJacobiExact(currentX, A, b) {
+    return A.map((row, i) => {
+        // A zero diagonal keeps the current value, as in computeNextJacobi
+        if (isZero(row[i])) return currentX[i];
+        let sum = ZERO;
+        for (let j = 0; j < row.length; j++) {
+            if (i !== j) {
+                sum = add(sum, multiply(row[j], currentX[j]));
+            }
+        }
+        return divide(subtract(b[i], sum), row[i]);
+    });
+}
+
 /**
  * Generate Jacobi update formulas for a given system
  * @param {number[][]} A - Coefficient matrix
@@ -51,15 +51,18 @@ export function getMaxError(errors) {
 
 /**
  * Get convergence state based on maximum error
- * @param {number} maxError - Maximum absolute error
+ * Bands scale with the tolerance (defaults: 0.0001 / 0.1 / 1.0)
+ * @param {number} maxError - Maximum absolute error (or configured convergence measure)
+ * @param {number} tolerance - Convergence tolerance (default: 0.0001)
  * @returns {Object} State object with state string and color
  */
-export function getConvergenceState(maxError) {
-    if (maxError < 0.0001) {
+export function getConvergenceState(maxError, tolerance = 0.0001) {
+    const scaled = maxError * (0.0001 / tolerance);
+    if (scaled < 0.0001) {
         return { state: 'Perfectly Balanced', color: 'var(--vintage-green)' };
-    } else if (maxError < 0.1) {
+    } else if (scaled < 0.1) {
         return { state: 'Nearly Balanced', color: 'var(--vintage-green)' };
-    } else if (maxError < 1.0) {
+    } else if (scaled < 1.0) {
         return { state: 'Balancing', color: 'var(--amber)' };
     } else {
         return { state: 'Unbalanced', color: 'var(--red)' };
@@ -0,0 +1,30 @@
+/**
+ * Iteration Method Registry
+ *
+ * Single list of the iteration methods the app can run, so performance
+ * history, comparison panels and exports don't hard-code method names
+ */
+
+/**
+ * Method keys in display order
+ */
+export const METHODS = ['jacobi', 'gaussSeidel', 'sor', 'cg'];
+
+/**
+ * Human-readable method names
+ */
+export const METHOD_LABELS = {
+    jacobi: 'Jacobi',
+    gaussSeidel: 'Gauss-Seidel',
+    sor: 'SOR',
+    cg: 'Conjugate Gradient'
+};
+
+/**
+ * Get display label for a method key
+ * @param {string} method - Method key
+ * @returns {string} Display label (falls back to the key itself)
+ */
+export function getMethodLabel(method) {
+    return METHOD_LABELS[method] || method;
+}
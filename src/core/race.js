@@ -0,0 +1,154 @@
+/**
+ * Race Module
+ *
+ * Runs independent solver instances ("lanes") on the same system from
+ * the same initial guess and advances them in lockstep, so Jacobi and
+ * Gauss-Seidel can be watched side by side. Each lane stops on its own
+ * when it converges, diverges or hits the iteration limit.
+ */
+
+import { computeNextJacobi } from './jacobi.js';
+import { computeNextGaussSeidel } from './gaussSeidel.js';
+import { computeNextSOR } from './sor.js';
+import { getMethodLabel } from './methods.js';
+import { DEFAULT_CONVERGENCE, computeConvergenceMeasure, isConverged, residualVector, vectorNorm } from './convergence.js';
+import { checkDivergence } from './valueRange.js';
+
+/**
+ * Methods raced against each other, in lane order
+ */
+export const RACE_METHODS = ['jacobi', 'gaussSeidel'];
+
+/**
+ * Compute the next iterate for any method without touching x
+ * @param {string} method - Method key
+ * @param {number[]} x - Current solution vector
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number} omega - SOR relaxation factor
+ * @returns {number[]} New solution vector
+ */
+export function computeNextByMethod(method, x, A, b, omega) {
+    if (method === 'gaussSeidel') {
+        return computeNextGaussSeidel([...x], A, b);
+    }
+    if (method === 'sor') {
+        return computeNextSOR([...x], A, b, omega);
+    }
+    return computeNextJacobi(x, A, b);
+}
+
+/**
+ * Create a race with one lane per method
+ * @param {number[]} x0 - Shared initial guess
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {string[]} methods - Methods to race (default: RACE_METHODS)
+ * @param {number} startTime - Wall-clock start in ms (default: performance.now())
+ * @returns {Object} Race { lanes, finished, startTime }
+ */
+export function createRace(x0, A, b, methods = RACE_METHODS, startTime = performance.now()) {
+    const residual = vectorNorm(residualVector(A, b, x0), 'inf');
+    return {
+        lanes: methods.map(method => ({
+            method,
+            x: [...x0],
+            previousX: null,
+            iteration: 0,
+            residual,
+            measure: null,
+            status: 'running', // 'running' | 'converged' | 'diverged' | 'stalled'
+            divergence: null,
+            finishTime: null
+        })),
+        finished: false,
+        startTime
+    };
+}
+
+/**
+ * Advance every running lane by one iteration
+ * @param {Object} race - Race from createRace (updated in place)
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {Object} options - Options
+ * @param {number} options.omega - SOR relaxation factor
+ * @param {Object} options.convergence - Convergence settings
+ * @param {number} options.divergenceLimit - Limit from getDivergenceLimit
+ * @param {number} options.now - Wall-clock time in ms (default: performance.now())
+ * @returns {Object[]} Lanes that advanced this step
+ */
+export function stepRace(race, A, b, options = {}) {
+    const {
+        omega = 1,
+        convergence = DEFAULT_CONVERGENCE,
+        divergenceLimit = Infinity,
+        now = performance.now()
+    } = options;
+    const advanced = [];
+
+    race.lanes.forEach(lane => {
+        if (lane.status !== 'running') return;
+
+        const newX = computeNextByMethod(lane.method, lane.x, A, b, omega);
+        const divergence = checkDivergence(newX, divergenceLimit);
+        if (divergence) {
+            lane.status = 'diverged';
+            lane.divergence = divergence;
+            lane.finishTime = now;
+            return;
+        }
+
+        lane.previousX = lane.x;
+        lane.x = newX;
+        lane.iteration++;
+        lane.residual = vectorNorm(residualVector(A, b, lane.x), 'inf');
+        lane.measure = computeConvergenceMeasure({ A, b, x: lane.x, previousX: lane.previousX }, convergence);
+
+        if (isConverged(lane.measure, convergence)) {
+            lane.status = 'converged';
+            lane.finishTime = now;
+        } else if (lane.iteration >= convergence.maxIterations) {
+            lane.status = 'stalled';
+            lane.finishTime = now;
+        }
+        advanced.push(lane);
+    });
+
+    race.finished = race.lanes.every(lane => lane.status !== 'running');
+    return advanced;
+}
+
+/**
+ * Summarize a finished race
+ * @param {Object} race - Race from createRace
+ * @returns {Object} { winner, text } (winner is null for a tie or no finisher)
+ */
+export function summarizeRace(race) {
+    const converged = race.lanes
+        .filter(lane => lane.status === 'converged')
+        .sort((a, b) => a.iteration - b.iteration);
+    const others = race.lanes
+        .filter(lane => lane.status !== 'converged')
+        .map(lane => `${getMethodLabel(lane.method)} ${lane.status === 'diverged' ? 'diverged' : `did not converge in ${lane.iteration} iterations`}`);
+
+    if (converged.length === 0) {
+        return { winner: null, text: `No winner: ${others.join(', ')}.` };
+    }
+
+    const fastest = converged[0];
+    if (converged.length > 1 && converged[1].iteration === fastest.iteration) {
+        return { winner: null, text: `Tie: both converged in ${fastest.iteration} iterations.` };
+    }
+
+    let text = `${getMethodLabel(fastest.method)} wins in ${fastest.iteration} iterations`;
+    if (converged.length > 1) {
+        const runnerUp = converged[1];
+        const ratio = runnerUp.iteration / Math.max(1, fastest.iteration);
+        text += ` vs ${runnerUp.iteration} for ${getMethodLabel(runnerUp.method)} (${ratio.toFixed(2)}× fewer)`;
+    }
+    if (others.length > 0) {
+        text += `; ${others.join(', ')}`;
+    }
+    return { winner: fastest.method, text: `${text}.` };
+}
@@ -0,0 +1,176 @@
+/**
+ * Exact Rational Numbers
+ *
+ * Fractions with BigInt numerator and denominator, for running iterations
+ * the way they are done by hand. Values are plain objects { num, den }
+ * kept in lowest terms with a positive denominator; every function returns
+ * a new value.
+ *
+ * Numbers typed into the app are decimals, so fromNumber() reads the
+ * decimal a number prints as: 0.1 becomes 1/10, not the binary value
+ * closest to it.
+ */
+
+export const ZERO = Object.freeze({ num: 0n, den: 1n });
+export const ONE = Object.freeze({ num: 1n, den: 1n });
+
+/**
+ * Absolute value of a BigInt
+ */
+function abs(value) {
+    return value < 0n ? -value : value;
+}
+
+/**
+ * Greatest common divisor of two BigInts
+ */
+function gcd(a, b) {
+    a = abs(a);
+    b = abs(b);
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Create a fraction in lowest terms
+ * @param {bigint|number} num - Numerator (integer)
+ * @param {bigint|number} den - Denominator (non-zero integer, default: 1)
+ * @returns {Object} { num, den }
+ * @throws {Error} If the denominator is zero
+ */
+export function rational(num, den = 1n) {
+    let n = BigInt(num);
+    let d = BigInt(den);
+    if (d === 0n) {
+        throw new Error('Division by zero');
+    }
+    if (d < 0n) {
+        n = -n;
+        d = -d;
+    }
+    const divisor = gcd(n, d);
+    return divisor > 1n ? { num: n / divisor, den: d / divisor } : { num: n, den: d };
+}
+
+/**
+ * Exact fraction for the decimal a number prints as (1.25 → 5/4, 1e-3 → 1/1000)
+ * @param {number} value - Finite number
+ * @returns {Object} Fraction
+ * @throws {Error} If the value is NaN or infinite
+ */
+export function fromNumber(value) {
+    if (!isFinite(value)) {
+        throw new Error(`${value} has no exact fraction`);
+    }
+    const [mantissa, exponentText = '0'] = String(value).toLowerCase().split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const exponent = parseInt(exponentText, 10) - fraction.length;
+    const digits = BigInt(whole + fraction);
+    return exponent >= 0
+        ? rational(digits * 10n ** BigInt(exponent))
+        : rational(digits, 10n ** BigInt(-exponent));
+}
+
+/**
+ * Nearest floating-point number
+ * @param {Object} r - Fraction
+ * @returns {number} Value
+ */
+export function toNumber(r) {
+    const limit = BigInt(Number.MAX_SAFE_INTEGER);
+    if (abs(r.num) <= limit && r.den <= limit) {
+        return Number(r.num) / Number(r.den);
+    }
+    // Scale so the integer quotient keeps about 20 significant digits
+    const scale = Math.max(0, r.den.toString().length - abs(r.num).toString().length + 20);
+    const quotient = (r.num * 10n ** BigInt(scale)) / r.den;
+    return parseFloat(`${quotient}e-${scale}`);
+}
+
+/**
+ * a + b
+ */
+export function add(a, b) {
+    return rational(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+/**
+ * a - b
+ */
+export function subtract(a, b) {
+    return rational(a.num * b.den - b.num * a.den, a.den * b.den);
+}
+
+/**
+ * a · b
+ */
+export function multiply(a, b) {
+    return rational(a.num * b.num, a.den * b.den);
+}
+
+/**
+ * a / b
+ * @throws {Error} If b is zero
+ */
+export function divide(a, b) {
+    return rational(a.num * b.den, a.den * b.num);
+}
+
+/**
+ * Whether a fraction is 0
+ */
+export function isZero(r) {
+    return r.num === 0n;
+}
+
+/**
+ * Whether a fraction is a whole number
+ */
+export function isInteger(r) {
+    return r.den === 1n;
+}
+
+/**
+ * Number of decimal digits in the denominator
+ * @param {Object} r - Fraction
+ * @returns {number} Digit count
+ */
+export function denominatorDigits(r) {
+    return r.den.toString().length;
+}
+
+/**
+ * Plain-text form: "7/4", "-1/3" or "5"
+ * @param {Object} r - Fraction
+ * @returns {string} Text
+ */
+export function formatRational(r) {
+    return isInteger(r) ? r.num.toString() : `${r.num}/${r.den}`;
+}
+
+/**
+ * Read the plain-text form back (inverse of formatRational)
+ * @param {string} text - "7/4", "-1/3" or "5"
+ * @returns {Object} Fraction
+ * @throws {Error} If the text is not a fraction
+ */
+export function parseRational(text) {
+    const match = /^\s*(-?\d+)\s*(?:\/\s*(\d+)\s*)?$/.exec(String(text));
+    if (!match) {
+        throw new Error(`'${text}' is not a fraction`);
+    }
+    return rational(BigInt(match[1]), match[2] ? BigInt(match[2]) : 1n);
+}
+
+/**
+ * LaTeX form: "\frac{7}{4}", "-\frac{1}{3}" or "5"
+ * @param {Object} r - Fraction
+ * @returns {string} LaTeX
+ */
+export function rationalToLatex(r) {
+    if (isInteger(r)) return r.num.toString();
+    const sign = r.num < 0n ? '-' : '';
+    return `${sign}\\frac{${abs(r.num)}}{${r.den}}`;
+}
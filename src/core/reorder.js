@@ -0,0 +1,253 @@
+/**
+ * Reordering Module
+ *
+ * Pure functions for the "Make solvable" action: find the order of
+ * equations (or variables) that puts the largest possible entries on the
+ * diagonal, so a system rejected for a zero diagonal can still be iterated.
+ *
+ * Placing row i's entry a_ij on the diagonal gives that row the dominance
+ * ratio |a_ij| / Σ_{k≠j} |a_ik|, whatever happens to the other rows. Choosing
+ * one diagonal entry per row and column that maximizes the product of these
+ * ratios is an assignment problem, solved exactly with the Hungarian method.
+ * A row permutation and a variable (column) permutation can realize the same
+ * diagonal, so they give the same dominance; reordering variables keeps the
+ * equations in place but renames the unknowns.
+ */
+
+// Entries smaller than this can't be used as a diagonal (same threshold as validateSystem)
+const ZERO_TOLERANCE = 1e-10;
+
+// Cost of a forbidden (zero) diagonal entry and cap for rows with no off-diagonal mass
+const FORBIDDEN_COST = 1e9;
+const MAX_RATIO = 1e12;
+
+/**
+ * Dominance ratio of a row if a_ij were its diagonal entry
+ * @param {number[]} row - Matrix row
+ * @param {number} j - Column placed on the diagonal
+ * @returns {number} |a_ij| / Σ_{k≠j} |a_ik| (0 for a zero entry)
+ */
+export function dominanceRatio(row, j) {
+    const pivot = Math.abs(row[j]);
+    if (pivot < ZERO_TOLERANCE) return 0;
+    const offDiagonal = row.reduce((sum, value, k) => (k === j ? sum : sum + Math.abs(value)), 0);
+    return offDiagonal > 0 ? Math.min(MAX_RATIO, pivot / offDiagonal) : MAX_RATIO;
+}
+
+/**
+ * Summarize the diagonal of a matrix
+ * @param {number[][]} A - Square matrix
+ * @returns {Object} { zeroDiagonal, dominantRows, isDiagonallyDominant, minRatio }
+ */
+export function describeDiagonal(A) {
+    const ratios = A.map((row, i) => dominanceRatio(row, i));
+    return {
+        zeroDiagonal: ratios.filter(ratio => ratio === 0).length,
+        dominantRows: ratios.filter(ratio => ratio > 1).length,
+        isDiagonallyDominant: ratios.every(ratio => ratio > 1),
+        minRatio: Math.min(...ratios)
+    };
+}
+
+/**
+ * Solve a square assignment problem (Hungarian method with potentials, O(n³))
+ * @param {number[][]} cost - cost[i][j] of assigning row i to column j
+ * @returns {number[]} assignment[i] = column given to row i
+ */
+export function solveAssignment(cost) {
+    const n = cost.length;
+    // 1-based arrays as in the classic formulation; column 0 is a sentinel
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const match = new Array(n + 1).fill(0); // match[j] = row assigned to column j
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        match[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = match[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[match[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (match[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            match[j0] = match[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(n);
+    for (let j = 1; j <= n; j++) {
+        assignment[match[j] - 1] = j - 1;
+    }
+    return assignment;
+}
+
+/**
+ * Reorder the equations of a system
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[]} order - New row k is old row order[k]
+ * @returns {Object} { A, b } (copies)
+ */
+export function permuteRows(A, b, order) {
+    return {
+        A: order.map(i => [...A[i]]),
+        b: order.map(i => b[i])
+    };
+}
+
+/**
+ * Reorder the variables of a system
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} order - New variable k is old variable order[k]
+ * @returns {number[][]} Matrix with permuted columns (copy)
+ */
+export function permuteColumns(A, order) {
+    return A.map(row => order.map(j => row[j]));
+}
+
+/**
+ * Find the best diagonal for a matrix
+ * @param {number[][]} A - Square matrix
+ * @returns {number[]|null} diagonalColumn[i] = column placed on row i's diagonal,
+ *   or null if every choice leaves a zero on the diagonal (structurally singular)
+ */
+export function findBestDiagonal(A) {
+    const cost = A.map(row => row.map((_, j) => {
+        const ratio = dominanceRatio(row, j);
+        return ratio === 0 ? FORBIDDEN_COST : -Math.log(ratio);
+    }));
+    const assignment = solveAssignment(cost);
+    return assignment.some((j, i) => dominanceRatio(A[i], j) === 0) ? null : assignment;
+}
+
+/**
+ * Reorder a system to maximize diagonal dominance
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {Object} options - Options
+ * @param {boolean} options.permuteVariables - Reorder variables instead of equations (default: false)
+ * @returns {Object} { success, changed, A, b, rowOrder, columnOrder, moves, diagonal, message }
+ */
+export function makeSolvable(A, b, options = {}) {
+    const { permuteVariables = false } = options;
+    const n = A.length;
+    const identity = Array.from({ length: n }, (_, i) => i);
+    const before = describeDiagonal(A);
+    const diagonalColumn = findBestDiagonal(A);
+
+    if (!diagonalColumn) {
+        return {
+            success: false,
+            changed: false,
+            A,
+            b,
+            rowOrder: identity,
+            columnOrder: identity,
+            moves: [],
+            diagonal: before,
+            message: 'No reordering helps: every order of the equations leaves a zero on the diagonal, so the matrix is singular.'
+        };
+    }
+
+    let rowOrder = identity;
+    let columnOrder = identity;
+    let result;
+    if (permuteVariables) {
+        // Variable i takes the column chosen for equation i
+        columnOrder = diagonalColumn;
+        result = { A: permuteColumns(A, columnOrder), b: [...b] };
+    } else {
+        // Equation whose chosen column is j moves to row j
+        rowOrder = new Array(n);
+        diagonalColumn.forEach((j, i) => {
+            rowOrder[j] = i;
+        });
+        result = permuteRows(A, b, rowOrder);
+    }
+
+    const order = permuteVariables ? columnOrder : rowOrder;
+    const moves = order
+        .map((from, to) => ({ from, to }))
+        .filter(move => move.from !== move.to);
+    const after = describeDiagonal(result.A);
+    // Keep the original order unless the new one is strictly better
+    const improved = moves.length > 0 && (
+        after.zeroDiagonal < before.zeroDiagonal ||
+        (after.zeroDiagonal === before.zeroDiagonal && after.dominantRows > before.dominantRows) ||
+        (after.zeroDiagonal === before.zeroDiagonal && after.dominantRows === before.dominantRows && after.minRatio > before.minRatio)
+    );
+
+    if (!improved) {
+        return {
+            success: before.zeroDiagonal === 0,
+            changed: false,
+            A,
+            b,
+            rowOrder: identity,
+            columnOrder: identity,
+            moves: [],
+            diagonal: before,
+            message: before.isDiagonallyDominant
+                ? 'The system is already diagonally dominant; no reordering needed.'
+                : 'The current order already has the strongest diagonal possible; no reordering helps. Convergence is not guaranteed.'
+        };
+    }
+
+    const what = permuteVariables ? 'variables' : 'equations';
+    const message = after.isDiagonallyDominant
+        ? `Reordered the ${what}: the system is now diagonally dominant, so Jacobi and Gauss-Seidel converge.`
+        : `Reordered the ${what}: the diagonal has no zeros and ${after.dominantRows} of ${n} rows are dominant, but convergence is not guaranteed.`;
+
+    return {
+        success: true,
+        changed: true,
+        A: result.A,
+        b: result.b,
+        rowOrder,
+        columnOrder,
+        moves,
+        diagonal: after,
+        message
+    };
+}
+
+/**
+ * Describe the moves of a reordering
+ * @param {Object[]} moves - Moves from makeSolvable ({ from, to }, 0-based)
+ * @param {boolean} permuteVariables - Whether variables (not equations) were reordered
+ * @returns {string[]} One line per move, e.g. "Equation 3 → row 1"
+ */
+export function describeMoves(moves, permuteVariables = false) {
+    return moves.map(({ from, to }) => (permuteVariables
+        ? `x${to + 1} is the old x${from + 1}`
+        : `Equation ${from + 1} → row ${to + 1}`));
+}
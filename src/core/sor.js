@@ -0,0 +1,126 @@
+/**
+ * Successive Over-Relaxation (SOR) Algorithm
+ *
+ * Pure functions for the SOR iteration method:
+ * - Computing next iteration values (in-place updates, like Gauss-Seidel)
+ * - Generating SOR formulas
+ * - Relaxation factor (ω) range and validation
+ *
+ * With ω = 1 SOR is exactly Gauss-Seidel; ω < 1 under-relaxes and
+ * ω > 1 over-relaxes each update.
+ */
+
+// SOR can only converge for 0 < ω < 2, so the knob stays inside that interval
+export const OMEGA_MIN = 0.1;
+export const OMEGA_MAX = 1.9;
+export const DEFAULT_OMEGA = 1.25;
+
+/**
+ * Clamp a relaxation factor to the supported range
+ * @param {number} omega - Requested relaxation factor
+ * @returns {number} Relaxation factor within [OMEGA_MIN, OMEGA_MAX]
+ */
+export function clampOmega(omega) {
+    if (typeof omega !== 'number' || !isFinite(omega)) {
+        return DEFAULT_OMEGA;
+    }
+    return Math.max(OMEGA_MIN, Math.min(OMEGA_MAX, omega));
+}
+
+/**
+ * Compute next SOR iteration values
+ * @param {number[]} currentX - Current solution vector (modified in-place)
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number} omega - Relaxation factor (0 < ω < 2)
+ * @returns {number[]} Updated solution vector (same reference as currentX)
+ */
+export function computeNextSOR(currentX, A, b, omega = DEFAULT_OMEGA) {
+    const n = A.length;
+
+    for (let i = 0; i < n; i++) {
+        let sum = 0;
+
+        // Sum for j < i: use new values (already computed in this iteration)
+        for (let j = 0; j < i; j++) {
+            sum += A[i][j] * currentX[j];
+        }
+
+        // Sum for j > i: use old values (not yet computed in this iteration)
+        for (let j = i + 1; j < n; j++) {
+            sum += A[i][j] * currentX[j];
+        }
+
+        // Avoid division by zero
+        if (Math.abs(A[i][i]) < 1e-10) {
+            // Keep current value if diagonal is zero
+        } else {
+            // SOR formula: x_i = (1 - ω) x_i + ω (b_i - sum) / a_ii
+            const gaussSeidelValue = (b[i] - sum) / A[i][i];
+            const newValue = (1 - omega) * currentX[i] + omega * gaussSeidelValue;
+
+            // Handle NaN and Infinity results
+            if (isFinite(newValue)) {
+                currentX[i] = newValue;
+            }
+            // Otherwise keep current value
+        }
+    }
+
+    return currentX;
+}
+
+/**
+ * Generate SOR update formulas for a given system
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number} omega - Relaxation factor
+ * @returns {string[]} Array of formula strings
+ */
+export function generateSORFormulas(A, b, omega = DEFAULT_OMEGA) {
+    const n = A.length;
+    const formulas = [];
+    const keep = 1 - omega;
+
+    for (let i = 0; i < n; i++) {
+        if (Math.abs(A[i][i]) < 1e-10) {
+            formulas.push(`x_${i+1} = x_${i+1} (diagonal too small)`);
+            continue;
+        }
+
+        const terms = [];
+
+        // Terms for j < i (use new values)
+        for (let j = 0; j < i; j++) {
+            if (Math.abs(A[i][j]) > 1e-10) {
+                const coeff = A[i][j] / A[i][i];
+                const sign = coeff >= 0 ? '+' : '-';
+                const absCoeff = Math.abs(coeff);
+                const valueLabel = Math.abs(absCoeff - 1) < 1e-10
+                    ? `x_${j+1}`
+                    : `${absCoeff.toFixed(2)}x_${j+1}`;
+                terms.push(`${sign} ${valueLabel} (new)`);
+            }
+        }
+
+        // Terms for j > i (use old values)
+        for (let j = i + 1; j < n; j++) {
+            if (Math.abs(A[i][j]) > 1e-10) {
+                const coeff = A[i][j] / A[i][i];
+                const sign = coeff >= 0 ? '+' : '-';
+                const absCoeff = Math.abs(coeff);
+                const valueLabel = Math.abs(absCoeff - 1) < 1e-10
+                    ? `x_${j+1}`
+                    : `${absCoeff.toFixed(2)}x_${j+1}`;
+                terms.push(`${sign} ${valueLabel} (old)`);
+            }
+        }
+
+        const constant = b[i] / A[i][i];
+        const keepSign = keep >= 0 ? '+' : '-';
+        const formula = `x_${i+1} = ${omega.toFixed(2)}(${constant.toFixed(2)} ${terms.join(' ')}) ${keepSign} ${Math.abs(keep).toFixed(2)}x_${i+1} (old)`;
+        formulas.push(formula);
+    }
+
+    return formulas;
+}
@@ -0,0 +1,322 @@
+/**
+ * Spectral Analysis Module
+ *
+ * Pure functions for predicting convergence of the stationary iterations:
+ * - Building iteration matrices (Jacobi, Gauss-Seidel, SOR)
+ * - Estimating spectral radius with power iteration
+ * - Estimating iterations needed to reach a tolerance
+ *
+ * Splitting A = D - L - U (D diagonal, L/U strictly lower/upper parts):
+ *   Jacobi:        T_J = D⁻¹(L + U)
+ *   Gauss-Seidel:  T_GS = (D - L)⁻¹U
+ *   SOR:           T_ω = (D - ωL)⁻¹((1 - ω)D + ωU)
+ * The iteration converges from any starting point iff ρ(T) < 1.
+ *
+ * Conjugate Gradient has no iteration matrix; for SPD A its error shrinks
+ * at least by (√κ − 1)/(√κ + 1) per step, κ = λmax/λmin, and it finishes
+ * in at most n steps.
+ */
+
+import { METHODS } from './methods.js';
+import { DEFAULT_OMEGA } from './sor.js';
+import { calculateErrors, getMaxError } from './math.js';
+import { DEFAULT_TOLERANCE } from './convergence.js';
+import { checkSPD } from './conjugateGradient.js';
+
+/**
+ * Check whether every diagonal entry is usable as a divisor
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {boolean} True if no diagonal entry is (nearly) zero
+ */
+function hasNonZeroDiagonal(A) {
+    return A.every((row, i) => row && Math.abs(row[i]) >= 1e-10);
+}
+
+/**
+ * Solve (D - ωL) y = r by forward substitution, where D - ωL uses the
+ * diagonal and ω times the strictly lower part of A
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} r - Right-hand side
+ * @param {number} omega - Scale applied to the strictly lower part
+ * @returns {number[]} Solution y
+ */
+function forwardSubstitute(A, r, omega) {
+    const n = A.length;
+    const y = new Array(n).fill(0);
+
+    for (let i = 0; i < n; i++) {
+        let sum = r[i];
+        for (let j = 0; j < i; j++) {
+            // A = D - L - U, so -L[i][j] = A[i][j]
+            sum -= omega * A[i][j] * y[j];
+        }
+        y[i] = sum / A[i][i];
+    }
+
+    return y;
+}
+
+/**
+ * Build the Jacobi iteration matrix D⁻¹(L + U)
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {number[][]|null} Iteration matrix, or null if a diagonal entry is zero
+ */
+export function buildJacobiIterationMatrix(A) {
+    if (!Array.isArray(A) || A.length === 0 || !hasNonZeroDiagonal(A)) {
+        return null;
+    }
+
+    const n = A.length;
+    const T = [];
+
+    for (let i = 0; i < n; i++) {
+        T.push([]);
+        for (let j = 0; j < n; j++) {
+            T[i].push(i === j ? 0 : -A[i][j] / A[i][i]);
+        }
+    }
+
+    return T;
+}
+
+/**
+ * Build the SOR iteration matrix (D - ωL)⁻¹((1 - ω)D + ωU)
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number} omega - Relaxation factor
+ * @returns {number[][]|null} Iteration matrix, or null if a diagonal entry is zero
+ */
+export function buildSORIterationMatrix(A, omega = DEFAULT_OMEGA) {
+    if (!Array.isArray(A) || A.length === 0 || !hasNonZeroDiagonal(A)) {
+        return null;
+    }
+
+    const n = A.length;
+    const T = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    // Column k of T is (D - ωL)⁻¹ applied to column k of (1 - ω)D + ωU
+    for (let k = 0; k < n; k++) {
+        const column = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            if (i === k) {
+                column[i] = (1 - omega) * A[i][i];
+            } else if (i < k) {
+                // A = D - L - U, so U[i][k] = -A[i][k]
+                column[i] = -omega * A[i][k];
+            }
+        }
+
+        const solved = forwardSubstitute(A, column, omega);
+        for (let i = 0; i < n; i++) {
+            T[i][k] = solved[i];
+        }
+    }
+
+    return T;
+}
+
+/**
+ * Build the Gauss-Seidel iteration matrix (D - L)⁻¹U
+ * @param {number[][]} A - Coefficient matrix
+ * @returns {number[][]|null} Iteration matrix, or null if a diagonal entry is zero
+ */
+export function buildGaussSeidelIterationMatrix(A) {
+    // Gauss-Seidel is SOR with ω = 1
+    return buildSORIterationMatrix(A, 1);
+}
+
+/**
+ * Estimate the spectral radius ρ(T) with power iteration
+ *
+ * Iteration matrices are generally non-symmetric and may have a complex
+ * dominant eigenvalue pair, so the estimate is the geometric mean of the
+ * per-step growth factors over the second half of the run rather than a
+ * single Rayleigh quotient.
+ *
+ * @param {number[][]} T - Square matrix
+ * @param {Object} options - Options
+ * @param {number} options.maxIterations - Power iteration steps (default: 500)
+ * @returns {number|null} Estimated spectral radius, or null for invalid input
+ */
+export function estimateSpectralRadius(T, options = {}) {
+    const { maxIterations = 500 } = options;
+
+    if (!Array.isArray(T) || T.length === 0) {
+        return null;
+    }
+
+    const n = T.length;
+
+    // Slightly uneven start vector so it is unlikely to miss the dominant eigenvector
+    let v = Array.from({ length: n }, (_, i) => 1 + (i + 1) / (n + 1));
+    let norm = Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+    v = v.map(value => value / norm);
+
+    const logGrowth = [];
+
+    for (let k = 0; k < maxIterations; k++) {
+        const w = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                w[i] += T[i][j] * v[j];
+            }
+        }
+
+        norm = Math.sqrt(w.reduce((sum, value) => sum + value * value, 0));
+        if (!isFinite(norm)) {
+            return null;
+        }
+        if (norm < 1e-300) {
+            // T is nilpotent on this vector (e.g. Gauss-Seidel on a triangular system)
+            return 0;
+        }
+
+        logGrowth.push(Math.log(norm));
+        v = w.map(value => value / norm);
+    }
+
+    const tail = logGrowth.slice(Math.floor(logGrowth.length / 2));
+    const meanLog = tail.reduce((sum, value) => sum + value, 0) / tail.length;
+
+    return Math.exp(meanLog);
+}
+
+/**
+ * Estimate iterations needed to shrink an error to a tolerance
+ * @param {number} rho - Spectral radius of the iteration matrix
+ * @param {number} initialError - Starting error (e.g. max residual of the initial guess)
+ * @param {number} tolerance - Target error
+ * @returns {number|null} Estimated iteration count, or null if not converging
+ */
+export function estimateIterationsToTolerance(rho, initialError, tolerance = DEFAULT_TOLERANCE) {
+    if (rho === null || rho === undefined || !isFinite(rho) || rho >= 1) {
+        return null;
+    }
+    if (!isFinite(initialError) || initialError <= tolerance) {
+        return 0;
+    }
+    if (rho < 1e-12) {
+        return 1;
+    }
+
+    return Math.ceil(Math.log(tolerance / initialError) / Math.log(rho));
+}
+
+/**
+ * Estimate the condition number κ = λmax/λmin of an SPD matrix
+ * λmax comes from power iteration on A, λmin from power iteration on λmax·I − A
+ * @param {number[][]} A - SPD matrix
+ * @returns {number|null} Condition number, or null if it can't be estimated
+ */
+export function estimateConditionNumber(A) {
+    const lambdaMax = estimateSpectralRadius(A);
+    if (lambdaMax === null || lambdaMax <= 0) {
+        return null;
+    }
+    const shifted = A.map((row, i) => row.map((value, j) => (i === j ? lambdaMax : 0) - value));
+    const lambdaMin = lambdaMax - estimateSpectralRadius(shifted);
+    if (!(lambdaMin > 0)) {
+        return null;
+    }
+    return lambdaMax / lambdaMin;
+}
+
+/**
+ * Predict Conjugate Gradient convergence from the condition number
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number} initialError - Max residual of the initial guess
+ * @param {number} tolerance - Convergence tolerance
+ * @returns {Object} { rho, converges, iterations, message, condition } where rho is the per-step bound
+ */
+export function analyzeConjugateGradient(A, initialError, tolerance = DEFAULT_TOLERANCE) {
+    const spd = checkSPD(A);
+    if (!spd.isSPD) {
+        return {
+            rho: null,
+            converges: false,
+            iterations: null,
+            message: `Needs an SPD matrix — ${spd.message.charAt(0).toLowerCase()}${spd.message.slice(1)}`,
+            condition: null
+        };
+    }
+
+    const n = A.length;
+    const condition = estimateConditionNumber(A);
+    if (condition === null) {
+        return { rho: null, converges: true, iterations: n, message: `Converges in ≤ ${n} iterations`, condition: null };
+    }
+
+    const sqrtK = Math.sqrt(condition);
+    const rho = (sqrtK - 1) / (sqrtK + 1);
+    const estimate = estimateIterationsToTolerance(rho, initialError, tolerance);
+    const iterations = estimate === null ? n : Math.min(n, estimate);
+
+    return {
+        rho,
+        converges: true,
+        iterations,
+        message: `Converges in ≤ ${iterations} iterations`,
+        condition
+    };
+}
+
+/**
+ * Analyze predicted convergence of every iteration method for a system
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[]} x0 - Initial guess
+ * @param {Object} options - Options
+ * @param {number} options.omega - SOR relaxation factor (default: DEFAULT_OMEGA)
+ * @param {number} options.tolerance - Convergence tolerance (default: DEFAULT_TOLERANCE)
+ * @returns {Object} Analysis keyed by method: { rho, converges, iterations, message }
+ */
+export function analyzeConvergence(A, b, x0, options = {}) {
+    const { omega = DEFAULT_OMEGA, tolerance = DEFAULT_TOLERANCE } = options;
+
+    const builders = {
+        jacobi: () => buildJacobiIterationMatrix(A),
+        gaussSeidel: () => buildGaussSeidelIterationMatrix(A),
+        sor: () => buildSORIterationMatrix(A, omega)
+    };
+
+    let initialError = Infinity;
+    if (Array.isArray(x0) && Array.isArray(b) && x0.length === A.length) {
+        initialError = getMaxError(calculateErrors(x0, A, b));
+    }
+
+    const analysis = {};
+
+    METHODS.forEach(method => {
+        if (method === 'cg') {
+            analysis.cg = analyzeConjugateGradient(A, initialError, tolerance);
+            return;
+        }
+
+        const T = builders[method] ? builders[method]() : null;
+        const rho = T ? estimateSpectralRadius(T) : null;
+
+        if (rho === null) {
+            analysis[method] = {
+                rho: null,
+                converges: false,
+                iterations: null,
+                message: 'Zero on the diagonal — method undefined'
+            };
+            return;
+        }
+
+        const converges = rho < 1;
+        const iterations = estimateIterationsToTolerance(rho, initialError, tolerance);
+        let message;
+        if (!converges) {
+            message = 'Diverges (ρ ≥ 1)';
+        } else if (iterations === null) {
+            message = 'Converges';
+        } else {
+            message = `Converges in ~${iterations} iterations`;
+        }
+
+        analysis[method] = { rho, converges, iterations, message };
+    });
+
+    return analysis;
+}
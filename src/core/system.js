@@ -4,6 +4,8 @@
  * Functions for creating, validating, and managing linear equation systems
  */
 
+import { findBestDiagonal } from './reorder.js';
+
 /**
  * Get default 3x3 system
  * @returns {Object} System object with A, b, and initialX
@@ -71,7 +73,8 @@ export function validateSystem(A, b) {
         if (Math.abs(A[i][i]) < 1e-10) {
             return { 
                 isValid: false, 
-                message: `Diagonal element A[${i+1}][${i+1}] is too close to zero. Jacobi method requires non-zero diagonal elements.` 
+                message: `Diagonal element A[${i+1}][${i+1}] is too close to zero. Jacobi method requires non-zero diagonal elements.` +
+                    (findBestDiagonal(A) ? ' Reordering the equations fixes this: use "Make solvable" in the Matrix Editor.' : '')
             };
         }
     }
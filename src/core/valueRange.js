@@ -0,0 +1,146 @@
+/**
+ * Value Range Module
+ *
+ * Pure functions for the per-system knob range:
+ * - Deriving a range from the reference solution and initial guess
+ * - Expanding the range when an iterate leaves it (auto-ranging)
+ * - Detecting true divergence instead of clamping values
+ *
+ * Knob rotation and drag/keyboard sensitivities were tuned for the
+ * original fixed [-10, 10] range; rangeScale() gives the factor to apply
+ * for any other range.
+ */
+
+export const DEFAULT_VALUE_RANGE = { min: -10, max: 10 };
+
+// Iterates this many times larger than the system's natural scale are diverging
+export const DIVERGENCE_FACTOR = 1000;
+
+// Headroom added around the values a range is derived from
+const RANGE_PADDING = 1.25;
+
+/**
+ * Round up to a "nice" number (1, 2, 2.5 or 5 times a power of ten)
+ * @param {number} value - Positive value
+ * @returns {number} Smallest nice number ≥ value
+ */
+export function niceCeil(value) {
+    if (!isFinite(value) || value <= 0) return 1;
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const steps = [1, 2, 2.5, 5, 10];
+    for (const step of steps) {
+        // Tolerate rounding noise so exact nice numbers map to themselves
+        if (step * magnitude >= value * (1 - 1e-12)) {
+            return step * magnitude;
+        }
+    }
+    return 10 * magnitude;
+}
+
+/**
+ * Largest absolute finite entry across vectors
+ * @param {Array<number[]|null>} vectors - Vectors (null entries are skipped)
+ * @returns {number} Largest absolute value (0 if there is none)
+ */
+function maxAbs(vectors) {
+    let max = 0;
+    vectors.forEach(vector => {
+        if (!vector) return;
+        vector.forEach(value => {
+            if (isFinite(value)) {
+                max = Math.max(max, Math.abs(value));
+            }
+        });
+    });
+    return max;
+}
+
+/**
+ * Derive a symmetric knob range that comfortably contains the given vectors
+ * @param {Array<number[]|null>} vectors - e.g. [reference solution, initial guess]
+ * @returns {Object} { min, max }
+ */
+export function deriveValueRange(vectors) {
+    const bound = niceCeil(Math.max(1, maxAbs(vectors) * RANGE_PADDING));
+    return { min: -bound, max: bound };
+}
+
+/**
+ * Grow a range so it contains x (used in auto-ranging mode)
+ * @param {Object} range - Current { min, max }
+ * @param {number[]} x - Current values
+ * @returns {Object} The same range if x fits, otherwise a wider symmetric range
+ */
+export function expandValueRange(range, x) {
+    if (x.every(value => value >= range.min && value <= range.max)) {
+        return range;
+    }
+    const bound = niceCeil(Math.max(Math.abs(range.min), Math.abs(range.max), maxAbs([x]) * RANGE_PADDING));
+    return { min: -bound, max: bound };
+}
+
+/**
+ * Validate a user-supplied range
+ * @param {Object} range - { min, max }
+ * @throws {Error} If the range is not a finite, non-empty interval
+ */
+export function validateValueRange(range) {
+    if (!range || !isFinite(range.min) || !isFinite(range.max)) {
+        throw new Error('Range limits must be numbers');
+    }
+    if (range.min >= range.max) {
+        throw new Error('Range minimum must be less than the maximum');
+    }
+}
+
+/**
+ * Sensitivity factor relative to the original [-10, 10] range
+ * @param {Object} range - { min, max }
+ * @returns {number} Range width / 20
+ */
+export function rangeScale(range) {
+    return (range.max - range.min) / (DEFAULT_VALUE_RANGE.max - DEFAULT_VALUE_RANGE.min);
+}
+
+/**
+ * Position of a value within a range
+ * @param {number} value - Value
+ * @param {Object} range - { min, max }
+ * @returns {number} 0 at min, 1 at max (pinned outside the range)
+ */
+export function valueToFraction(value, range) {
+    if (!isFinite(value)) return value > 0 ? 1 : 0;
+    return Math.min(1, Math.max(0, (value - range.min) / (range.max - range.min)));
+}
+
+/**
+ * Find the first component that lies outside a range
+ * @param {number[]} x - Values
+ * @param {Object} range - { min, max }
+ * @returns {number} Index of the first out-of-range value, or -1
+ */
+export function findOutOfRange(x, range) {
+    return x.findIndex(value => value < range.min || value > range.max);
+}
+
+/**
+ * Divergence threshold for a system
+ * @param {Array<number[]|null>} vectors - Vectors setting the natural scale
+ *   (reference solution, initial guess, manual range limits)
+ * @returns {number} Largest magnitude an iterate may reach before it counts as diverging
+ */
+export function getDivergenceLimit(vectors) {
+    return DIVERGENCE_FACTOR * Math.max(1, maxAbs(vectors));
+}
+
+/**
+ * Check an iterate for divergence
+ * @param {number[]} x - New iterate
+ * @param {number} limit - Threshold from getDivergenceLimit
+ * @returns {Object|null} { index, value } of the offending component, or null
+ */
+export function checkDivergence(x, limit) {
+    const index = x.findIndex(value => !isFinite(value) || Math.abs(value) > limit);
+    return index === -1 ? null : { index, value: x[index] };
+}
@@ -4,41 +4,86 @@
  * This application simulates solving a system of linear equations using
  * the Jacobi iteration method, presented as a vintage audio equalizer interface.
  * 
- * System of equations:
+ * Default system of equations (see core/system.js):
  *   4x₁ - x₂ + x₃ = 7
  *   4x₁ - 8x₂ + x₃ = -21
  *   -2x₁ + x₂ + 5x₃ = 15
  * 
- * True solution: x₁ = 2, x₂ = 4, x₃ = 3
+ * Every system, the default included, gets its reference solution from the
+ * LU direct solver in core/directSolver.js.
  */
 
 // Import core modules
-import { calculateErrors, getMaxError, getConvergenceState, clamp } from './core/math.js';
+import { calculateErrors, clamp } from './core/math.js';
 import { computeNextJacobi } from './core/jacobi.js';
 import { computeNextGaussSeidel } from './core/gaussSeidel.js';
-import { getDefaultSystem } from './core/system.js';
-import { renderLaTeXWithKaTeX } from './utils/formatting.js';
-import { initEquationVisualizer, updateEquationVisualizer, addIterationSnapshot, clearEquationHistory } from './ui/equationVisualizer.js';
-import { startMeasurement, updateMeasurement, completeMeasurement, resetCurrentRun } from './utils/performance.js';
-import { updatePerformanceDisplay } from './ui/performanceDisplay.js';
-import { exportPerformanceToCSV, downloadCSV, generateFilename } from './utils/export.js';
+import { computeNextSOR, clampOmega, DEFAULT_OMEGA, OMEGA_MIN, OMEGA_MAX } from './core/sor.js';
+import { checkSPD, createCGState, copyCGState, isCGStateCurrent, computeNextCG } from './core/conjugateGradient.js';
+import { DEFAULT_EXACT_SETTINGS, MAX_DENOMINATOR_DIGITS_LIMIT, usesExactArithmetic, createExactState, isExactStateCurrent, computeNextExact, exceedsDenominatorLimit, serializeExactState, restoreExactState } from './core/exactArithmetic.js';
+import { METHODS, getMethodLabel } from './core/methods.js';
+import { getDefaultSystem, validateSystem } from './core/system.js';
+import { formatNumber, renderLaTeXWithKaTeX, renderEquationWithKaTeX, equationToLaTeX } from './utils/formatting.js';
+import { createBuilderModel, builderToSystem, getTermOrder, renderEquationBuilder } from './ui/equationBuilder.js';
+import { initEquationVisualizer, updateEquationVisualizer, attachEquationVisualizer, addIterationSnapshot, clearEquationHistory, truncateEquationHistory } from './ui/equationVisualizer.js';
+import { startMeasurement, updateMeasurement, completeMeasurement, recordRun, resetCurrentRun, resetAllCurrentRuns, createPerformanceHistory, getSavedRuns, restorePerformanceHistory } from './utils/performance.js';
+import { attachPerformanceDisplay } from './ui/performanceDisplay.js';
+import { analyzeConvergence } from './core/spectral.js';
+import { solveDirect } from './core/directSolver.js';
+import { updateSpectralDisplay } from './ui/spectralDisplay.js';
+import { exportPerformanceToCSV, downloadCSV, downloadBlob, generateFilename } from './utils/export.js';
+import { eventToData, renderGeometricView, attachGeometricView } from './ui/geometricView.js';
+import { createChartData, clearChartData, startChartRun, recordChartPoint, truncateChartRun, renderConvergenceChart, buildChartSVG, exportChartSVG, exportChartPNG } from './ui/convergenceChart.js';
+import { getBandFrequency, renderBandValues, attachBands } from './ui/bands.js';
+import { attachSignalClarity } from './ui/meters.js';
+import { attachTuningDial } from './ui/dials.js';
+import { renderSolutionModal } from './ui/solutionModal.js';
+import { DEFAULT_CONVERGENCE, NORMS, NORM_LABELS, CRITERIA, CRITERION_LABELS, residualVector, computeConvergenceMeasure, isConverged, normalizeMeasure, describeConvergenceSettings } from './core/convergence.js';
+import store, { PERSISTENCE_KEYS } from './state/stateManager.js';
+import { createTabSync } from './state/tabSync.js';
+import { DEFAULT_VALUE_RANGE, deriveValueRange, expandValueRange, validateValueRange, rangeScale, findOutOfRange, getDivergenceLimit, checkDivergence } from './core/valueRange.js';
+import { renderKnobValues, attachKnobs } from './ui/knobs.js';
+import { isEditableTarget, handleGlobalShortcut } from './controls/shortcuts.js';
+import { createRace, stepRace, summarizeRace } from './core/race.js';
+import { renderRaceLanes, renderRaceSummary } from './ui/raceView.js';
+import { createIterationHistory, clearIterationHistory, recordIteration, getSnapshot, getHistoryBounds } from './utils/iterationHistory.js';
+import { attachTimeline } from './ui/timeline.js';
+import { makeSolvable, describeMoves } from './core/reorder.js';
+import { buildShareHash, readShareHash } from './utils/shareLink.js';
+import { parseSystemText } from './config/equationParser.js';
+import { parsePastedBlock, pastedSystemSize, applyPastedBlock, neighborCell, insertRowColumn, deleteRowColumn, fillDiagonal, makeSymmetric, findDominanceViolations } from './config/matrixEditor.js';
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE, validateSystemSize } from './utils/validation.js';
+import { SYSTEM_FORMATS, SYSTEM_FORMAT_LABELS, SYSTEM_FORMAT_TYPES, SYSTEM_FILE_ACCEPT, parseSystemFile, serializeSystem } from './utils/systemIO.js';
+import { createLibraryEntry, parseTags, uniqueName, duplicateEntry, renameEntry, searchLibrary, describeEntry, serializeLibrary, parseLibraryFile, mergeImportedEntries, openLibrary } from './utils/systemLibrary.js';
+import { GENERATORS, GENERATOR_LABELS, GENERATOR_DESCRIPTIONS, SEEDED_GENERATORS, SOLUTION_KINDS, SOLUTION_LABELS, generateSystem } from './core/generators.js';
 
 // State management
-const state = {
-    // Dynamic System State
-    n: 3,
-    A: [
-        [4, -1, 1],
-        [4, -8, 1],
-        [-2, 1, 5]
-    ],
-    b: [7, -21, 15],
-    x: [1.0, 2.0, 2.0],
-    
-    iteration: 0,
-    isAutoPlaying: false,
-    autoplayInterval: null,
-    speed: 50, // 1-100, maps to 2000ms to 100ms delay
+// Application state lives in the StateManager store. These properties of
+// `state` read and write the store paths, so views can subscribe to them
+// (see subscribeDisplays); assign whole arrays/objects, never edit in place.
+const STORE_PATHS = {
+    n: 'system.n',
+    A: 'system.A',
+    b: 'system.b',
+    x: 'system.x',
+    initialGuess: 'system.initialGuess', // Starting values restored by Reset
+    iteration: 'system.iteration',
+    isAutoPlaying: 'iteration.isAutoPlaying',
+    autoplayInterval: 'iteration.autoplayInterval',
+    speed: 'iteration.speed', // 1-100, maps to 2000ms to 100ms delay
+    method: 'iteration.method', // 'jacobi', 'gaussSeidel', 'sor' or 'cg'
+    omega: 'iteration.omega', // SOR relaxation factor
+    runRevision: 'iteration.runRevision', // See publishRunData
+    theme: 'display.theme', // 'vintage' or 'modern'
+    visibleKnobs: 'display.visibleKnobs',
+    visibleBands: 'display.visibleBands',
+    valueRange: 'display.valueRange', // Knob range for the current system
+    valueRangeAuto: 'display.valueRangeAuto', // Derive the range from the reference solution and grow it with the iterates
+    visibility: 'display.visibility', // Shown/hidden flag per component
+    volume: 'audio.volume' // 0-100
+};
+
+// View-local state: drag bookkeeping, caches, run histories and derived results
+const state = store.bind({
     isDragging: false,
     dragKnob: null,
     dragKnobElement: null,
@@ -47,43 +92,38 @@ const state = {
     dragStartValue: 0,
     knobUpdateRaf: null,
     focusedKnob: null, // Track which knob has keyboard focus
-    volume: 50, // 0-100
     isDraggingVolume: false,
     volumeTrackRect: null,
     volumeHasMoved: false,
     volumeUpdateRaf: null,
-    theme: 'vintage', // 'vintage' or 'modern'
     // Dynamic range tracking for gain sliders
     bandRangeMin: -12,
     bandRangeMax: 12,
     bandRangeCenter: 0,
-    visibleKnobs: 3,
-    visibleBands: 3,
     // Cache for optimization
     lastBandRange: null, // Cache last calculated range to avoid unnecessary updates
     lastMaxError: null, // Cache last max error for comparison
-    initialGuess: [1.0, 2.0, 2.0], // Store initial guess for reset functionality
     equationHistory: [], // History of iteration snapshots for equation visualizer
-    method: 'jacobi', // 'jacobi' or 'gaussSeidel'
-    performanceHistory: {
-        jacobi: { runs: [], currentRun: null },
-        gaussSeidel: { runs: [], currentRun: null }
-    },
-    // Visibility state for all components
-    visibility: {
-        header: true,
-        equalizerBands: true,
-        signalClarityDisplay: true,
-        radioBody: true,
-        speakerGrille: true,
-        powerIndicator: true,
-        knobs: true,
-        volumeControl: true,
-        tuningDial: true,
-        controls: true,
-        themeToggle: true
-    }
-};
+    iterationHistory: createIterationHistory(), // Every iterate of the current run for the timeline scrubber
+    cg: null, // Conjugate Gradient residual and search direction for state.x (see core/conjugateGradient.js)
+    exact: null, // Exact fraction iterate for state.x in exact arithmetic mode (see core/exactArithmetic.js)
+    exactFallback: false, // The current run outgrew the denominator limit and continues in floating point
+    isDraggingOmega: false,
+    omegaDragStartY: 0,
+    omegaDragStartX: 0,
+    omegaDragStartValue: DEFAULT_OMEGA,
+    isOmegaKnobFocused: false,
+    spectralAnalysis: null, // Predicted convergence per method (see core/spectral.js)
+    reference: null, // Direct solver result for the current system (see core/directSolver.js)
+    chartData: createChartData(), // Residual history per method for the convergence chart
+    chartShowPerEquation: true,
+    isDraggingIterate: false, // Dragging the iterate point in the 2×2 geometric view
+    geometricViewport: null, // Viewport frozen while dragging so the plot doesn't rescale under the pointer
+    performanceHistory: createPerformanceHistory(),
+    lastStep: null, // Last iteration step { from, to } for the step-size criterion
+    outOfRangeWarned: false, // Pinned-knob warning already shown for this run (manual range)
+    race: null // Jacobi vs Gauss-Seidel race in progress (see core/race.js), null outside race mode
+}, STORE_PATHS);
 
 // DOM elements
 const elements = {
@@ -101,6 +141,10 @@ const elements = {
     speedValue: document.getElementById('speedValue'),
     iterationCount: document.getElementById('iterationCount'),
     maxError: document.getElementById('maxError'),
+    trueError: document.getElementById('trueError'),
+    convergenceChart: document.getElementById('convergenceChart'),
+    geometricViewPanel: document.getElementById('geometricViewPanel'),
+    geometricView: document.getElementById('geometricView'),
     convergenceStatus: document.getElementById('convergenceStatus'),
     signalClarityDisplay: document.getElementById('signalClarityDisplay'),
     equationHistoryBtn: document.getElementById('equationHistoryBtn'),
@@ -159,7 +203,25 @@ const elements = {
     knobsContainer: document.querySelector('.knobs-container'),
     volumeControl: document.querySelector('.radio-volume-control'),
     tuningDial: document.getElementById('tuningDial'),
-    controls: document.querySelector('.controls')
+    controls: document.querySelector('.controls'),
+    // SOR relaxation factor knob
+    relaxationControl: document.getElementById('relaxationControl'),
+    omegaKnob: document.getElementById('omegaKnob'),
+    omegaValue: document.getElementById('omegaValue'),
+    // Race mode
+    raceBtn: document.getElementById('raceBtn'),
+    shareBtn: document.getElementById('shareBtn'),
+    syncBtn: document.getElementById('syncBtn'),
+    undoBtn: document.getElementById('undoBtn'),
+    redoBtn: document.getElementById('redoBtn'),
+    racePanel: document.getElementById('racePanel'),
+    raceLanes: document.getElementById('raceLanes'),
+    raceSummary: document.getElementById('raceSummary'),
+    // Timeline scrubber
+    timelineControl: document.getElementById('timelineControl'),
+    timelineSlider: document.getElementById('timelineSlider'),
+    timelineLabel: document.getElementById('timelineLabel'),
+    stepBackBtn: document.getElementById('stepBackBtn')
 };
 
 // Startup Logic
@@ -168,12 +230,7 @@ function initStartup() {
     if (elements.welcomeModal) elements.welcomeModal.classList.add('hidden');
     if (elements.startupModal) elements.startupModal.classList.add('hidden');
     
-    let savedChoice = null;
-    try {
-        savedChoice = localStorage.getItem('jacobiRadioStartupChoice');
-    } catch (e) {
-        console.warn('Could not read startup choice from localStorage:', e);
-    }
+    const savedChoice = store.load(PERSISTENCE_KEYS.STARTUP_CHOICE);
     
     if (savedChoice === 'default') {
         initializeDefaultSystem();
@@ -195,17 +252,266 @@ function initStartup() {
     }
 }
 
-function initializeDefaultSystem() {
+/**
+ * Read a shared session from the URL hash
+ * @returns {Object|null} Session, or null if there is none or it is invalid
+ */
+function readSharedSession() {
+    try {
+        return readShareHash(window.location.hash);
+    } catch (e) {
+        console.warn('Ignoring invalid shared link:', e);
+        showMessage(`Ignoring the shared link: ${e.message}.`, 'warning');
+        return null;
+    }
+}
+
+/**
+ * Open a shared session. Nothing is saved, so the user's own setup
+ * returns on the next visit without the link.
+ * @param {Object} session - Session from readShareHash
+ */
+function applySharedSession(session) {
+    stopAutoplay();
+    if (state.race) stopRace();
     if (elements.startupModal) elements.startupModal.classList.add('hidden');
+    if (elements.welcomeModal) elements.welcomeModal.classList.add('hidden');
     
-    // Show welcome modal if not seen before
-    let welcomeShown = false;
+    if (session.theme) {
+        state.theme = session.theme;
+    }
+    if (session.visibility) {
+        state.visibility = { ...state.visibility, ...session.visibility };
+    }
+    if (session.convergence) {
+        store.set('convergence', session.convergence, { silent: true });
+    }
+    
+    state.n = session.n;
+    state.A = session.A;
+    state.b = session.b;
+    state.visibleKnobs = session.visibleKnobs || Math.min(3, session.n);
+    state.visibleBands = session.visibleBands || Math.min(3, session.n);
+    state.valueRangeAuto = true;
+    state.x = session.x ? [...session.x] : new Array(state.n).fill(0);
+    state.initialGuess = [...state.x];
+    state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
+    clearEquationHistory(state.equationHistory);
+    clearChartData(state.chartData);
+    
+    if (session.method) {
+        state.method = session.method;
+        const radio = document.querySelector(`input[name="method"][value="${session.method}"]`);
+        if (radio) radio.checked = true;
+    }
+    if (session.omega !== undefined) {
+        setOmega(session.omega, true);
+    }
+    updateRelaxationControl();
+    
+    renderKnobs();
+    renderBands();
+    refreshReferenceSolution();
+    refreshSpectralAnalysis();
+    updateConvergenceChart();
+    store.clearHistory();
+    
+    showMessage(`Opened a shared ${state.n}×${state.n} scenario (${getMethodLabel(state.method)}). Your saved setup is unchanged.`, 'success');
+}
+
+/**
+ * Session to share: the system, the starting point of the current run,
+ * the method and the settings that affect what the student sees
+ * @returns {Object} Session for buildShareHash
+ */
+function getShareSession() {
+    const start = getSnapshot(state.iterationHistory, 0);
+    return {
+        n: state.n,
+        A: state.A,
+        b: state.b,
+        x: start ? start.x : state.x,
+        method: state.method,
+        omega: state.omega,
+        convergence: getConvergenceSettings(),
+        theme: state.theme,
+        visibility: state.visibility,
+        visibleKnobs: Math.min(state.visibleKnobs, state.n),
+        visibleBands: Math.min(state.visibleBands, state.n)
+    };
+}
+
+/**
+ * Copy a link to the current scenario to the clipboard
+ * (or put it in the address bar if the clipboard is unavailable)
+ */
+function copyShareLink() {
+    let hash;
+    try {
+        hash = buildShareHash(getShareSession());
+    } catch (e) {
+        showMessage(`Can't create a link: ${e.message}.`, 'error');
+        return;
+    }
+    const url = `${window.location.href.split('#')[0]}${hash}`;
+    const showInAddressBar = () => {
+        window.history.replaceState(null, '', hash);
+        showMessage('Clipboard unavailable: copy the link from the address bar.', 'info');
+    };
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url)
+            .then(() => showMessage('Link copied. It opens this system, starting values, method and settings.', 'success'))
+            .catch(showInAddressBar);
+    } else {
+        showInAddressBar();
+    }
+    
+    if (window.audioSystem) {
+        window.audioSystem.playButtonClick();
+    }
+}
+
+// --- Cross-tab sync ---
+
+// Mirrors the session with other tabs of the app (null while sync is off)
+let tabSync = null;
+
+// Synced paths after which this tab reloads the system like Apply does
+const REMOTE_SYSTEM_PATHS = ['system.n', 'system.A', 'system.b', 'display.visibleKnobs', 'display.visibleBands'];
+
+/**
+ * Show whether sync is on and which role this tab has
+ */
+function updateSyncButton() {
+    if (!elements.syncBtn) return;
+    const role = tabSync ? tabSync.getRole() : null;
+    elements.syncBtn.classList.toggle('active', Boolean(tabSync));
+    elements.syncBtn.textContent = !role ? '📡 Sync tabs' : role === 'leader' ? '📡 Leader' : '📡 Follower';
+    elements.syncBtn.setAttribute('data-tooltip', !role
+        ? 'Mirror this session in other open tabs'
+        : role === 'leader'
+            ? 'Synced: this tab drives autoplay. Click to stop syncing'
+            : 'Synced: another tab drives autoplay. Click to stop syncing');
+}
+
+/**
+ * Redraw after another tab changed the session (the store already holds the new values)
+ * @param {string[]} paths - Store paths that changed
+ * @param {Object} info - { snapshot: true when this tab just joined }
+ */
+function applyRemoteChanges(paths, { snapshot }) {
+    const changed = prefix => paths.some(path => path === prefix || path.startsWith(prefix + '.'));
+    const systemChanged = REMOTE_SYSTEM_PATHS.some(changed);
+    
+    if (snapshot) {
+        if (elements.welcomeModal) elements.welcomeModal.classList.add('hidden');
+        if (elements.startupModal) elements.startupModal.classList.add('hidden');
+    }
+    if (systemChanged || (changed('system.iteration') && state.iteration === 0)) {
+        clearIterationHistory(state.iterationHistory);
+        clearEquationHistory(state.equationHistory);
+        publishRunData();
+    }
+    if (systemChanged) {
+        clearChartData(state.chartData);
+        updateConvergenceChart();
+        renderKnobs();
+        renderBands();
+        refreshReferenceSolution();
+        refreshSpectralAnalysis();
+        // Undo steps here refer to the system this tab had before
+        store.clearHistory();
+    }
+    if (changed('iteration.method')) {
+        const radio = document.querySelector(`input[name="method"][value="${state.method}"]`);
+        if (radio) radio.checked = true;
+        updateRelaxationControl();
+        updateSpectralDisplay(state.spectralAnalysis, { omega: state.omega, activeMethod: state.method });
+    } else if (changed('iteration.omega')) {
+        updateOmegaDisplay();
+    }
+}
+
+/**
+ * Start mirroring the session with other tabs
+ * @returns {boolean} True if sync started
+ */
+function startTabSync() {
+    if (tabSync) return true;
     try {
-        welcomeShown = localStorage.getItem('jacobiRadioWelcomeShown') === 'true';
+        tabSync = createTabSync(store, {
+            onRemoteChange: applyRemoteChanges,
+            onRoleChange: () => {
+                updateSyncButton();
+                updateAutoplayTimer();
+            }
+        });
     } catch (e) {
-        console.warn('Could not read welcome modal preference from localStorage:', e);
+        console.warn('Could not start tab sync:', e);
+        showMessage(`Can't sync tabs: ${e.message}.`, 'error');
+        return false;
+    }
+    updateSyncButton();
+    return true;
+}
+
+function stopTabSync() {
+    if (!tabSync) return;
+    tabSync.stop();
+    tabSync = null;
+    updateSyncButton();
+    updateAutoplayTimer();
+}
+
+/**
+ * Remember whether sync is on, so tabs opened later join automatically
+ * @param {boolean} enabled - Sync state
+ */
+function saveTabSyncPreference(enabled) {
+    store.save(PERSISTENCE_KEYS.TAB_SYNC, enabled);
+}
+
+function loadTabSyncPreference() {
+    if (store.load(PERSISTENCE_KEYS.TAB_SYNC, false)) startTabSync();
+}
+
+function toggleTabSync() {
+    if (tabSync) {
+        stopTabSync();
+        saveTabSyncPreference(false);
+        showMessage('Tab sync off: this tab runs on its own.', 'info');
+    } else if (startTabSync()) {
+        saveTabSyncPreference(true);
+        showMessage('Tab sync on: other tabs of the app mirror knobs, steps, method and system. Press Play in the tab that should drive autoplay.', 'success');
+    }
+    
+    if (window.audioSystem) {
+        window.audioSystem.playButtonClick();
     }
-    if (!welcomeShown) {
+}
+
+// Saved entries already reported (see reportPersistenceIssues)
+let reportedPersistenceIssues = 0;
+
+/**
+ * Tell the user about saved settings that could not be read. The store
+ * quarantined them (kept aside, not deleted) and defaults are used instead.
+ */
+function reportPersistenceIssues() {
+    const issues = store.getPersistenceIssues().slice(reportedPersistenceIssues);
+    reportedPersistenceIssues += issues.length;
+    if (issues.length === 0) return;
+    const details = issues.map(({ label, reason }) => `${label} (${reason})`).join('; ');
+    showMessage(`Some saved settings could not be read and were set aside, so defaults are used: ${details}.`, 'warning');
+}
+
+function initializeDefaultSystem() {
+    if (elements.startupModal) elements.startupModal.classList.add('hidden');
+    
+    // Show welcome modal if not seen before
+    if (!store.load(PERSISTENCE_KEYS.WELCOME_SHOWN, false)) {
         if (elements.welcomeModal) {
             elements.welcomeModal.classList.remove('hidden');
         }
@@ -225,44 +531,39 @@ function initializeCustomSystem() {
         elements.startupModal.classList.add('hidden');
     }
     
-    // Try to load saved config
-    let savedConfig = null;
-    try {
-        savedConfig = localStorage.getItem('jacobiRadioCustomConfig');
-    } catch (e) {
-        console.warn('Could not read custom config from localStorage:', e);
-    }
-    if (savedConfig) {
-        try {
-            const config = JSON.parse(savedConfig);
-            state.n = config.n;
-            state.A = config.A;
-            state.b = config.b;
-            state.visibleKnobs = config.visibleKnobs || 3;
-            state.visibleBands = config.visibleBands || 3;
-            
-            // Resize x
-            state.x = new Array(state.n).fill(0);
-            // Store initial guess for reset functionality
-            state.initialGuess = [...state.x];
-            state.iteration = 0;
-            
-            renderKnobs();
-            renderBands();
-            updateDisplays();
-            
-            showMessage('Loaded custom configuration.', 'success');
-        } catch (e) {
-            console.error("Error loading config", e);
-            // Use requestAnimationFrame to ensure DOM has updated before showing config modal
-            // This prevents the click event from propagating to the config modal overlay
-            requestAnimationFrame(() => {
-                requestAnimationFrame(() => {
-                    showConfigModal();
-                });
-            });
+    // Try to load saved config (validated and upgraded by the store; unreadable saves are quarantined)
+    const config = store.load(PERSISTENCE_KEYS.SYSTEM_CONFIG);
+    if (config) {
+        state.n = config.n;
+        state.A = config.A;
+        state.b = config.b;
+        state.visibleKnobs = config.visibleKnobs;
+        state.visibleBands = config.visibleBands;
+        
+        // A saved manual knob range; otherwise derive one from the solution
+        state.valueRangeAuto = !config.valueRange;
+        if (config.valueRange) {
+            state.valueRange = { min: config.valueRange.min, max: config.valueRange.max };
         }
+        
+        // Resize x
+        state.x = new Array(state.n).fill(0);
+        // Store initial guess for reset functionality
+        state.initialGuess = [...state.x];
+        state.iteration = 0;
+        clearIterationHistory(state.iterationHistory);
+        clearChartData(state.chartData);
+        updateConvergenceChart();
+        
+        renderKnobs();
+        renderBands();
+        refreshReferenceSolution();
+        refreshSpectralAnalysis();
+        store.clearHistory();
+        
+        showMessage('Loaded custom configuration.', 'success');
     } else {
+        reportPersistenceIssues();
         // Open Config Modal if no saved config
         // Use requestAnimationFrame to ensure DOM has updated before showing config modal
         // This prevents the click event from propagating to the config modal overlay
@@ -279,11 +580,7 @@ function setupStartupListeners() {
     if (elements.btnUseDefault) {
         elements.btnUseDefault.addEventListener('click', () => {
             if (elements.rememberStartupChoice && elements.rememberStartupChoice.checked) {
-                try {
-                    localStorage.setItem('jacobiRadioStartupChoice', 'default');
-                } catch (e) {
-                    console.warn('Could not save startup choice to localStorage:', e);
-                }
+                store.save(PERSISTENCE_KEYS.STARTUP_CHOICE, 'default');
             }
             initializeDefaultSystem();
         });
@@ -295,11 +592,7 @@ function setupStartupListeners() {
             e.preventDefault(); // Prevent any default behavior
             e.stopPropagation(); // Prevent event from bubbling to modal overlay
             if (elements.rememberStartupChoice && elements.rememberStartupChoice.checked) {
-                try {
-                    localStorage.setItem('jacobiRadioStartupChoice', 'custom');
-                } catch (err) {
-                    console.warn('Could not save startup choice to localStorage:', err);
-                }
+                store.save(PERSISTENCE_KEYS.STARTUP_CHOICE, 'custom');
             }
             // Use setTimeout to ensure the startup modal closes before opening config modal
             // This prevents the click event from propagating to the config modal overlay
@@ -331,29 +624,6 @@ function setupStartupListeners() {
 
 // clamp, calculateErrors, getMaxError, getConvergenceState moved to src/core/math.js
 
-// Update knob visual rotation
-function updateKnobRotation(knob, value, immediate = false) {
-    // Map value from [-10, 10] to rotation angle [-135, 135] degrees
-    const normalized = (value + 10) / 20; // 0 to 1
-    const angle = normalized * 270 - 135; // -135 to 135 degrees
-    
-    // Disable transitions during dragging for immediate response
-    if (immediate) {
-        knob.style.transition = 'none';
-    }
-    
-    knob.style.transform = `rotate(${angle}deg)`;
-    
-    // Re-enable transitions after a brief moment if not dragging
-    if (immediate) {
-        requestAnimationFrame(() => {
-            if (!state.isDragging) {
-                knob.style.transition = '';
-            }
-        });
-    }
-}
-
 // Update volume slider visual position
 function updateVolumeSlider(volume, immediate = false) {
     // Map volume from [0, 100] to slider position [0%, 100%]
@@ -379,283 +649,109 @@ function updateVolumeSlider(volume, immediate = false) {
     }
 }
 
-// Update all displays
-function updateDisplays() {
-    // Ensure state.x is properly initialized and sized
-    if (!state.x || state.x.length !== state.n) {
-        state.x = new Array(state.n).fill(0);
-    }
-    
-    // Clamp values
-    for(let i = 0; i < state.n; i++) {
-        state.x[i] = clamp(state.x[i], -10, 10);
-    }
-    
-    // Update knob values and rotations for visible knobs
-    const count = Math.min(state.n, state.visibleKnobs);
-    for(let i = 0; i < count; i++) {
-        const id = i + 1;
-        if (elements[`value${id}`]) {
-            elements[`value${id}`].textContent = state.x[i].toFixed(2);
-        }
-        if (elements[`knob${id}`]) {
-            elements[`knob${id}`].setAttribute('aria-valuenow', state.x[i].toFixed(2));
-            updateKnobRotation(elements[`knob${id}`], state.x[i]);
-        }
-    }
-    
-    // Update HK tooltip if exists
-    const hkIndicator = document.querySelector('.hk-indicator');
-    if (hkIndicator && state.n > state.visibleKnobs) {
-        const hiddenCount = state.n - state.visibleKnobs;
-        let hiddenSummary = `Hidden Knobs (${hiddenCount}):\n`;
-        for(let i = state.visibleKnobs; i < state.n; i++) {
-            hiddenSummary += `x${i+1}: ${state.x[i].toFixed(2)}\n`;
-        }
-        hkIndicator.setAttribute('data-tooltip', hiddenSummary);
-    }
-    
-    // Calculate errors
-    const errors = calculateErrors(state.x, state.A, state.b);
-    const maxError = getMaxError(errors);
-    const convergence = getConvergenceState(maxError);
-    
-    // Update dynamic range based on current LHS values
-    updateBandRange(errors);
-    
-    // Update equation displays
-    const bandCount = Math.min(state.n, state.visibleBands);
-    for(let i = 0; i < bandCount; i++) {
-        updateConditionDisplay(i + 1, errors[`eq${i + 1}`]);
-    }
-    
-    // Update HK tooltip for bands
-    const hkIndicatorBand = document.querySelector('.hk-indicator-band');
-    if (hkIndicatorBand && state.n > state.visibleBands) {
-         const hiddenCount = state.n - state.visibleBands;
-         let hiddenSummary = `Hidden Bands (${hiddenCount}):\n`;
-         for(let i = state.visibleBands; i < state.n; i++) {
-             const err = errors[`eq${i+1}`];
-             if (err) {
-                 hiddenSummary += `Band ${i+1}: Dev ±${Math.abs(err.error).toFixed(2)}\n`;
-             }
-         }
-         hkIndicatorBand.setAttribute('data-tooltip', hiddenSummary);
-    }
-    
-    // Update signal clarity display
-    elements.iterationCount.textContent = state.iteration;
-    elements.maxError.textContent = maxError.toFixed(4);
-    elements.convergenceStatus.textContent = convergence.state;
-    elements.convergenceStatus.style.color = convergence.color;
-    
-    // Update performance display
-    updatePerformanceDisplay(elements, state);
-    
-    // Update master level meter
-    if (elements.masterMeterFill) {
-        const meterPercent = Math.min(100, Math.max(0, 100 - (maxError / 1.0) * 100));
-        elements.masterMeterFill.style.width = `${meterPercent}%`;
-    }
-    
-    // Update signal clarity display border
-    if (maxError < 0.0001) {
-        elements.signalClarityDisplay.classList.add('balanced');
-        // Show solution button when balanced
-        if (elements.solutionBtn) {
-            elements.solutionBtn.style.display = 'block';
-        }
-    } else {
-        elements.signalClarityDisplay.classList.remove('balanced');
-        // Hide solution button when not balanced
-        if (elements.solutionBtn) {
-            elements.solutionBtn.style.display = 'none';
-        }
-    }
-    
-    // Update audio mix (if audio system is available)
-    if (window.audioSystem) {
-        window.audioSystem.updateMix(maxError);
-    }
-    
-    // Update tuning dial
-    updateTuningDial(maxError);
-    
-    // Update equation visualizer
-    updateEquationVisualizer(state.equationHistory, state.A, state.b, state.n, state.method);
+// --- Store-driven views ---
+
+/**
+ * Connect the views to the store paths they render, so every write
+ * (iterations, knob drags, undo, config, shared links) redraws them.
+ * Display modules subscribe themselves; the controls and audio follow here.
+ */
+function subscribeDisplays() {
+    attachKnobs(store, elements, state);
+    attachBands(store, elements, state);
+    attachSignalClarity(store, elements, state, getDisplayMeasure);
+    attachTuningDial(store, () => document.querySelector('.dial-pointer'), getDisplayMeasure);
+    attachTimeline(store, {
+        slider: elements.timelineSlider,
+        label: elements.timelineLabel,
+        backBtn: elements.stepBackBtn
+    }, state);
+    attachPerformanceDisplay(store, elements, state);
+    attachEquationVisualizer(store, state);
+    attachGeometricView(store, elements, state);
+    ['system.x', 'system.A', 'system.b', 'convergence.*'].forEach(path => {
+        store.subscribe(path, updateAudioMix);
+    });
+    store.subscribe('iteration.isAutoPlaying', renderAutoplayState);
+    store.subscribe('iteration.speed', renderSpeed);
+    store.subscribe('display.theme', applyTheme);
+    store.subscribe('display.visibility.*', () => {
+        applyVisibility();
+        updateVisibilityCheckboxes();
+    });
+    store.subscribe('audio.volume', (volume) => updateVolumeSlider(volume, state.isDraggingVolume));
 }
 
-// Update tuning dial pointer
-function updateTuningDial(maxError) {
-    const dialPointer = document.querySelector('.dial-pointer');
-    if (!dialPointer) return;
-    
-    // Map error to angle: maxError 1.0+ = -90deg (Static at bottom), maxError 0.0001 = 90deg (Clear at top)
-    let angle;
-    if (maxError >= 1.0) {
-        angle = -90; // Static at bottom
-    } else if (maxError <= 0.0001) {
-        angle = 90; // Clear Signal at top
-    } else {
-        // Linear interpolation between -90 (bottom/Static) and 90 (top/Clear)
-        const normalized = (1.0 - maxError) / (1.0 - 0.0001);
-        angle = -90 + (normalized * 180);
-    }
-    
-    dialPointer.style.transform = `translate(-50%, -100%) rotate(${angle}deg)`;
+/**
+ * Tell the views that render run data kept outside the store (run histories,
+ * performance records, the reference solution) that it changed
+ */
+function publishRunData() {
+    state.runRevision += 1;
 }
 
-// Calculate and update dynamic range for gain sliders
-function updateBandRange(errors) {
-    // Find min and max LHS values across all bands
-    const lhsValues = [];
-    Object.keys(errors).forEach(key => {
-        if (errors[key] && typeof errors[key].lhs === 'number') {
-            lhsValues.push(errors[key].lhs);
-        }
-    });
-    
-    if (lhsValues.length === 0) return;
-    
-    const minLHS = Math.min(...lhsValues);
-    const maxLHS = Math.max(...lhsValues);
-    
-    // Calculate a symmetric range that accommodates all values with some padding
-    // Use the maximum absolute value to ensure symmetric range
-    const maxAbs = Math.max(Math.abs(minLHS), Math.abs(maxLHS));
-    
-    // Add padding (20% of range, minimum 2 units)
-    const padding = Math.max(2, maxAbs * 0.2);
-    const calculatedRange = maxAbs + padding;
-    
-    // Ensure minimum range of [-12, 12] for readability
-    const minRange = 12;
-    const finalRange = Math.max(minRange, calculatedRange);
-    
-    // Round to nice numbers for display (round up to next even number, or to nice increments)
-    let roundedRange;
-    if (finalRange <= 20) {
-        roundedRange = Math.ceil(finalRange / 2) * 2; // Round up to even number
-    } else if (finalRange <= 100) {
-        roundedRange = Math.ceil(finalRange / 10) * 10; // Round up to nearest 10
-    } else {
-        roundedRange = Math.ceil(finalRange / 50) * 50; // Round up to nearest 50
-    }
-    
-    // Optimization: Only update if range actually changed
-    const newRange = { min: -roundedRange, max: roundedRange };
-    if (state.lastBandRange && 
-        state.lastBandRange.min === newRange.min && 
-        state.lastBandRange.max === newRange.max) {
-        // Range hasn't changed, skip DOM updates
-        state.bandRangeMin = newRange.min;
-        state.bandRangeMax = newRange.max;
-        return;
-    }
-    
-    state.bandRangeMin = newRange.min;
-    state.bandRangeMax = newRange.max;
-    state.bandRangeCenter = 0;
-    state.lastBandRange = newRange;
-    
-    // Update gain marks for all visible bands
-    const count = Math.min(state.n, state.visibleBands);
-    for (let i = 0; i < count; i++) {
-        const id = i + 1;
-        const gainScale = document.querySelector(`#band${id} .gain-scale`);
-        if (gainScale) {
-            const marks = gainScale.querySelectorAll('.gain-mark');
-            if (marks.length >= 3) {
-                // Format numbers nicely
-                const formatValue = (val) => {
-                    if (Math.abs(val) < 0.01) return '0';
-                    if (Math.abs(val) >= 100) return val.toFixed(0);
-                    if (Math.abs(val) >= 10) return val.toFixed(0);
-                    return val.toFixed(1);
-                };
-                
-                marks[0].textContent = `+${formatValue(roundedRange)}`;
-                marks[1].textContent = '0';
-                marks[2].textContent = `-${formatValue(roundedRange)}`;
-            }
-        }
-    }
+/**
+ * Play/Pause button, power light and speaker pulse (follow iteration.isAutoPlaying)
+ */
+function renderAutoplayState() {
+    const playing = state.isAutoPlaying;
+    elements.autoplayBtn.textContent = playing ? '⏸ Pause' : '▶ Play';
+    elements.autoplayBtn.classList.toggle('playing', playing);
+    elements.powerIndicator.classList.toggle('active', playing);
+    elements.speakerGrille.classList.toggle('pulse', playing);
 }
 
-// Update individual band display
-function updateConditionDisplay(eqNum, errorData) {
-    // Enhanced error handling and validation
-    if (!errorData || typeof errorData !== 'object') {
-        console.warn(`updateConditionDisplay: Invalid errorData for eq${eqNum}`);
-        return;
-    }
-    
-    // Validate errorData structure
-    if (typeof errorData.lhs !== 'number' || typeof errorData.rhs !== 'number' || typeof errorData.error !== 'number') {
-        console.warn(`updateConditionDisplay: Invalid errorData structure for eq${eqNum}`, errorData);
-        return;
-    }
-    
-    // Handle NaN and Infinity values
-    if (!isFinite(errorData.lhs) || !isFinite(errorData.rhs) || !isFinite(errorData.error)) {
-        console.warn(`updateConditionDisplay: Non-finite values for eq${eqNum}`, errorData);
-        return;
-    }
-    
-    const absError = Math.abs(errorData.error);
-    const band = elements[`band${eqNum}`];
-    const lhs = elements[`lhs${eqNum}`];
-    const error = elements[`error${eqNum}`];
-    const meter = elements[`meter${eqNum}`];
-    const target = elements[`target${eqNum}`];
-    const gainHandle = document.getElementById(`gainHandle${eqNum}`);
-    
-    if (!band) return; // Element might not exist if not visible
-    
-    // Update text with equalizer terminology
-    // Convert LHS to dB scale (simplified: use LHS value as dB)
-    const dbValue = errorData.lhs.toFixed(2);
-    if (lhs) lhs.textContent = `Output: ${dbValue} dB`;
-    if (error) error.textContent = `Dev: ±${absError.toFixed(2)}`;
-    if (target) target.textContent = `Target: ${errorData.rhs.toFixed(2)}`;
-    
-    // Update gain slider position (map error to slider position)
-    // Center position (0 dB) when error is 0, offset based on error
-    // Map LHS value to slider position using dynamic range
-    // Use state.bandRangeMin and state.bandRangeMax for dynamic range
-    const range = state.bandRangeMax - state.bandRangeMin;
-    
-    // Safety check: prevent division by zero
-    if (range <= 0 || !isFinite(range)) {
-        console.warn(`updateConditionDisplay: Invalid range for eq${eqNum}`, { min: state.bandRangeMin, max: state.bandRangeMax });
-        return;
-    }
-    
-    const normalizedValue = (errorData.lhs - state.bandRangeMin) / range; // Map from [min, max] to [0, 1]
-    const sliderPosition = normalizedValue * 100; // Map to [0, 100]
-    const clampedPosition = Math.max(0, Math.min(100, sliderPosition));
-    
-    if (gainHandle) {
-        // Position handle vertically (inverted: top = 0% for max value, bottom = 100% for min value)
-        // Use transform to center the handle vertically at the calculated position
-        const topPercent = 100 - clampedPosition;
-        gainHandle.style.top = `${topPercent}%`;
-        gainHandle.style.transform = 'translateX(-50%) translateY(-50%)';
-    }
-    
-    // Update color coding
-    band.classList.remove('error-high', 'error-medium', 'error-low');
-    if (absError >= 1.0) {
-        band.classList.add('error-high');
-    } else if (absError >= 0.1) {
-        band.classList.add('error-medium');
-    } else {
-        band.classList.add('error-low');
+/**
+ * Speed slider fill (follows iteration.speed, 1-100 maps to 1%-100%)
+ */
+function renderSpeed() {
+    if (elements.speedSliderFill) {
+        elements.speedSliderFill.style.width = `${state.speed}%`;
     }
-    
-    // Update VU meter (inverse relationship: higher error = lower needle)
-    const meterPercent = Math.min(100, Math.max(0, 100 - (absError / 1.0) * 100));
-    if (meter) meter.style.height = `${meterPercent}%`;
+}
+
+/**
+ * Audio mix follows the stopping rule (tuned for the default tolerance)
+ */
+function updateAudioMix() {
+    const measure = getDisplayMeasure();
+    if (measure === null || !window.audioSystem) return;
+    window.audioSystem.updateMix(normalizeMeasure(measure, getConvergenceSettings().tolerance));
+}
+
+/**
+ * Current convergence settings from the state manager
+ * @returns {Object} { tolerance, norm, criterion, maxIterations }
+ */
+function getConvergenceSettings() {
+    return store.get('convergence') || DEFAULT_CONVERGENCE;
+}
+
+/**
+ * Convergence measure of state.x under the configured stopping rule
+ * (step size is only available while state.x is the result of the last step)
+ * @returns {number} Measure to compare with the tolerance
+ */
+function getConvergenceMeasure() {
+    const step = state.lastStep;
+    const isLastStep = step && step.to.length === state.x.length && step.to.every((value, i) => value === state.x[i]);
+    return computeConvergenceMeasure({
+        A: state.A,
+        b: state.b,
+        x: state.x,
+        previousX: isLastStep ? step.from : null
+    }, getConvergenceSettings());
+}
+
+/**
+ * Convergence measure for the signal displays and audio
+ * @returns {number|null} Measure, or null while a system is half-written
+ *   (e.g. after n changed but before A and b did; the last write redraws)
+ */
+function getDisplayMeasure() {
+    const { n, A, b, x } = state;
+    if (!x || x.length !== n || A.length !== n || b.length !== n) return null;
+    return getConvergenceMeasure();
 }
 
 // Render knobs dynamically
@@ -714,6 +810,7 @@ function renderKnobs() {
     }
     
     setupKnobListeners();
+    renderKnobValues(elements, state);
 }
 
 // Render bands dynamically
@@ -724,12 +821,9 @@ function renderBands() {
     
     const count = Math.min(state.n, state.visibleBands);
     
-    // Frequencies for display
-    const frequencies = ['60', '170', '310', '600', '1k', '3k', '6k', '12k', '14k', '16k'];
-    
     for (let i = 0; i < count; i++) {
         const id = i + 1;
-        const freq = frequencies[i % frequencies.length];
+        const freq = getBandFrequency(i);
         
         // Construct equation string for tooltip
         let equationParts = [];
@@ -804,6 +898,8 @@ function renderBands() {
         `;
         elements.bandsContainer.insertAdjacentHTML('beforeend', hkHtml);
     }
+    
+    renderBandValues(elements, state);
 }
 
 function setupKnobListeners() {
@@ -835,8 +931,8 @@ function setupKnobListeners() {
         knob.setAttribute('tabindex', '0');
         knob.setAttribute('role', 'slider');
         knob.setAttribute('aria-label', `Adjust x${id}`);
-        knob.setAttribute('aria-valuemin', '-10');
-        knob.setAttribute('aria-valuemax', '10');
+        knob.setAttribute('aria-valuemin', state.valueRange.min);
+        knob.setAttribute('aria-valuemax', state.valueRange.max);
         knob.setAttribute('aria-valuenow', state.x[i]);
         
         knob.addEventListener('focus', () => {
@@ -855,86 +951,162 @@ function setupKnobListeners() {
 
 // Single iteration step
 /**
- * Perform one iteration step (Jacobi or Gauss-Seidel)
+ * Perform one iteration step (Jacobi, Gauss-Seidel, SOR or Conjugate Gradient)
  * Updates all variables and checks for convergence/non-convergence
  */
 function performIteration() {
+    if (state.race) {
+        performRaceStep();
+        return;
+    }
+    
+    // Conjugate Gradient is only defined for symmetric positive-definite matrices
+    if (state.method === 'cg') {
+        const spd = checkSPD(state.A);
+        if (!spd.isSPD) {
+            stopAutoplay();
+            showMessage(`${getMethodLabel('cg')} needs a symmetric positive-definite matrix: ${spd.message.charAt(0).toLowerCase()}${spd.message.slice(1)}. Choose another method or system.`, 'error');
+            return;
+        }
+        // A new run, or knobs moved by hand, restarts from the residual direction
+        if (state.iteration === 0 || !isCGStateCurrent(state.cg, state.x)) {
+            state.cg = createCGState(state.x, state.A, state.b);
+        }
+    }
+    
     let newX;
     
     // Start measurement if not already started
     startMeasurement(state.method, state);
     
+    // A new run starts from iteration 0: record its starting point
+    if (state.iteration === 0) {
+        state.outOfRangeWarned = false;
+        state.exactFallback = false;
+        state.exact = usesExactArithmetic(state.method, getExactSettings()) ? createExactState(state.x) : null;
+        startChartRun(state.chartData, state.method, calculateErrors(state.x, state.A, state.b));
+        clearEquationHistory(state.equationHistory);
+        addIterationSnapshot(state.equationHistory, 0, [...state.x], state.A, getCGSnapshot(), getExactSnapshot());
+    } else {
+        // Resuming from an earlier iteration discards the abandoned future
+        const bounds = getHistoryBounds(state.iterationHistory);
+        if (bounds && bounds.last > state.iteration) {
+            truncateChartRun(state.chartData, state.method, state.iteration);
+            truncateEquationHistory(state.equationHistory, state.iteration);
+        }
+    }
+    // (Re)record the starting point of this step, which may have been moved by hand
+    recordIteration(state.iterationHistory, {
+        iteration: state.iteration,
+        x: state.x,
+        residuals: residualVector(state.A, state.b, state.x),
+        method: state.method,
+        solverState: state.method === 'cg' ? copyCGState(state.cg) : null,
+        exact: getExactSnapshot() ? serializeExactState(state.exact) : null
+    });
+    
+    // Exact arithmetic mode runs Jacobi and Gauss-Seidel with fractions
+    const exactStep = takeExactStep();
+    
     // Choose method based on state
-    if (state.method === 'gaussSeidel') {
+    if (exactStep) {
+        newX = exactStep.x;
+    } else if (state.method === 'cg') {
+        // CG keeps its residual and search direction in state.cg
+        newX = computeNextCG(state.x, state.A, state.b, state.cg);
+    } else if (state.method === 'gaussSeidel') {
         // Gauss-Seidel modifies in-place, so we need to copy first
         const xCopy = [...state.x];
         newX = computeNextGaussSeidel(xCopy, state.A, state.b);
+    } else if (state.method === 'sor') {
+        // SOR also modifies in-place
+        const xCopy = [...state.x];
+        newX = computeNextSOR(xCopy, state.A, state.b, state.omega);
     } else {
         // Jacobi method
         newX = computeNextJacobi(state.x, state.A, state.b);
     }
     
-    // Track if values were clamped
-    let wasClamped = false;
-    for (let val of newX) {
-        if (val < -10 || val > 10) {
-            wasClamped = true;
-            break;
-        }
+    // Report true divergence instead of clamping: stop before applying a runaway step
+    const divergence = checkDivergence(newX, getDivergenceLimitForSystem());
+    if (divergence) {
+        reportDivergence(divergence);
+        return;
     }
     
-    // Clamp new values and update state
-    for (let i = 0; i < state.n; i++) {
-        state.x[i] = clamp(newX[i], -10, 10);
-    }
+    const previousX = [...state.x];
+    state.lastStep = { from: previousX, to: [...newX] };
+    state.x = [...newX];
+    state.exact = exactStep ? exactStep.state : null;
     
     state.iteration++;
     
+    // Keep the knobs on scale: grow an automatic range, warn once for a manual one
+    const outOfRange = findOutOfRange(state.x, state.valueRange);
+    if (outOfRange !== -1) {
+        if (state.valueRangeAuto) {
+            state.valueRange = expandValueRange(state.valueRange, state.x);
+        } else if (!state.outOfRangeWarned) {
+            state.outOfRangeWarned = true;
+            showMessage(`x${outOfRange + 1} = ${state.x[outOfRange].toFixed(2)} is outside the knob range [${state.valueRange.min}, ${state.valueRange.max}]. Widen it in Config › Display Settings.`, 'warning');
+        }
+    }
+    
     // Update performance measurement
     updateMeasurement(state.method, state.iteration, state);
     
-    // Capture iteration snapshot for equation visualizer
-    addIterationSnapshot(state.equationHistory, state.iteration, [...state.x], state.A);
-    
-    // Show clamping message if needed (only once per clamping event)
-    if (wasClamped && state.iteration % 10 === 0) {
-        showMessage('Values out of range — clamped to [-10, 10]', 'warning');
-    }
-    
-    // Animate knobs smoothly
-    animateKnobsToValues();
+    // Capture iteration snapshot for equation visualizer and timeline
+    addIterationSnapshot(state.equationHistory, state.iteration, [...state.x], state.A, getCGSnapshot(), getExactSnapshot(), state.omega);
+    recordIteration(state.iterationHistory, {
+        iteration: state.iteration,
+        x: state.x,
+        residuals: residualVector(state.A, state.b, state.x),
+        method: state.method,
+        solverState: state.method === 'cg' ? copyCGState(state.cg) : null,
+        exact: state.exact ? serializeExactState(state.exact) : null
+    });
     
-    // Update displays
-    updateDisplays();
+    // Knobs, bands and meters follow the store; the run views follow the new snapshot
+    publishRunData();
     
-    // Check for convergence
+    // Check for convergence with the configured stopping rule
     const errors = calculateErrors(state.x, state.A, state.b);
-    const maxError = getMaxError(errors);
+    const convergenceSettings = getConvergenceSettings();
+    const measure = getConvergenceMeasure();
+    
+    recordChartPoint(state.chartData, state.method, state.iteration, errors);
+    updateConvergenceChart();
     
-    if (maxError < 0.0001) {
+    if (isConverged(measure, convergenceSettings)) {
         // Complete performance measurement
-        completeMeasurement(state.method, state.iteration, state);
+        completeMeasurement(state.method, state.iteration, state, convergenceSettings);
+        savePerformanceHistory();
         
-        // Update displays to show updated history statistics
-        updateDisplays();
+        // Show the updated history statistics
+        publishRunData();
         
-        // Show performance comparison if both methods have converged
-        const jacobiRuns = state.performanceHistory.jacobi.runs || [];
-        const gaussSeidelRuns = state.performanceHistory.gaussSeidel.runs || [];
+        // Show performance comparison once at least two methods have converged
+        // under the same stopping rule
+        const rule = describeConvergenceSettings(convergenceSettings);
+        const lastRuns = METHODS
+            .map(method => {
+                const runs = (state.performanceHistory[method] && state.performanceHistory[method].runs) || [];
+                return { method, run: runs[runs.length - 1] };
+            })
+            .filter(entry => entry.run && describeConvergenceSettings(entry.run.convergence || DEFAULT_CONVERGENCE) === rule);
         
-        if (jacobiRuns.length > 0 && gaussSeidelRuns.length > 0) {
-            const jacobiLast = jacobiRuns[jacobiRuns.length - 1];
-            const gaussSeidelLast = gaussSeidelRuns[gaussSeidelRuns.length - 1];
-            
-            if (jacobiLast && gaussSeidelLast) {
-                const faster = jacobiLast.iterations < gaussSeidelLast.iterations ? 'Jacobi' : 'Gauss-Seidel';
-                const ratio = Math.max(jacobiLast.iterations, gaussSeidelLast.iterations) / 
-                             Math.min(jacobiLast.iterations, gaussSeidelLast.iterations);
-                showMessage(
-                    `Performance: Jacobi (${jacobiLast.iterations} iters) vs Gauss-Seidel (${gaussSeidelLast.iterations} iters). ${faster} is ${ratio.toFixed(2)}x faster!`,
-                    'success'
-                );
-            }
+        if (lastRuns.length > 1) {
+            const sorted = [...lastRuns].sort((a, b) => a.run.iterations - b.run.iterations);
+            const fastest = sorted[0];
+            const slowest = sorted[sorted.length - 1];
+            const ratio = slowest.run.iterations / Math.max(1, fastest.run.iterations);
+            const summary = lastRuns
+                .map(entry => `${getMethodLabel(entry.method)} (${entry.run.iterations} iters)`)
+                .join(' vs ');
+            showMessage(
+                `Performance: ${summary}. ${getMethodLabel(fastest.method)} is ${ratio.toFixed(2)}x faster!`,
+                'success'
+            );
         }
         
         stopAutoplay();
@@ -942,15 +1114,246 @@ function performIteration() {
         if (window.audioSystem) {
             window.audioSystem.playConvergenceChime();
         }
-    }
-    
-    // Check for non-convergence
-    if (state.iteration > 1000) {
+    } else if (state.iteration >= convergenceSettings.maxIterations) {
         // Reset current run on non-convergence
         resetCurrentRun(state.method, state);
         stopAutoplay();
-        showMessage('Not converging after 1000 iterations. Try a different starting point.', 'error');
+        showMessage(`Not converging after ${convergenceSettings.maxIterations} iterations. Try a different starting point.`, 'error');
+    }
+}
+
+/**
+ * Restore a recorded iteration: knobs, bands, meters and the step-size criterion
+ * Stepping forward from there resumes the run and discards the later iterations
+ * @param {number} iteration - Iteration to jump to
+ */
+function jumpToIteration(iteration) {
+    const snapshot = getSnapshot(state.iterationHistory, iteration);
+    if (!snapshot || state.race) return;
+    
+    stopAutoplay();
+    // Step size is set first: the meters redraw as soon as x changes
+    const previous = getSnapshot(state.iterationHistory, iteration - 1);
+    state.lastStep = previous ? { from: [...previous.x], to: [...snapshot.x] } : null;
+    state.x = [...snapshot.x];
+    state.iteration = snapshot.iteration;
+    // Conjugate Gradient resumes with the residual and direction it had at that iteration
+    state.cg = copyCGState(snapshot.solverState);
+    // Exact arithmetic resumes with the fractions it had, or in floating point after a fallback
+    state.exact = snapshot.exact ? restoreExactState(snapshot.exact) : null;
+    state.exactFallback = !snapshot.exact && state.iteration > 0 && usesExactArithmetic(state.method, getExactSettings());
+}
+
+/**
+ * Step back one iteration
+ */
+function stepBack() {
+    jumpToIteration(state.iteration - 1);
+}
+
+// --- Race Mode ---
+
+/**
+ * Start a Jacobi vs Gauss-Seidel race from the current knob values
+ * Both lanes share the system and initial guess and advance together on Step/autoplay
+ */
+function startRace() {
+    stopAutoplay();
+    resetAllCurrentRuns(state);
+    state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
+    clearEquationHistory(state.equationHistory);
+    
+    state.race = createRace([...state.x], state.A, state.b);
+    const initialErrors = calculateErrors(state.x, state.A, state.b);
+    state.race.lanes.forEach(lane => startChartRun(state.chartData, lane.method, initialErrors));
+    updateConvergenceChart();
+    
+    updateRaceControls();
+    renderRace();
+}
+
+/**
+ * Leave race mode and return to the single-method view
+ */
+function stopRace() {
+    stopAutoplay();
+    state.race = null;
+    updateRaceControls();
+    publishRunData();
+}
+
+/**
+ * Toggle race mode on or off
+ */
+function toggleRace() {
+    if (state.race) {
+        stopRace();
+    } else {
+        startRace();
+        showMessage('Race mode: press Step or Play to race Jacobi against Gauss-Seidel.', 'info');
+    }
+    if (window.audioSystem) {
+        window.audioSystem.playButtonClick();
+    }
+}
+
+/**
+ * Restart the race after the initial guess or system changed
+ */
+function restartRaceIfActive() {
+    if (state.race) {
+        startRace();
+    }
+}
+
+/**
+ * Swap the knob column for the race lanes and lock the method selector
+ */
+function updateRaceControls() {
+    const racing = state.race !== null;
+    if (elements.racePanel) {
+        elements.racePanel.style.display = racing ? '' : 'none';
+    }
+    if (elements.knobsContainer) {
+        elements.knobsContainer.style.display = racing ? 'none' : '';
+    }
+    updateRelaxationControl();
+    if (elements.timelineControl) {
+        elements.timelineControl.style.display = racing ? 'none' : '';
+    }
+    if (elements.raceBtn) {
+        elements.raceBtn.textContent = racing ? '✕ End Race' : '🏁 Race';
+        elements.raceBtn.classList.toggle('active', racing);
+    }
+    document.querySelectorAll('input[name="method"]').forEach(radio => {
+        radio.disabled = racing;
+    });
+    if (!racing) {
+        renderRaceSummary(elements.raceSummary, null);
+    }
+}
+
+/**
+ * Render the race lanes (and the summary once the race is over)
+ */
+function renderRace() {
+    if (!state.race) return;
+    const summary = state.race.finished ? summarizeRace(state.race) : null;
+    renderRaceLanes(elements.raceLanes, state.race, {
+        visibleKnobs: state.visibleKnobs,
+        valueRange: state.valueRange,
+        winner: summary ? summary.winner : null
+    });
+    renderRaceSummary(elements.raceSummary, summary);
+}
+
+/**
+ * Advance every running lane by one iteration and finish the race when all have stopped
+ */
+function performRaceStep() {
+    const race = state.race;
+    if (race.finished) {
+        stopAutoplay();
+        return;
+    }
+    
+    const convergenceSettings = getConvergenceSettings();
+    const advanced = stepRace(race, state.A, state.b, {
+        omega: state.omega,
+        convergence: convergenceSettings,
+        divergenceLimit: getDivergenceLimitForSystem()
+    });
+    
+    advanced.forEach(lane => {
+        recordChartPoint(state.chartData, lane.method, lane.iteration, calculateErrors(lane.x, state.A, state.b));
+    });
+    state.iteration = Math.max(...race.lanes.map(lane => lane.iteration));
+    
+    // Grow an automatic range so both lanes stay on scale
+    if (state.valueRangeAuto) {
+        advanced.forEach(lane => {
+            state.valueRange = expandValueRange(state.valueRange, lane.x);
+        });
+    }
+    
+    updateConvergenceChart();
+    
+    if (race.finished) {
+        // Record both finishers at once, timed from the shared start
+        race.lanes
+            .filter(lane => lane.status === 'converged')
+            .forEach(lane => {
+                recordRun(lane.method, {
+                    iterations: lane.iteration,
+                    timeToConverge: (lane.finishTime - race.startTime) / 1000,
+                    convergence: convergenceSettings,
+                    race: true
+                }, state);
+            });
+        savePerformanceHistory();
+        publishRunData();
+        
+        stopAutoplay();
+        const summary = summarizeRace(race);
+        showMessage(summary.text, summary.winner ? 'success' : 'warning');
+        if (summary.winner && window.audioSystem) {
+            window.audioSystem.playConvergenceChime();
+        }
     }
+    
+    renderRace();
+}
+
+/**
+ * Conjugate Gradient data for the equation visualizer snapshot of state.x
+ * @returns {Object|null} CG state while CG is running, otherwise null
+ */
+function getCGSnapshot() {
+    return state.method === 'cg' && isCGStateCurrent(state.cg, state.x) ? state.cg : null;
+}
+
+/**
+ * Exact fractions for the equation visualizer snapshot of state.x
+ * @returns {Object[]|null} Exact iterate while it matches the knobs, otherwise null
+ */
+function getExactSnapshot() {
+    return isExactStateCurrent(state.exact, state.x) ? state.exact.x : null;
+}
+
+/**
+ * Get the exact arithmetic settings
+ * @returns {Object} { enabled, maxDenominatorDigits }
+ */
+function getExactSettings() {
+    return store.get('exact') || DEFAULT_EXACT_SETTINGS;
+}
+
+/**
+ * Compute the next iterate with fractions when exact arithmetic applies
+ *
+ * Knobs moved by hand restart the fractions from their decimals. Once a
+ * denominator outgrows the limit the run continues in floating point.
+ *
+ * @returns {Object|null} { state, x } from computeNextExact, or null to step in floating point
+ */
+function takeExactStep() {
+    const settings = getExactSettings();
+    if (!usesExactArithmetic(state.method, settings) || state.exactFallback) {
+        state.exact = null;
+        return null;
+    }
+    if (!isExactStateCurrent(state.exact, state.x)) {
+        state.exact = createExactState(state.x);
+    }
+    const step = computeNextExact(state.method, state.exact, state.A, state.b);
+    if (exceedsDenominatorLimit(step.state, settings)) {
+        state.exactFallback = true;
+        state.exact = null;
+        showMessage(`Denominators passed ${settings.maxDenominatorDigits} digits at iteration ${state.iteration + 1}, so ${getMethodLabel(state.method)} continues in floating point. Raise the limit in Config › Display Settings.`, 'warning');
+        return null;
+    }
+    return step;
 }
 
 /**
@@ -989,47 +1392,38 @@ function showMessage(message, type = 'info') {
     }, 5000);
 }
 
-// Animate knobs to new values
-function animateKnobsToValues() {
-    // Smooth transition using CSS transitions
-    // Only update existing visible knobs
-    const count = Math.min(state.n, state.visibleKnobs);
-    for(let i = 0; i < count; i++) {
-        const id = i + 1;
-        if (elements[`knob${id}`]) {
-            updateKnobRotation(elements[`knob${id}`], state.x[i]);
-        }
-    }
-}
-
 // Autoplay control
+// The timer follows iteration.isAutoPlaying (see updateAutoplayTimer), so
+// Play/Pause pressed in another synced tab starts and stops it here too.
 function startAutoplay() {
     if (state.isAutoPlaying) return;
     
+    // The tab that presses Play drives autoplay for all synced tabs
+    if (tabSync) tabSync.claimLeadership();
     state.isAutoPlaying = true;
-    elements.autoplayBtn.textContent = '⏸ Pause';
-    elements.autoplayBtn.classList.add('playing');
-    elements.powerIndicator.classList.add('active');
-    elements.speakerGrille.classList.add('pulse');
-    
-    const delay = mapSpeedToDelay(state.speed);
-    state.autoplayInterval = setInterval(() => {
-        performIteration();
-    }, delay);
 }
 
 function stopAutoplay() {
     if (!state.isAutoPlaying) return;
     
     state.isAutoPlaying = false;
-    if (state.autoplayInterval) {
+}
+
+/**
+ * Run the autoplay timer while autoplay is on, unless another synced tab leads
+ * @param {boolean} restart - Restart a running timer (the speed changed)
+ */
+function updateAutoplayTimer(restart = false) {
+    const shouldRun = state.isAutoPlaying && (!tabSync || tabSync.isLeader());
+    if (state.autoplayInterval && (!shouldRun || restart === true)) {
         clearInterval(state.autoplayInterval);
         state.autoplayInterval = null;
     }
-    elements.autoplayBtn.textContent = '▶ Play';
-    elements.autoplayBtn.classList.remove('playing');
-    elements.powerIndicator.classList.remove('active');
-    elements.speakerGrille.classList.remove('pulse');
+    if (shouldRun && !state.autoplayInterval) {
+        state.autoplayInterval = setInterval(() => {
+            performIteration();
+        }, mapSpeedToDelay(state.speed));
+    }
 }
 
 function toggleAutoplay() {
@@ -1046,28 +1440,74 @@ function mapSpeedToDelay(speed) {
 }
 
 function updateSpeed(speed) {
+    // A running timer picks up the new delay (see init)
     state.speed = speed;
-    const delay = mapSpeedToDelay(speed);
-    
-    // Update speed fill width (percentage)
-    if (elements.speedSliderFill) {
-        const percentage = speed; // 1-100 maps to 1%-100%
-        elements.speedSliderFill.style.width = `${percentage}%`;
+}
+
+// --- Undo / Redo ---
+
+// Store paths restored by undo/redo. Undo steps are the transactions opened
+// around user edits; iterations write system.x outside any transaction, so
+// stepping and autoplay never reach the history.
+const UNDOABLE_PATHS = ['system.n', 'system.A', 'system.b', 'system.x', 'display.visibleKnobs', 'display.visibleBands'];
+
+/**
+ * Enable the undo/redo buttons and name the step each one would take
+ * @param {Object} info - Result of store.getHistory()
+ */
+function updateUndoButtons(info) {
+    if (elements.undoBtn) {
+        elements.undoBtn.disabled = !info.canUndo;
+        elements.undoBtn.setAttribute('data-tooltip', info.canUndo ? `Undo: ${info.undoLabel} (Ctrl+Z)` : 'Nothing to undo');
     }
-    
-    // Update interval if autoplay is running
-    if (state.isAutoPlaying) {
-        stopAutoplay();
-        startAutoplay();
+    if (elements.redoBtn) {
+        elements.redoBtn.disabled = !info.canRedo;
+        elements.redoBtn.setAttribute('data-tooltip', info.canRedo ? `Redo: ${info.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo');
     }
 }
 
+function undoEdit() {
+    applyHistoryEntry(store.undo(), 'Undid');
+}
+
+function redoEdit() {
+    applyHistoryEntry(store.redo(), 'Redid');
+}
+
+/**
+ * Redraw after undo/redo restored values in the store
+ * @param {Object|null} entry - Entry returned by store.undo() or store.redo()
+ * @param {string} verb - 'Undid' or 'Redid', for the status message
+ */
+function applyHistoryEntry(entry, verb) {
+    if (!entry) return;
+    stopAutoplay();
+    state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
+    clearEquationHistory(state.equationHistory);
+    
+    // Knob-only steps keep the system; anything else reloads it like Apply does
+    if (entry.changes.some(({ path }) => path !== 'system.x')) {
+        state.initialGuess = [...state.x];
+        clearChartData(state.chartData);
+        updateConvergenceChart();
+        renderKnobs();
+        renderBands();
+        refreshReferenceSolution();
+        refreshSpectralAnalysis();
+        saveCustomConfig();
+    }
+    publishRunData();
+    restartRaceIfActive();
+    showMessage(`${verb}: ${entry.label}`, 'info');
+}
+
 // Reset to default values
 function reset() {
     stopAutoplay();
+    store.beginTransaction('Reset');
     // Reset performance measurements (clear current runs, keep history)
-    resetCurrentRun('jacobi', state);
-    resetCurrentRun('gaussSeidel', state);
+    resetAllCurrentRuns(state);
     
     // Reset to initial guess stored in state
     // If initialGuess is not set or doesn't match system size, use default values
@@ -1079,31 +1519,45 @@ function reset() {
             state.initialGuess = new Array(state.n).fill(0);
         }
     }
-    state.x = [...state.initialGuess];
-    // Ensure x array matches system size
-    while (state.x.length < state.n) {
-        state.x.push(0);
-    }
-    // Trim if too long (shouldn't happen, but safety check)
-    state.x = state.x.slice(0, state.n);
+    // Pad with zeros or trim so x matches the system size
+    state.x = Array.from({ length: state.n }, (_, i) => (i < state.initialGuess.length ? state.initialGuess[i] : 0));
     
     state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
     clearEquationHistory(state.equationHistory);
-    updateDisplays();
+    publishRunData();
+    restartRaceIfActive();
+    store.endTransaction();
 }
 
 // Random initial guess
 function randomGuess() {
     stopAutoplay();
-    for (let i = 0; i < state.n; i++) {
-        state.x[i] = (Math.random() * 20) - 10;
-    }
+    store.beginTransaction('Random guess');
+    const { min, max } = state.valueRange;
+    state.x = Array.from({ length: state.n }, () => min + Math.random() * (max - min));
     state.iteration = 0;
-    updateDisplays();
+    clearIterationHistory(state.iterationHistory);
+    publishRunData();
+    restartRaceIfActive();
+    store.endTransaction();
+}
+
+/**
+ * Set one knob's value (x is replaced, not edited in place, so the store notices)
+ * @param {number} index - Variable index
+ * @param {number} value - New value
+ */
+function setKnobValue(index, value) {
+    state.x = state.x.map((current, i) => (i === index ? value : current));
 }
 
 // Knob interaction
 function startKnobDrag(knob, variableIndex, event) {
+    // mousedown reaches both the knob and its wrapper; the whole drag is one undo step
+    if (!state.isDragging) {
+        store.beginTransaction(`Move x${variableIndex + 1}`);
+    }
     state.isDragging = true;
     state.dragKnob = variableIndex;
     state.dragKnobElement = knob;
@@ -1143,82 +1597,64 @@ function updateKnobDrag(event) {
         // Extremely easy control: much higher sensitivity (0.15 = very responsive)
         // Also support horizontal dragging for easier control
         const deltaX = currentX - (state.dragStartX || state.dragStartY);
-        const sensitivity = 0.15; // Increased from 0.08 for easier control
+        // 0.15 per pixel was tuned for a 20-unit range; scale it to the active range
+        const sensitivity = 0.15 * rangeScale(state.valueRange);
         // Use whichever movement is larger (vertical or horizontal)
         // Vertical: up = increase, down = decrease
         // Horizontal: right = increase, left = decrease
         const delta = Math.abs(deltaY) > Math.abs(deltaX) ? deltaY : deltaX;
         const newValue = state.dragStartValue + (delta * sensitivity);
         
-        const previousValue = state.x[state.dragKnob];
-        state.x[state.dragKnob] = clamp(newValue, -10, 10);
+        const value = clamp(newValue, state.valueRange.min, state.valueRange.max);
         
-        // Only update displays if value actually changed (reduces unnecessary updates)
-        if (Math.abs(state.x[state.dragKnob] - previousValue) > 0.001) {
-            // Update knob rotation immediately (no transition during drag)
-            updateKnobRotation(state.dragKnobElement, state.x[state.dragKnob], true);
-            
-            // Update value display for the dragged knob
-            const knobId = state.dragKnob + 1;
-            const valueElement = elements[`value${knobId}`];
-            if (valueElement) {
-                valueElement.textContent = state.x[state.dragKnob].toFixed(2);
-            }
-            
-            // Calculate errors using dynamic state.x array (fixes bug for n>3 systems)
-            const errors = calculateErrors(state.x, state.A, state.b);
-            const maxError = getMaxError(errors);
-            const convergence = getConvergenceState(maxError);
-            
-            // Update dynamic range based on current LHS values
-            updateBandRange(errors);
-            
-            // Update equation displays for all visible bands
-            const bandCount = Math.min(state.n, state.visibleBands);
-            for (let i = 0; i < bandCount; i++) {
-                updateConditionDisplay(i + 1, errors[`eq${i + 1}`]);
-            }
-            
-            // Update signal clarity display
-            if (elements.iterationCount) elements.iterationCount.textContent = state.iteration;
-            if (elements.maxError) elements.maxError.textContent = maxError.toFixed(4);
-            if (elements.convergenceStatus) {
-                elements.convergenceStatus.textContent = convergence.state;
-                elements.convergenceStatus.style.color = convergence.color;
-            }
-            
-            // Update master level meter
-            if (elements.masterMeterFill) {
-                const meterPercent = Math.min(100, Math.max(0, 100 - (maxError / 1.0) * 100));
-                elements.masterMeterFill.style.width = `${meterPercent}%`;
-            }
-            
-            // Update signal clarity display border
-            if (elements.signalClarityDisplay) {
-                if (maxError < 0.0001) {
-                    elements.signalClarityDisplay.classList.add('balanced');
-                    if (elements.solutionBtn) {
-                        elements.solutionBtn.style.display = 'block';
-                    }
-                } else {
-                    elements.signalClarityDisplay.classList.remove('balanced');
-                    if (elements.solutionBtn) {
-                        elements.solutionBtn.style.display = 'none';
-                    }
-                }
-            }
-            
-            // Update audio mix
-            if (window.audioSystem) {
-                window.audioSystem.updateMix(maxError);
-            }
-            
-            // Update tuning dial
-            updateTuningDial(maxError);
+        // Only update if the value actually changed (the knob and error displays follow system.x)
+        if (Math.abs(value - state.x[state.dragKnob]) > 0.001) {
+            setKnobValue(state.dragKnob, value);
         }
     });
 }
 
+// --- 2×2 Geometric View ---
+
+function startIterateDrag(event) {
+    if (state.n !== 2) return;
+    
+    if (!state.isDraggingIterate) {
+        store.beginTransaction('Drag iterate');
+    }
+    state.isDraggingIterate = true;
+    if (elements.geometricView) {
+        elements.geometricView.classList.add('dragging');
+    }
+    
+    if (window.audioSystem) {
+        window.audioSystem.playKnobClick();
+    }
+}
+
+function updateIterateDrag(event) {
+    if (!state.isDraggingIterate || !elements.geometricView) return;
+    
+    const svg = elements.geometricView.querySelector('svg');
+    const point = eventToData(event, svg, state.geometricViewport);
+    if (!point) return;
+    
+    // Same as dragging the x₁/x₂ knobs; the plot is not bounded by the knob range
+    state.x = [point[0], point[1]];
+}
+
+function endIterateDrag() {
+    if (!state.isDraggingIterate) return;
+    
+    state.isDraggingIterate = false;
+    if (elements.geometricView) {
+        elements.geometricView.classList.remove('dragging');
+    }
+    // Rescale the plot now the drag no longer freezes the viewport
+    renderGeometricView(elements, state);
+    store.endTransaction();
+}
+
 function endKnobDrag() {
     // Cancel any pending RAF updates
     if (state.knobUpdateRaf) {
@@ -1244,12 +1680,141 @@ function endKnobDrag() {
         }
     }
     
+    if (state.isDragging) {
+        store.endTransaction();
+    }
+    
     state.isDragging = false;
     state.dragKnob = null;
     state.dragKnobElement = null;
     state.dragStartX = null;
 }
 
+// --- SOR Relaxation Factor Knob ---
+
+/**
+ * Update ω knob rotation and readout
+ * @param {boolean} immediate - Skip the rotation transition (used while dragging)
+ */
+function updateOmegaDisplay(immediate = false) {
+    if (elements.omegaKnob) {
+        // Map ω from [OMEGA_MIN, OMEGA_MAX] to rotation angle [-135, 135] degrees
+        const normalized = (state.omega - OMEGA_MIN) / (OMEGA_MAX - OMEGA_MIN);
+        const angle = normalized * 270 - 135;
+        if (immediate) {
+            elements.omegaKnob.style.transition = 'none';
+        }
+        elements.omegaKnob.style.transform = `rotate(${angle}deg)`;
+        elements.omegaKnob.setAttribute('aria-valuenow', state.omega.toFixed(2));
+    }
+    if (elements.omegaValue) {
+        elements.omegaValue.textContent = state.omega.toFixed(2);
+    }
+}
+
+/**
+ * Set the SOR relaxation factor and refresh dependent displays
+ * @param {number} omega - Requested relaxation factor (clamped to the supported range)
+ * @param {boolean} immediate - Skip the knob rotation transition
+ */
+function setOmega(omega, immediate = false) {
+    const newOmega = clampOmega(Math.round(omega * 100) / 100);
+    if (newOmega === state.omega) return;
+    
+    state.omega = newOmega;
+    updateOmegaDisplay(immediate);
+}
+
+/**
+ * Show the ω knob only while SOR is the active method (hidden during a race)
+ */
+function updateRelaxationControl() {
+    if (elements.relaxationControl) {
+        elements.relaxationControl.style.display = state.method === 'sor' && !state.race ? '' : 'none';
+    }
+    updateOmegaDisplay();
+}
+
+function setupOmegaKnobListeners() {
+    const knob = elements.omegaKnob;
+    if (!knob) return;
+    
+    const dragHandler = (e) => {
+        e.preventDefault();
+        startOmegaKnobDrag(e);
+    };
+    
+    [knob, elements.relaxationControl].forEach(el => {
+        if (el) {
+            el.addEventListener('mousedown', dragHandler);
+            el.addEventListener('touchstart', dragHandler);
+        }
+    });
+    
+    // Keyboard focus support
+    knob.setAttribute('tabindex', '0');
+    knob.setAttribute('role', 'slider');
+    knob.setAttribute('aria-label', 'Adjust SOR relaxation factor ω');
+    knob.setAttribute('aria-valuemin', String(OMEGA_MIN));
+    knob.setAttribute('aria-valuemax', String(OMEGA_MAX));
+    
+    knob.addEventListener('focus', () => {
+        state.isOmegaKnobFocused = true;
+        if (elements.relaxationControl) elements.relaxationControl.classList.add('focused');
+    });
+    
+    knob.addEventListener('blur', () => {
+        state.isOmegaKnobFocused = false;
+        if (elements.relaxationControl) elements.relaxationControl.classList.remove('focused');
+    });
+    
+    updateRelaxationControl();
+}
+
+function startOmegaKnobDrag(event) {
+    state.isDraggingOmega = true;
+    state.omegaDragStartY = event.clientY || event.touches[0].clientY;
+    state.omegaDragStartX = event.clientX || event.touches[0].clientX;
+    state.omegaDragStartValue = state.omega;
+    
+    if (elements.omegaKnob) {
+        elements.omegaKnob.style.transition = 'none';
+        elements.omegaKnob.style.cursor = 'grabbing';
+    }
+    
+    if (window.audioSystem) {
+        window.audioSystem.playKnobClick();
+    }
+}
+
+function updateOmegaKnobDrag(event) {
+    if (!state.isDraggingOmega) return;
+    
+    const currentY = event.clientY || (event.touches && event.touches[0].clientY);
+    const currentX = event.clientX || (event.touches && event.touches[0].clientX);
+    if (!currentY && !currentX) return;
+    
+    // Same gesture as the variable knobs: up/right increases, down/left decreases
+    const deltaY = state.omegaDragStartY - currentY;
+    const deltaX = currentX - state.omegaDragStartX;
+    const delta = Math.abs(deltaY) > Math.abs(deltaX) ? deltaY : deltaX;
+    // ω spans a much smaller range than x, so use a finer sensitivity
+    const sensitivity = 0.01;
+    
+    setOmega(state.omegaDragStartValue + delta * sensitivity, true);
+}
+
+function endOmegaKnobDrag() {
+    if (!state.isDraggingOmega) return;
+    
+    state.isDraggingOmega = false;
+    refreshSpectralAnalysis();
+    if (elements.omegaKnob) {
+        elements.omegaKnob.style.transition = '';
+        elements.omegaKnob.style.cursor = 'grab';
+    }
+}
+
 // Volume slider interaction
 function startVolumeSliderDrag(event) {
     if (!elements.volumeSliderTrack) return;
@@ -1327,8 +1892,7 @@ function updateVolumeFromPosition(clientX) {
     if (Math.abs(state.volume - percentage) < 0.1) return;
     
     const previousVolume = state.volume;
-    state.volume = percentage;
-    updateVolumeSlider(state.volume, true); // immediate = true for smooth dragging
+    state.volume = percentage; // The slider follows audio.volume
     
     // Update audio system
     if (window.audioSystem) {
@@ -1382,13 +1946,14 @@ function loadPreset(presetName) {
     stopAutoplay();
     const preset = presets[presetName];
     if (preset) {
-        // Only apply preset values for the first 3 elements (for 3x3 system compatibility)
-        // For larger systems, only set the first 3 values
-        for (let i = 0; i < Math.min(3, state.n, preset.length); i++) {
-            state.x[i] = preset[i];
-        }
+        store.beginTransaction(`Preset ${presetName}`);
+        // Presets have 3 values; larger systems keep the rest of x
+        state.x = state.x.map((value, i) => (i < preset.length ? preset[i] : value));
         state.iteration = 0;
-        updateDisplays();
+        clearIterationHistory(state.iterationHistory);
+        publishRunData();
+        restartRaceIfActive();
+        store.endTransaction();
         
         if (window.audioSystem) {
             window.audioSystem.playButtonClick();
@@ -1437,62 +2002,18 @@ function toggleHelpPanel() {
 function showSolutionModal() {
     if (!elements.solutionModal) return;
     
-    // Calculate current solution values
-    const errors = calculateErrors(state.x, state.A, state.b);
-    const maxError = getMaxError(errors);
-    
-    // Update solution values in modal (only for first 3 variables for 3x3 system)
-    const solutionX1 = document.getElementById('solutionX1');
-    const solutionX2 = document.getElementById('solutionX2');
-    const solutionX3 = document.getElementById('solutionX3');
-    if (solutionX1 && state.x.length > 0) solutionX1.textContent = state.x[0].toFixed(2);
-    if (solutionX2 && state.x.length > 1) solutionX2.textContent = state.x[1].toFixed(2);
-    if (solutionX3 && state.x.length > 2) solutionX3.textContent = state.x[2].toFixed(2);
-    
-    // Update verification calculations for Condition 1 (only for 3x3 system)
-    const verifyX1_1 = document.getElementById('verifyX1-1');
-    const verifyX2_1 = document.getElementById('verifyX2-1');
-    const verifyX3_1 = document.getElementById('verifyX3-1');
-    const verifyResult1 = document.getElementById('verifyResult1');
-    if (verifyX1_1 && verifyX2_1 && verifyX3_1 && verifyResult1 && state.n === 3 && state.x.length >= 3) {
-        verifyX1_1.textContent = state.x[0].toFixed(2);
-        verifyX2_1.textContent = state.x[1].toFixed(2);
-        verifyX3_1.textContent = state.x[2].toFixed(2);
-        const result1 = 4 * state.x[0] - state.x[1] + state.x[2];
-        verifyResult1.textContent = result1.toFixed(2);
-    }
-    
-    // Update verification calculations for Condition 2 (only for 3x3 system)
-    const verifyX1_2 = document.getElementById('verifyX1-2');
-    const verifyX2_2 = document.getElementById('verifyX2-2');
-    const verifyX3_2 = document.getElementById('verifyX3-2');
-    const verifyResult2 = document.getElementById('verifyResult2');
-    if (verifyX1_2 && verifyX2_2 && verifyX3_2 && verifyResult2 && state.n === 3 && state.x.length >= 3) {
-        verifyX1_2.textContent = state.x[0].toFixed(2);
-        verifyX2_2.textContent = state.x[1].toFixed(2);
-        verifyX3_2.textContent = state.x[2].toFixed(2);
-        const result2 = 4 * state.x[0] - 8 * state.x[1] + state.x[2];
-        verifyResult2.textContent = result2.toFixed(2);
-    }
-    
-    // Update verification calculations for Condition 3 (only for 3x3 system)
-    const verifyX1_3 = document.getElementById('verifyX1-3');
-    const verifyX2_3 = document.getElementById('verifyX2-3');
-    const verifyX3_3 = document.getElementById('verifyX3-3');
-    const verifyResult3 = document.getElementById('verifyResult3');
-    if (verifyX1_3 && verifyX2_3 && verifyX3_3 && verifyResult3 && state.n === 3 && state.x.length >= 3) {
-        verifyX1_3.textContent = state.x[0].toFixed(2);
-        verifyX2_3.textContent = state.x[1].toFixed(2);
-        verifyX3_3.textContent = state.x[2].toFixed(2);
-        const result3 = -2 * state.x[0] + state.x[1] + 5 * state.x[2];
-        verifyResult3.textContent = result3.toFixed(2);
-    }
-    
-    // Update convergence details
-    const solutionIterations = document.getElementById('solutionIterations');
-    const solutionMaxError = document.getElementById('solutionMaxError');
-    if (solutionIterations) solutionIterations.textContent = state.iteration;
-    if (solutionMaxError) solutionMaxError.textContent = maxError.toFixed(4);
+    renderSolutionModal({
+        A: state.A,
+        b: state.b,
+        x: state.x,
+        n: state.n,
+        method: state.method,
+        iteration: state.iteration,
+        omega: state.omega,
+        tolerance: getConvergenceSettings().tolerance,
+        criterion: describeConvergenceSettings(getConvergenceSettings()),
+        exact: getExactSnapshot()
+    });
     
     // Show modal
     elements.solutionModal.classList.remove('hidden');
@@ -1520,7 +2041,7 @@ function showEquationHistoryModal() {
     if (!elements.equationHistoryModal) return;
     
     // Update the visualizer content before showing
-    updateEquationVisualizer(state.equationHistory, state.A, state.b, state.n, state.method);
+    updateEquationVisualizer(state.equationHistory, state.A, state.b, state.n, state.method, state.omega);
     
     // Show modal
     elements.equationHistoryModal.classList.remove('hidden');
@@ -1547,28 +2068,8 @@ function hideEquationHistoryModal() {
 function toggleTheme() {
     state.theme = state.theme === 'vintage' ? 'modern' : 'vintage';
     
-    // Update container and body class
-    if (elements.container) {
-        elements.container.classList.toggle('modern-theme', state.theme === 'modern');
-    }
-    if (document.body) {
-        document.body.classList.toggle('modern-theme', state.theme === 'modern');
-    }
-    
-    // Update button label
-    if (elements.themeToggle) {
-        const label = elements.themeToggle.querySelector('.theme-label');
-        if (label) {
-            label.textContent = state.theme === 'vintage' ? 'Modern' : 'Vintage';
-        }
-    }
-    
-    // Save preference
-    try {
-        localStorage.setItem('jacobiRadioTheme', state.theme);
-    } catch (e) {
-        console.warn('Could not save theme preference to localStorage:', e);
-    }
+    // Save preference
+    store.save(PERSISTENCE_KEYS.THEME, state.theme);
     
     // Play sound
     if (window.audioSystem) {
@@ -1578,25 +2079,23 @@ function toggleTheme() {
 
 // Load theme preference
 function loadThemePreference() {
-    let savedTheme = null;
-    try {
-        savedTheme = localStorage.getItem('jacobiRadioTheme');
-    } catch (e) {
-        console.warn('Could not read theme preference from localStorage:', e);
+    state.theme = store.load(PERSISTENCE_KEYS.THEME, state.theme);
+}
+
+/**
+ * Show state.theme: container and body classes plus the toggle label
+ */
+function applyTheme() {
+    if (elements.container) {
+        elements.container.classList.toggle('modern-theme', state.theme === 'modern');
     }
-    if (savedTheme === 'modern' || savedTheme === 'vintage') {
-        state.theme = savedTheme;
-        if (elements.container) {
-            elements.container.classList.toggle('modern-theme', state.theme === 'modern');
-        }
-        if (document.body) {
-            document.body.classList.toggle('modern-theme', state.theme === 'modern');
-        }
-        if (elements.themeToggle) {
-            const label = elements.themeToggle.querySelector('.theme-label');
-            if (label) {
-                label.textContent = state.theme === 'vintage' ? 'Modern' : 'Vintage';
-            }
+    if (document.body) {
+        document.body.classList.toggle('modern-theme', state.theme === 'modern');
+    }
+    if (elements.themeToggle) {
+        const label = elements.themeToggle.querySelector('.theme-label');
+        if (label) {
+            label.textContent = state.theme === 'vintage' ? 'Modern' : 'Vintage';
         }
     }
 }
@@ -1623,6 +2122,21 @@ function setupEventListeners() {
         elements.randomBtn.addEventListener('click', randomGuess);
     }
     
+    // Race button
+    if (elements.raceBtn) {
+        elements.raceBtn.addEventListener('click', toggleRace);
+    }
+    
+    // Timeline scrubber
+    if (elements.stepBackBtn) {
+        elements.stepBackBtn.addEventListener('click', stepBack);
+    }
+    if (elements.timelineSlider) {
+        elements.timelineSlider.addEventListener('input', (e) => {
+            jumpToIteration(parseInt(e.target.value));
+        });
+    }
+    
     // Speed slider
     if (elements.speedSlider) {
         elements.speedSlider.addEventListener('input', (e) => {
@@ -1645,6 +2159,24 @@ function setupEventListeners() {
         elements.helpBtn.addEventListener('click', toggleHelpPanel);
     }
     
+    // Undo/redo buttons
+    if (elements.undoBtn) {
+        elements.undoBtn.addEventListener('click', undoEdit);
+    }
+    if (elements.redoBtn) {
+        elements.redoBtn.addEventListener('click', redoEdit);
+    }
+    
+    // Share link button
+    if (elements.shareBtn) {
+        elements.shareBtn.addEventListener('click', copyShareLink);
+    }
+    
+    // Tab sync button
+    if (elements.syncBtn) {
+        elements.syncBtn.addEventListener('click', toggleTabSync);
+    }
+    
     // Config button
     if (elements.configBtn) {
         elements.configBtn.addEventListener('click', showConfigModal);
@@ -1676,6 +2208,7 @@ function setupEventListeners() {
             // Complete current run for previous method if in progress
             if (state.performanceHistory[oldMethod] && state.performanceHistory[oldMethod].currentRun) {
                 completeMeasurement(oldMethod, state.iteration, state);
+                savePerformanceHistory();
             }
             
             // Reset current run for previous method
@@ -1685,16 +2218,24 @@ function setupEventListeners() {
             
             // Reset iteration counter when switching methods
             state.iteration = 0;
+            clearIterationHistory(state.iterationHistory);
             
             // Clear equation history
             clearEquationHistory(state.equationHistory);
+            publishRunData();
             
-            // Show message
-            const methodName = state.method === 'jacobi' ? 'Jacobi' : 'Gauss-Seidel';
-            showMessage(`Switched to ${methodName} method`, 'info');
+            // Relaxation knob only applies to SOR
+            updateRelaxationControl();
+            updateSpectralDisplay(state.spectralAnalysis, { omega: state.omega, activeMethod: state.method });
+            updateConvergenceChart();
             
-            // Update displays
-            updateDisplays();
+            // Show message (Conjugate Gradient only applies to SPD matrices)
+            const spd = state.method === 'cg' ? checkSPD(state.A) : null;
+            if (spd && !spd.isSPD) {
+                showMessage(`Switched to ${getMethodLabel(state.method)} method. Warning: ${spd.message}, so it can't run on this system.`, 'warning');
+            } else {
+                showMessage(`Switched to ${getMethodLabel(state.method)} method`, 'info');
+            }
             
             if (window.audioSystem) {
                 window.audioSystem.playButtonClick();
@@ -1718,6 +2259,42 @@ function setupEventListeners() {
         });
     }
     
+    // Convergence chart controls
+    const chartPerEquation = document.getElementById('chartPerEquation');
+    if (chartPerEquation) {
+        chartPerEquation.addEventListener('change', (e) => {
+            state.chartShowPerEquation = e.target.checked;
+            updateConvergenceChart();
+        });
+    }
+    
+    const exportChartSvgBtn = document.getElementById('exportChartSvgBtn');
+    if (exportChartSvgBtn) {
+        exportChartSvgBtn.addEventListener('click', () => {
+            try {
+                const svg = buildChartSVG(state.chartData, getChartOptions());
+                exportChartSVG(svg, generateFilename('residual-chart', 'svg'));
+                showMessage('Chart exported as SVG', 'success');
+            } catch (e) {
+                console.error('Chart export error:', e);
+                showMessage('Error exporting chart', 'error');
+            }
+        });
+    }
+    
+    const exportChartPngBtn = document.getElementById('exportChartPngBtn');
+    if (exportChartPngBtn) {
+        exportChartPngBtn.addEventListener('click', () => {
+            const svg = buildChartSVG(state.chartData, getChartOptions());
+            exportChartPNG(svg, generateFilename('residual-chart', 'png'))
+                .then(() => showMessage('Chart exported as PNG', 'success'))
+                .catch((e) => {
+                    console.error('Chart export error:', e);
+                    showMessage('Error exporting chart', 'error');
+                });
+        });
+    }
+    
     // Solution button
     if (elements.solutionBtn) {
         elements.solutionBtn.addEventListener('click', showSolutionModal);
@@ -1810,6 +2387,12 @@ function setupEventListeners() {
         if (state.isDraggingVolume) {
             e.preventDefault();
             updateVolumeSliderDrag(e);
+        } else if (state.isDraggingOmega) {
+            e.preventDefault();
+            updateOmegaKnobDrag(e);
+        } else if (state.isDraggingIterate) {
+            e.preventDefault();
+            updateIterateDrag(e);
         } else if (state.isDragging) {
             e.preventDefault();
             updateKnobDrag(e);
@@ -1819,6 +2402,12 @@ function setupEventListeners() {
         if (state.isDraggingVolume) {
             e.preventDefault();
             updateVolumeSliderDrag(e);
+        } else if (state.isDraggingOmega) {
+            e.preventDefault();
+            updateOmegaKnobDrag(e);
+        } else if (state.isDraggingIterate) {
+            e.preventDefault();
+            updateIterateDrag(e);
         } else if (state.isDragging) {
             e.preventDefault();
             updateKnobDrag(e);
@@ -1828,42 +2417,90 @@ function setupEventListeners() {
         if (state.isDraggingVolume) {
             endVolumeSliderDrag();
         }
+        endOmegaKnobDrag();
+        endIterateDrag();
         endKnobDrag();
     });
     document.addEventListener('touchend', () => {
         if (state.isDraggingVolume) {
             endVolumeSliderDrag();
         }
+        endOmegaKnobDrag();
+        endIterateDrag();
         endKnobDrag();
     });
     
+    // Relaxation factor knob (SOR)
+    setupOmegaKnobListeners();
+    
+    // Geometric view: the SVG is re-rendered every update, so delegate from the container
+    if (elements.geometricView) {
+        const iterateDragHandler = (e) => {
+            if (e.target.classList && e.target.classList.contains('geometric-iterate')) {
+                e.preventDefault();
+                startIterateDrag(e);
+            }
+        };
+        elements.geometricView.addEventListener('mousedown', iterateDragHandler);
+        elements.geometricView.addEventListener('touchstart', iterateDragHandler);
+    }
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Undo/redo (text fields keep their own undo)
+        if ((e.ctrlKey || e.metaKey) && ['z', 'Z', 'y', 'Y'].includes(e.key)) {
+            if (isEditableTarget(e.target)) return;
+            e.preventDefault();
+            if (e.shiftKey || e.key === 'y' || e.key === 'Y') {
+                redoEdit();
+            } else {
+                undoEdit();
+            }
+            return;
+        }
+        
+        // Relaxation knob keyboard controls (when the ω knob is focused)
+        if (state.isOmegaKnobFocused) {
+            const step = e.shiftKey ? 0.01 : 0.05; // Fine control with Shift
+            let delta = 0;
+            
+            if (e.key === 'ArrowUp' || e.key === 'ArrowRight' || e.key === '+' || e.key === '=') {
+                delta = step;
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowLeft' || e.key === '-') {
+                delta = -step;
+            }
+            
+            if (delta !== 0) {
+                e.preventDefault();
+                setOmega(state.omega + delta);
+                refreshSpectralAnalysis();
+                if (window.audioSystem) {
+                    window.audioSystem.playKnobClick();
+                }
+                return; // Don't process other shortcuts when adjusting ω
+            }
+        }
+        
         // Knob keyboard controls (when a knob is focused)
         if (state.focusedKnob !== null && typeof state.focusedKnob === 'number') {
-            const step = e.shiftKey ? 0.1 : 1.0; // Fine control with Shift
-            let changed = false;
+            // Fine control with Shift; steps scale with the knob range
+            const step = (e.shiftKey ? 0.1 : 1.0) * rangeScale(state.valueRange);
+            const { min, max } = state.valueRange;
+            let delta = 0;
             
-            if (e.key === 'ArrowUp' || e.key === '+' || e.key === '=') {
-                e.preventDefault();
-                state.x[state.focusedKnob] = clamp(state.x[state.focusedKnob] + step, -10, 10);
-                changed = true;
-            } else if (e.key === 'ArrowDown' || e.key === '-') {
-                e.preventDefault();
-                state.x[state.focusedKnob] = clamp(state.x[state.focusedKnob] - step, -10, 10);
-                changed = true;
-            } else if (e.key === 'ArrowLeft') {
-                e.preventDefault();
-                state.x[state.focusedKnob] = clamp(state.x[state.focusedKnob] - step, -10, 10);
-                changed = true;
-            } else if (e.key === 'ArrowRight') {
-                e.preventDefault();
-                state.x[state.focusedKnob] = clamp(state.x[state.focusedKnob] + step, -10, 10);
-                changed = true;
+            if (e.key === 'ArrowUp' || e.key === 'ArrowRight' || e.key === '+' || e.key === '=') {
+                delta = step;
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowLeft' || e.key === '-') {
+                delta = -step;
             }
             
-            if (changed) {
-                updateDisplays();
+            if (delta !== 0) {
+                e.preventDefault();
+                const index = state.focusedKnob;
+                // Repeated presses on the same knob are one undo step
+                store.transaction(`Move x${index + 1}`, () => {
+                    setKnobValue(index, clamp(state.x[index] + delta, min, max));
+                }, { mergeKey: `knob-${index}` });
                 if (window.audioSystem) {
                     window.audioSystem.playKnobClick();
                 }
@@ -1871,30 +2508,24 @@ function setupEventListeners() {
             }
         }
         
-        // Global shortcuts
-        if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            performIteration();
-        } else if (e.key === 'p' || e.key === 'P') {
-            e.preventDefault();
-            toggleAutoplay();
-        } else if (e.key === 'm' || e.key === 'M') {
-            e.preventDefault();
-            if (window.audioSystem) {
-                window.audioSystem.toggleMute();
+        // Global shortcuts (skipped while typing in a field)
+        handleGlobalShortcut(e, {
+            step: performIteration,
+            stepBack,
+            toggleAutoplay,
+            toggleMute: () => {
+                if (window.audioSystem) {
+                    window.audioSystem.toggleMute();
+                }
             }
-        }
+        });
     });
     
     // Welcome modal
     if (elements.closeModal) {
         elements.closeModal.addEventListener('click', () => {
             if (elements.dontShowAgain && elements.dontShowAgain.checked) {
-                try {
-                    localStorage.setItem('jacobiRadioWelcomeShown', 'true');
-                } catch (e) {
-                    console.warn('Could not save welcome modal preference:', e);
-                }
+                store.save(PERSISTENCE_KEYS.WELCOME_SHOWN, true);
             }
             if (elements.welcomeModal) {
                 elements.welcomeModal.classList.add('hidden');
@@ -1923,14 +2554,9 @@ function performHardReset() {
         // Stop any running processes
         stopAutoplay();
         
-        // Clear all localStorage items
-        const keysToRemove = [
-            'jacobiRadioStartupChoice',
-            'jacobiRadioWelcomeShown',
-            'jacobiRadioCustomConfig',
-            'jacobiRadioTheme',
-            'jacobiRadioVisibility'
-        ];
+        // Clear all saved entries, including quarantined ones
+        const keysToRemove = Object.values(PERSISTENCE_KEYS);
+        store.clearQuarantine();
         
         keysToRemove.forEach(key => {
             try {
@@ -1954,7 +2580,7 @@ function performHardReset() {
             console.warn('Could not clear sessionStorage:', e);
         }
         
-        // Clear IndexedDB if it exists (for future-proofing)
+        // Clear IndexedDB (the saved systems library)
         if ('indexedDB' in window) {
             try {
                 indexedDB.databases().then(databases => {
@@ -1992,6 +2618,16 @@ function initConfigModal() {
     const btnUpdateSize = document.getElementById('updateMatrixSizeBtn');
     const inputSize = document.getElementById('matrixSize');
     
+    // Every size input follows the system.n limits
+    if (inputSize) {
+        inputSize.min = MIN_SYSTEM_SIZE;
+        inputSize.max = MAX_SYSTEM_SIZE;
+    }
+    ['settingVisibleKnobs', 'settingVisibleBands'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.max = MAX_SYSTEM_SIZE;
+    });
+    
     // Prevent closing when clicking inside the modal content
     if (modal) {
         modal.addEventListener('click', (e) => {
@@ -2021,6 +2657,10 @@ function initConfigModal() {
                 renderMatrixEditor(configState.n);
             } else if (tabId === 'text') {
                 updateTextInputFromState();
+            } else if (tabId === 'builder') {
+                showEquationBuilder();
+            } else if (tabId === 'library') {
+                refreshLibrary();
             } else if (tabId === 'visibility') {
                 updateVisibilityCheckboxes();
             }
@@ -2038,15 +2678,84 @@ function initConfigModal() {
     if (btnUpdateSize) {
         btnUpdateSize.addEventListener('click', () => {
             const newSize = parseInt(inputSize.value);
-            if (newSize >= 2 && newSize <= 10) {
+            if (validateSystemSize(newSize)) {
                 renderMatrixEditor(newSize);
+                showReorderResult(null);
+            } else {
+                showMessage(`System size must be between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}`, 'error');
             }
         });
     }
     
+    const btnMakeSolvable = document.getElementById('makeSolvableBtn');
+    if (btnMakeSolvable) {
+        btnMakeSolvable.addEventListener('click', makeSystemSolvable);
+    }
+    
+    // Grid edits act on the row of the last focused cell
+    [
+        ['insertRowColumnBtn', insertMatrixRowColumn],
+        ['deleteRowColumnBtn', deleteMatrixRowColumn],
+        ['fillDiagonalBtn', fillMatrixDiagonal],
+        ['makeSymmetricBtn', symmetrizeMatrix]
+    ].forEach(([id, handler]) => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', handler);
+    });
+    
+    populateGeneratorOptions();
+    ['generatorFamily', 'generatorSolution'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', updateGeneratorInputs);
+    });
+    const btnGenerate = document.getElementById('generateSystemBtn');
+    if (btnGenerate) {
+        btnGenerate.addEventListener('click', generateConfigSystem);
+    }
+    
+    initSystemFileControls(modal);
+    initLibraryControls();
+    
+    populateConvergenceOptions();
+    
+    // Manual range limits are only editable with automatic ranging off
+    const rangeAuto = document.getElementById('settingRangeAuto');
+    if (rangeAuto) {
+        rangeAuto.addEventListener('change', () => {
+            ['settingRangeMin', 'settingRangeMax'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.disabled = rangeAuto.checked;
+            });
+        });
+    }
+    
     // Apply Changes
     if (btnApply) {
         btnApply.addEventListener('click', () => {
+            // Invalid stopping rules or ranges keep the modal open so they can be corrected
+            let valueRange;
+            try {
+                valueRange = readValueRangeInputs();
+            } catch (e) {
+                showMessage(`Invalid knob range: ${e.message}`, 'error');
+                return;
+            }
+            try {
+                store.set('convergence', readConvergenceInputs(), { validate: true, persist: true });
+            } catch (e) {
+                showMessage(`Invalid convergence settings: ${e.message}`, 'error');
+                return;
+            }
+            try {
+                store.set('exact', readExactInputs(), { validate: true, persist: true });
+            } catch (e) {
+                showMessage(`Invalid exact arithmetic settings: ${e.message}`, 'error');
+                return;
+            }
+            state.valueRangeAuto = valueRange === null;
+            if (valueRange) {
+                state.valueRange = valueRange;
+            }
             applySystemConfiguration();
             closeModal();
             // Also close startup modal if open
@@ -2078,6 +2787,7 @@ function setupTextParserListeners() {
         if (!text.trim()) {
             status.textContent = '';
             status.className = 'parser-status';
+            showParserErrorLine(text, null);
             // Clear preview
             const previewContent = document.getElementById('textPreviewContent');
             const previewMatrix = document.getElementById('textPreviewMatrix');
@@ -2086,19 +2796,26 @@ function setupTextParserListeners() {
             return;
         }
         
-        const result = parseEquationText(text);
+        let result;
+        try {
+            result = parseSystemText(text);
+        } catch (e) {
+            result = { error: e.message, line: e.line, column: e.column, length: e.length };
+        }
         
         if (result.error) {
             status.textContent = result.error;
             status.className = 'parser-status error';
+            showParserErrorLine(text, result);
             // Clear preview on error
             const previewContent = document.getElementById('textPreviewContent');
             const previewMatrix = document.getElementById('textPreviewMatrix');
             if (previewContent) previewContent.innerHTML = '';
             if (previewMatrix) previewMatrix.innerHTML = '';
         } else {
-            status.textContent = `Valid System detected: ${result.n} equations.`;
+            status.textContent = `Valid System detected: ${result.n} equations in ${result.variables.join(', ')}.`;
             status.className = 'parser-status success';
+            showParserErrorLine(text, null);
             
             // Update configState
             configState.n = result.n;
@@ -2111,6 +2828,33 @@ function setupTextParserListeners() {
     });
 }
 
+/**
+ * Show the line of a parse error with the bad token underlined
+ * @param {string} text - Text tab contents
+ * @param {Object|null} result - { line, column, length } of the parse error (null to hide)
+ */
+function showParserErrorLine(text, result) {
+    const container = document.getElementById('parserErrorLine');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!result || !result.line) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const source = text.split('\n')[result.line - 1] || '';
+    const start = result.column - 1;
+    const token = source.slice(start, start + result.length);
+    const label = document.createElement('span');
+    label.className = 'parser-error-label';
+    label.textContent = `${result.line}: `;
+    const mark = document.createElement('span');
+    mark.className = 'parser-error-token';
+    mark.textContent = token || '\u00a0'; // Missing token at the end of the line
+    container.append(label, source.slice(0, start), mark, source.slice(start + result.length));
+    container.style.display = '';
+}
+
 function updateTextInputFromState() {
     const input = document.getElementById('equationInput');
     if (!input) return;
@@ -2160,90 +2904,63 @@ function updateTextInputFromState() {
     }
 }
 
-function parseEquationText(text) {
-    const lines = text.split('\n').filter(line => line.trim() !== '');
-    if (lines.length === 0) return { error: '' };
-    
-    const equations = [];
-    let maxIndex = 0;
+// Builder tab model; kept between visits so the term order survives tab switches
+let builderModel = null;
+
+/**
+ * Show configState in the builder tab, reusing the previous model (and its
+ * term order) when the system hasn't been changed in another tab since
+ */
+function showEquationBuilder() {
+    const container = document.getElementById('equationBuilderContainer');
+    if (!container) return;
     
-    for (let i = 0; i < lines.length; i++) {
-        let line = lines[i];
-        // Normalize: remove spaces
-        const cleanLine = line.replace(/\s+/g, '');
-        const parts = cleanLine.split('=');
-        
-        if (parts.length !== 2) return { error: `Line ${i+1}: Missing '=' sign` };
-        
-        const lhs = parts[0];
-        const rhsStr = parts[1];
-        if (!rhsStr) return { error: `Line ${i+1}: Missing value after '='` };
-        
-        const rhs = parseFloat(rhsStr);
-        if (isNaN(rhs)) return { error: `Line ${i+1}: Invalid constant '${rhsStr}'` };
-        
-        // Parse LHS
-        // Regex to match terms like: +4x1, -x2, 5.5x3
-        // We need to handle the first term which might not have a sign
-        
-        const coeffs = {};
-        let termFound = false;
-        
-        // Pattern: ([+-]?)(number)?x(index)
-        // We iterate through the string looking for matches
-        const regex = /([+-]?)(\d*\.?\d*)x(\d+)/g;
-        let match;
-        
-        while ((match = regex.exec(lhs)) !== null) {
-            termFound = true;
-            const signStr = match[1];
-            const numStr = match[2];
-            const idxStr = match[3];
-            
-            let val = 1;
-            if (numStr !== '') {
-                val = parseFloat(numStr);
-            }
-            
-            if (signStr === '-') val = -val;
-            
-            const idx = parseInt(idxStr);
-            if (idx < 1) return { error: `Line ${i+1}: Variable indices must start at 1 (found x${idx})` };
-            
-            coeffs[idx] = val;
-            maxIndex = Math.max(maxIndex, idx);
+    const current = builderModel && builderToSystem(builderModel);
+    const unchanged = current && current.n === configState.n &&
+        JSON.stringify(current.A) === JSON.stringify(configState.A) &&
+        JSON.stringify(current.b) === JSON.stringify(configState.b);
+    if (!unchanged) {
+        builderModel = createBuilderModel(configState.A, configState.b);
+    }
+    
+    renderEquationBuilder(container, builderModel, {
+        renderPreview: renderBuilderPreview,
+        onChange: (model) => {
+            const system = builderToSystem(model);
+            configState.A = system.A;
+            configState.b = system.b;
+            updateBuilderStatus();
         }
-        
-        if (!termFound) return { error: `Line ${i+1}: No variables found (format: 4x1 - x2 = 7)` };
-        
-        equations.push({ coeffs, b: rhs });
-    }
-    
-    // Determine system size
-    // We use the larger of (lines count) or (max variable index)
-    // But strictly they should match for a square system
-    const n = Math.max(maxIndex, lines.length);
-    
-    if (n < 2) return { error: "System too small (min 2 variables)" };
-    if (n > 10) return { error: "System too large (max 10 variables)" };
-    
-    if (lines.length !== n) {
-         return { error: `System mismatch: ${lines.length} equations for ${n} variables. (Expected ${n} equations)` };
+    });
+    updateBuilderStatus();
+}
+
+/**
+ * Render one builder equation with its terms in the order they were placed
+ */
+function renderBuilderPreview(element, equation, row) {
+    element.innerHTML = '';
+    const coefficients = builderToSystem(builderModel).A[row];
+    const options = { order: getTermOrder(equation) };
+    if (!renderEquationWithKaTeX(coefficients, equation.constant, element, options)) {
+        element.textContent = equationToLaTeX(coefficients, equation.constant, 'x', options.order);
     }
-    
-    // Build Matrix A and Vector b
-    const A = [];
-    const b = [];
-    
-    for(let i=0; i<n; i++) {
-        A[i] = [];
-        b[i] = equations[i].b;
-        for(let j=0; j<n; j++) {
-            A[i][j] = equations[i].coeffs[j+1] || 0;
-        }
+}
+
+/**
+ * Show whether the system built so far can be applied
+ */
+function updateBuilderStatus() {
+    const status = document.getElementById('builderStatus');
+    if (!status) return;
+    const validation = validateSystem(configState.A, configState.b);
+    if (validation.isValid) {
+        status.textContent = `Current System: ${configState.n} equations`;
+        status.className = 'parser-status success';
+    } else {
+        status.textContent = validation.message;
+        status.className = 'parser-status error';
     }
-    
-    return { n, A, b };
 }
 
 function showConfigModal(activeTab = 'matrix') {
@@ -2261,9 +2978,16 @@ function showConfigModal(activeTab = 'matrix') {
     document.getElementById('matrixSize').value = state.n;
     document.getElementById('settingVisibleKnobs').value = state.visibleKnobs;
     document.getElementById('settingVisibleBands').value = state.visibleBands;
+    updateConvergenceInputs();
+    updateExactInputs();
+    updateValueRangeInputs();
     
     // Render matrix
     renderMatrixEditor(state.n);
+    showReorderResult(null);
+    showSystemFileStatus('', '');
+    showMatrixGridStatus('', '');
+    showLibraryStatus('', '');
     
     // Switch to the requested tab
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -2285,6 +3009,10 @@ function showConfigModal(activeTab = 'matrix') {
         updateMatrixPreview();
     } else if (activeTab === 'text') {
         updateTextInputFromState();
+    } else if (activeTab === 'builder') {
+        showEquationBuilder();
+    } else if (activeTab === 'library') {
+        refreshLibrary();
     } else if (activeTab === 'visibility') {
         updateVisibilityCheckboxes();
     }
@@ -2419,74 +3147,694 @@ function updateTextPreview() {
     renderMatrixPreview(configState.A, configState.b, configState.n, 'textPreviewMatrix');
 }
 
-function renderMatrixEditor(size) {
-    const container = document.getElementById('matrixEditorContainer');
-    if (!container) return;
+/**
+ * Reorder the edited system for the strongest diagonal ("Make solvable")
+ * and preview the result; nothing is applied until the user clicks Apply
+ */
+function makeSystemSolvable() {
+    const permuteVariables = !!document.getElementById('reorderVariables')?.checked;
+    const result = makeSolvable(configState.A, configState.b, { permuteVariables });
     
-    configState.n = size; // Update temp size
+    if (result.changed) {
+        configState.A = result.A;
+        configState.b = result.b;
+        renderMatrixEditor(configState.n);
+    }
+    showReorderResult(result, permuteVariables);
+}
+
+/**
+ * Show what "Make solvable" did, or hide the explanation
+ * @param {Object|null} result - Result from makeSolvable, or null to clear
+ * @param {boolean} permuteVariables - Whether variables were reordered
+ */
+function showReorderResult(result, permuteVariables = false) {
+    const element = document.getElementById('reorderResult');
+    if (!element) return;
+    element.innerHTML = '';
+    if (!result) {
+        element.style.display = 'none';
+        return;
+    }
     
-    // Resize A and b if needed (preserve existing values where possible)
-    const newA = [];
-    const newB = [];
+    const status = !result.success ? 'error' : (result.diagonal.isDiagonallyDominant ? 'success' : 'warning');
+    element.className = `reorder-result ${status}`;
+    const message = document.createElement('p');
+    message.textContent = result.message;
+    element.appendChild(message);
     
-    for(let i=0; i<size; i++) {
-        newA[i] = [];
-        newB[i] = (configState.b && configState.b[i] !== undefined) ? configState.b[i] : 0;
-        for(let j=0; j<size; j++) {
-            if (configState.A && configState.A[i] && configState.A[i][j] !== undefined) {
-                newA[i][j] = configState.A[i][j];
-            } else {
-                // Default identity-like matrix for new cells
-                newA[i][j] = (i === j) ? 4 : 0;
-            }
+    const moves = describeMoves(result.moves, permuteVariables);
+    if (moves.length > 0) {
+        const list = document.createElement('ul');
+        moves.forEach(move => {
+            const item = document.createElement('li');
+            item.textContent = move;
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+    }
+    element.style.display = '';
+}
+
+/**
+ * Fill the family and solution selects in the generate tab
+ */
+function populateGeneratorOptions() {
+    const familySelect = document.getElementById('generatorFamily');
+    const solutionSelect = document.getElementById('generatorSolution');
+    if (familySelect) {
+        familySelect.innerHTML = GENERATORS
+            .map(family => `<option value="${family}">${GENERATOR_LABELS[family]}</option>`)
+            .join('');
+    }
+    if (solutionSelect) {
+        solutionSelect.innerHTML = SOLUTION_KINDS
+            .map(kind => `<option value="${kind}">${SOLUTION_LABELS[kind]}</option>`)
+            .join('');
+    }
+    updateGeneratorInputs();
+}
+
+/**
+ * Show the family description and enable only the inputs it uses
+ */
+function updateGeneratorInputs() {
+    const family = document.getElementById('generatorFamily')?.value;
+    const solution = document.getElementById('generatorSolution')?.value;
+    const description = document.getElementById('generatorDescription');
+    const seedInput = document.getElementById('generatorSeed');
+    const customInput = document.getElementById('generatorCustomSolution');
+    
+    if (description) description.textContent = GENERATOR_DESCRIPTIONS[family] || '';
+    if (seedInput) seedInput.disabled = !SEEDED_GENERATORS.includes(family) && solution !== 'random';
+    if (customInput) customInput.style.display = solution === 'custom' ? '' : 'none';
+}
+
+/**
+ * Generate a test system from the generate tab and preview it;
+ * nothing is applied until the user clicks Apply
+ */
+function generateConfigSystem() {
+    const status = document.getElementById('generatorStatus');
+    const customText = document.getElementById('generatorCustomSolution')?.value || '';
+    const options = {
+        family: document.getElementById('generatorFamily').value,
+        n: parseInt(document.getElementById('generatorSize').value),
+        seed: parseInt(document.getElementById('generatorSeed').value),
+        solution: document.getElementById('generatorSolution').value,
+        customSolution: customText.split(/[\s,;]+/).filter(part => part !== '').map(Number)
+    };
+    
+    let system;
+    try {
+        system = generateSystem(options);
+    } catch (e) {
+        if (status) {
+            status.textContent = e.message;
+            status.className = 'parser-status error';
         }
+        return;
     }
-    configState.A = newA;
-    configState.b = newB;
     
-    // Generate Grid HTML
-    // Columns: n for A + 1 separator + 1 for b
-    container.innerHTML = '';
-    const grid = document.createElement('div');
-    grid.className = 'matrix-grid';
-    grid.style.gridTemplateColumns = `repeat(${size}, auto) 20px auto`;
+    configState.n = system.n;
+    configState.A = system.A;
+    configState.b = system.b;
+    document.getElementById('matrixSize').value = system.n;
     
-    // Header Row
-    for(let j=0; j<size; j++) {
-        const label = document.createElement('div');
-        label.className = 'cell-label';
-        label.textContent = `x${j+1}`;
-        grid.appendChild(label);
+    if (status) {
+        status.textContent = `Generated ${system.label}, ${system.n}×${system.n}. Exact solution x* = (${system.solution.join(', ')}).`;
+        status.className = 'parser-status success';
+    }
+    if (typeof katex !== 'undefined') {
+        renderEquationsPreview(configState.A, configState.b, configState.n, 'generatePreviewContent');
+        renderMatrixPreview(configState.A, configState.b, configState.n, 'generatePreviewMatrix');
+    }
+}
+
+/**
+ * Wire the import/export buttons and drag-and-drop onto the config modal
+ * @param {HTMLElement} modal - Config modal overlay
+ */
+function initSystemFileControls(modal) {
+    const importBtn = document.getElementById('importSystemBtn');
+    const importInput = document.getElementById('importSystemInput');
+    const exportBtn = document.getElementById('exportSystemBtn');
+    const formatSelect = document.getElementById('exportSystemFormat');
+    const content = modal ? modal.querySelector('.config-modal-content') : null;
+    
+    if (formatSelect) {
+        formatSelect.innerHTML = SYSTEM_FORMATS
+            .map(format => `<option value="${format}">${SYSTEM_FORMAT_LABELS[format]}</option>`)
+            .join('');
+    }
+    if (importBtn && importInput) {
+        importInput.accept = SYSTEM_FILE_ACCEPT;
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                importSystemFile(importInput.files[0]);
+            }
+            importInput.value = ''; // Allow importing the same file again
+        });
+    }
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportSystemFile);
     }
-    grid.appendChild(document.createElement('div')); // Separator header
-    const bLabel = document.createElement('div');
-    bLabel.className = 'cell-label';
-    bLabel.textContent = 'Const (b)';
-    grid.appendChild(bLabel);
     
-    // Rows
-    for(let i=0; i<size; i++) {
-        // A[i][j] cells
+    if (content) {
+        content.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+            e.preventDefault();
+            content.classList.add('file-drag-over');
+        });
+        content.addEventListener('dragleave', (e) => {
+            if (!content.contains(e.relatedTarget)) {
+                content.classList.remove('file-drag-over');
+            }
+        });
+        content.addEventListener('drop', (e) => {
+            content.classList.remove('file-drag-over');
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            importSystemFile(e.dataTransfer.files[0]);
+        });
+    }
+}
+
+/**
+ * Show the result of an import or export in the matrix tab
+ * @param {string} text - Status text ('' to clear)
+ * @param {string} type - 'success', 'error' or ''
+ */
+function showSystemFileStatus(text, type) {
+    const status = document.getElementById('systemFileStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.className = type ? `parser-status ${type}` : 'parser-status';
+}
+
+/**
+ * Load a system file into the matrix editor; nothing is applied
+ * until the user clicks Apply. Errors take the same path as applying
+ * an invalid configuration (validateSystem → showMessage).
+ * @param {File} file - Dropped or picked file
+ */
+function importSystemFile(file) {
+    file.text()
+        .then(text => {
+            let system;
+            try {
+                system = parseSystemFile(text, file.name);
+            } catch (e) {
+                const message = `Could not import ${file.name}: ${e.message}`;
+                showSystemFileStatus(message, 'error');
+                showMessage(message, 'error');
+                return;
+            }
+            
+            configState.n = system.n;
+            configState.A = system.A;
+            configState.b = system.b;
+            document.getElementById('matrixSize').value = system.n;
+            const matrixTab = document.querySelector('.tab-btn[data-tab="matrix"]');
+            if (matrixTab && !matrixTab.classList.contains('active')) {
+                matrixTab.click();
+            } else {
+                renderMatrixEditor(system.n);
+            }
+            showReorderResult(null);
+            
+            const validation = validateSystem(system.A, system.b);
+            if (!validation.isValid) {
+                showSystemFileStatus(`Imported ${file.name}, but it can't be applied yet: ${validation.message}`, 'error');
+                showMessage(validation.message, 'error');
+                return;
+            }
+            const notes = system.notes.length > 0 ? ` ${system.notes.join(' ')}` : '';
+            showSystemFileStatus(`Imported ${file.name} (${system.n}×${system.n}, ${SYSTEM_FORMAT_LABELS[system.format]}).${notes} Click Apply Changes to use it.`, 'success');
+        })
+        .catch((e) => {
+            console.error('System import error:', e);
+            showSystemFileStatus(`Could not read ${file.name}`, 'error');
+            showMessage(`Could not read ${file.name}`, 'error');
+        });
+}
+
+/**
+ * Download the system being edited in the chosen format
+ */
+function exportSystemFile() {
+    const format = document.getElementById('exportSystemFormat')?.value || 'json';
+    try {
+        const content = serializeSystem(configState.A, configState.b, format);
+        const blob = new Blob([content], { type: SYSTEM_FORMAT_TYPES[format] });
+        const filename = generateFilename(`system-${configState.n}x${configState.n}`, format);
+        downloadBlob(blob, filename);
+        showSystemFileStatus(`Exported ${filename}`, 'success');
+    } catch (e) {
+        console.error('System export error:', e);
+        showSystemFileStatus('Error exporting system', 'error');
+    }
+}
+
+// --- Saved Systems Library ---
+
+let libraryDb = null; // Promise of the open library database
+let libraryEntries = [];
+
+/**
+ * Open the library database once
+ * @returns {Promise<Object>} Library database (see openLibrary)
+ */
+function getLibrary() {
+    if (!libraryDb) {
+        libraryDb = openLibrary().catch(e => {
+            libraryDb = null; // Try again next time
+            throw e;
+        });
+    }
+    return libraryDb;
+}
+
+/**
+ * Show the result of a library action in the library tab
+ * @param {string} text - Status text ('' to clear)
+ * @param {string} type - 'success', 'error' or ''
+ */
+function showLibraryStatus(text, type) {
+    const status = document.getElementById('libraryStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.className = type ? `parser-status ${type}` : 'parser-status';
+}
+
+/**
+ * Reload the entries from the database and redraw the list
+ * @returns {Promise} Resolves once the list is drawn
+ */
+function refreshLibrary() {
+    return getLibrary()
+        .then(db => db.list())
+        .then(entries => {
+            libraryEntries = entries;
+            renderLibraryList();
+        })
+        .catch(e => {
+            console.error('Library error:', e);
+            showLibraryStatus(`The library is unavailable: ${e.message}`, 'error');
+        });
+}
+
+/**
+ * Draw the entries matching the search box
+ */
+function renderLibraryList() {
+    const list = document.getElementById('libraryList');
+    if (!list) return;
+    const query = document.getElementById('librarySearch')?.value || '';
+    const entries = searchLibrary(libraryEntries, query);
+    list.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'setting-desc';
+        empty.textContent = libraryEntries.length === 0
+            ? 'No saved systems yet. Name the system in the editor and click Save.'
+            : 'No saved systems match the search.';
+        list.appendChild(empty);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+        
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'library-item-name';
+        name.textContent = entry.name;
+        const meta = document.createElement('div');
+        meta.className = 'library-item-meta';
+        meta.textContent = `${describeEntry(entry)} · updated ${new Date(entry.updatedAt).toLocaleDateString()}`;
+        info.append(name, meta);
+        if (entry.description) {
+            const description = document.createElement('div');
+            description.className = 'library-item-description';
+            description.textContent = entry.description;
+            info.appendChild(description);
+        }
+        if (entry.tags.length > 0) {
+            const tags = document.createElement('div');
+            entry.tags.forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'library-item-tag';
+                chip.textContent = tag;
+                tags.appendChild(chip);
+            });
+            info.appendChild(tags);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'library-item-actions';
+        [['load', 'Load'], ['duplicate', 'Duplicate'], ['rename', 'Rename'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn-small';
+            button.textContent = label;
+            button.dataset.action = action;
+            button.dataset.id = entry.id;
+            actions.appendChild(button);
+        });
+        
+        item.append(info, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Whether the editor holds the system that is currently running
+ * @returns {boolean} True if n, A and b match
+ */
+function isEditorSystemRunning() {
+    return configState.n === state.n &&
+        JSON.stringify(configState.A) === JSON.stringify(state.A) &&
+        JSON.stringify(configState.b) === JSON.stringify(state.b);
+}
+
+/**
+ * Save the editor system under the name typed in the library tab.
+ * An entry with the same name is replaced after confirmation.
+ */
+function saveToLibrary() {
+    const name = document.getElementById('libraryName')?.value || '';
+    const includeHistory = Boolean(document.getElementById('libraryIncludeHistory')?.checked);
+    const running = isEditorSystemRunning();
+    if (includeHistory && !running) {
+        showLibraryStatus('The current run belongs to the running system. Apply the editor system first, or untick "Include the current run".', 'error');
+        return;
+    }
+    
+    let entry;
+    try {
+        entry = createLibraryEntry({
+            name,
+            description: document.getElementById('libraryDescription')?.value,
+            tags: parseTags(document.getElementById('libraryTags')?.value),
+            n: configState.n,
+            A: configState.A,
+            b: configState.b,
+            initialGuess: running ? state.initialGuess : null,
+            method: state.method,
+            omega: state.omega,
+            history: includeHistory ? state.iterationHistory : null
+        });
+    } catch (e) {
+        showLibraryStatus(`Could not save: ${e.message}`, 'error');
+        return;
+    }
+    
+    const existing = libraryEntries.find(other => other.name.toLowerCase() === entry.name.toLowerCase());
+    if (existing) {
+        if (!confirm(`Replace the saved system "${existing.name}"?`)) return;
+        entry.id = existing.id;
+        entry.createdAt = existing.createdAt || entry.createdAt;
+    }
+    
+    getLibrary()
+        .then(db => db.put(entry))
+        .then(() => refreshLibrary())
+        .then(() => {
+            const history = entry.history ? ` with ${entry.history.snapshots.length} recorded iterates` : '';
+            showLibraryStatus(`Saved "${entry.name}" (${entry.n}×${entry.n})${history}.`, 'success');
+        })
+        .catch(e => {
+            console.error('Library save error:', e);
+            showLibraryStatus(`Could not save "${entry.name}": ${e.message}`, 'error');
+        });
+}
+
+/**
+ * Restore the run recorded in an entry and resume from its last iterate
+ * @param {Object} history - Entry history { method, snapshots }
+ */
+function restoreLibraryRun(history) {
+    const [first] = history.snapshots;
+    startChartRun(state.chartData, history.method, calculateErrors(first.x, state.A, state.b));
+    history.snapshots.forEach(snapshot => {
+        recordIteration(state.iterationHistory, {
+            iteration: snapshot.iteration,
+            x: snapshot.x,
+            residuals: residualVector(state.A, state.b, snapshot.x),
+            method: history.method,
+            solverState: snapshot.solverState || null,
+            exact: snapshot.exact || null
+        });
+        // Entries keep one ω for the whole run
+        addIterationSnapshot(state.equationHistory, snapshot.iteration, [...snapshot.x], state.A, snapshot.solverState,
+            snapshot.exact ? restoreExactState(snapshot.exact).x : null, state.omega);
+        if (snapshot.iteration > first.iteration) {
+            recordChartPoint(state.chartData, history.method, snapshot.iteration, calculateErrors(snapshot.x, state.A, state.b));
+        }
+    });
+    jumpToIteration(history.snapshots[history.snapshots.length - 1].iteration);
+}
+
+/**
+ * Make a library entry the running system (one undo step) and close the dialog
+ * @param {Object} entry - Library entry
+ */
+function loadLibraryEntry(entry) {
+    stopAutoplay();
+    if (state.race) stopRace();
+    
+    store.beginTransaction(`Load "${entry.name}"`);
+    state.n = entry.n;
+    state.A = JSON.parse(JSON.stringify(entry.A));
+    state.b = [...entry.b];
+    state.visibleKnobs = Math.min(state.visibleKnobs, entry.n);
+    state.visibleBands = Math.min(state.visibleBands, entry.n);
+    state.valueRangeAuto = true;
+    state.x = [...entry.initialGuess];
+    state.initialGuess = [...entry.initialGuess];
+    state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
+    clearEquationHistory(state.equationHistory);
+    clearChartData(state.chartData);
+    
+    state.method = entry.method;
+    const radio = document.querySelector(`input[name="method"][value="${entry.method}"]`);
+    if (radio) radio.checked = true;
+    setOmega(entry.omega, true);
+    updateRelaxationControl();
+    
+    renderKnobs();
+    renderBands();
+    refreshReferenceSolution();
+    if (entry.history && entry.history.method === entry.method) {
+        restoreLibraryRun(entry.history);
+    }
+    publishRunData();
+    refreshSpectralAnalysis();
+    updateConvergenceChart();
+    store.endTransaction();
+    saveCustomConfig();
+    
+    document.getElementById('configModal')?.classList.add('hidden');
+    if (elements.startupModal) elements.startupModal.classList.add('hidden');
+    const resumed = state.iteration > 0 ? `, resumed at iteration ${state.iteration}` : '';
+    showMessage(`Loaded "${entry.name}" (${state.n}×${state.n}, ${getMethodLabel(state.method)}${resumed}).`, 'success');
+}
+
+/**
+ * Run a list action (Load, Duplicate, Rename, Delete) on an entry
+ * @param {string} action - data-action of the clicked button
+ * @param {Object} entry - Library entry
+ */
+function handleLibraryAction(action, entry) {
+    const names = libraryEntries.map(other => other.name);
+    let change;
+    let done;
+    
+    if (action === 'load') {
+        loadLibraryEntry(entry);
+        return;
+    } else if (action === 'duplicate') {
+        const copy = duplicateEntry(entry, names);
+        change = db => db.put(copy);
+        done = `Duplicated "${entry.name}" as "${copy.name}".`;
+    } else if (action === 'rename') {
+        const name = prompt('New name:', entry.name);
+        if (name === null || name.trim() === entry.name) return;
+        let renamed;
+        try {
+            renamed = renameEntry(entry, name);
+        } catch (e) {
+            showLibraryStatus(`Could not rename: ${e.message}`, 'error');
+            return;
+        }
+        if (names.some(other => other !== entry.name && other.toLowerCase() === renamed.name.toLowerCase())) {
+            showLibraryStatus(`Could not rename: another system is called "${renamed.name}". Suggested: "${uniqueName(renamed.name, names)}".`, 'error');
+            return;
+        }
+        change = db => db.put(renamed);
+        done = `Renamed "${entry.name}" to "${renamed.name}".`;
+    } else if (action === 'delete') {
+        if (!confirm(`Delete "${entry.name}" from the library? This cannot be undone.`)) return;
+        change = db => db.remove(entry.id);
+        done = `Deleted "${entry.name}".`;
+    } else {
+        return;
+    }
+    
+    getLibrary()
+        .then(change)
+        .then(() => refreshLibrary())
+        .then(() => showLibraryStatus(done, 'success'))
+        .catch(e => {
+            console.error('Library error:', e);
+            showLibraryStatus(`Could not update the library: ${e.message}`, 'error');
+        });
+}
+
+/**
+ * Download the whole library as one JSON file
+ */
+function exportLibrary() {
+    refreshLibrary().then(() => {
+        if (libraryEntries.length === 0) {
+            showLibraryStatus('The library is empty, so there is nothing to export.', 'error');
+            return;
+        }
+        const blob = new Blob([serializeLibrary(libraryEntries)], { type: 'application/json' });
+        const filename = generateFilename('system-library', 'json');
+        downloadBlob(blob, filename);
+        showLibraryStatus(`Exported ${libraryEntries.length} system${libraryEntries.length === 1 ? '' : 's'} to ${filename}`, 'success');
+    });
+}
+
+/**
+ * Add the systems of an exported library file. Entries whose names are
+ * already taken are imported as copies; invalid entries are skipped.
+ * @param {File} file - Picked file
+ */
+function importLibraryFile(file) {
+    file.text()
+        .then(text => {
+            let parsed;
+            try {
+                parsed = parseLibraryFile(text);
+            } catch (e) {
+                showLibraryStatus(`Could not import ${file.name}: ${e.message}`, 'error');
+                return null;
+            }
+            return refreshLibrary()
+                .then(() => getLibrary())
+                .then(db => db.putAll(mergeImportedEntries(libraryEntries, parsed.entries)))
+                .then(added => refreshLibrary().then(() => {
+                    const skipped = parsed.skipped.map(({ name, reason }) => `${name} (${reason})`);
+                    const note = skipped.length > 0 ? ` Skipped ${skipped.length}: ${skipped.join('; ')}.` : '';
+                    showLibraryStatus(`Imported ${added.length} system${added.length === 1 ? '' : 's'} from ${file.name}.${note}`, skipped.length > 0 ? 'error' : 'success');
+                }));
+        })
+        .catch(e => {
+            console.error('Library import error:', e);
+            showLibraryStatus(`Could not import ${file.name}: ${e.message}`, 'error');
+        });
+}
+
+/**
+ * Wire the library tab
+ */
+function initLibraryControls() {
+    const saveBtn = document.getElementById('librarySaveBtn');
+    const search = document.getElementById('librarySearch');
+    const list = document.getElementById('libraryList');
+    const exportBtn = document.getElementById('libraryExportBtn');
+    const importBtn = document.getElementById('libraryImportBtn');
+    const importInput = document.getElementById('libraryImportInput');
+    
+    if (saveBtn) saveBtn.addEventListener('click', saveToLibrary);
+    if (search) search.addEventListener('input', renderLibraryList);
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const entry = libraryEntries.find(other => other.id === button.dataset.id);
+            if (entry) handleLibraryAction(button.dataset.action, entry);
+        });
+    }
+    if (exportBtn) exportBtn.addEventListener('click', exportLibrary);
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                importLibraryFile(importInput.files[0]);
+            }
+            importInput.value = ''; // Allow importing the same file again
+        });
+    }
+}
+
+function renderMatrixEditor(size) {
+    const container = document.getElementById('matrixEditorContainer');
+    if (!container) return;
+    
+    configState.n = size; // Update temp size
+    
+    // Resize A and b if needed (preserve existing values where possible)
+    const newA = [];
+    const newB = [];
+    
+    for(let i=0; i<size; i++) {
+        newA[i] = [];
+        newB[i] = (configState.b && configState.b[i] !== undefined) ? configState.b[i] : 0;
+        for(let j=0; j<size; j++) {
+            if (configState.A && configState.A[i] && configState.A[i][j] !== undefined) {
+                newA[i][j] = configState.A[i][j];
+            } else {
+                // Default identity-like matrix for new cells
+                newA[i][j] = (i === j) ? 4 : 0;
+            }
+        }
+    }
+    configState.A = newA;
+    configState.b = newB;
+    
+    // Generate Grid HTML
+    // Columns: n for A + 1 separator + 1 for b
+    container.innerHTML = '';
+    const grid = document.createElement('div');
+    grid.className = 'matrix-grid';
+    grid.style.gridTemplateColumns = `repeat(${size}, auto) 20px auto`;
+    
+    // Header Row
+    for(let j=0; j<size; j++) {
+        const label = document.createElement('div');
+        label.className = 'cell-label';
+        label.textContent = `x${j+1}`;
+        grid.appendChild(label);
+    }
+    grid.appendChild(document.createElement('div')); // Separator header
+    const bLabel = document.createElement('div');
+    bLabel.className = 'cell-label';
+    bLabel.textContent = 'Const (b)';
+    grid.appendChild(bLabel);
+    
+    // Rows
+    for(let i=0; i<size; i++) {
+        // A[i][j] cells
         for(let j=0; j<size; j++) {
             const wrapper = document.createElement('div');
             wrapper.className = 'matrix-cell-wrapper';
             
             const input = document.createElement('input');
-            input.type = 'number';
+            input.type = 'text';
+            input.inputMode = 'decimal';
             input.className = `matrix-cell ${i===j ? 'diagonal' : ''}`;
             input.value = configState.A[i][j];
-            input.step = 'any';
             input.dataset.row = i;
             input.dataset.col = j;
             input.dataset.type = 'A';
             
-            input.addEventListener('change', (e) => {
-                const r = parseInt(e.target.dataset.row);
-                const c = parseInt(e.target.dataset.col);
-                configState.A[r][c] = parseFloat(e.target.value) || 0;
-                updateMatrixPreview();
-            });
-            
             wrapper.appendChild(input);
             grid.appendChild(wrapper);
         }
@@ -2501,29 +3849,300 @@ function renderMatrixEditor(size) {
         wrapperB.className = 'matrix-cell-wrapper';
         
         const inputB = document.createElement('input');
-        inputB.type = 'number';
+        inputB.type = 'text';
+        inputB.inputMode = 'decimal';
         inputB.className = 'matrix-cell';
         inputB.value = configState.b[i];
-        inputB.step = 'any';
         inputB.dataset.row = i;
+        inputB.dataset.col = size;
         inputB.dataset.type = 'b';
         
-        inputB.addEventListener('change', (e) => {
-            const r = parseInt(e.target.dataset.row);
-            configState.b[r] = parseFloat(e.target.value) || 0;
-            updateMatrixPreview();
-        });
-        
         wrapperB.appendChild(inputB);
         grid.appendChild(wrapperB);
     }
     
+    // Typing updates the system and the dominance marks; the (slower)
+    // preview follows when a cell is left
+    grid.addEventListener('input', (e) => {
+        const cell = getMatrixCellPosition(e.target);
+        if (!cell) return;
+        const value = parseFloat(e.target.value) || 0;
+        if (cell.col === size) configState.b[cell.row] = value;
+        else configState.A[cell.row][cell.col] = value;
+        updateDominanceHighlights();
+    });
+    grid.addEventListener('change', updateMatrixPreview);
+    grid.addEventListener('focusin', (e) => {
+        const cell = getMatrixCellPosition(e.target);
+        if (cell) matrixCursor = cell;
+    });
+    grid.addEventListener('keydown', handleMatrixGridKeydown);
+    grid.addEventListener('paste', handleMatrixGridPaste);
+    
     container.appendChild(grid);
+    updateDominanceHighlights();
     
     // Update preview
     updateMatrixPreview();
 }
 
+// Last focused grid cell; row/column edits act on its row
+let matrixCursor = { row: 0, col: 0 };
+
+/**
+ * Position of a grid input
+ * @param {HTMLElement} element - Event target
+ * @returns {Object|null} { row, col } with col = n for the b column
+ */
+function getMatrixCellPosition(element) {
+    if (!element || !element.classList || !element.classList.contains('matrix-cell')) return null;
+    return { row: parseInt(element.dataset.row), col: parseInt(element.dataset.col) };
+}
+
+/**
+ * Focus a grid cell and select its value, as a spreadsheet does
+ */
+function focusMatrixCell(row, col) {
+    const input = document.querySelector(`#matrixEditorContainer .matrix-cell[data-row="${row}"][data-col="${col}"]`);
+    if (!input) return;
+    input.focus();
+    input.select();
+}
+
+/**
+ * Spreadsheet keys in the grid: arrows move between cells (left/right only
+ * once the caret reaches the edge of the value), Enter moves down and
+ * Shift+Enter up
+ */
+function handleMatrixGridKeydown(e) {
+    const cell = getMatrixCellPosition(e.target);
+    if (!cell || e.altKey || e.ctrlKey || e.metaKey) return;
+    
+    const input = e.target;
+    const wholeValue = input.selectionStart === 0 && input.selectionEnd === input.value.length;
+    let direction = null;
+    if (e.key === 'ArrowUp') direction = 'up';
+    else if (e.key === 'ArrowDown') direction = 'down';
+    else if (e.key === 'Enter') direction = e.shiftKey ? 'up' : 'down';
+    else if (e.key === 'ArrowLeft' && !e.shiftKey && (wholeValue || input.selectionEnd === 0)) direction = 'left';
+    else if (e.key === 'ArrowRight' && !e.shiftKey && (wholeValue || input.selectionStart === input.value.length)) direction = 'right';
+    if (!direction) return;
+    
+    // Grid navigation only: Enter must not also step the solver behind the dialog
+    e.preventDefault();
+    e.stopPropagation();
+    const target = neighborCell(cell.row, cell.col, direction, configState.n);
+    if (target) focusMatrixCell(target.row, target.col);
+}
+
+/**
+ * Paste a block copied from a spreadsheet, CSV or Octave into the grid,
+ * starting at the focused cell; a single value pastes as normal text
+ */
+function handleMatrixGridPaste(e) {
+    const cell = getMatrixCellPosition(e.target);
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    if (!cell || !/[\t\n,;]/.test(text.trim())) return;
+    e.preventDefault();
+    
+    let block;
+    try {
+        block = parsePastedBlock(text);
+    } catch (error) {
+        showMatrixGridStatus(`Could not paste: ${error.message}`, 'error');
+        return;
+    }
+    
+    const newSize = pastedSystemSize(block, cell.row, cell.col, configState.n);
+    if (newSize) {
+        document.getElementById('matrixSize').value = newSize;
+        renderMatrixEditor(newSize);
+    }
+    const result = applyPastedBlock(configState.A, configState.b, block, cell.row, cell.col);
+    configState.A = result.A;
+    configState.b = result.b;
+    renderMatrixEditor(configState.n);
+    showReorderResult(null);
+    focusMatrixCell(cell.row, cell.col);
+    
+    const resized = newSize ? ` The grid is now ${newSize}×${newSize}.` : '';
+    const clipped = result.clipped > 0 ? ` ${result.clipped} value(s) fell outside the grid and were dropped.` : '';
+    showMatrixGridStatus(`Pasted ${result.filled} value(s).${resized}${clipped}`, result.clipped > 0 ? 'error' : 'success');
+}
+
+/**
+ * Mark the rows of the grid that break diagonal dominance
+ */
+function updateDominanceHighlights() {
+    const container = document.getElementById('matrixEditorContainer');
+    if (!container) return;
+    const violations = new Map(findDominanceViolations(configState.A).map(v => [v.row, v]));
+    container.querySelectorAll('.matrix-cell[data-type="A"]').forEach(input => {
+        const violation = violations.get(parseInt(input.dataset.row));
+        input.classList.toggle('not-dominant', !!violation);
+        if (input.classList.contains('diagonal')) {
+            input.title = violation
+                ? `Not diagonally dominant: |diagonal| = ${formatNumber(violation.diagonal)} ≤ ${formatNumber(violation.offDiagonal)} (sum of the other entries)`
+                : '';
+        }
+    });
+}
+
+/**
+ * Show the result of a paste or grid edit below the matrix tab controls
+ * @param {string} text - Message ('' to clear)
+ * @param {string} type - 'success', 'error' or ''
+ */
+function showMatrixGridStatus(text, type) {
+    const status = document.getElementById('matrixGridStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.className = type ? `parser-status ${type}` : 'parser-status';
+}
+
+/**
+ * Put an edited A and b into the grid, keeping the cursor on a valid cell
+ */
+function updateMatrixGrid(A, b, message) {
+    configState.A = A;
+    configState.b = b;
+    configState.n = A.length;
+    document.getElementById('matrixSize').value = configState.n;
+    renderMatrixEditor(configState.n);
+    showReorderResult(null);
+    showMatrixGridStatus(message, 'success');
+    focusMatrixCell(Math.min(matrixCursor.row, configState.n - 1), Math.min(matrixCursor.col, configState.n));
+}
+
+/**
+ * Insert an equation and a variable before the focused row
+ */
+function insertMatrixRowColumn() {
+    if (configState.n >= MAX_SYSTEM_SIZE) {
+        showMatrixGridStatus(`Systems have at most ${MAX_SYSTEM_SIZE} equations`, 'error');
+        return;
+    }
+    const index = Math.min(matrixCursor.row, configState.n);
+    const { A, b } = insertRowColumn(configState.A, configState.b, index);
+    updateMatrixGrid(A, b, `Inserted equation ${index + 1} and variable x${index + 1}`);
+}
+
+/**
+ * Delete the focused row's equation and its variable
+ */
+function deleteMatrixRowColumn() {
+    if (configState.n <= MIN_SYSTEM_SIZE) {
+        showMatrixGridStatus(`Systems need at least ${MIN_SYSTEM_SIZE} equations`, 'error');
+        return;
+    }
+    const index = Math.min(matrixCursor.row, configState.n - 1);
+    const { A, b } = deleteRowColumn(configState.A, configState.b, index);
+    updateMatrixGrid(A, b, `Deleted equation ${index + 1} and variable x${index + 1}`);
+}
+
+/**
+ * Set the whole diagonal to the value next to the Fill diagonal button
+ */
+function fillMatrixDiagonal() {
+    const value = parseFloat(document.getElementById('fillDiagonalValue')?.value);
+    if (!isFinite(value)) {
+        showMatrixGridStatus('Enter a number to fill the diagonal with', 'error');
+        return;
+    }
+    updateMatrixGrid(fillDiagonal(configState.A, value), configState.b, `Diagonal set to ${value}`);
+}
+
+/**
+ * Mirror the upper triangle below the diagonal
+ */
+function symmetrizeMatrix() {
+    updateMatrixGrid(makeSymmetric(configState.A), configState.b, 'Copied the entries above the diagonal below it');
+}
+
+/**
+ * Options shared by the on-screen chart and its exports
+ * @returns {Object} Options for buildChartSVG/renderConvergenceChart
+ */
+function getChartOptions() {
+    return {
+        threshold: getConvergenceSettings().tolerance,
+        activeMethod: state.method,
+        showPerEquation: state.chartShowPerEquation
+    };
+}
+
+/**
+ * Redraw the residual convergence chart
+ */
+function updateConvergenceChart() {
+    renderConvergenceChart(elements.convergenceChart, state.chartData, getChartOptions());
+}
+
+/**
+ * Solve the current system directly so the true error can be shown
+ * (and an automatic knob range derived from the solution)
+ */
+function refreshReferenceSolution() {
+    state.reference = solveDirect(state.A, state.b);
+    if (state.valueRangeAuto) {
+        state.valueRange = deriveValueRange([state.reference.solution, state.initialGuess]);
+    }
+    publishRunData();
+}
+
+/**
+ * Magnitude beyond which an iterate counts as diverging for the current system
+ * @returns {number} Divergence limit
+ */
+function getDivergenceLimitForSystem() {
+    const solution = state.reference ? state.reference.solution : null;
+    const manualRange = state.valueRangeAuto ? null : [state.valueRange.min, state.valueRange.max];
+    return getDivergenceLimit([solution, state.initialGuess, manualRange]);
+}
+
+/**
+ * Stop the run and explain that the iteration is diverging
+ * @param {Object} divergence - { index, value } from checkDivergence
+ */
+function reportDivergence(divergence) {
+    resetCurrentRun(state.method, state);
+    stopAutoplay();
+    
+    const value = isFinite(divergence.value) ? divergence.value.toExponential(2) : String(divergence.value);
+    const analysis = state.spectralAnalysis && state.spectralAnalysis[state.method];
+    const rho = analysis && analysis.rho !== null ? ` (ρ = ${analysis.rho.toFixed(3)})` : '';
+    showMessage(
+        `${getMethodLabel(state.method)} is diverging${rho}: x${divergence.index + 1} would reach ${value} at iteration ${state.iteration + 1}. Try another method or a diagonally dominant system.`,
+        'error'
+    );
+}
+
+/**
+ * Recompute spectral radius predictions for the current system and initial guess
+ */
+function refreshSpectralAnalysis() {
+    state.spectralAnalysis = analyzeConvergence(state.A, state.b, state.initialGuess, {
+        omega: state.omega,
+        tolerance: getConvergenceSettings().tolerance
+    });
+    updateSpectralDisplay(state.spectralAnalysis, { omega: state.omega, activeMethod: state.method });
+}
+
+/**
+ * Save the current system as the custom configuration
+ */
+function saveCustomConfig() {
+    const config = {
+        n: state.n,
+        A: state.A,
+        b: state.b,
+        visibleKnobs: state.visibleKnobs,
+        visibleBands: state.visibleBands,
+        valueRange: state.valueRangeAuto ? null : state.valueRange
+    };
+    store.save(PERSISTENCE_KEYS.SYSTEM_CONFIG, config);
+}
+
 function applySystemConfiguration() {
     // Read settings
     const visibleKnobs = parseInt(document.getElementById('settingVisibleKnobs').value);
@@ -2543,11 +4162,8 @@ function applySystemConfiguration() {
         }
     }
     
-    if (!isDiagonallyDominant) {
-        showMessage('Warning: System is not diagonally dominant. Convergence not guaranteed.', 'warning');
-    }
-    
-    // Update State
+    // Update State (one undo step)
+    store.beginTransaction(`Edit system (${configState.n}×${configState.n})`);
     state.n = configState.n;
     state.A = JSON.parse(JSON.stringify(configState.A)); // Deep copy
     state.b = [...configState.b];
@@ -2567,50 +4183,215 @@ function applySystemConfiguration() {
     
     // Reset iteration
     state.iteration = 0;
+    clearIterationHistory(state.iterationHistory);
     clearEquationHistory(state.equationHistory);
     
+    // Runs of the previous system can't be compared with the new one
+    clearChartData(state.chartData);
+    updateConvergenceChart();
+    
     // Update UI
     renderKnobs();
     renderBands();
-    updateDisplays();
+    refreshReferenceSolution();
+    refreshSpectralAnalysis();
+    restartRaceIfActive();
+    store.endTransaction();
+    saveCustomConfig();
+    
+    // Diagonal dominance is only sufficient, so let the spectral radius decide the warning
+    const activeAnalysis = state.spectralAnalysis && state.spectralAnalysis[state.method];
+    const methodName = getMethodLabel(state.method);
+    if (state.reference && (state.reference.isSingular || state.reference.isIllConditioned)) {
+        showMessage(`System updated to ${state.n}×${state.n}. Warning: ${state.reference.message}.`, 'warning');
+    } else if (state.method === 'cg' && activeAnalysis) {
+        showMessage(`System updated to ${state.n}×${state.n}. ${methodName}: ${activeAnalysis.message}.`, activeAnalysis.converges ? 'success' : 'warning');
+    } else if (activeAnalysis && activeAnalysis.rho !== null && !activeAnalysis.converges) {
+        showMessage(`System updated to ${state.n}×${state.n}. Warning: ${methodName} is predicted to diverge (ρ = ${activeAnalysis.rho.toFixed(3)}).`, 'warning');
+    } else if (!isDiagonallyDominant && activeAnalysis && activeAnalysis.converges) {
+        showMessage(`System updated to ${state.n}×${state.n}. Not diagonally dominant, but ρ = ${activeAnalysis.rho.toFixed(3)} < 1 so ${methodName} still converges.`, 'success');
+    } else if (!isDiagonallyDominant) {
+        showMessage(`System updated to ${state.n}×${state.n}. Warning: System is not diagonally dominant. Convergence not guaranteed.`, 'warning');
+    } else {
+        showMessage(`System updated to ${state.n}×${state.n} configuration.`, 'success');
+    }
+}
+
+// Knob Range Functions
+
+/**
+ * Show the active knob range in the settings tab
+ */
+function updateValueRangeInputs() {
+    const auto = document.getElementById('settingRangeAuto');
+    const min = document.getElementById('settingRangeMin');
+    const max = document.getElementById('settingRangeMax');
+    if (auto) auto.checked = state.valueRangeAuto;
+    if (min) {
+        min.value = state.valueRange.min;
+        min.disabled = state.valueRangeAuto;
+    }
+    if (max) {
+        max.value = state.valueRange.max;
+        max.disabled = state.valueRangeAuto;
+    }
+}
+
+/**
+ * Read the knob range from the settings tab
+ * @returns {Object|null} Manual { min, max }, or null for automatic ranging
+ * @throws {Error} If a manual range is invalid
+ */
+function readValueRangeInputs() {
+    const auto = document.getElementById('settingRangeAuto');
+    if (!auto || auto.checked) return null;
     
-    // Save configuration
-    const config = {
-        n: state.n,
-        A: state.A,
-        b: state.b,
-        visibleKnobs: state.visibleKnobs,
-        visibleBands: state.visibleBands
+    const range = {
+        min: parseFloat(document.getElementById('settingRangeMin').value),
+        max: parseFloat(document.getElementById('settingRangeMax').value)
     };
-    try {
-        localStorage.setItem('jacobiRadioCustomConfig', JSON.stringify(config));
-    } catch (e) {
-        console.warn('Could not save custom config to localStorage:', e);
+    validateValueRange(range);
+    return range;
+}
+
+// Convergence Criteria Functions
+function loadConvergencePreference() {
+    const settings = store.load(PERSISTENCE_KEYS.CONVERGENCE);
+    if (settings) {
+        store.set('convergence', settings, { silent: true });
     }
-    
-    showMessage(`System updated to ${state.n}×${state.n} configuration.`, 'success');
+}
+
+/**
+ * Fill the criterion and norm selects in the settings tab
+ */
+function populateConvergenceOptions() {
+    const criterionSelect = document.getElementById('settingCriterion');
+    const normSelect = document.getElementById('settingNorm');
+    if (criterionSelect) {
+        criterionSelect.innerHTML = CRITERIA
+            .map(criterion => `<option value="${criterion}">${CRITERION_LABELS[criterion]}</option>`)
+            .join('');
+    }
+    if (normSelect) {
+        normSelect.innerHTML = NORMS
+            .map(norm => `<option value="${norm}">${NORM_LABELS[norm]}</option>`)
+            .join('');
+    }
+}
+
+/**
+ * Show the stored convergence settings in the settings tab
+ */
+function updateConvergenceInputs() {
+    const settings = getConvergenceSettings();
+    const inputs = {
+        settingTolerance: settings.tolerance,
+        settingCriterion: settings.criterion,
+        settingNorm: settings.norm,
+        settingMaxIterations: settings.maxIterations
+    };
+    Object.entries(inputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+}
+
+/**
+ * Read convergence settings from the settings tab (unvalidated)
+ * @returns {Object} { tolerance, norm, criterion, maxIterations }
+ */
+function readConvergenceInputs() {
+    const current = getConvergenceSettings();
+    const read = (id, parse, fallback) => {
+        const input = document.getElementById(id);
+        return input ? parse(input.value) : fallback;
+    };
+    return {
+        tolerance: read('settingTolerance', parseFloat, current.tolerance),
+        criterion: read('settingCriterion', value => value, current.criterion),
+        norm: read('settingNorm', value => value, current.norm),
+        maxIterations: read('settingMaxIterations', Number, current.maxIterations)
+    };
+}
+
+/**
+ * Refresh everything that depends on the stopping rule
+ */
+function onConvergenceSettingsChanged() {
+    updateConvergenceChart();
+    refreshSpectralAnalysis();
+}
+
+/**
+ * Load the completed runs saved by earlier sessions
+ */
+function loadPerformanceHistory() {
+    state.performanceHistory = restorePerformanceHistory(store.load(PERSISTENCE_KEYS.PERFORMANCE));
+}
+
+/**
+ * Save the completed runs so the statistics survive a reload
+ */
+function savePerformanceHistory() {
+    store.save(PERSISTENCE_KEYS.PERFORMANCE, getSavedRuns(state.performanceHistory));
+}
+
+/**
+ * Load the saved exact arithmetic settings into the store
+ */
+function loadExactPreference() {
+    const settings = store.load(PERSISTENCE_KEYS.EXACT);
+    if (settings) {
+        store.set('exact', settings, { silent: true });
+    }
+}
+
+/**
+ * Show the stored exact arithmetic settings in the settings tab
+ */
+function updateExactInputs() {
+    const settings = getExactSettings();
+    const enabled = document.getElementById('settingExactEnabled');
+    const digits = document.getElementById('settingExactDigits');
+    if (enabled) enabled.checked = settings.enabled;
+    if (digits) {
+        digits.max = MAX_DENOMINATOR_DIGITS_LIMIT;
+        digits.value = settings.maxDenominatorDigits;
+    }
+}
+
+/**
+ * Read exact arithmetic settings from the settings tab (unvalidated)
+ * @returns {Object} { enabled, maxDenominatorDigits }
+ */
+function readExactInputs() {
+    const current = getExactSettings();
+    const enabled = document.getElementById('settingExactEnabled');
+    const digits = document.getElementById('settingExactDigits');
+    return {
+        enabled: enabled ? enabled.checked : current.enabled,
+        maxDenominatorDigits: digits ? Number(digits.value) : current.maxDenominatorDigits
+    };
+}
+
+/**
+ * New exact arithmetic settings apply from the next step, even after a fallback
+ */
+function onExactSettingsChanged() {
+    state.exactFallback = false;
 }
 
 // Visibility Control Functions
 function loadVisibilityPreference() {
-    try {
-        const saved = localStorage.getItem('jacobiRadioVisibility');
-        if (saved) {
-            const visibility = JSON.parse(saved);
-            Object.assign(state.visibility, visibility);
-        }
-    } catch (e) {
-        console.warn('Could not read visibility preference from localStorage:', e);
+    const visibility = store.load(PERSISTENCE_KEYS.VISIBILITY);
+    if (visibility) {
+        state.visibility = { ...state.visibility, ...visibility };
     }
-    applyVisibility();
 }
 
 function saveVisibilityPreference() {
-    try {
-        localStorage.setItem('jacobiRadioVisibility', JSON.stringify(state.visibility));
-    } catch (e) {
-        console.warn('Could not save visibility preference to localStorage:', e);
-    }
+    store.save(PERSISTENCE_KEYS.VISIBILITY, state.visibility);
 }
 
 function applyVisibility() {
@@ -2645,19 +4426,14 @@ function applyVisibility() {
 }
 
 function toggleComponentVisibility(componentKey, visible) {
-    state.visibility[componentKey] = visible;
-    applyVisibility();
+    state.visibility = { ...state.visibility, [componentKey]: visible };
     saveVisibilityPreference();
 }
 
 function resetVisibility() {
     // Reset all to visible
-    Object.keys(state.visibility).forEach(key => {
-        state.visibility[key] = true;
-    });
-    applyVisibility();
+    state.visibility = Object.fromEntries(Object.keys(state.visibility).map(key => [key, true]));
     saveVisibilityPreference();
-    updateVisibilityCheckboxes();
 }
 
 function updateVisibilityCheckboxes() {
@@ -2727,15 +4503,32 @@ function initVisibilityControls() {
 
 // Initialize
 function init() {
+    // Views redraw when the store paths they render change
+    subscribeDisplays();
+    
     // Load theme preference
     loadThemePreference();
     
     // Load visibility preference
     loadVisibilityPreference();
-    
-    // Apply visibility settings after loading preferences
     applyVisibility();
     
+    // Load convergence criteria and follow later changes
+    loadConvergencePreference();
+    store.subscribe('convergence.*', onConvergenceSettingsChanged);
+    loadExactPreference();
+    store.subscribe('exact.*', onExactSettingsChanged);
+    loadPerformanceHistory();
+    
+    // Autoplay timer follows Play/Pause and the speed
+    store.subscribe('iteration.isAutoPlaying', () => updateAutoplayTimer());
+    store.subscribe('iteration.speed', () => updateAutoplayTimer(true));
+    
+    // Undo/redo covers system edits and knob moves (see UNDOABLE_PATHS)
+    store.configureHistory({ paths: UNDOABLE_PATHS });
+    store.subscribeHistory(updateUndoButtons);
+    updateUndoButtons(store.getHistory());
+    
     // Initialize Configuration Modal
     initConfigModal();
     
@@ -2755,8 +4548,18 @@ function init() {
         // Just ensure it's ready
     }
     
-    // Initialize startup flow (handles welcome modal visibility)
-    initStartup();
+    // A shared link opens its scenario instead of the saved startup choice
+    const sharedSession = readSharedSession();
+    if (sharedSession) {
+        applySharedSession(sharedSession);
+    } else {
+        // Initialize startup flow (handles welcome modal visibility)
+        initStartup();
+    }
+    window.addEventListener('hashchange', () => {
+        const session = readSharedSession();
+        if (session) applySharedSession(session);
+    });
     
     // Render any visible KaTeX equations after initialization
     if (typeof katex !== 'undefined') {
@@ -2772,7 +4575,9 @@ function init() {
         }, 100);
     }
     
-    updateDisplays();
+    refreshReferenceSolution();
+    refreshSpectralAnalysis();
+    updateConvergenceChart();
     
     // Initialize speed
     updateSpeed(state.speed);
@@ -2797,6 +4602,16 @@ function init() {
     
     // Start syncing (will work once audio system initializes)
     syncAudioVolume();
+    
+    // Rejoin the other tabs if sync was on last time
+    loadTabSyncPreference();
+    
+    reportPersistenceIssues();
+    window.addEventListener('pagehide', stopTabSync);
+    window.addEventListener('pageshow', (e) => {
+        // Back/forward cache restored the page after pagehide stopped sync
+        if (e.persisted) loadTabSyncPreference();
+    });
 }
 
 // Start when DOM is ready
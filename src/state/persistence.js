@@ -0,0 +1,177 @@
+/**
+ * Versioned Persistence
+ *
+ * localStorage entries are saved in an envelope, {"$v": version, "data": value},
+ * so their format can change without breaking older saves. Reading an entry
+ * upgrades it through the migrations registered for its key (migrations[v]
+ * turns version v - 1 data into version v), validates it, and writes the
+ * upgraded entry back. Entries saved before versioning (raw JSON, or a bare
+ * string such as a theme name) count as version 0.
+ *
+ * An entry that can't be parsed, migrated or validated is moved to a
+ * quarantine key (QUARANTINE_PREFIX + key) together with the reason, so it can
+ * be inspected or recovered, and the caller falls back to its default.
+ */
+
+export const SCHEMA_VERSION = 1;
+export const QUARANTINE_PREFIX = 'jacobiRadioQuarantine:';
+
+const VERSION_FIELD = '$v';
+
+/**
+ * Wrap a value in a versioned envelope
+ * @param {*} data - JSON-serializable value
+ * @param {number} version - Schema version (default: SCHEMA_VERSION)
+ * @returns {string} Serialized entry
+ */
+export function encodeEntry(data, version = SCHEMA_VERSION) {
+    return JSON.stringify({ [VERSION_FIELD]: version, data });
+}
+
+/**
+ * Unwrap a stored entry
+ * @param {string} raw - Stored string
+ * @returns {Object} { version, data } (version 0 for entries saved before versioning)
+ * @throws {Error} If the envelope has an invalid version
+ */
+export function decodeEntry(raw) {
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (e) {
+        // Bare strings were saved unquoted before versioning
+        return { version: 0, data: raw };
+    }
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && VERSION_FIELD in parsed) {
+        const version = parsed[VERSION_FIELD];
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`invalid schema version ${JSON.stringify(version)}`);
+        }
+        return { version, data: parsed.data };
+    }
+    return { version: 0, data: parsed };
+}
+
+/**
+ * Upgrade data to SCHEMA_VERSION
+ * @param {*} data - Stored data
+ * @param {number} version - Version the data was saved with
+ * @param {Object} migrations - migrations[v] upgrades version v - 1 data to version v
+ * @returns {*} Upgraded data
+ * @throws {Error} If the data is newer than this app or a migration fails
+ */
+export function migrateEntry(data, version, migrations = {}) {
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`saved by a newer version of the app (schema ${version}, this app reads up to ${SCHEMA_VERSION})`);
+    }
+    let current = data;
+    for (let v = version + 1; v <= SCHEMA_VERSION; v++) {
+        if (migrations[v]) {
+            current = migrations[v](current);
+        }
+    }
+    return current;
+}
+
+/**
+ * Save a value under a key
+ * @param {string} key - localStorage key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if saved
+ */
+export function writeEntry(key, value) {
+    try {
+        localStorage.setItem(key, encodeEntry(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not save ${key} to localStorage:`, error);
+        return false;
+    }
+}
+
+/**
+ * Move a stored entry aside so it is no longer loaded
+ * @param {string} key - localStorage key
+ * @param {string} raw - Stored string
+ * @param {string} reason - Why the entry was rejected
+ */
+export function quarantineEntry(key, raw, reason) {
+    try {
+        localStorage.setItem(QUARANTINE_PREFIX + key, JSON.stringify({ key, raw, reason, at: new Date().toISOString() }));
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.warn(`Could not quarantine ${key} in localStorage:`, error);
+    }
+}
+
+/**
+ * Load a value, upgrading and validating it
+ * @param {string} key - localStorage key
+ * @param {Object} options - Options
+ * @param {Object} options.migrations - Migrations for this key (see migrateEntry)
+ * @param {Function} options.validate - Throws an Error if the upgraded value is invalid
+ * @returns {Object} { status, value, error } with status 'ok', 'migrated', 'missing',
+ *   'unavailable' (localStorage can't be read) or 'quarantined' (value is null)
+ */
+export function readEntry(key, options = {}) {
+    const { migrations = {}, validate = null } = options;
+    let raw;
+    try {
+        raw = localStorage.getItem(key);
+    } catch (error) {
+        console.warn(`Could not read ${key} from localStorage:`, error);
+        return { status: 'unavailable', value: null };
+    }
+    if (raw === null) {
+        return { status: 'missing', value: null };
+    }
+
+    try {
+        const { version, data } = decodeEntry(raw);
+        const value = migrateEntry(data, version, migrations);
+        if (validate) {
+            validate(value);
+        }
+        if (version !== SCHEMA_VERSION) {
+            writeEntry(key, value);
+            return { status: 'migrated', value };
+        }
+        return { status: 'ok', value };
+    } catch (error) {
+        console.warn(`Quarantined unreadable ${key} from localStorage:`, error);
+        quarantineEntry(key, raw, error.message);
+        return { status: 'quarantined', value: null, error };
+    }
+}
+
+/**
+ * List quarantined entries
+ * @returns {Object[]} { key, raw, reason, at } for each quarantined entry
+ */
+export function listQuarantined() {
+    const entries = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey && storageKey.startsWith(QUARANTINE_PREFIX)) {
+                entries.push(JSON.parse(localStorage.getItem(storageKey)));
+            }
+        }
+    } catch (error) {
+        console.warn('Could not list quarantined entries:', error);
+    }
+    return entries;
+}
+
+/**
+ * Delete all quarantined entries
+ */
+export function clearQuarantine() {
+    listQuarantined().forEach(({ key }) => {
+        try {
+            localStorage.removeItem(QUARANTINE_PREFIX + key);
+        } catch (error) {
+            console.warn(`Could not remove quarantined ${key}:`, error);
+        }
+    });
+}
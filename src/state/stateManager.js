@@ -7,6 +7,13 @@
 
 import { createStore } from 'zustand/vanilla';
 import { subscribeWithSelector } from 'zustand/middleware';
+import { DEFAULT_CONVERGENCE, validateConvergenceSettings } from '../core/convergence.js';
+import { DEFAULT_EXACT_SETTINGS, validateExactSettings } from '../core/exactArithmetic.js';
+import { METHODS } from '../core/methods.js';
+import { DEFAULT_OMEGA } from '../core/sor.js';
+import { DEFAULT_VALUE_RANGE, validateValueRange } from '../core/valueRange.js';
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE, validateSystemSize } from '../utils/validation.js';
+import { readEntry, writeEntry, listQuarantined, clearQuarantine } from './persistence.js';
 
 /**
  * Helper function to get nested value from object using dot notation path
@@ -96,13 +103,26 @@ function isObject(item) {
     return item && typeof item === 'object' && !Array.isArray(item);
 }
 
+/**
+ * Deep equality for plain state values (numbers, strings, arrays, objects)
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => isEqual(a[key], b[key]));
+}
+
 /**
  * Validation functions
  */
 const validators = {
     'system.n': (value) => {
-        if (!Number.isInteger(value) || value < 2 || value > 20) {
-            throw new Error('n must be an integer between 2 and 20');
+        if (!validateSystemSize(value)) {
+            throw new Error(`n must be an integer between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}`);
         }
     },
     
@@ -119,8 +139,19 @@ const validators = {
         });
     },
     
+    'system.b': (value, state) => {
+        const n = state.system?.n;
+        if (n == null) return;
+        if (!Array.isArray(value) || value.length !== n) {
+            throw new Error(`b must be a vector of ${n} numbers`);
+        }
+        if (value.some(entry => typeof entry !== 'number' || !isFinite(entry))) {
+            throw new Error('b must contain only numbers');
+        }
+    },
+    
     'audio.volume': (value) => {
-        if (value < 0 || value > 100) {
+        if (typeof value !== 'number' || !(value >= 0 && value <= 100)) {
             throw new Error('Volume must be between 0 and 100');
         }
     },
@@ -129,6 +160,77 @@ const validators = {
         if (value < 1 || value > 100) {
             throw new Error('Speed must be between 1 and 100');
         }
+    },
+    
+    'iteration.method': (value) => {
+        if (!METHODS.includes(value)) {
+            throw new Error(`Method must be one of: ${METHODS.join(', ')}`);
+        }
+    },
+    
+    'display.valueRange': (value) => {
+        validateValueRange(value);
+    },
+    
+    'display.theme': (value) => {
+        if (value !== 'vintage' && value !== 'modern') {
+            throw new Error("Theme must be 'vintage' or 'modern'");
+        }
+    },
+    
+    'display.visibleKnobs': (value) => {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Visible knobs must be a positive integer');
+        }
+    },
+    
+    'display.visibleBands': (value) => {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error('Visible bands must be a positive integer');
+        }
+    },
+    
+    'display.visibility': (value) => {
+        if (!isObject(value)) {
+            throw new Error('Visibility must be an object of flags');
+        }
+        Object.entries(value).forEach(([key, flag]) => {
+            if (!(key in defaultState.display.visibility) || typeof flag !== 'boolean') {
+                throw new Error(`Unknown visibility flag '${key}'`);
+            }
+        });
+    },
+    
+    'convergence': (value) => {
+        validateConvergenceSettings(value);
+    },
+    
+    'convergence.tolerance': (value, state) => {
+        validateConvergenceSettings({ ...state.convergence, tolerance: value });
+    },
+    
+    'convergence.norm': (value, state) => {
+        validateConvergenceSettings({ ...state.convergence, norm: value });
+    },
+    
+    'convergence.criterion': (value, state) => {
+        validateConvergenceSettings({ ...state.convergence, criterion: value });
+    },
+    
+    'convergence.maxIterations': (value, state) => {
+        validateConvergenceSettings({ ...state.convergence, maxIterations: value });
+    },
+    
+    'exact': (value) => {
+        validateExactSettings(value);
+    },
+    
+    'exact.enabled': (value, state) => {
+        validateExactSettings({ ...state.exact, enabled: value });
+    },
+    
+    'exact.maxDenominatorDigits': (value, state) => {
+        validateExactSettings({ ...state.exact, maxDenominatorDigits: value });
     }
 };
 
@@ -156,9 +258,16 @@ const defaultState = {
         isAutoPlaying: false,
         autoplayInterval: null,
         speed: 50,
-        isPaused: false
+        isPaused: false,
+        method: 'jacobi',
+        omega: DEFAULT_OMEGA,
+        runRevision: 0 // Bumped when run data kept outside the store changes, for the views that render it
     },
     
+    convergence: { ...DEFAULT_CONVERGENCE },
+    
+    exact: { ...DEFAULT_EXACT_SETTINGS }, // Exact fraction mode for Jacobi/Gauss-Seidel
+    
     interaction: {
         isDragging: false,
         dragKnob: null,
@@ -178,6 +287,8 @@ const defaultState = {
         theme: 'vintage',
         visibleKnobs: 3,
         visibleBands: 3,
+        valueRange: { ...DEFAULT_VALUE_RANGE },
+        valueRangeAuto: true,
         visibility: {
             header: true,
             equalizerBands: true,
@@ -217,9 +328,168 @@ const PERSISTENCE_KEYS = {
     VISIBILITY: 'jacobiRadioVisibility',
     VOLUME: 'jacobiRadioVolume',
     STARTUP_CHOICE: 'jacobiRadioStartupChoice',
-    WELCOME_SHOWN: 'jacobiRadioWelcomeShown'
+    WELCOME_SHOWN: 'jacobiRadioWelcomeShown',
+    CONVERGENCE: 'jacobiRadioConvergence',
+    TAB_SYNC: 'jacobiRadioTabSync',
+    EXACT: 'jacobiRadioExact',
+    PERFORMANCE: 'jacobiRadioPerformance'
+};
+
+/**
+ * Run the store validator for a path (paths without one accept any value)
+ * @throws {Error} If the value is invalid
+ */
+function validateValue(path, value, state) {
+    const validator = validators[path];
+    if (validator) {
+        validator(value, state);
+    }
+}
+
+function validateFlag(value) {
+    if (typeof value !== 'boolean') {
+        throw new Error('Expected true or false');
+    }
+}
+
+/**
+ * Check a saved custom system { n, A, b, visibleKnobs, visibleBands, valueRange }
+ * @throws {Error} If any field is invalid
+ */
+function validateSystemConfig(config) {
+    if (!isObject(config)) {
+        throw new Error('Custom system must be an object');
+    }
+    validateValue('system.n', config.n);
+    const context = { system: { n: config.n } };
+    validateValue('system.A', config.A, context);
+    if (config.A.flat().some(entry => typeof entry !== 'number' || !isFinite(entry))) {
+        throw new Error('A must contain only numbers');
+    }
+    validateValue('system.b', config.b, context);
+    validateValue('display.visibleKnobs', config.visibleKnobs);
+    validateValue('display.visibleBands', config.visibleBands);
+    if (config.valueRange !== null) {
+        validateValue('display.valueRange', config.valueRange);
+    }
+}
+
+/**
+ * Check saved performance runs { [method]: runs }
+ * @throws {Error} If a method or run is invalid
+ */
+function validatePerformanceRuns(saved) {
+    if (!isObject(saved)) {
+        throw new Error('Performance runs must be an object of run lists');
+    }
+    Object.entries(saved).forEach(([method, runs]) => {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown method '${method}'`);
+        }
+        if (!Array.isArray(runs)) {
+            throw new Error(`Runs for '${method}' must be a list`);
+        }
+        runs.forEach(run => {
+            if (!isObject(run) || typeof run.iterations !== 'number' || typeof run.timeToConverge !== 'number') {
+                throw new Error(`Runs for '${method}' need iterations and a time to converge`);
+            }
+            if (run.memoryUsed !== null && typeof run.memoryUsed !== 'number') {
+                throw new Error(`Memory used by '${method}' runs must be a number or null`);
+            }
+        });
+    });
+}
+
+/**
+ * Convert run memory saved in bytes to MB. Real runs use far less than
+ * 1,048,576 MB, so any value of at least that many bytes is in bytes.
+ */
+function migrateRunMemoryToMB(saved) {
+    if (!isObject(saved)) return saved;
+    const ONE_MB_IN_BYTES = 1024 * 1024;
+    const migrated = {};
+    Object.entries(saved).forEach(([method, runs]) => {
+        migrated[method] = Array.isArray(runs) ? runs.map(run => (
+            isObject(run) && typeof run.memoryUsed === 'number' && run.memoryUsed >= ONE_MB_IN_BYTES
+                ? { ...run, memoryUsed: run.memoryUsed / ONE_MB_IN_BYTES }
+                : run
+        )) : runs;
+    });
+    return migrated;
+}
+
+/**
+ * Persisted entries: how each key is checked on load and upgraded from
+ * older saves (migrations[v] turns version v - 1 data into version v; see
+ * persistence.js). Version 0 is the unversioned format saved before.
+ */
+const PERSISTED_ENTRIES = {
+    [PERSISTENCE_KEYS.SYSTEM_CONFIG]: {
+        label: 'custom system',
+        validate: validateSystemConfig,
+        migrations: {
+            // Older saves could lack the knob/band counts and the manual range
+            1: config => (isObject(config) ? {
+                ...config,
+                visibleKnobs: Number.isInteger(config.visibleKnobs) && config.visibleKnobs >= 1 ? config.visibleKnobs : 3,
+                visibleBands: Number.isInteger(config.visibleBands) && config.visibleBands >= 1 ? config.visibleBands : 3,
+                valueRange: config.valueRange || null
+            } : config)
+        }
+    },
+    [PERSISTENCE_KEYS.THEME]: {
+        label: 'theme',
+        validate: value => validateValue('display.theme', value)
+    },
+    [PERSISTENCE_KEYS.VISIBILITY]: {
+        label: 'visibility settings',
+        validate: value => validateValue('display.visibility', value)
+    },
+    [PERSISTENCE_KEYS.VOLUME]: {
+        label: 'volume',
+        validate: value => validateValue('audio.volume', value)
+    },
+    [PERSISTENCE_KEYS.STARTUP_CHOICE]: {
+        label: 'startup choice',
+        validate: value => {
+            if (value !== 'default' && value !== 'custom') {
+                throw new Error("Startup choice must be 'default' or 'custom'");
+            }
+        }
+    },
+    [PERSISTENCE_KEYS.WELCOME_SHOWN]: {
+        label: 'welcome flag',
+        validate: validateFlag
+    },
+    [PERSISTENCE_KEYS.CONVERGENCE]: {
+        label: 'convergence criteria',
+        validate: value => validateValue('convergence', value),
+        migrations: {
+            // Older saves could hold only some of the fields
+            1: settings => (isObject(settings) ? { ...DEFAULT_CONVERGENCE, ...settings } : settings)
+        }
+    },
+    [PERSISTENCE_KEYS.TAB_SYNC]: {
+        label: 'tab sync setting',
+        validate: validateFlag
+    },
+    [PERSISTENCE_KEYS.EXACT]: {
+        label: 'exact arithmetic settings',
+        validate: value => validateValue('exact', value)
+    },
+    [PERSISTENCE_KEYS.PERFORMANCE]: {
+        label: 'performance history',
+        validate: validatePerformanceRuns,
+        migrations: {
+            // Memory used was recorded in bytes before it was measured in MB
+            1: migrateRunMemoryToMB
+        }
+    }
 };
 
+// Entries set aside while loading, reported once by the app
+const persistenceIssues = [];
+
 /**
  * Create Zustand store with subscription support
  */
@@ -272,6 +542,93 @@ function pathMatches(path, pattern) {
     return false;
 }
 
+/**
+ * Undo/redo history
+ *
+ * Only changes to tracked paths are recorded. Each entry is one undo step:
+ * { label, mergeKey, changes: [{ path, oldValue, newValue }] }. A batch()
+ * or a transaction records a single entry however many paths it touches.
+ * Kept outside the Zustand state so set() doesn't clone it on every update.
+ */
+const DEFAULT_HISTORY_PATHS = ['system.*', 'display.*'];
+const DEFAULT_HISTORY_LIMIT = 100;
+
+const history = {
+    paths: [...DEFAULT_HISTORY_PATHS],
+    limit: DEFAULT_HISTORY_LIMIT,
+    undoStack: [],
+    redoStack: [],
+    transaction: null, // { label, mergeKey, depth, changes } while a transaction is open
+    listeners: new Set()
+};
+
+/**
+ * Check if changes to a path are recorded in the history
+ */
+function isTracked(path) {
+    return history.paths.some(pattern => pathMatches(path, pattern));
+}
+
+/**
+ * Append a change to a list, folding it into the previous change to the same path
+ */
+function appendChange(changes, change) {
+    const last = changes[changes.length - 1];
+    if (last && last.path === change.path) {
+        last.newValue = change.newValue;
+    } else {
+        changes.push(change);
+    }
+}
+
+/**
+ * Notify history listeners of the current undo/redo state
+ */
+function notifyHistoryListeners() {
+    const info = store.getHistory();
+    history.listeners.forEach(callback => {
+        try {
+            callback(info);
+        } catch (error) {
+            console.error('Error in history listener:', error);
+        }
+    });
+}
+
+/**
+ * Push a finished entry onto the undo stack
+ * Consecutive entries with the same mergeKey collapse into one step
+ */
+function commitHistoryEntry(entry) {
+    const changes = entry.changes.filter(change => !isEqual(change.oldValue, change.newValue));
+    if (changes.length === 0) return;
+
+    const top = history.undoStack[history.undoStack.length - 1];
+    if (entry.mergeKey && top && top.mergeKey === entry.mergeKey) {
+        changes.forEach(change => appendChange(top.changes, change));
+    } else {
+        history.undoStack.push({ label: entry.label, mergeKey: entry.mergeKey, changes });
+        if (history.undoStack.length > history.limit) {
+            history.undoStack.splice(0, history.undoStack.length - history.limit);
+        }
+    }
+    history.redoStack.length = 0;
+    notifyHistoryListeners();
+}
+
+/**
+ * Record a change to a path (into the open transaction, or as its own entry)
+ */
+function recordChange(path, oldValue, newValue, { label = null, mergeKey = null } = {}) {
+    if (!isTracked(path)) return;
+    const change = { path, oldValue: deepClone(oldValue), newValue: deepClone(newValue) };
+    if (history.transaction) {
+        appendChange(history.transaction.changes, change);
+    } else {
+        commitHistoryEntry({ label: label || path, mergeKey, changes: [change] });
+    }
+}
+
 /**
  * State Manager API
  * Implements the API described in STATE_MANAGEMENT.md
@@ -296,9 +653,13 @@ const store = {
      * @param {boolean} options.persist - Persist to localStorage
      * @param {string} options.persistKey - localStorage key for persistence
      * @param {boolean} options.silent - Don't notify subscribers
+     * @param {boolean} options.history - Record the change for undo (default: !silent)
+     * @param {string} options.label - Undo step label (default: the path)
+     * @param {string} options.mergeKey - Collapse into the previous undo step if it has the same key
      */
     set(path, value, options = {}) {
         const { validate = false, persist = false, persistKey = null, silent = false } = options;
+        const { history: record = !silent, label = null, mergeKey = null } = options;
         const currentState = useStore.getState();
         const oldValue = getNestedValue(currentState, path);
         
@@ -317,6 +678,10 @@ const store = {
         // Update Zustand store
         useStore.setState(newState);
         
+        if (record) {
+            recordChange(path, oldValue, value, { label, mergeKey });
+        }
+        
         // Notify subscribers
         if (!silent) {
             const updatedState = useStore.getState();
@@ -355,12 +720,16 @@ const store = {
     },
     
     /**
-     * Perform multiple updates in a single batch (only one notification)
+     * Perform multiple updates in a single batch (recorded as one undo step)
      * @param {Object} updates - Object with path:value pairs
      * @param {Object} options - Options for batch update
+     * @param {boolean} options.history - Record the changes for undo (default: true)
+     * @param {string} options.label - Undo step label (default: 'Batch update')
+     * @param {string} options.mergeKey - Collapse into the previous undo step if it has the same key
      */
     batch(updates, options = {}) {
         const { validate = false, persist = false, persistKey = null } = options;
+        const { history: record = true, label = 'Batch update', mergeKey = null } = options;
         const currentState = useStore.getState();
         const newState = deepClone(currentState);
         const changes = [];
@@ -383,6 +752,12 @@ const store = {
         // Update Zustand store
         useStore.setState(newState);
         
+        if (record) {
+            this.beginTransaction(label, { mergeKey });
+            changes.forEach(({ path, newValue, oldValue }) => recordChange(path, oldValue, newValue));
+            this.endTransaction();
+        }
+        
         // Notify subscribers for each change
         const updatedState = useStore.getState();
         changes.forEach(({ path, newValue, oldValue }) => {
@@ -400,45 +775,257 @@ const store = {
         }
     },
     
+    /**
+     * Expose store paths as plain properties of an object
+     * Reading target[key] returns the value at the path and assigning to it
+     * calls set(), so subscribers are notified. Assignments are recorded for
+     * undo only inside a transaction, so frequent updates such as iterations
+     * never reach the history. Assign whole values: changing a returned array
+     * or object in place bypasses the store.
+     * @param {Object} target - Object to define the properties on
+     * @param {Object} bindings - Property name → store path, e.g. { n: 'system.n' }
+     * @returns {Object} The target
+     */
+    bind(target, bindings) {
+        Object.entries(bindings).forEach(([key, path]) => {
+            Object.defineProperty(target, key, {
+                get: () => this.get(path),
+                set: (value) => this.set(path, value, { history: history.transaction !== null }),
+                enumerable: true,
+                configurable: true
+            });
+        });
+        return target;
+    },
+    
+    /**
+     * Choose which paths the undo history records
+     * Clears the history, since recorded steps may no longer match.
+     * @param {Object} options - History options
+     * @param {string[]} options.paths - Tracked path patterns (default: ['system.*', 'display.*'])
+     * @param {number} options.limit - Maximum undo steps kept (default: 100)
+     */
+    configureHistory(options = {}) {
+        const { paths = DEFAULT_HISTORY_PATHS, limit = DEFAULT_HISTORY_LIMIT } = options;
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('History limit must be a positive integer');
+        }
+        history.paths = [...paths];
+        history.limit = limit;
+        this.clearHistory();
+    },
+    
+    /**
+     * Start grouping changes into one undo step (e.g. for a knob drag)
+     * Transactions nest; the step is recorded when the outermost one ends.
+     * @param {string} label - Undo step label
+     * @param {Object} options - Options
+     * @param {string} options.mergeKey - Collapse into the previous undo step if it has the same key
+     */
+    beginTransaction(label = 'Edit', options = {}) {
+        if (history.transaction) {
+            history.transaction.depth++;
+            return;
+        }
+        history.transaction = { label, mergeKey: options.mergeKey || null, depth: 1, changes: [] };
+    },
+    
+    /**
+     * Finish the current transaction
+     */
+    endTransaction() {
+        const transaction = history.transaction;
+        if (!transaction) return;
+        transaction.depth--;
+        if (transaction.depth > 0) return;
+        history.transaction = null;
+        commitHistoryEntry(transaction);
+    },
+    
+    /**
+     * Run a function as one undo step
+     * @param {string} label - Undo step label
+     * @param {Function} fn - Function making the changes
+     * @param {Object} options - Options for beginTransaction
+     * @returns {*} The function's return value
+     */
+    transaction(label, fn, options = {}) {
+        this.beginTransaction(label, options);
+        try {
+            return fn();
+        } finally {
+            this.endTransaction();
+        }
+    },
+    
+    /**
+     * Undo the most recent step
+     * @returns {Object|null} The undone entry { label, changes }, or null if there is none
+     */
+    undo() {
+        if (history.transaction || history.undoStack.length === 0) return null;
+        const entry = history.undoStack.pop();
+        [...entry.changes].reverse().forEach(({ path, oldValue }) => {
+            this.set(path, deepClone(oldValue), { history: false });
+        });
+        history.redoStack.push(entry);
+        notifyHistoryListeners();
+        return entry;
+    },
+    
+    /**
+     * Redo the most recently undone step
+     * @returns {Object|null} The redone entry { label, changes }, or null if there is none
+     */
+    redo() {
+        if (history.transaction || history.redoStack.length === 0) return null;
+        const entry = history.redoStack.pop();
+        entry.changes.forEach(({ path, newValue }) => {
+            this.set(path, deepClone(newValue), { history: false });
+        });
+        history.undoStack.push(entry);
+        notifyHistoryListeners();
+        return entry;
+    },
+    
+    /**
+     * Check if there is a step to undo
+     * @returns {boolean} True if undo() would change state
+     */
+    canUndo() {
+        return history.undoStack.length > 0;
+    },
+    
+    /**
+     * Check if there is a step to redo
+     * @returns {boolean} True if redo() would change state
+     */
+    canRedo() {
+        return history.redoStack.length > 0;
+    },
+    
+    /**
+     * Drop all undo and redo steps (and any open transaction)
+     */
+    clearHistory() {
+        history.undoStack.length = 0;
+        history.redoStack.length = 0;
+        history.transaction = null;
+        notifyHistoryListeners();
+    },
+    
+    /**
+     * Describe the undo/redo stacks
+     * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel, undoCount, redoCount }
+     */
+    getHistory() {
+        const undoTop = history.undoStack[history.undoStack.length - 1];
+        const redoTop = history.redoStack[history.redoStack.length - 1];
+        return {
+            canUndo: Boolean(undoTop),
+            canRedo: Boolean(redoTop),
+            undoLabel: undoTop ? undoTop.label : null,
+            redoLabel: redoTop ? redoTop.label : null,
+            undoCount: history.undoStack.length,
+            redoCount: history.redoStack.length
+        };
+    },
+    
+    /**
+     * Subscribe to undo/redo availability (e.g. to enable toolbar buttons)
+     * @param {Function} callback - Called with getHistory() after every change to the stacks
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeHistory(callback) {
+        history.listeners.add(callback);
+        return () => {
+            history.listeners.delete(callback);
+        };
+    },
+    
+    /**
+     * Check a value against the validator for its path
+     * @param {string} path - Dot notation path
+     * @param {*} value - Value to check
+     * @param {Object} state - State the check depends on, e.g. { system: { n } } (default: current state)
+     * @throws {Error} If the value is invalid
+     */
+    validate(path, value, state = useStore.getState()) {
+        validateValue(path, value, state);
+    },
+    
+    /**
+     * Save a value to localStorage in a versioned entry
+     * @param {string} key - localStorage key
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} True if saved
+     */
+    save(key, value) {
+        return writeEntry(key, value);
+    },
+    
+    /**
+     * Load a value saved with save() or persist(), upgrading older saves.
+     * Entries that fail to parse, migrate or validate are quarantined and
+     * reported through getPersistenceIssues().
+     * @param {string} key - localStorage key
+     * @param {*} defaultValue - Value returned if nothing usable is saved
+     * @returns {*} Saved value or defaultValue
+     */
+    load(key, defaultValue = null) {
+        const entry = PERSISTED_ENTRIES[key] || {};
+        const result = readEntry(key, entry);
+        if (result.status === 'quarantined') {
+            persistenceIssues.push({ key, label: entry.label || key, reason: result.error.message });
+        }
+        return result.value === null ? defaultValue : result.value;
+    },
+    
     /**
      * Persist a state path to localStorage
      * @param {string} key - localStorage key
      * @param {string} path - State path to persist
      */
     persist(key, path) {
-        try {
-            const value = this.get(path);
-            localStorage.setItem(key, JSON.stringify(value));
-        } catch (error) {
-            console.warn(`Could not persist ${path} to localStorage:`, error);
-        }
+        writeEntry(key, this.get(path));
     },
     
     /**
      * Restore state from localStorage
      * @param {string} key - localStorage key
      * @param {string} path - State path to restore to
-     * @param {*} defaultValue - Default value if restoration fails
+     * @param {*} defaultValue - Default value if nothing usable is saved
      */
     restore(key, path, defaultValue = null) {
-        try {
-            const saved = localStorage.getItem(key);
-            if (saved) {
-                const value = JSON.parse(saved);
-                this.set(path, value, { silent: false });
-                return value;
-            } else if (defaultValue !== null) {
-                this.set(path, defaultValue, { silent: false });
-                return defaultValue;
-            }
-        } catch (error) {
-            console.warn(`Could not restore ${path} from localStorage:`, error);
-            if (defaultValue !== null) {
-                this.set(path, defaultValue, { silent: false });
-                return defaultValue;
-            }
+        const value = this.load(key, defaultValue);
+        if (value !== null) {
+            this.set(path, value, { silent: false, history: false });
         }
-        return null;
+        return value;
+    },
+    
+    /**
+     * Saved entries set aside since the page loaded
+     * @returns {Object[]} { key, label, reason } for each quarantined entry
+     */
+    getPersistenceIssues() {
+        return persistenceIssues.map(issue => ({ ...issue }));
+    },
+    
+    /**
+     * Entries in quarantine, including those from earlier visits
+     * @returns {Object[]} { key, raw, reason, at }
+     */
+    getQuarantinedEntries() {
+        return listQuarantined();
+    },
+    
+    /**
+     * Delete quarantined entries and forget reported issues
+     */
+    clearQuarantine() {
+        clearQuarantine();
+        persistenceIssues.length = 0;
     },
     
     /**
@@ -475,6 +1062,12 @@ const store = {
         if (path.startsWith('audio.volume')) {
             return PERSISTENCE_KEYS.VOLUME;
         }
+        if (path.startsWith('convergence')) {
+            return PERSISTENCE_KEYS.CONVERGENCE;
+        }
+        if (path.startsWith('exact')) {
+            return PERSISTENCE_KEYS.EXACT;
+        }
         return null;
     }
 };
@@ -482,7 +1075,7 @@ const store = {
 // Export the store API and persistence keys
 // For ES modules
 export default store;
-export { PERSISTENCE_KEYS, defaultState };
+export { PERSISTENCE_KEYS, defaultState, pathMatches };
 
 // For IIFE bundle (exposed as global)
 if (typeof window !== 'undefined') {
@@ -0,0 +1,262 @@
+/**
+ * Cross-Tab Synchronization
+ *
+ * Mirrors chosen store paths between browser tabs of the app, e.g. a
+ * projected window and the one a teacher controls it from. Changes are
+ * sent through BroadcastChannel, or through localStorage 'storage' events
+ * where BroadcastChannel is missing.
+ *
+ * One tab is the leader and the others are followers. Only the leader
+ * drives autoplay; any tab may edit. The leader sends a heartbeat; when it
+ * goes quiet or closes, the followers elect a new one (the smallest tab id
+ * wins). A tab that opens later receives a snapshot of the synced paths.
+ *
+ * Messages: { type, from, ... } with type one of
+ *   'changes'   { changes: [{ path, value }], to?, snapshot? }
+ *   'hello'     a tab joined; the leader answers with a snapshot
+ *   'heartbeat' the leader is alive
+ *   'leader'    { force } a tab claims leadership (force: the user asked)
+ *   'bye'       a tab is closing
+ */
+
+import { pathMatches } from './stateManager.js';
+
+export const SYNC_CHANNEL = 'jacobi-radio-sync';
+
+/**
+ * Paths mirrored by default: the system, the run and the settings that change what is shown
+ */
+export const DEFAULT_SYNC_PATHS = [
+    'system.n', 'system.A', 'system.b', 'system.x', 'system.initialGuess', 'system.iteration',
+    'iteration.isAutoPlaying', 'iteration.speed', 'iteration.method', 'iteration.omega',
+    'display.visibleKnobs', 'display.visibleBands', 'display.valueRange', 'display.valueRangeAuto',
+    'convergence.*'
+];
+
+export const HEARTBEAT_INTERVAL = 1000;
+export const LEADER_TIMEOUT = 3000;
+
+/**
+ * Transport over BroadcastChannel
+ * @param {string} name - Channel name
+ * @returns {Object|null} { post, onMessage, close }, or null if BroadcastChannel is unavailable
+ */
+export function createBroadcastTransport(name) {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    const channel = new BroadcastChannel(name);
+    return {
+        post(message) {
+            channel.postMessage(message);
+        },
+        onMessage(handler) {
+            channel.onmessage = (event) => handler(event.data);
+        },
+        close() {
+            channel.close();
+        }
+    };
+}
+
+/**
+ * Transport over localStorage 'storage' events (fired in every other tab of the origin)
+ * @param {string} key - localStorage key used as the mailbox
+ * @returns {Object|null} { post, onMessage, close }, or null if localStorage is unavailable
+ */
+export function createStorageTransport(key) {
+    if (typeof window === 'undefined' || typeof localStorage === 'undefined') return null;
+    let listener = null;
+    return {
+        post(message) {
+            try {
+                // The nonce makes repeated messages distinct, so each one fires an event
+                localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+            } catch (error) {
+                console.warn('Could not send tab sync message:', error);
+            }
+        },
+        onMessage(handler) {
+            listener = (event) => {
+                if (event.key !== key || !event.newValue) return;
+                try {
+                    handler(JSON.parse(event.newValue).message);
+                } catch (error) {
+                    console.warn('Ignoring malformed tab sync message:', error);
+                }
+            };
+            window.addEventListener('storage', listener);
+        },
+        close() {
+            if (listener) window.removeEventListener('storage', listener);
+        }
+    };
+}
+
+/**
+ * Best available transport
+ * @param {string} name - Channel name
+ * @returns {Object|null} Transport, or null if tabs can't talk to each other
+ */
+export function createTransport(name = SYNC_CHANNEL) {
+    return createBroadcastTransport(name) || createStorageTransport(name);
+}
+
+/**
+ * Start mirroring store paths with other tabs
+ * @param {Object} store - State manager store
+ * @param {Object} options - Options
+ * @param {string[]} options.paths - Path patterns to mirror (default: DEFAULT_SYNC_PATHS)
+ * @param {Object} options.transport - { post, onMessage, close } (default: createTransport())
+ * @param {Function} options.onRemoteChange - Called with (paths, { snapshot }) after remote changes are applied
+ * @param {Function} options.onRoleChange - Called with 'leader' or 'follower'
+ * @param {number} options.heartbeatInterval - ms between leader heartbeats (default: 1000)
+ * @param {number} options.leaderTimeout - ms of silence before followers elect a leader (default: 3000)
+ * @returns {Object} { id, getRole, isLeader, claimLeadership, stop }
+ * @throws {Error} If no transport is available
+ */
+export function createTabSync(store, options = {}) {
+    const {
+        paths = DEFAULT_SYNC_PATHS,
+        transport = createTransport(),
+        onRemoteChange = () => {},
+        onRoleChange = () => {},
+        heartbeatInterval = HEARTBEAT_INTERVAL,
+        leaderTimeout = LEADER_TIMEOUT
+    } = options;
+    if (!transport) {
+        throw new Error('This browser cannot share state between tabs');
+    }
+
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    let role = 'follower';
+    let leaderId = null;
+    let lastHeartbeat = Date.now();
+    let applyingRemote = false;
+    let pending = new Map();
+    let stopped = false;
+
+    const isSynced = path => paths.some(pattern => pathMatches(path, pattern));
+    const send = message => transport.post({ ...message, from: id });
+
+    function setRole(newRole) {
+        if (role === newRole) return;
+        role = newRole;
+        onRoleChange(role);
+    }
+
+    function becomeLeader(force) {
+        leaderId = id;
+        setRole('leader');
+        send({ type: 'leader', force });
+    }
+
+    // Values of every synced path, for a tab that just joined
+    function snapshot() {
+        return paths.map(pattern => {
+            const path = pattern.endsWith('.*') ? pattern.slice(0, -2) : pattern;
+            return { path, value: store.get(path) };
+        });
+    }
+
+    function applyChanges(changes, isSnapshot) {
+        const updates = {};
+        changes.forEach(({ path, value }) => {
+            if (isSynced(path)) updates[path] = value;
+        });
+        const changed = Object.keys(updates);
+        if (changed.length === 0) return;
+        applyingRemote = true;
+        try {
+            store.batch(updates, { history: false });
+        } finally {
+            applyingRemote = false;
+        }
+        onRemoteChange(changed, { snapshot: isSnapshot });
+    }
+
+    // Changes made in one go (e.g. n, A, b and x on Apply) travel in one message
+    function flush() {
+        if (stopped || pending.size === 0) return;
+        const changes = [...pending].map(([path, value]) => ({ path, value }));
+        pending = new Map();
+        send({ type: 'changes', changes });
+    }
+
+    const unsubscribe = store.subscribe('*', (newValue, oldValue, path) => {
+        if (applyingRemote || stopped || !isSynced(path)) return;
+        if (pending.size === 0) queueMicrotask(flush);
+        pending.set(path, newValue);
+    });
+
+    function handleMessage(message) {
+        if (stopped || !message || message.from === id) return;
+        switch (message.type) {
+            case 'changes':
+                if (message.to && message.to !== id) return;
+                applyChanges(message.changes || [], Boolean(message.snapshot));
+                break;
+            case 'hello':
+                if (role === 'leader') {
+                    send({ type: 'changes', to: message.from, changes: snapshot(), snapshot: true });
+                    send({ type: 'heartbeat' });
+                }
+                break;
+            case 'heartbeat':
+            case 'leader':
+                // Two leaders after an election: the smaller id keeps the role
+                if (role === 'leader' && !message.force && message.from > id) {
+                    send({ type: 'leader', force: false });
+                    return;
+                }
+                leaderId = message.from;
+                lastHeartbeat = Date.now();
+                setRole('follower');
+                break;
+            case 'bye':
+                if (message.from === leaderId) {
+                    becomeLeader(false);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    transport.onMessage(handleMessage);
+    send({ type: 'hello' });
+
+    const timer = setInterval(() => {
+        if (role === 'leader') {
+            send({ type: 'heartbeat' });
+        } else if (Date.now() - lastHeartbeat > leaderTimeout) {
+            becomeLeader(false);
+        }
+    }, heartbeatInterval);
+
+    return {
+        id,
+        getRole() {
+            return role;
+        },
+        isLeader() {
+            return role === 'leader';
+        },
+        /**
+         * Make this tab the leader (e.g. it just pressed Play)
+         */
+        claimLeadership() {
+            if (role !== 'leader') becomeLeader(true);
+        },
+        /**
+         * Stop mirroring and tell the other tabs this one is gone
+         */
+        stop() {
+            if (stopped) return;
+            flush();
+            send({ type: 'bye' });
+            stopped = true;
+            clearInterval(timer);
+            unsubscribe();
+            transport.close();
+        }
+    };
+}
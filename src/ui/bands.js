@@ -1,10 +1,24 @@
 /**
  * Band Rendering and Visual Updates
  * 
- * Functions for rendering equalizer bands and updating their visual state
+ * Functions for rendering equalizer bands and updating their visual state.
+ * attachBands() keeps them in step with the store (the system and its iterate).
  */
 
 import { equationToLaTeX, renderLaTeXWithKaTeX } from '../utils/formatting.js';
+import { calculateErrors } from '../core/math.js';
+
+// Frequencies for display (cycled for systems with more bands)
+const BAND_FREQUENCIES = ['60', '170', '310', '600', '1k', '3k', '6k', '12k', '14k', '16k'];
+
+/**
+ * Get the display frequency for a band
+ * @param {number} index - Band index (0-based)
+ * @returns {string} Frequency label without unit (e.g. '60', '1k')
+ */
+export function getBandFrequency(index) {
+    return BAND_FREQUENCIES[index % BAND_FREQUENCIES.length];
+}
 
 /**
  * Update band display with error data
@@ -133,12 +147,9 @@ export function renderBands(n, visibleCount, container, A, b) {
     
     const count = Math.min(n, visibleCount);
     
-    // Frequencies for display
-    const frequencies = ['60', '170', '310', '600', '1k', '3k', '6k', '12k', '14k', '16k'];
-    
     for (let i = 0; i < count; i++) {
         const id = i + 1;
-        const freq = frequencies[i % frequencies.length];
+        const freq = getBandFrequency(i);
         
         // Construct equation string for tooltip
         let equationParts = [];
@@ -227,3 +238,112 @@ export function renderBands(n, visibleCount, container, A, b) {
     return elements;
 }
 
+/**
+ * Format a gain mark label
+ * @param {number} value - Gain value
+ * @returns {string} Label, e.g. '0', '12.0' or '50'
+ */
+function formatGainMark(value) {
+    if (Math.abs(value) < 0.01) return '0';
+    if (Math.abs(value) >= 10) return value.toFixed(0);
+    return value.toFixed(1);
+}
+
+/**
+ * Fit the symmetric gain scale to the band outputs and relabel the gain marks
+ * The range is cached in view (bandRangeMin/Max, lastBandRange) so the marks
+ * are only rewritten when it changes.
+ * @param {Object} errors - Errors object from calculateErrors
+ * @param {Object} view - App state: n, visibleBands and the band range cache
+ * @returns {Object} Range { min, max } used for the gain handles
+ */
+export function fitBandRange(errors, view) {
+    const lhsValues = Object.keys(errors)
+        .filter(key => errors[key] && typeof errors[key].lhs === 'number')
+        .map(key => errors[key].lhs);
+    
+    if (lhsValues.length > 0) {
+        // Symmetric range around 0 with 20% padding (at least 2 units), never below ±12
+        const maxAbs = Math.max(...lhsValues.map(Math.abs));
+        const finalRange = Math.max(12, maxAbs + Math.max(2, maxAbs * 0.2));
+        
+        // Round to nice numbers: even up to 20, tens up to 100, then fifties
+        let roundedRange;
+        if (finalRange <= 20) {
+            roundedRange = Math.ceil(finalRange / 2) * 2;
+        } else if (finalRange <= 100) {
+            roundedRange = Math.ceil(finalRange / 10) * 10;
+        } else {
+            roundedRange = Math.ceil(finalRange / 50) * 50;
+        }
+        
+        const newRange = { min: -roundedRange, max: roundedRange };
+        view.bandRangeMin = newRange.min;
+        view.bandRangeMax = newRange.max;
+        
+        // Only touch the DOM when the range actually changed
+        const last = view.lastBandRange;
+        if (!last || last.min !== newRange.min || last.max !== newRange.max) {
+            view.bandRangeCenter = 0;
+            view.lastBandRange = newRange;
+            
+            const count = Math.min(view.n, view.visibleBands);
+            for (let i = 0; i < count; i++) {
+                const marks = document.querySelectorAll(`#band${i + 1} .gain-scale .gain-mark`);
+                if (marks.length >= 3) {
+                    marks[0].textContent = `+${formatGainMark(roundedRange)}`;
+                    marks[1].textContent = '0';
+                    marks[2].textContent = `-${formatGainMark(roundedRange)}`;
+                }
+            }
+        }
+    }
+    
+    return { min: view.bandRangeMin, max: view.bandRangeMax };
+}
+
+/**
+ * Update every visible band and the hidden-band summary for the current iterate
+ * Skipped while a system is half-written, e.g. after n changed but before A
+ * and b did; the last write redraws.
+ * @param {Object} elements - Elements object with band references
+ * @param {Object} view - App state: n, A, b, x, visibleBands and the band range cache
+ */
+export function renderBandValues(elements, view) {
+    const { n, A, b, x, visibleBands } = view;
+    if (!x || x.length !== n || A.length !== n || b.length !== n) return;
+    
+    const errors = calculateErrors(x, A, b);
+    const range = fitBandRange(errors, view);
+    
+    const count = Math.min(n, visibleBands);
+    for (let i = 0; i < count; i++) {
+        updateBandDisplay(i + 1, errors[`eq${i + 1}`], elements, range);
+    }
+    
+    // Update HK tooltip for bands
+    const hkIndicatorBand = document.querySelector('.hk-indicator-band');
+    if (hkIndicatorBand && n > visibleBands) {
+        let hiddenSummary = `Hidden Bands (${n - visibleBands}):\n`;
+        for (let i = visibleBands; i < n; i++) {
+            const err = errors[`eq${i + 1}`];
+            if (err) {
+                hiddenSummary += `Band ${i + 1}: Dev ±${Math.abs(err.error).toFixed(2)}\n`;
+            }
+        }
+        hkIndicatorBand.setAttribute('data-tooltip', hiddenSummary);
+    }
+}
+
+/**
+ * Redraw the bands whenever the system or its iterate changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} elements - Elements object with band references (looked up on every change)
+ * @param {Object} view - App state (see renderBandValues)
+ * @returns {Function} Unsubscribe function
+ */
+export function attachBands(store, elements, view) {
+    const render = () => renderBandValues(elements, view);
+    const unsubscribers = ['system.x', 'system.A', 'system.b'].map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,303 @@
+/**
+ * Convergence Chart Module
+ *
+ * Plots residuals from calculateErrors() on a logarithmic y-axis for every
+ * iteration. The latest run of each method is kept, so switching methods
+ * overlays the runs on the same axes for the same system.
+ * Rendered as a self-contained SVG so it can be exported as SVG or PNG.
+ */
+
+import { getMethodLabel } from '../core/methods.js';
+import { downloadBlob } from '../utils/export.js';
+
+// Chart geometry (SVG user units)
+const WIDTH = 420;
+const HEIGHT = 240;
+const MARGIN = { top: 16, right: 14, bottom: 34, left: 50 };
+
+// Residuals are clamped to this floor so exact zeros can be drawn on a log axis
+const MIN_RESIDUAL = 1e-16;
+
+// Upper bound on plotted points per line; longer runs are thinned evenly
+const MAX_PLOT_POINTS = 400;
+
+export const METHOD_COLORS = {
+    jacobi: '#ffc107',
+    gaussSeidel: '#4a90e2',
+    sor: '#e57373',
+    cg: '#81c784'
+};
+
+const PALETTE = {
+    background: '#1a1a1a',
+    grid: 'rgba(245, 245, 220, 0.12)',
+    text: '#f5f5dc',
+    threshold: '#4caf50'
+};
+
+/**
+ * Create empty chart data
+ * @returns {Object} Chart data: { runs: { [method]: Array<{iteration, maxResidual, residuals}> } }
+ */
+export function createChartData() {
+    return { runs: {} };
+}
+
+/**
+ * Remove all recorded runs (e.g. when the system changes)
+ * @param {Object} chartData - Chart data
+ */
+export function clearChartData(chartData) {
+    if (!chartData) return;
+    chartData.runs = {};
+}
+
+/**
+ * Convert calculateErrors() output to a chart point
+ * @param {number} iteration - Iteration number
+ * @param {Object} errors - Errors keyed eq1..eqN
+ * @returns {Object} { iteration, maxResidual, residuals }
+ */
+function toChartPoint(iteration, errors) {
+    const residuals = Object.keys(errors)
+        .sort((a, b) => parseInt(a.slice(2)) - parseInt(b.slice(2)))
+        .map(key => Math.abs(errors[key].error));
+    const maxResidual = residuals.length > 0 ? Math.max(...residuals) : 0;
+    return { iteration, maxResidual, residuals };
+}
+
+/**
+ * Start a new run for a method, replacing that method's previous run
+ * @param {Object} chartData - Chart data
+ * @param {string} method - Method key
+ * @param {Object} initialErrors - calculateErrors() output for the starting point
+ */
+export function startChartRun(chartData, method, initialErrors) {
+    if (!chartData || !initialErrors) return;
+    chartData.runs[method] = [toChartPoint(0, initialErrors)];
+}
+
+/**
+ * Record one iteration for a method
+ * @param {Object} chartData - Chart data
+ * @param {string} method - Method key
+ * @param {number} iteration - Iteration number
+ * @param {Object} errors - calculateErrors() output after the iteration
+ */
+export function recordChartPoint(chartData, method, iteration, errors) {
+    if (!chartData || !errors) return;
+    if (!chartData.runs[method]) {
+        chartData.runs[method] = [];
+    }
+    chartData.runs[method].push(toChartPoint(iteration, errors));
+}
+
+/**
+ * Drop a method's points after an iteration (resuming from an earlier iterate)
+ * @param {Object} chartData - Chart data
+ * @param {string} method - Method key
+ * @param {number} iteration - Last iteration to keep
+ */
+export function truncateChartRun(chartData, method, iteration) {
+    if (!chartData || !chartData.runs[method]) return;
+    chartData.runs[method] = chartData.runs[method].filter(point => point.iteration <= iteration);
+}
+
+/**
+ * Thin a list of points to at most MAX_PLOT_POINTS, always keeping the last one
+ * @param {Array} points - Points
+ * @returns {Array} Thinned points
+ */
+function thinPoints(points) {
+    if (points.length <= MAX_PLOT_POINTS) return points;
+    const step = Math.ceil(points.length / MAX_PLOT_POINTS);
+    const thinned = points.filter((_, i) => i % step === 0);
+    if (thinned[thinned.length - 1] !== points[points.length - 1]) {
+        thinned.push(points[points.length - 1]);
+    }
+    return thinned;
+}
+
+/**
+ * Format a power of ten axis label
+ * @param {number} exponent - Base-10 exponent
+ * @returns {string} Label like "1e-4"
+ */
+function formatDecade(exponent) {
+    return exponent === 0 ? '1' : `1e${exponent}`;
+}
+
+/**
+ * Build the chart as an SVG string
+ * @param {Object} chartData - Chart data
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Convergence threshold drawn as a horizontal line
+ * @param {string} options.activeMethod - Method whose per-equation residuals are drawn
+ * @param {boolean} options.showPerEquation - Draw per-equation residuals (default: true)
+ * @returns {string} SVG markup
+ */
+export function buildChartSVG(chartData, options = {}) {
+    const { threshold = 0.0001, activeMethod = null, showPerEquation = true } = options;
+    const runs = (chartData && chartData.runs) || {};
+    const methods = Object.keys(runs).filter(method => runs[method].length > 0);
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+    // Axis ranges
+    let maxIteration = 1;
+    let minValue = threshold;
+    let maxValue = Math.max(threshold, 1);
+    methods.forEach(method => {
+        runs[method].forEach(point => {
+            maxIteration = Math.max(maxIteration, point.iteration);
+            const values = showPerEquation && method === activeMethod
+                ? [point.maxResidual, ...point.residuals]
+                : [point.maxResidual];
+            values.forEach(value => {
+                const clamped = Math.max(MIN_RESIDUAL, value);
+                if (isFinite(clamped)) {
+                    minValue = Math.min(minValue, clamped);
+                    maxValue = Math.max(maxValue, clamped);
+                }
+            });
+        });
+    });
+
+    const minExp = Math.floor(Math.log10(minValue)) - (minValue === threshold ? 1 : 0);
+    const maxExp = Math.max(Math.ceil(Math.log10(maxValue)), minExp + 1);
+
+    const xScale = (iteration) => MARGIN.left + (iteration / maxIteration) * plotWidth;
+    const yScale = (value) => {
+        const logValue = Math.log10(Math.max(MIN_RESIDUAL, value));
+        const clamped = Math.min(maxExp, Math.max(minExp, logValue));
+        return MARGIN.top + ((maxExp - clamped) / (maxExp - minExp)) * plotHeight;
+    };
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}" font-family="Courier New, monospace" font-size="10">`);
+    parts.push(`<rect x="0" y="0" width="${WIDTH}" height="${HEIGHT}" fill="${PALETTE.background}"/>`);
+
+    // Horizontal grid lines at each decade (label every other decade when crowded)
+    const decadeStep = maxExp - minExp > 10 ? 2 : 1;
+    for (let exp = minExp; exp <= maxExp; exp++) {
+        const y = yScale(Math.pow(10, exp)).toFixed(1);
+        parts.push(`<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH - MARGIN.right}" y2="${y}" stroke="${PALETTE.grid}"/>`);
+        if ((exp - minExp) % decadeStep === 0) {
+            parts.push(`<text x="${MARGIN.left - 4}" y="${y}" fill="${PALETTE.text}" text-anchor="end" dominant-baseline="middle">${formatDecade(exp)}</text>`);
+        }
+    }
+
+    // X axis ticks
+    const tickCount = Math.min(5, maxIteration);
+    for (let t = 0; t <= tickCount; t++) {
+        const iteration = Math.round((t / tickCount) * maxIteration);
+        const x = xScale(iteration).toFixed(1);
+        parts.push(`<text x="${x}" y="${HEIGHT - MARGIN.bottom + 14}" fill="${PALETTE.text}" text-anchor="middle">${iteration}</text>`);
+    }
+    parts.push(`<text x="${MARGIN.left + plotWidth / 2}" y="${HEIGHT - 4}" fill="${PALETTE.text}" text-anchor="middle">Iteration</text>`);
+    parts.push(`<text x="12" y="${MARGIN.top + plotHeight / 2}" fill="${PALETTE.text}" text-anchor="middle" transform="rotate(-90 12 ${MARGIN.top + plotHeight / 2})">Residual</text>`);
+
+    // Plot frame
+    parts.push(`<rect x="${MARGIN.left}" y="${MARGIN.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="${PALETTE.grid}"/>`);
+
+    // Convergence threshold
+    const thresholdY = yScale(threshold).toFixed(1);
+    parts.push(`<line class="chart-threshold" x1="${MARGIN.left}" y1="${thresholdY}" x2="${WIDTH - MARGIN.right}" y2="${thresholdY}" stroke="${PALETTE.threshold}" stroke-dasharray="6 4"/>`);
+    parts.push(`<text x="${WIDTH - MARGIN.right - 2}" y="${(parseFloat(thresholdY) - 4).toFixed(1)}" fill="${PALETTE.threshold}" text-anchor="end">tol ${threshold.toExponential(0)}</text>`);
+
+    const toPolyline = (points, accessor) => points
+        .map(point => `${xScale(point.iteration).toFixed(1)},${yScale(accessor(point)).toFixed(1)}`)
+        .join(' ');
+
+    // Per-equation residuals for the active method (thin, translucent)
+    if (showPerEquation && activeMethod && runs[activeMethod] && runs[activeMethod].length > 0) {
+        const points = thinPoints(runs[activeMethod]);
+        const equationCount = points[0].residuals.length;
+        for (let i = 0; i < equationCount; i++) {
+            parts.push(`<polyline class="chart-equation-line" points="${toPolyline(points, point => point.residuals[i])}" fill="none" stroke="${METHOD_COLORS[activeMethod] || PALETTE.text}" stroke-opacity="0.35" stroke-width="1"/>`);
+        }
+    }
+
+    // Max residual per method
+    methods.forEach(method => {
+        const points = thinPoints(runs[method]);
+        const color = METHOD_COLORS[method] || PALETTE.text;
+        parts.push(`<polyline class="chart-max-line" data-method="${method}" points="${toPolyline(points, point => point.maxResidual)}" fill="none" stroke="${color}" stroke-width="${method === activeMethod ? 2.5 : 1.5}"/>`);
+    });
+
+    // Legend
+    methods.forEach((method, index) => {
+        const lastPoint = runs[method][runs[method].length - 1];
+        const y = MARGIN.top + 10 + index * 13;
+        const x = MARGIN.left + 8;
+        parts.push(`<line x1="${x}" y1="${y}" x2="${x + 14}" y2="${y}" stroke="${METHOD_COLORS[method] || PALETTE.text}" stroke-width="2.5"/>`);
+        parts.push(`<text x="${x + 18}" y="${y}" fill="${PALETTE.text}" dominant-baseline="middle">${getMethodLabel(method)} (${lastPoint.iteration} iters)</text>`);
+    });
+
+    if (methods.length === 0) {
+        parts.push(`<text x="${MARGIN.left + plotWidth / 2}" y="${MARGIN.top + plotHeight / 2}" fill="${PALETTE.text}" fill-opacity="0.6" text-anchor="middle">Step or play to plot residuals</text>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+/**
+ * Render chart into a container
+ * @param {HTMLElement} container - Container element
+ * @param {Object} chartData - Chart data
+ * @param {Object} options - Options passed to buildChartSVG
+ */
+export function renderConvergenceChart(container, chartData, options = {}) {
+    if (!container) return;
+    container.innerHTML = buildChartSVG(chartData, options);
+}
+
+/**
+ * Download chart as an SVG file
+ * @param {string} svg - SVG markup from buildChartSVG
+ * @param {string} filename - Filename for download
+ */
+export function exportChartSVG(svg, filename) {
+    const blob = new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Download chart as a PNG file (rasterized through a canvas)
+ * @param {string} svg - SVG markup from buildChartSVG
+ * @param {string} filename - Filename for download
+ * @param {number} scale - Pixel scale factor (default: 2 for sharp output)
+ * @returns {Promise<void>} Resolves once the download has been triggered
+ */
+export function exportChartPNG(svg, filename, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = WIDTH * scale;
+            canvas.height = HEIGHT * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, WIDTH, HEIGHT);
+            URL.revokeObjectURL(url);
+
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not rasterize chart'));
+                    return;
+                }
+                downloadBlob(blob, filename);
+                resolve();
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load chart image'));
+        };
+        image.src = url;
+    });
+}
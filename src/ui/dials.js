@@ -1,9 +1,12 @@
 /**
  * Dial Controls and Indicators
  * 
- * Functions for updating tuning dial and power indicator
+ * Functions for updating tuning dial and power indicator.
+ * attachTuningDial() keeps the radio's tuning dial in step with the store.
  */
 
+import { DEFAULT_CONVERGENCE, normalizeMeasure } from '../core/convergence.js';
+
 /**
  * Update tuning dial pointer position
  * @param {HTMLElement} dialElement - Tuning dial element
@@ -39,3 +42,43 @@ export function updatePowerIndicator(powerIndicator, isOn) {
     }
 }
 
+/**
+ * Point the radio's tuning dial at a signal level
+ * @param {HTMLElement} pointer - Dial pointer element
+ * @param {number} level - Scaled error: 1 or more is Static (bottom), 0.0001 or less is Clear (top)
+ */
+export function setDialPointer(pointer, level) {
+    if (!pointer) return;
+    
+    let angle;
+    if (level >= 1.0) {
+        angle = -90;
+    } else if (level <= 0.0001) {
+        angle = 90;
+    } else {
+        // Linear interpolation between -90 (bottom/Static) and 90 (top/Clear)
+        angle = -90 + ((1.0 - level) / (1.0 - 0.0001)) * 180;
+    }
+    
+    pointer.style.transform = `translate(-50%, -100%) rotate(${angle}deg)`;
+}
+
+/**
+ * Turn the tuning dial whenever the system, its iterate or the stopping rule changes in the store
+ * @param {Object} store - State manager
+ * @param {Function} getPointer - Returns the dial pointer element
+ * @param {Function} getMeasure - Returns the convergence measure of the current iterate (null to skip)
+ * @returns {Function} Unsubscribe function
+ */
+export function attachTuningDial(store, getPointer, getMeasure) {
+    const render = () => {
+        const measure = getMeasure();
+        if (measure === null) return;
+        const { tolerance } = store.get('convergence') || DEFAULT_CONVERGENCE;
+        // The dial is tuned for the default tolerance
+        setDialPointer(getPointer(), normalizeMeasure(measure, tolerance));
+    };
+    const unsubscribers = ['system.x', 'system.A', 'system.b', 'system.iteration', 'convergence.*']
+        .map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,407 @@
+/**
+ * Visual Equation Builder Module
+ *
+ * Builds each equation of the config dialog from chips: drag a variable
+ * token from the palette onto an equation to add a term, drag term chips
+ * to reorder them or move them to another equation, and drop a chip back
+ * on the palette to remove it. Each term chip holds an editable coefficient.
+ *
+ * The model keeps the terms of each equation in the order the user placed
+ * them, with at most one term per variable:
+ *
+ *   { n, equations: [{ terms: [{ variable, coeff }], constant }] }
+ *
+ * Model functions mutate the model in place; builderToSystem() turns it
+ * into A and b.
+ */
+
+/**
+ * Create a builder model from a system (terms in column order, zeros left out)
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @returns {Object} Builder model
+ */
+export function createBuilderModel(A, b) {
+    return {
+        n: A.length,
+        equations: A.map((row, i) => ({
+            terms: row
+                .map((coeff, variable) => ({ variable, coeff }))
+                .filter(term => term.coeff !== 0),
+            constant: b[i] !== undefined ? b[i] : 0
+        }))
+    };
+}
+
+/**
+ * Convert a builder model to A and b
+ * @param {Object} model - Builder model
+ * @returns {Object} { n, A, b }
+ */
+export function builderToSystem(model) {
+    const A = model.equations.map(equation => {
+        const row = new Array(model.n).fill(0);
+        equation.terms.forEach(({ variable, coeff }) => {
+            row[variable] += coeff;
+        });
+        return row;
+    });
+    return { n: model.n, A, b: model.equations.map(equation => equation.constant) };
+}
+
+/**
+ * Variable indices of an equation in the order its terms are written
+ * @param {Object} equation - Model equation
+ * @returns {number[]} Variable indices
+ */
+export function getTermOrder(equation) {
+    return equation.terms.map(term => term.variable);
+}
+
+/**
+ * Add a term for a variable; a variable already in the equation keeps its
+ * term (and position) and gets the coefficient added
+ * @param {Object} model - Builder model
+ * @param {number} row - Equation index
+ * @param {number} variable - Variable index
+ * @param {number} coeff - Coefficient (default: 1)
+ * @param {number} index - Position for a new term (default: end)
+ * @returns {number} Index of the term holding the variable
+ */
+export function addTerm(model, row, variable, coeff = 1, index = null) {
+    const { terms } = model.equations[row];
+    const existing = terms.findIndex(term => term.variable === variable);
+    if (existing !== -1) {
+        terms[existing].coeff += coeff;
+        return existing;
+    }
+    const position = index === null ? terms.length : Math.max(0, Math.min(index, terms.length));
+    terms.splice(position, 0, { variable, coeff });
+    return position;
+}
+
+/**
+ * Remove a term
+ * @param {Object} model - Builder model
+ * @param {number} row - Equation index
+ * @param {number} index - Term index
+ * @returns {Object|null} Removed term
+ */
+export function removeTerm(model, row, index) {
+    const [removed] = model.equations[row].terms.splice(index, 1);
+    return removed || null;
+}
+
+/**
+ * Move a term within an equation or to another one
+ *
+ * Moving to another equation that already has the variable adds the
+ * coefficients together.
+ *
+ * @param {Object} model - Builder model
+ * @param {number} fromRow - Source equation
+ * @param {number} fromIndex - Source term index
+ * @param {number} toRow - Target equation
+ * @param {number} toIndex - Position in the target before the move (terms.length for the end)
+ * @returns {number} Index of the term in the target equation
+ */
+export function moveTerm(model, fromRow, fromIndex, toRow, toIndex) {
+    const term = removeTerm(model, fromRow, fromIndex);
+    if (!term) return -1;
+    // Removing the term shifts later positions in the same equation
+    const index = fromRow === toRow && toIndex > fromIndex ? toIndex - 1 : toIndex;
+    return addTerm(model, toRow, term.variable, term.coeff, index);
+}
+
+/**
+ * Set the coefficient of a term
+ * @param {Object} model - Builder model
+ * @param {number} row - Equation index
+ * @param {number} index - Term index
+ * @param {number} coeff - Coefficient
+ */
+export function setTermCoefficient(model, row, index, coeff) {
+    model.equations[row].terms[index].coeff = coeff;
+}
+
+/**
+ * Set the right-hand side of an equation
+ * @param {Object} model - Builder model
+ * @param {number} row - Equation index
+ * @param {number} constant - Constant
+ */
+export function setConstant(model, row, constant) {
+    model.equations[row].constant = constant;
+}
+
+/**
+ * Read a number input, treating blank or invalid input as 0
+ * @param {HTMLInputElement} input - Input
+ * @returns {number} Value
+ */
+function readNumber(input) {
+    const value = parseFloat(input.value);
+    return isFinite(value) ? value : 0;
+}
+
+/**
+ * Create a variable label x₁ with the index as a subscript
+ * @param {number} variable - Variable index
+ * @returns {HTMLElement} Label
+ */
+function variableLabel(variable) {
+    const label = document.createElement('span');
+    label.className = 'builder-variable';
+    label.append('x');
+    const sub = document.createElement('sub');
+    sub.textContent = variable + 1;
+    label.appendChild(sub);
+    return label;
+}
+
+/**
+ * Render the builder and wire its interactions
+ *
+ * Structural changes (adding, moving, removing terms) redraw the builder;
+ * typing a coefficient or constant only updates the model, so the input
+ * keeps focus. onChange is called after every change.
+ *
+ * Keyboard: Alt+←/→ on a focused chip moves it, Delete removes it, and
+ * each equation has an "add term" menu as an alternative to dragging.
+ *
+ * @param {HTMLElement} container - Container element
+ * @param {Object} model - Builder model
+ * @param {Object} options - Options
+ * @param {Function} options.onChange - Called with (model, row) after a change to equation row
+ * @param {Function} options.renderPreview - Called with (element, equation, row) to draw an equation preview
+ */
+export function renderEquationBuilder(container, model, options = {}) {
+    if (!container) return;
+    const { onChange = () => {}, renderPreview = null } = options;
+    let drag = null; // { kind: 'variable', variable } or { kind: 'term', row, index }
+    const previews = [];
+
+    const changed = (row, redraw) => {
+        if (redraw) {
+            render();
+            focusAfterRedraw();
+        } else if (renderPreview && previews[row]) {
+            renderPreview(previews[row], model.equations[row], row);
+        }
+        onChange(model, row);
+    };
+    let pendingFocus = null;
+    const focusAfterRedraw = () => {
+        if (!pendingFocus) return;
+        const chip = container.querySelector(`.builder-chip[data-row="${pendingFocus.row}"][data-index="${pendingFocus.index}"]`);
+        if (chip) chip.focus();
+        pendingFocus = null;
+    };
+
+    function startDrag(event, data) {
+        drag = data;
+        if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', JSON.stringify(data)); // Firefox only drags with data set
+        }
+    }
+
+    function allowDrop(element, accepts) {
+        element.addEventListener('dragover', (event) => {
+            if (!drag || !accepts(drag)) return;
+            event.preventDefault();
+            element.classList.add('builder-drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('builder-drop-target'));
+    }
+
+    // Drop a token or chip into equation row at a position (null: end)
+    function dropInto(row, index) {
+        if (!drag) return;
+        if (drag.kind === 'variable') {
+            pendingFocus = { row, index: addTerm(model, row, drag.variable, 1, index) };
+            drag = null;
+            changed(row, true);
+        } else if (drag.kind === 'term') {
+            const from = drag.row;
+            const target = index === null ? model.equations[row].terms.length : index;
+            pendingFocus = { row, index: moveTerm(model, drag.row, drag.index, row, target) };
+            drag = null;
+            changed(row, true);
+            if (from !== row) onChange(model, from);
+        }
+    }
+
+    function renderPalette() {
+        const palette = document.createElement('div');
+        palette.className = 'builder-palette';
+        palette.title = 'Drag a variable onto an equation to add a term; drop a term here to remove it';
+        for (let variable = 0; variable < model.n; variable++) {
+            const token = document.createElement('span');
+            token.className = 'builder-token';
+            token.draggable = true;
+            token.appendChild(variableLabel(variable));
+            token.addEventListener('dragstart', (event) => startDrag(event, { kind: 'variable', variable }));
+            token.addEventListener('dragend', () => {
+                drag = null;
+            });
+            palette.appendChild(token);
+        }
+        allowDrop(palette, data => data.kind === 'term');
+        palette.addEventListener('drop', (event) => {
+            event.preventDefault();
+            palette.classList.remove('builder-drop-target');
+            if (!drag || drag.kind !== 'term') return;
+            const { row, index } = drag;
+            drag = null;
+            removeTerm(model, row, index);
+            changed(row, true);
+        });
+        return palette;
+    }
+
+    function renderChip(row, index) {
+        const term = model.equations[row].terms[index];
+        const chip = document.createElement('span');
+        chip.className = 'builder-chip';
+        chip.draggable = true;
+        chip.tabIndex = 0;
+        chip.dataset.row = row;
+        chip.dataset.index = index;
+        chip.setAttribute('aria-label', `Term ${index + 1} of equation ${row + 1}: ${term.coeff} times x${term.variable + 1}`);
+
+        const coeff = document.createElement('input');
+        coeff.type = 'number';
+        coeff.step = 'any';
+        coeff.className = 'builder-coeff';
+        coeff.value = term.coeff;
+        coeff.setAttribute('aria-label', `Coefficient of x${term.variable + 1} in equation ${row + 1}`);
+        coeff.addEventListener('input', () => {
+            setTermCoefficient(model, row, index, readNumber(coeff));
+            changed(row, false);
+        });
+        // Dragging from inside the input selects text instead of moving the chip
+        coeff.addEventListener('mousedown', () => {
+            chip.draggable = false;
+        });
+        coeff.addEventListener('blur', () => {
+            chip.draggable = true;
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'builder-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove term';
+        remove.addEventListener('click', () => {
+            removeTerm(model, row, index);
+            changed(row, true);
+        });
+
+        chip.append(coeff, variableLabel(term.variable), remove);
+
+        chip.addEventListener('dragstart', (event) => startDrag(event, { kind: 'term', row, index }));
+        chip.addEventListener('dragend', () => {
+            drag = null;
+        });
+        allowDrop(chip, () => true);
+        chip.addEventListener('drop', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            chip.classList.remove('builder-drop-target');
+            dropInto(row, index);
+        });
+        chip.addEventListener('keydown', (event) => {
+            if (event.target !== chip) return;
+            const terms = model.equations[row].terms;
+            if (event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+                event.preventDefault();
+                const target = event.key === 'ArrowLeft' ? index - 1 : index + 2;
+                if (target < 0 || target > terms.length) return;
+                pendingFocus = { row, index: moveTerm(model, row, index, row, target) };
+                changed(row, true);
+            } else if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                removeTerm(model, row, index);
+                pendingFocus = terms.length > 0 ? { row, index: Math.min(index, terms.length - 1) } : null;
+                changed(row, true);
+            }
+        });
+        return chip;
+    }
+
+    function renderEquation(row) {
+        const equation = model.equations[row];
+        const line = document.createElement('div');
+        line.className = 'builder-equation';
+
+        const label = document.createElement('span');
+        label.className = 'builder-equation-label';
+        label.textContent = `${row + 1}.`;
+
+        const terms = document.createElement('div');
+        terms.className = 'builder-terms';
+        terms.dataset.row = row;
+        equation.terms.forEach((_, index) => terms.appendChild(renderChip(row, index)));
+        if (equation.terms.length === 0) {
+            const hint = document.createElement('span');
+            hint.className = 'builder-empty';
+            hint.textContent = 'Drop variables here';
+            terms.appendChild(hint);
+        }
+        allowDrop(terms, () => true);
+        terms.addEventListener('drop', (event) => {
+            event.preventDefault();
+            terms.classList.remove('builder-drop-target');
+            dropInto(row, null);
+        });
+
+        const add = document.createElement('select');
+        add.className = 'builder-add';
+        add.setAttribute('aria-label', `Add a term to equation ${row + 1}`);
+        const used = getTermOrder(equation);
+        add.innerHTML = '<option value="">+ term</option>' + Array.from({ length: model.n }, (_, variable) => variable)
+            .filter(variable => !used.includes(variable))
+            .map(variable => `<option value="${variable}">x${variable + 1}</option>`)
+            .join('');
+        add.disabled = used.length === model.n;
+        add.addEventListener('change', () => {
+            if (add.value === '') return;
+            pendingFocus = { row, index: addTerm(model, row, parseInt(add.value, 10)) };
+            changed(row, true);
+        });
+
+        const equals = document.createElement('span');
+        equals.className = 'builder-equals';
+        equals.textContent = '=';
+
+        const constant = document.createElement('input');
+        constant.type = 'number';
+        constant.step = 'any';
+        constant.className = 'builder-constant';
+        constant.value = equation.constant;
+        constant.setAttribute('aria-label', `Right-hand side of equation ${row + 1}`);
+        constant.addEventListener('input', () => {
+            setConstant(model, row, readNumber(constant));
+            changed(row, false);
+        });
+
+        const preview = document.createElement('div');
+        preview.className = 'builder-preview';
+        previews[row] = preview;
+        if (renderPreview) renderPreview(preview, equation, row);
+
+        line.append(label, terms, add, equals, constant, preview);
+        return line;
+    }
+
+    function render() {
+        container.innerHTML = '';
+        container.appendChild(renderPalette());
+        for (let row = 0; row < model.equations.length; row++) {
+            container.appendChild(renderEquation(row));
+        }
+    }
+
+    render();
+}
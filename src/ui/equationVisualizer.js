@@ -1,11 +1,19 @@
 /**
  * Equation Visualizer Module
  * 
- * Displays iteration history with original equations and Jacobi update formulas.
- * Shows how equations evolve through iterations with actual numeric substitutions.
+ * Displays iteration history with original equations and update formulas
+ * for the active method (Jacobi, Gauss-Seidel, SOR or Conjugate Gradient).
+ * Shows how equations evolve through iterations with actual numeric substitutions,
+ * as exact fractions for snapshots taken in exact arithmetic mode.
+ * attachEquationVisualizer() redraws it when the recorded run, the method or
+ * ω changes in the store.
  */
 
 import { renderLaTeXWithKaTeX } from '../utils/formatting.js';
+import { getMethodLabel } from '../core/methods.js';
+import { DEFAULT_OMEGA } from '../core/sor.js';
+import { dot, matVec } from '../core/conjugateGradient.js';
+import { ZERO, fromNumber, add, subtract, multiply, divide, isZero, formatRational, rationalToLatex } from '../core/rational.js';
 
 // Maximum number of iterations to keep in history
 const MAX_HISTORY_ITEMS = 50;
@@ -16,8 +24,11 @@ const MAX_HISTORY_ITEMS = 50;
  * @param {number} iteration - Iteration number
  * @param {number[]} x - Current x values (will be deep copied)
  * @param {number[][]} A - Coefficient matrix (will be deep copied)
+ * @param {Object|null} cg - Conjugate Gradient step data { direction, beta } for the next step (optional)
+ * @param {Object[]|null} exact - Exact iterate as fractions (exact arithmetic mode, optional)
+ * @param {number|null} omega - SOR relaxation factor of the step that produced x (optional)
  */
-export function addIterationSnapshot(equationHistory, iteration, x, A) {
+export function addIterationSnapshot(equationHistory, iteration, x, A, cg = null, exact = null, omega = null) {
     if (!Array.isArray(equationHistory)) {
         console.warn('equationHistory must be an array');
         return;
@@ -40,6 +51,15 @@ export function addIterationSnapshot(equationHistory, iteration, x, A) {
         x: xCopy,
         A: ACopy
     };
+    if (cg) {
+        snapshot.cg = { direction: [...cg.direction], beta: cg.beta };
+    }
+    if (exact) {
+        snapshot.exact = [...exact];
+    }
+    if (typeof omega === 'number') {
+        snapshot.omega = omega;
+    }
     
     // Add to history
     equationHistory.push(snapshot);
@@ -64,15 +84,33 @@ export function clearEquationHistory(equationHistory) {
     equationHistory.length = 0;
 }
 
+/**
+ * Drop snapshots after an iteration (resuming from an earlier iterate)
+ * @param {Array} equationHistory - History array to truncate
+ * @param {number} iteration - Last iteration to keep
+ */
+export function truncateEquationHistory(equationHistory, iteration) {
+    if (!Array.isArray(equationHistory)) {
+        console.warn('equationHistory must be an array');
+        return;
+    }
+    
+    const index = equationHistory.findIndex(snapshot => snapshot.iteration > iteration);
+    if (index !== -1) {
+        equationHistory.length = index;
+    }
+}
+
 /**
  * Generate LaTeX strings for original equations with evaluation
  * @param {number[][]} A - Coefficient matrix
  * @param {number[]} b - Constant vector
  * @param {number[]} x - Current x values
  * @param {number} n - System size
+ * @param {Object[]|null} exact - Exact x values as fractions; the evaluation is then exact
  * @returns {string[]} Array of LaTeX strings
  */
-export function generateOriginalEquations(A, b, x, n) {
+export function generateOriginalEquations(A, b, x, n, exact = null) {
     if (!A || !b || !x || n <= 0) {
         return [];
     }
@@ -114,8 +152,13 @@ export function generateOriginalEquations(A, b, x, n) {
         const fullEquationLatex = `${equationLatex} = ${bVal}`;
         
         // Add evaluation line: LHS = {computed} = {target}
-        const computedStr = lhsValue.toFixed(4);
-        const targetStr = bVal.toFixed(4);
+        let computedStr = lhsValue.toFixed(4);
+        let targetStr = bVal.toFixed(4);
+        if (exact) {
+            const lhs = (A[i] || []).reduce((sum, coeff, j) => add(sum, multiply(fromNumber(coeff), exact[j])), ZERO);
+            computedStr = rationalToLatex(lhs);
+            targetStr = rationalToLatex(fromNumber(bVal));
+        }
         const evaluationLatex = `\\text{LHS} = ${computedStr} = ${targetStr}`;
         
         equations.push({
@@ -258,6 +301,198 @@ export function generateGaussSeidelFormulasWithValues(A, b, x, n) {
     return formulas;
 }
 
+/**
+ * Generate LaTeX strings for SOR update formulas with numeric substitutions
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[]} x - Current x values
+ * @param {number} n - System size
+ * @param {number} omega - Relaxation factor
+ * @returns {Object[]} Array of formula objects
+ */
+export function generateSORFormulasWithValues(A, b, x, n, omega = DEFAULT_OMEGA) {
+    if (!A || !b || !x || n <= 0) {
+        return [];
+    }
+    
+    const formulas = [];
+    const omegaStr = omega.toFixed(2);
+    
+    for (let i = 0; i < n; i++) {
+        const aii = A[i] && A[i][i] !== undefined ? A[i][i] : 0;
+        const bi = b[i] !== undefined ? b[i] : 0;
+        const xi = x[i] !== undefined ? x[i] : 0;
+        
+        if (Math.abs(aii) < 1e-10) {
+            formulas.push({
+                formula: `x_{${i + 1}}^{(k+1)} = x_{${i + 1}}^{(k)} \\text{ (diagonal too small)}`,
+                substitution: '',
+                result: ''
+            });
+            continue;
+        }
+        
+        // Same sums as Gauss-Seidel: j < i uses new values, j > i uses old values
+        let sum = 0;
+        for (let j = 0; j < n; j++) {
+            if (j !== i) {
+                const aij = A[i] && A[i][j] !== undefined ? A[i][j] : 0;
+                const xj = x[j] !== undefined ? x[j] : 0;
+                sum += aij * xj;
+            }
+        }
+        
+        const gaussSeidelValue = (bi - sum) / aii;
+        const newValue = (1 - omega) * xi + omega * gaussSeidelValue;
+        
+        const formulaLatex = `x_{${i + 1}}^{(k+1)} = (1 - \\omega)\\, x_{${i + 1}}^{(k)} + \\omega \\cdot \\frac{b_{${i + 1}} - \\sum_{j < ${i + 1}} a_{${i + 1},j} x_j^{(k+1)} - \\sum_{j > ${i + 1}} a_{${i + 1},j} x_j^{(k)}}{a_{${i + 1},${i + 1}}}`;
+        
+        const substitutionLatex = `x_{${i + 1}} = (1 - ${omegaStr}) \\cdot ${xi.toFixed(4)} + ${omegaStr} \\cdot \\frac{${bi.toFixed(4)} - ${sum.toFixed(4)}}{${aii.toFixed(4)}} = ${(1 - omega).toFixed(4)} \\cdot ${xi.toFixed(4)} + ${omegaStr} \\cdot ${gaussSeidelValue.toFixed(4)}`;
+        
+        const resultLatex = `= ${newValue.toFixed(4)}`;
+        
+        formulas.push({
+            formula: formulaLatex,
+            substitution: substitutionLatex,
+            result: resultLatex
+        });
+    }
+    
+    return formulas;
+}
+
+/**
+ * Format a vector as a LaTeX column
+ * @param {number[]} v - Vector
+ * @returns {string} LaTeX pmatrix
+ */
+function vectorToLatex(v) {
+    return `\\begin{pmatrix}${v.map(value => value.toFixed(4)).join(' \\\\ ')}\\end{pmatrix}`;
+}
+
+/**
+ * Generate LaTeX strings for one Conjugate Gradient step with numeric substitutions
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {number[]} x - Current x values
+ * @param {number} n - System size
+ * @param {Object|null} cg - { direction, beta } for this step; without it the step starts from the residual (p = r)
+ * @returns {Object[]} Array of formula objects: residual, search direction, step length, update
+ */
+export function generateCGFormulasWithValues(A, b, x, n, cg = null) {
+    if (!A || !b || !x || n <= 0) {
+        return [];
+    }
+    
+    const residual = b.map((bi, i) => bi - dot(A[i], x));
+    const direction = cg && cg.direction && cg.direction.length === n ? cg.direction : residual;
+    const beta = cg && direction !== residual ? cg.beta : null;
+    const Ap = matVec(A, direction);
+    const rr = dot(residual, residual);
+    const pAp = dot(direction, Ap);
+    const alpha = pAp > 0 ? rr / pAp : 0;
+    const newX = x.map((value, i) => value + alpha * direction[i]);
+    
+    const formulas = [
+        {
+            formula: 'r^{(k)} = b - A x^{(k)}',
+            substitution: `r^{(k)} = ${vectorToLatex(residual)}`,
+            result: ''
+        },
+        beta === null
+            ? {
+                formula: 'p^{(k)} = r^{(k)} \\text{ (first direction: steepest descent)}',
+                substitution: `p^{(k)} = ${vectorToLatex(direction)}`,
+                result: ''
+            }
+            : {
+                formula: 'p^{(k)} = r^{(k)} + \\beta_{k-1}\\, p^{(k-1)}, \\quad \\beta_{k-1} = \\frac{r^{(k)T} r^{(k)}}{r^{(k-1)T} r^{(k-1)}}',
+                substitution: `\\beta_{k-1} = ${beta.toFixed(4)}, \\quad p^{(k)} = ${vectorToLatex(direction)}`,
+                result: ''
+            },
+        {
+            formula: '\\alpha_k = \\frac{r^{(k)T} r^{(k)}}{p^{(k)T} A\\, p^{(k)}}',
+            substitution: `\\alpha_k = \\frac{${rr.toFixed(4)}}{${pAp.toFixed(4)}}`,
+            result: `= ${alpha.toFixed(4)}`
+        },
+        {
+            formula: 'x^{(k+1)} = x^{(k)} + \\alpha_k\\, p^{(k)}',
+            substitution: `x^{(k+1)} = ${vectorToLatex(x)} + ${alpha.toFixed(4)} \\cdot ${vectorToLatex(direction)}`,
+            result: `= ${vectorToLatex(newX)}`
+        }
+    ];
+    
+    return formulas;
+}
+
+/**
+ * Generate LaTeX strings for Jacobi or Gauss-Seidel update formulas with
+ * exact fraction substitutions, as worked by hand
+ *
+ * Gauss-Seidel substitutes the values already updated in this step for
+ * j < i, so each line matches the exact iterate the step produces.
+ *
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {Object[]} x - Current x values as fractions
+ * @param {number} n - System size
+ * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * @returns {Object[]} Array of formula objects
+ */
+export function generateExactFormulasWithValues(A, b, x, n, method = 'jacobi') {
+    if (!A || !b || !x || n <= 0) {
+        return [];
+    }
+    
+    const gaussSeidel = method === 'gaussSeidel';
+    const values = [...x];
+    const formulas = [];
+    
+    for (let i = 0; i < n; i++) {
+        const row = (A[i] || []).map(fromNumber);
+        const aii = row[i] || ZERO;
+        const bi = fromNumber(b[i] !== undefined ? b[i] : 0);
+        
+        if (isZero(aii)) {
+            formulas.push({
+                formula: `x_{${i + 1}}^{(k+1)} = x_{${i + 1}}^{(k)} \\text{ (diagonal too small)}`,
+                substitution: '',
+                result: ''
+            });
+            continue;
+        }
+        
+        let sum = ZERO;
+        const sumTerms = [];
+        for (let j = 0; j < n; j++) {
+            if (j === i || isZero(row[j])) continue;
+            const xj = (gaussSeidel ? values[j] : x[j]) || ZERO;
+            sum = add(sum, multiply(row[j], xj));
+            const label = gaussSeidel ? (j < i ? ' \\text{ (new)}' : ' \\text{ (old)}') : '';
+            sumTerms.push(`${rationalToLatex(row[j])} \\cdot \\left(${rationalToLatex(xj)}\\right)${label}`);
+        }
+        const newValue = divide(subtract(bi, sum), aii);
+        if (gaussSeidel) {
+            values[i] = newValue;
+        }
+        
+        const formulaLatex = gaussSeidel
+            ? `x_{${i + 1}}^{(k+1)} = \\frac{b_{${i + 1}} - \\sum_{j < ${i + 1}} a_{${i + 1},j} x_j^{(k+1)} - \\sum_{j > ${i + 1}} a_{${i + 1},j} x_j^{(k)}}{a_{${i + 1},${i + 1}}}`
+            : `x_{${i + 1}}^{(k+1)} = \\frac{b_{${i + 1}} - \\sum_{j \\neq ${i + 1}} a_{${i + 1},j} x_j^{(k)}}{a_{${i + 1},${i + 1}}}`;
+        const substitutionLatex = sumTerms.length > 0
+            ? `x_{${i + 1}} = \\frac{${rationalToLatex(bi)} - (${sumTerms.join(' + ')})}{${rationalToLatex(aii)}} = \\frac{${rationalToLatex(bi)} - \\left(${rationalToLatex(sum)}\\right)}{${rationalToLatex(aii)}}`
+            : `x_{${i + 1}} = \\frac{${rationalToLatex(bi)} - 0}{${rationalToLatex(aii)}}`;
+        
+        formulas.push({
+            formula: formulaLatex,
+            substitution: substitutionLatex,
+            result: `= ${rationalToLatex(newValue)}`
+        });
+    }
+    
+    return formulas;
+}
+
 /**
  * Generate LaTeX strings for Jacobi update formulas with numeric substitutions
  * @param {number[][]} A - Coefficient matrix
@@ -374,8 +609,11 @@ export function initEquationVisualizer(container) {
  * @param {number[][]} A - Coefficient matrix
  * @param {number[]} b - Constant vector
  * @param {number} n - System size
+ * @param {string} method - Method key ('jacobi', 'gaussSeidel', 'sor', 'cg')
+ * @param {number} omega - Current relaxation factor, used when method is 'sor' for
+ *   the step not taken yet (earlier steps use the ω recorded with their snapshot)
  */
-export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jacobi') {
+export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jacobi', omega = DEFAULT_OMEGA) {
     const content = document.getElementById('equationVisualizerContent');
     if (!content) {
         console.warn('Equation visualizer content element not found');
@@ -422,6 +660,9 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
         if (!snapshot || !snapshot.x) {
             continue;
         }
+        // The formulas show the step from this snapshot, taken with the ω recorded on the next one
+        const next = equationHistory[idx + 1];
+        const stepOmega = next && typeof next.omega === 'number' ? next.omega : omega;
         
         // Create iteration section
         const iterationSection = document.createElement('div');
@@ -486,7 +727,9 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
         for (let i = 0; i < n; i++) {
             const xVal = snapshot.x[i] !== undefined ? snapshot.x[i] : 0;
             if (i > 0) valuesText += ', ';
-            valuesText += `x${i + 1} = ${xVal.toFixed(6)}`;
+            valuesText += snapshot.exact
+                ? `x${i + 1} = ${formatRational(snapshot.exact[i])} ≈ ${xVal.toFixed(6)}`
+                : `x${i + 1} = ${xVal.toFixed(6)}`;
         }
         valuesList.textContent = valuesText;
         valuesSection.appendChild(valuesList);
@@ -541,6 +784,12 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
         explanation.className = 'iteration-explanation';
         
         // Generate detailed explanation text
+        const progressText = method === 'cg'
+            ? 'In this iteration, all variables move together along the Conjugate Gradient search direction by the step length α.'
+            : `In this iteration, each variable is being updated using the ${getMethodLabel(method)} formula, which calculates a new value based on the current values of all other variables.`;
+        const methodText = method === 'cg'
+            ? 'The Conjugate Gradient method works by moving all variables together along a search direction, taking the step length that minimises the error along it, and choosing each new direction so it does not undo the progress of the previous ones.'
+            : `The ${getMethodLabel(method)} method works by iteratively updating each variable: for each equation, we solve for one variable while keeping the others fixed at their current values.`;
         let explanationText = '';
         if (snapshot.iteration === 0) {
             explanationText = `📊 <strong>Initial State (Iteration 0)</strong><br>
@@ -550,20 +799,20 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
             The solution has been found! All equations are satisfied within the error tolerance. The maximum error is ${maxError.toFixed(6)}, which is below the convergence threshold. The current variable values are the solution to the system of equations.`;
         } else if (maxError < 0.1) {
             explanationText = `🎯 <strong>Very Close to Solution (Iteration ${snapshot.iteration})</strong><br>
-            We're very close to the solution! The maximum error is ${maxError.toFixed(4)}, meaning the current values are almost correct. The Jacobi method is converging well, and each iteration brings us closer to the exact solution.`;
+            We're very close to the solution! The maximum error is ${maxError.toFixed(4)}, meaning the current values are almost correct. The ${getMethodLabel(method)} method is converging well, and each iteration brings us closer to the exact solution.`;
         } else if (maxError < 1.0) {
             explanationText = `📈 <strong>Making Good Progress (Iteration ${snapshot.iteration})</strong><br>
-            The iteration is making steady progress. The maximum error is ${maxError.toFixed(4)}. In this iteration, each variable is being updated using the Jacobi formula, which calculates a new value based on the current values of all other variables. This process continues until all equations are satisfied.`;
+            The iteration is making steady progress. The maximum error is ${maxError.toFixed(4)}. ${progressText} This process continues until all equations are satisfied.`;
         } else {
             explanationText = `🔄 <strong>Early Stage (Iteration ${snapshot.iteration})</strong><br>
-            This is an early iteration in the process. The maximum error is ${maxError.toFixed(4)}, which means we're still adjusting the variable values. The Jacobi method works by iteratively updating each variable: for each equation, we solve for one variable while keeping the others fixed at their current values. This process gradually moves all variables toward values that satisfy all equations simultaneously.`;
+            This is an early iteration in the process. The maximum error is ${maxError.toFixed(4)}, which means we're still adjusting the variable values. ${methodText} This process gradually moves all variables toward values that satisfy all equations simultaneously.`;
         }
         
         explanation.innerHTML = explanationText;
         iterationSection.appendChild(explanation);
         
         // Generate and render original equations
-        const originalEquations = generateOriginalEquations(A, b, snapshot.x, n);
+        const originalEquations = generateOriginalEquations(A, b, snapshot.x, n, snapshot.exact || null);
         if (originalEquations.length > 0) {
             const eqGroup = document.createElement('div');
             eqGroup.className = 'equation-group';
@@ -589,9 +838,18 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
         }
         
         // Generate and render formulas based on method
-        const formulas = method === 'gaussSeidel' 
-            ? generateGaussSeidelFormulasWithValues(A, b, snapshot.x, n)
-            : generateJacobiFormulasWithValues(A, b, snapshot.x, n);
+        let formulas;
+        if (snapshot.exact && (method === 'jacobi' || method === 'gaussSeidel')) {
+            formulas = generateExactFormulasWithValues(A, b, snapshot.exact, n, method);
+        } else if (method === 'cg') {
+            formulas = generateCGFormulasWithValues(A, b, snapshot.x, n, snapshot.cg || null);
+        } else if (method === 'sor') {
+            formulas = generateSORFormulasWithValues(A, b, snapshot.x, n, stepOmega);
+        } else if (method === 'gaussSeidel') {
+            formulas = generateGaussSeidelFormulasWithValues(A, b, snapshot.x, n);
+        } else {
+            formulas = generateJacobiFormulasWithValues(A, b, snapshot.x, n);
+        }
             
         if (formulas.length > 0) {
             const formulaGroup = document.createElement('div');
@@ -599,12 +857,16 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
             
             const formulaLabel = document.createElement('div');
             formulaLabel.className = 'equation-group-label';
-            formulaLabel.textContent = method === 'gaussSeidel' ? 'Gauss-Seidel Update Formulas' : 'Jacobi Update Formulas';
+            formulaLabel.textContent = `${getMethodLabel(method)} Update Formulas`;
             formulaGroup.appendChild(formulaLabel);
             
             const formulaDescription = document.createElement('div');
             formulaDescription.className = 'equation-group-description';
-            if (method === 'gaussSeidel') {
+            if (method === 'cg') {
+                formulaDescription.textContent = 'Conjugate Gradient moves all variables at once along a search direction p. The step length α minimises the error along p, and each new direction is A-conjugate to the previous ones, so an n×n symmetric positive-definite system is solved in at most n steps (in exact arithmetic).';
+            } else if (method === 'sor') {
+                formulaDescription.textContent = `These formulas calculate the next values for each variable. SOR takes the Gauss-Seidel value and blends it with the old value using the relaxation factor ω = ${stepOmega.toFixed(2)}: ω > 1 over-relaxes to move further each step, ω < 1 damps each step.`;
+            } else if (method === 'gaussSeidel') {
                 formulaDescription.textContent = 'These formulas calculate the next values for each variable. Gauss-Seidel uses already-updated values from the current iteration (for j < i) and old values (for j > i), making it typically faster than Jacobi.';
             } else {
                 formulaDescription.textContent = 'These formulas calculate the next values for each variable. For each variable, we solve its equation while keeping all other variables at their current values.';
@@ -636,3 +898,14 @@ export function updateEquationVisualizer(equationHistory, A, b, n, method = 'jac
     }
 }
 
+/**
+ * Redraw the equation visualizer whenever the recorded run, the method or ω changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} view - App state: equationHistory, A, b, n, method and omega
+ * @returns {Function} Unsubscribe function
+ */
+export function attachEquationVisualizer(store, view) {
+    const render = () => updateEquationVisualizer(view.equationHistory, view.A, view.b, view.n, view.method, view.omega);
+    const unsubscribers = ['iteration.runRevision', 'iteration.method', 'iteration.omega'].map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,269 @@
+/**
+ * Geometric View Module
+ *
+ * For 2×2 systems: draws both equation lines, their intersection and the
+ * path of iterates taken from the equation history. Jacobi moves both
+ * coordinates at once (diagonal steps); Gauss-Seidel and SOR update x₁
+ * then x₂, so each step is drawn as a horizontal then vertical segment.
+ * attachGeometricView() redraws it when the system, the iterate, the method
+ * or the recorded run changes in the store.
+ */
+
+// Plot geometry (SVG user units, square plot)
+const SIZE = 300;
+const MARGIN = 28;
+
+const COLORS = {
+    background: '#1a1a1a',
+    grid: 'rgba(245, 245, 220, 0.12)',
+    axis: 'rgba(245, 245, 220, 0.45)',
+    text: '#f5f5dc',
+    line1: '#ffc107',
+    line2: '#4a90e2',
+    solution: '#4caf50',
+    path: '#e57373',
+    iterate: '#f5f5dc'
+};
+
+/**
+ * Compute a square viewport that contains every point of interest
+ * @param {Array<number[]>} points - [x1, x2] points to include
+ * @returns {Object} { xMin, xMax, yMin, yMax }
+ */
+export function computeViewport(points) {
+    const finite = points.filter(p => p && isFinite(p[0]) && isFinite(p[1]));
+    if (finite.length === 0) {
+        return { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+    }
+
+    const xs = finite.map(p => p[0]);
+    const ys = finite.map(p => p[1]);
+    const xMid = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const yMid = (Math.min(...ys) + Math.max(...ys)) / 2;
+
+    // Square span with 20% padding and a minimum size so a single point is visible
+    const span = Math.max(2, Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) * 1.2;
+
+    return {
+        xMin: xMid - span / 2,
+        xMax: xMid + span / 2,
+        yMin: yMid - span / 2,
+        yMax: yMid + span / 2
+    };
+}
+
+/**
+ * Map data coordinates to SVG coordinates
+ * @param {number[]} point - [x1, x2]
+ * @param {Object} viewport - Viewport from computeViewport
+ * @returns {number[]} [svgX, svgY]
+ */
+export function dataToSVG(point, viewport) {
+    const plot = SIZE - 2 * MARGIN;
+    const sx = MARGIN + ((point[0] - viewport.xMin) / (viewport.xMax - viewport.xMin)) * plot;
+    const sy = MARGIN + ((viewport.yMax - point[1]) / (viewport.yMax - viewport.yMin)) * plot;
+    return [sx, sy];
+}
+
+/**
+ * Map SVG coordinates back to data coordinates
+ * @param {number[]} svgPoint - [svgX, svgY]
+ * @param {Object} viewport - Viewport from computeViewport
+ * @returns {number[]} [x1, x2]
+ */
+export function svgToData(svgPoint, viewport) {
+    const plot = SIZE - 2 * MARGIN;
+    const x = viewport.xMin + ((svgPoint[0] - MARGIN) / plot) * (viewport.xMax - viewport.xMin);
+    const y = viewport.yMax - ((svgPoint[1] - MARGIN) / plot) * (viewport.yMax - viewport.yMin);
+    return [x, y];
+}
+
+/**
+ * Endpoints of the line a·x = b clipped to the viewport's x (or y) range
+ * @param {number[]} a - Row of A ([a1, a2])
+ * @param {number} b - Right-hand side
+ * @param {Object} viewport - Viewport
+ * @returns {Array<number[]>|null} Two data points, or null for a degenerate row
+ */
+export function lineEndpoints(a, b, viewport) {
+    const [a1, a2] = a;
+    if (Math.abs(a2) > 1e-10) {
+        // y = (b - a1 x) / a2
+        return [
+            [viewport.xMin, (b - a1 * viewport.xMin) / a2],
+            [viewport.xMax, (b - a1 * viewport.xMax) / a2]
+        ];
+    }
+    if (Math.abs(a1) > 1e-10) {
+        // Vertical line x = b / a1
+        return [
+            [b / a1, viewport.yMin],
+            [b / a1, viewport.yMax]
+        ];
+    }
+    return null;
+}
+
+/**
+ * Build the list of path vertices between iterates
+ * @param {Array<number[]>} iterates - Successive x vectors
+ * @param {string} method - Method key ('jacobi' moves diagonally, others axis by axis)
+ * @returns {Array<number[]>} Path vertices
+ */
+export function buildIteratePath(iterates, method) {
+    if (iterates.length === 0) return [];
+
+    const path = [iterates[0]];
+    for (let k = 1; k < iterates.length; k++) {
+        const previous = iterates[k - 1];
+        const next = iterates[k];
+        if (method !== 'jacobi') {
+            // x₁ updated first, x₂ still old
+            path.push([next[0], previous[1]]);
+        }
+        path.push(next);
+    }
+    return path;
+}
+
+/**
+ * Build the geometric view as an SVG string
+ * @param {Object} params - Parameters
+ * @param {number[][]} params.A - 2×2 coefficient matrix
+ * @param {number[]} params.b - Constant vector
+ * @param {Array<number[]>} params.iterates - Successive x vectors (oldest first)
+ * @param {number[]} params.x - Current iterate
+ * @param {number[]|null} params.solution - Intersection point (reference solution), if any
+ * @param {string} params.method - Method key
+ * @param {Object} params.viewport - Viewport from computeViewport
+ * @returns {string} SVG markup
+ */
+export function buildGeometricSVG({ A, b, iterates, x, solution, method, viewport }) {
+    const parts = [];
+    const toSVG = (point) => dataToSVG(point, viewport).map(v => v.toFixed(1));
+    const plot = SIZE - 2 * MARGIN;
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}" font-family="Courier New, monospace" font-size="10">`);
+    parts.push(`<defs><clipPath id="geometricPlotClip"><rect x="${MARGIN}" y="${MARGIN}" width="${plot}" height="${plot}"/></clipPath></defs>`);
+    parts.push(`<rect x="0" y="0" width="${SIZE}" height="${SIZE}" fill="${COLORS.background}"/>`);
+    parts.push(`<rect x="${MARGIN}" y="${MARGIN}" width="${plot}" height="${plot}" fill="none" stroke="${COLORS.grid}"/>`);
+
+    // Axes through the origin when visible
+    parts.push('<g clip-path="url(#geometricPlotClip)">');
+    const [originX, originY] = toSVG([0, 0]);
+    parts.push(`<line x1="${MARGIN}" y1="${originY}" x2="${SIZE - MARGIN}" y2="${originY}" stroke="${COLORS.axis}"/>`);
+    parts.push(`<line x1="${originX}" y1="${MARGIN}" x2="${originX}" y2="${SIZE - MARGIN}" stroke="${COLORS.axis}"/>`);
+
+    // Equation lines
+    [COLORS.line1, COLORS.line2].forEach((color, i) => {
+        const endpoints = lineEndpoints(A[i], b[i], viewport);
+        if (!endpoints) return;
+        const [p1, p2] = endpoints.map(toSVG);
+        parts.push(`<line class="geometric-equation-line" x1="${p1[0]}" y1="${p1[1]}" x2="${p2[0]}" y2="${p2[1]}" stroke="${color}" stroke-width="2"/>`);
+    });
+
+    // Iterate path
+    const path = buildIteratePath(iterates, method);
+    if (path.length > 1) {
+        const points = path.map(p => toSVG(p).join(',')).join(' ');
+        parts.push(`<polyline class="geometric-path" points="${points}" fill="none" stroke="${COLORS.path}" stroke-width="1.5" stroke-opacity="0.85"/>`);
+        iterates.forEach(point => {
+            const [cx, cy] = toSVG(point);
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="2" fill="${COLORS.path}"/>`);
+        });
+    }
+
+    // Intersection
+    if (solution) {
+        const [sx, sy] = toSVG(solution);
+        parts.push(`<circle class="geometric-solution" cx="${sx}" cy="${sy}" r="5" fill="none" stroke="${COLORS.solution}" stroke-width="2"/>`);
+    }
+    parts.push('</g>');
+
+    // Current iterate (draggable handle, drawn unclipped so it stays grabbable)
+    const [cx, cy] = toSVG(x);
+    parts.push(`<circle class="geometric-iterate" cx="${cx}" cy="${cy}" r="7" fill="${COLORS.iterate}" stroke="${COLORS.path}" stroke-width="2"/>`);
+
+    // Axis range labels
+    parts.push(`<text x="${MARGIN}" y="${SIZE - 10}" fill="${COLORS.text}">${viewport.xMin.toFixed(1)}</text>`);
+    parts.push(`<text x="${SIZE - MARGIN}" y="${SIZE - 10}" fill="${COLORS.text}" text-anchor="end">${viewport.xMax.toFixed(1)}</text>`);
+    parts.push(`<text x="${SIZE / 2}" y="${SIZE - 10}" fill="${COLORS.text}" text-anchor="middle">x₁</text>`);
+    parts.push(`<text x="6" y="${SIZE - MARGIN}" fill="${COLORS.text}">${viewport.yMin.toFixed(1)}</text>`);
+    parts.push(`<text x="6" y="${MARGIN - 8}" fill="${COLORS.text}">${viewport.yMax.toFixed(1)}</text>`);
+    parts.push(`<text x="6" y="${SIZE / 2}" fill="${COLORS.text}">x₂</text>`);
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+/**
+ * Convert a pointer event position to data coordinates
+ * @param {MouseEvent|TouchEvent} event - Pointer event
+ * @param {SVGElement} svg - Rendered geometric view
+ * @param {Object} viewport - Viewport the SVG was rendered with
+ * @returns {number[]|null} [x1, x2] or null if the position is unavailable
+ */
+export function eventToData(event, svg, viewport) {
+    const clientX = event.clientX !== undefined ? event.clientX : (event.touches && event.touches[0].clientX);
+    const clientY = event.clientY !== undefined ? event.clientY : (event.touches && event.touches[0].clientY);
+    if (clientX === undefined || clientY === undefined || !svg) return null;
+
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    const svgX = ((clientX - rect.left) / rect.width) * SIZE;
+    const svgY = ((clientY - rect.top) / rect.height) * SIZE;
+    return svgToData([svgX, svgY], viewport);
+}
+
+/**
+ * Redraw the geometric view (only shown for 2×2 systems)
+ * While the iterate is dragged the viewport stays frozen in view.geometricViewport,
+ * so the plot doesn't rescale under the pointer.
+ * @param {Object} elements - Elements object with geometricViewPanel and geometricView
+ * @param {Object} view - App state: n, A, b, x, method, equationHistory, reference and the drag state
+ */
+export function renderGeometricView(elements, view) {
+    const panel = elements.geometricViewPanel;
+    const container = elements.geometricView;
+    if (!panel || !container) return;
+    
+    // Hidden for other sizes, and while a system is half-written (the last write redraws)
+    if (view.n !== 2 || !view.x || view.x.length !== 2 || view.A.length !== 2 || view.b.length !== 2) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+    
+    const iterates = view.equationHistory.map(snapshot => snapshot.x);
+    const solution = view.reference && view.reference.solution ? view.reference.solution : null;
+    
+    if (!view.isDraggingIterate || !view.geometricViewport) {
+        view.geometricViewport = computeViewport([solution, view.x, ...iterates]);
+    }
+    
+    container.innerHTML = buildGeometricSVG({
+        A: view.A,
+        b: view.b,
+        iterates,
+        x: view.x,
+        solution,
+        method: view.method,
+        viewport: view.geometricViewport
+    });
+}
+
+/**
+ * Redraw the geometric view whenever the system, the iterate, the method or
+ * the recorded run changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} elements - Elements object (see renderGeometricView)
+ * @param {Object} view - App state (see renderGeometricView)
+ * @returns {Function} Unsubscribe function
+ */
+export function attachGeometricView(store, elements, view) {
+    const render = () => renderGeometricView(elements, view);
+    const unsubscribers = ['system.x', 'system.A', 'system.b', 'iteration.method', 'iteration.runRevision']
+        .map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -1,19 +1,35 @@
 /**
  * Knob Rendering and Visual Updates
  * 
- * Functions for rendering knobs and updating their visual state
+ * Functions for rendering knobs and updating their visual state.
+ * attachKnobs() keeps them in step with the store (system.x and the knob range).
  */
 
+import { DEFAULT_VALUE_RANGE, valueToFraction } from '../core/valueRange.js';
+
+// Knob travel in degrees either side of straight up
+const KNOB_SWEEP = 135;
+
+/**
+ * Map a value to a knob rotation angle
+ * @param {number} value - Current value
+ * @param {Object} range - Knob range { min, max } (default: [-10, 10])
+ * @returns {number} Angle in degrees, -135 at min to 135 at max (pinned outside the range)
+ */
+export function valueToKnobAngle(value, range = DEFAULT_VALUE_RANGE) {
+    return valueToFraction(value, range) * 2 * KNOB_SWEEP - KNOB_SWEEP;
+}
+
 /**
  * Update knob visual rotation
  * @param {HTMLElement} knob - Knob element
- * @param {number} value - Current value (-10 to 10)
+ * @param {number} value - Current value
  * @param {boolean} immediate - Whether to disable transitions
+ * @param {Object} range - Knob range { min, max } (default: [-10, 10])
+ * @param {Function} isDragging - Returns true while a drag continues, so transitions stay off
  */
-export function updateKnobRotation(knob, value, immediate = false) {
-    // Map value from [-10, 10] to rotation angle [-135, 135] degrees
-    const normalized = (value + 10) / 20; // 0 to 1
-    const angle = normalized * 270 - 135; // -135 to 135 degrees
+export function updateKnobRotation(knob, value, immediate = false, range = DEFAULT_VALUE_RANGE, isDragging = () => false) {
+    const angle = valueToKnobAngle(value, range);
     
     // Disable transitions during dragging for immediate response
     if (immediate) {
@@ -25,8 +41,9 @@ export function updateKnobRotation(knob, value, immediate = false) {
     // Re-enable transitions after a brief moment if not dragging
     if (immediate) {
         requestAnimationFrame(() => {
-            // Check if still dragging (will be set by caller)
-            knob.style.transition = '';
+            if (!isDragging()) {
+                knob.style.transition = '';
+            }
         });
     }
 }
@@ -107,3 +124,54 @@ export function renderKnobs(n, visibleCount, container, x) {
     return elements;
 }
 
+/**
+ * Update knob rotations, readouts and the hidden-knob summary
+ * Values are not clamped: a knob outside its range is pinned at the end stop and flagged.
+ * @param {Object} elements - Elements object with knob{i} and value{i} references
+ * @param {Object} view - App state: n, x, visibleKnobs, valueRange and the drag flags
+ */
+export function renderKnobValues(elements, view) {
+    const { n, x, visibleKnobs, valueRange } = view;
+    if (!x || x.length !== n) return;
+    // No transition while a knob or the 2×2 iterate is being dragged
+    const immediate = view.isDragging || view.isDraggingIterate;
+    
+    const count = Math.min(n, visibleKnobs);
+    for (let i = 0; i < count; i++) {
+        const id = i + 1;
+        updateKnobValue(elements[`value${id}`], x[i]);
+        const knob = elements[`knob${id}`];
+        if (knob) {
+            knob.setAttribute('aria-valuemin', valueRange.min);
+            knob.setAttribute('aria-valuemax', valueRange.max);
+            knob.setAttribute('aria-valuenow', x[i].toFixed(2));
+            updateKnobRotation(knob, x[i], immediate, valueRange, () => view.isDragging);
+            if (knob.parentElement) {
+                knob.parentElement.classList.toggle('out-of-range', x[i] < valueRange.min || x[i] > valueRange.max);
+            }
+        }
+    }
+    
+    // Update HK tooltip if exists
+    const hkIndicator = document.querySelector('.hk-indicator');
+    if (hkIndicator && n > visibleKnobs) {
+        let hiddenSummary = `Hidden Knobs (${n - visibleKnobs}):\n`;
+        for (let i = visibleKnobs; i < n; i++) {
+            hiddenSummary += `x${i + 1}: ${x[i].toFixed(2)}\n`;
+        }
+        hkIndicator.setAttribute('data-tooltip', hiddenSummary);
+    }
+}
+
+/**
+ * Redraw the knobs whenever the iterate or the knob range changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} elements - Elements object with knob references (looked up on every change)
+ * @param {Object} view - App state (see renderKnobValues)
+ * @returns {Function} Unsubscribe function
+ */
+export function attachKnobs(store, elements, view) {
+    const render = () => renderKnobValues(elements, view);
+    const unsubscribers = ['system.x', 'display.valueRange'].map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
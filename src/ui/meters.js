@@ -1,9 +1,15 @@
 /**
  * VU Meters and Signal Displays
  * 
- * Functions for updating VU meters, signal clarity, and master level displays
+ * Functions for updating VU meters, signal clarity, and master level displays.
+ * attachSignalClarity() keeps the signal clarity panel in step with the store
+ * (the system, its iterate, the iteration count and the stopping rule).
  */
 
+import { calculateErrors, getMaxError, getConvergenceState } from '../core/math.js';
+import { DEFAULT_CONVERGENCE, isConverged, normalizeMeasure } from '../core/convergence.js';
+import { distanceToSolution } from '../core/directSolver.js';
+
 /**
  * Update VU meter needle position
  * @param {HTMLElement} meterElement - Meter element
@@ -58,3 +64,81 @@ export function updateMasterLevel(meterFill, maxError) {
     meterFill.style.width = `${meterPercent}%`;
 }
 
+/**
+ * Show the distance from the iterate to the reference solution next to the residual
+ * @param {HTMLElement} element - True error value element (its parent carries the tooltip)
+ * @param {Object} view - App state: x and reference (see core/directSolver.js)
+ */
+export function renderTrueError(element, view) {
+    if (!element) return;
+    
+    const { reference } = view;
+    const label = element.parentElement;
+    if (!label.dataset.defaultTooltip) {
+        label.dataset.defaultTooltip = label.getAttribute('data-tooltip') || '';
+    }
+    
+    if (!reference || !reference.solution) {
+        element.textContent = reference && reference.isSingular ? 'Singular' : '-';
+        label.setAttribute('data-tooltip', reference ? reference.message : 'No reference solution');
+        return;
+    }
+    
+    const distance = distanceToSolution(view.x, reference.solution);
+    element.textContent = distance === null ? '-' : distance.toFixed(4);
+    if (reference.isIllConditioned) {
+        element.textContent += ' ⚠';
+        label.setAttribute('data-tooltip', reference.message);
+    } else {
+        label.setAttribute('data-tooltip', label.dataset.defaultTooltip);
+    }
+}
+
+/**
+ * Update the signal clarity panel: iteration, residual, true error, status,
+ * master meter, balanced border and the solution button
+ * Status, meter and border follow the stopping rule rather than the raw residual.
+ * @param {Object} elements - Elements object
+ * @param {Object} view - App state: n, A, b, x, iteration and reference
+ * @param {number|null} measure - Convergence measure of x under the stopping rule (null to skip)
+ * @param {Object} settings - Convergence settings
+ */
+export function renderSignalClarity(elements, view, measure, settings = DEFAULT_CONVERGENCE) {
+    const { n, A, b, x } = view;
+    if (measure === null || !x || x.length !== n || A.length !== n || b.length !== n) return;
+    
+    if (elements.iterationCount) elements.iterationCount.textContent = view.iteration;
+    if (elements.maxError) elements.maxError.textContent = getMaxError(calculateErrors(x, A, b)).toFixed(4);
+    renderTrueError(elements.trueError, view);
+    
+    const convergence = getConvergenceState(measure, settings.tolerance);
+    const balanced = isConverged(measure, settings);
+    if (elements.convergenceStatus) {
+        elements.convergenceStatus.textContent = convergence.state;
+        elements.convergenceStatus.style.color = convergence.color;
+    }
+    // Meter is tuned for the default tolerance
+    updateMasterLevel(elements.masterMeterFill, normalizeMeasure(measure, settings.tolerance));
+    if (elements.signalClarityDisplay) {
+        elements.signalClarityDisplay.classList.toggle('balanced', balanced);
+    }
+    if (elements.solutionBtn) {
+        elements.solutionBtn.style.display = balanced ? 'block' : 'none';
+    }
+}
+
+/**
+ * Redraw the signal clarity panel whenever the system, its iterate, the
+ * iteration count, the stopping rule or the reference solution changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} elements - Elements object
+ * @param {Object} view - App state (see renderSignalClarity)
+ * @param {Function} getMeasure - Returns the convergence measure of the current iterate (null to skip)
+ * @returns {Function} Unsubscribe function
+ */
+export function attachSignalClarity(store, elements, view, getMeasure) {
+    const render = () => renderSignalClarity(elements, view, getMeasure(), store.get('convergence') || DEFAULT_CONVERGENCE);
+    const unsubscribers = ['system.x', 'system.A', 'system.b', 'system.iteration', 'convergence.*', 'iteration.runRevision']
+        .map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
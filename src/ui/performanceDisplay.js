@@ -1,10 +1,13 @@
 /**
  * Performance Display Module
  * 
- * Updates the UI with real-time and historical performance metrics
+ * Updates the UI with real-time and historical performance metrics.
+ * attachPerformanceDisplay() redraws them when the method or the recorded
+ * runs change in the store.
  */
 
 import { calculateStats } from '../utils/performance.js';
+import { METHODS } from '../core/methods.js';
 
 /**
  * Format time in seconds to "X.XXX s"
@@ -43,171 +46,157 @@ function formatCPU(ms) {
 }
 
 /**
- * Determine winner for a metric (lower is better for time, memory, CPU)
- * @param {Object} method1Data - First method's data
- * @param {Object} method2Data - Second method's data
+ * Read a metric value from a method's data
+ * @param {Object} methodData - Method's metrics ({time, memory, avgTimePerIter})
  * @param {string} metric - 'time', 'memory', or 'cpu'
- * @returns {string|null} 'method1', 'method2', or null if tie/unavailable
+ * @returns {number|null} Metric value or null if unavailable
  */
-function getWinner(method1Data, method2Data, metric) {
-    let val1, val2;
+function getMetricValue(methodData, metric) {
+    let value;
     
     if (metric === 'time') {
-        val1 = method1Data.time;
-        val2 = method2Data.time;
+        value = methodData.time;
     } else if (metric === 'memory') {
-        val1 = method1Data.memory;
-        val2 = method2Data.memory;
+        value = methodData.memory;
     } else if (metric === 'cpu') {
-        val1 = method1Data.avgTimePerIter;
-        val2 = method2Data.avgTimePerIter;
+        value = methodData.avgTimePerIter;
     } else {
         return null;
     }
     
-    // Handle null/undefined values
-    if (val1 === null || val1 === undefined || !isFinite(val1)) return null;
-    if (val2 === null || val2 === undefined || !isFinite(val2)) return null;
-    
-    // Lower is better
-    if (val1 < val2) return 'method1';
-    if (val2 < val1) return 'method2';
-    return null; // Tie
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    return value;
 }
 
 /**
- * Update performance display in the UI
- * @param {Object} elements - DOM elements object
- * @param {Object} state - Application state
+ * Determine winner for a metric (lower is better for time, memory, CPU)
+ * @param {Object} metricsByMethod - Metrics keyed by method
+ * @param {string} metric - 'time', 'memory', or 'cpu'
+ * @returns {string|null} Winning method key, or null if tie/fewer than two methods have data
  */
-export function updatePerformanceDisplay(elements, state) {
-    const jacobiData = state.performanceHistory.jacobi || {};
-    const gaussSeidelData = state.performanceHistory.gaussSeidel || {};
-    
-    const jacobiCurrent = jacobiData.currentRun || null;
-    const gaussSeidelCurrent = gaussSeidelData.currentRun || null;
-    const jacobiRuns = jacobiData.runs || [];
-    const gaussSeidelRuns = gaussSeidelData.runs || [];
+function getWinner(metricsByMethod, metric) {
+    const candidates = Object.keys(metricsByMethod)
+        .map(method => ({ method, value: getMetricValue(metricsByMethod[method], metric) }))
+        .filter(entry => entry.value !== null);
     
-    // Get current metrics
-    const jacobiCurrentMetrics = {
-        time: jacobiCurrent ? jacobiCurrent.elapsedTime : null,
-        memory: jacobiCurrent ? jacobiCurrent.memoryUsed : null,
-        avgTimePerIter: jacobiCurrent ? jacobiCurrent.avgTimePerIteration : null
-    };
+    // Need something to compare against
+    if (candidates.length < 2) return null;
     
-    const gaussSeidelCurrentMetrics = {
-        time: gaussSeidelCurrent ? gaussSeidelCurrent.elapsedTime : null,
-        memory: gaussSeidelCurrent ? gaussSeidelCurrent.memoryUsed : null,
-        avgTimePerIter: gaussSeidelCurrent ? gaussSeidelCurrent.avgTimePerIteration : null
-    };
-    
-    // Calculate statistics
-    const jacobiStats = calculateStats(jacobiRuns);
-    const gaussSeidelStats = calculateStats(gaussSeidelRuns);
-    
-    // Update current metrics display
-    const jacobiCurrentEl = document.getElementById('jacobiCurrent');
-    const gaussSeidelCurrentEl = document.getElementById('gaussSeidelCurrent');
-    
-    if (jacobiCurrentEl) {
-        const timeStr = formatTime(jacobiCurrentMetrics.time);
-        const memoryStr = formatMemory(jacobiCurrentMetrics.memory);
-        const cpuStr = formatCPU(jacobiCurrentMetrics.avgTimePerIter);
-        jacobiCurrentEl.innerHTML = `
-            <div class="metric-row">
-                <span class="metric-label" data-tooltip="Time taken from iteration start to convergence">Time:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'time') === 'method1' ? 'metric-winner' : ''}">${timeStr}</span>
-            </div>
-            <div class="metric-row">
-                <span class="metric-label" data-tooltip="Memory used during convergence (Chrome/Edge only)">Memory:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'memory') === 'method1' ? 'metric-winner' : ''}">${memoryStr}</span>
-            </div>
-            <div class="metric-row">
-                <span class="metric-label" data-tooltip="Average time per iteration, used as CPU usage proxy">CPU:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'cpu') === 'method1' ? 'metric-winner' : ''}">${cpuStr}</span>
-            </div>
-        `;
-    }
+    // Lower is better
+    const best = Math.min(...candidates.map(entry => entry.value));
+    const leaders = candidates.filter(entry => entry.value === best);
+    return leaders.length === 1 ? leaders[0].method : null; // Tie
+}
+
+/**
+ * Render current metrics rows for one method
+ * @param {string} method - Method key
+ * @param {Object} metricsByMethod - Current metrics keyed by method
+ * @returns {string} HTML string
+ */
+function renderCurrentMetrics(method, metricsByMethod) {
+    const metrics = metricsByMethod[method];
+    const winnerClass = (metric) => getWinner(metricsByMethod, metric) === method ? 'metric-winner' : '';
     
-    if (gaussSeidelCurrentEl) {
-        const timeStr = formatTime(gaussSeidelCurrentMetrics.time);
-        const memoryStr = formatMemory(gaussSeidelCurrentMetrics.memory);
-        const cpuStr = formatCPU(gaussSeidelCurrentMetrics.avgTimePerIter);
-        gaussSeidelCurrentEl.innerHTML = `
+    return `
             <div class="metric-row">
                 <span class="metric-label" data-tooltip="Time taken from iteration start to convergence">Time:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'time') === 'method2' ? 'metric-winner' : ''}">${timeStr}</span>
+                <span class="metric-value ${winnerClass('time')}">${formatTime(metrics.time)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-label" data-tooltip="Memory used during convergence (Chrome/Edge only)">Memory:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'memory') === 'method2' ? 'metric-winner' : ''}">${memoryStr}</span>
+                <span class="metric-value ${winnerClass('memory')}">${formatMemory(metrics.memory)}</span>
             </div>
             <div class="metric-row">
                 <span class="metric-label" data-tooltip="Average time per iteration, used as CPU usage proxy">CPU:</span>
-                <span class="metric-value ${getWinner(jacobiCurrentMetrics, gaussSeidelCurrentMetrics, 'cpu') === 'method2' ? 'metric-winner' : ''}">${cpuStr}</span>
+                <span class="metric-value ${winnerClass('cpu')}">${formatCPU(metrics.avgTimePerIter)}</span>
             </div>
         `;
-    }
-    
-    // Update historical stats display
-    const jacobiStatsEl = document.getElementById('jacobiStats');
-    const gaussSeidelStatsEl = document.getElementById('gaussSeidelStats');
-    const historicalStatsEl = document.getElementById('historicalStats');
-    
-    if (historicalStatsEl) {
-        const hasHistory = (jacobiStats || gaussSeidelStats);
-        historicalStatsEl.style.display = hasHistory ? 'block' : 'none';
-    }
-    
-    if (jacobiStatsEl && jacobiStats) {
-        jacobiStatsEl.innerHTML = `
+}
+
+/**
+ * Render best/worst/average stats for one method
+ * @param {Object} stats - Stats from calculateStats
+ * @returns {string} HTML string
+ */
+function renderStats(stats) {
+    return `
             <div class="stats-section">
                 <div class="stats-label">Best:</div>
                 <div class="stats-values">
-                    ${formatTime(jacobiStats.best.time)} / ${formatMemory(jacobiStats.best.memory)} / ${formatCPU(jacobiStats.best.avgTimePerIter)}
+                    ${formatTime(stats.best.time)} / ${formatMemory(stats.best.memory)} / ${formatCPU(stats.best.avgTimePerIter)}
                 </div>
             </div>
             <div class="stats-section">
                 <div class="stats-label">Worst:</div>
                 <div class="stats-values">
-                    ${formatTime(jacobiStats.worst.time)} / ${formatMemory(jacobiStats.worst.memory)} / ${formatCPU(jacobiStats.worst.avgTimePerIter)}
+                    ${formatTime(stats.worst.time)} / ${formatMemory(stats.worst.memory)} / ${formatCPU(stats.worst.avgTimePerIter)}
                 </div>
             </div>
             <div class="stats-section">
                 <div class="stats-label">Average:</div>
                 <div class="stats-values">
-                    ${formatTime(jacobiStats.average.time)} / ${formatMemory(jacobiStats.average.memory)} / ${formatCPU(jacobiStats.average.avgTimePerIter)}
+                    ${formatTime(stats.average.time)} / ${formatMemory(stats.average.memory)} / ${formatCPU(stats.average.avgTimePerIter)}
                 </div>
             </div>
         `;
-    } else if (jacobiStatsEl) {
-        jacobiStatsEl.innerHTML = '<div class="stats-empty">No history yet</div>';
-    }
+}
+
+/**
+ * Update performance display in the UI
+ * @param {Object} elements - DOM elements object
+ * @param {Object} state - Application state
+ */
+export function updatePerformanceDisplay(elements, state) {
+    const history = state.performanceHistory || {};
+    const currentMetrics = {};
+    const statsByMethod = {};
     
-    if (gaussSeidelStatsEl && gaussSeidelStats) {
-        gaussSeidelStatsEl.innerHTML = `
-            <div class="stats-section">
-                <div class="stats-label">Best:</div>
-                <div class="stats-values">
-                    ${formatTime(gaussSeidelStats.best.time)} / ${formatMemory(gaussSeidelStats.best.memory)} / ${formatCPU(gaussSeidelStats.best.avgTimePerIter)}
-                </div>
-            </div>
-            <div class="stats-section">
-                <div class="stats-label">Worst:</div>
-                <div class="stats-values">
-                    ${formatTime(gaussSeidelStats.worst.time)} / ${formatMemory(gaussSeidelStats.worst.memory)} / ${formatCPU(gaussSeidelStats.worst.avgTimePerIter)}
-                </div>
-            </div>
-            <div class="stats-section">
-                <div class="stats-label">Average:</div>
-                <div class="stats-values">
-                    ${formatTime(gaussSeidelStats.average.time)} / ${formatMemory(gaussSeidelStats.average.memory)} / ${formatCPU(gaussSeidelStats.average.avgTimePerIter)}
-                </div>
-            </div>
-        `;
-    } else if (gaussSeidelStatsEl) {
-        gaussSeidelStatsEl.innerHTML = '<div class="stats-empty">No history yet</div>';
+    METHODS.forEach(method => {
+        const methodData = history[method] || {};
+        const currentRun = methodData.currentRun || null;
+        
+        currentMetrics[method] = {
+            time: currentRun ? currentRun.elapsedTime : null,
+            memory: currentRun ? currentRun.memoryUsed : null,
+            avgTimePerIter: currentRun ? currentRun.avgTimePerIteration : null
+        };
+        statsByMethod[method] = calculateStats(methodData.runs || []);
+    });
+    
+    // Update current metrics display
+    METHODS.forEach(method => {
+        const currentEl = document.getElementById(`${method}Current`);
+        if (currentEl) {
+            currentEl.innerHTML = renderCurrentMetrics(method, currentMetrics);
+        }
+    });
+    
+    // Update historical stats display
+    const historicalStatsEl = document.getElementById('historicalStats');
+    if (historicalStatsEl) {
+        const hasHistory = METHODS.some(method => statsByMethod[method]);
+        historicalStatsEl.style.display = hasHistory ? 'block' : 'none';
     }
+    
+    METHODS.forEach(method => {
+        const statsEl = document.getElementById(`${method}Stats`);
+        if (!statsEl) return;
+        
+        const stats = statsByMethod[method];
+        statsEl.innerHTML = stats ? renderStats(stats) : '<div class="stats-empty">No history yet</div>';
+    });
 }
 
+/**
+ * Redraw the performance metrics whenever the method or the recorded runs change in the store
+ * @param {Object} store - State manager
+ * @param {Object} elements - DOM elements object
+ * @param {Object} state - Application state with performanceHistory
+ * @returns {Function} Unsubscribe function
+ */
+export function attachPerformanceDisplay(store, elements, state) {
+    const render = () => updatePerformanceDisplay(elements, state);
+    const unsubscribers = ['iteration.method', 'iteration.runRevision'].map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,89 @@
+/**
+ * Race View Module
+ *
+ * Renders the split view for race mode: one knob column per lane with
+ * its own iteration count, residual readout and status, plus the finish
+ * summary once every lane has stopped.
+ */
+
+import { getMethodLabel } from '../core/methods.js';
+import { DEFAULT_VALUE_RANGE } from '../core/valueRange.js';
+import { valueToKnobAngle } from './knobs.js';
+
+const STATUS_LABELS = {
+    running: 'Racing',
+    converged: '🏁 Converged',
+    diverged: '✗ Diverged',
+    stalled: '✗ Iteration limit'
+};
+
+/**
+ * Build the markup for one lane
+ * @param {Object} lane - Lane from createRace
+ * @param {Object} options - Options
+ * @param {number} options.visibleKnobs - Knobs to draw per lane
+ * @param {Object} options.valueRange - Knob range { min, max }
+ * @param {boolean} options.isWinner - Highlight the lane as winner
+ * @returns {string} HTML string
+ */
+export function buildRaceLaneHTML(lane, { visibleKnobs = 3, valueRange = DEFAULT_VALUE_RANGE, isWinner = false } = {}) {
+    const count = Math.min(lane.x.length, visibleKnobs);
+    let knobs = '';
+    for (let i = 0; i < count; i++) {
+        const value = lane.x[i];
+        const outOfRange = value < valueRange.min || value > valueRange.max;
+        knobs += `
+            <div class="knob-wrapper race-knob-wrapper${outOfRange ? ' out-of-range' : ''}">
+                <div class="knob race-knob" style="transform: rotate(${valueToKnobAngle(value, valueRange)}deg)">
+                    <div class="knob-pointer"></div>
+                    <div class="knob-ridges"></div>
+                </div>
+                <div class="knob-label">x${i + 1}</div>
+                <div class="knob-value">${value.toFixed(2)}</div>
+            </div>`;
+    }
+    if (lane.x.length > count) {
+        knobs += `<div class="race-hidden-knobs" data-tooltip="${lane.x.slice(count).map((v, j) => `x${count + j + 1}: ${v.toFixed(2)}`).join('\n')}">+${lane.x.length - count}</div>`;
+    }
+
+    return `
+        <div class="race-lane race-lane-${lane.status}${isWinner ? ' race-lane-winner' : ''}" data-method="${lane.method}">
+            <div class="race-lane-header">${getMethodLabel(lane.method)}</div>
+            <div class="race-knobs">${knobs}</div>
+            <div class="race-readout">
+                <span class="race-iteration">Iter: ${lane.iteration}</span>
+                <span class="race-residual">Residual: ${lane.residual.toExponential(2)}</span>
+                <span class="race-status">${STATUS_LABELS[lane.status]}</span>
+            </div>
+        </div>`;
+}
+
+/**
+ * Render all lanes into a container
+ * @param {HTMLElement} container - Lanes container
+ * @param {Object} race - Race from createRace
+ * @param {Object} options - Options for buildRaceLaneHTML (winner: method key or null)
+ */
+export function renderRaceLanes(container, race, options = {}) {
+    if (!container) return;
+    const { winner = null, ...laneOptions } = options;
+    container.innerHTML = race.lanes
+        .map(lane => buildRaceLaneHTML(lane, { ...laneOptions, isWinner: lane.method === winner }))
+        .join('');
+}
+
+/**
+ * Show or clear the finish summary
+ * @param {HTMLElement} element - Summary element
+ * @param {Object|null} summary - Summary from summarizeRace, or null to clear
+ */
+export function renderRaceSummary(element, summary) {
+    if (!element) return;
+    if (!summary) {
+        element.textContent = '';
+        element.style.display = 'none';
+        return;
+    }
+    element.textContent = summary.text;
+    element.style.display = '';
+}
@@ -0,0 +1,212 @@
+/**
+ * Solution Modal Module
+ *
+ * Builds the "System Equalized" modal content from A, b and x for any
+ * system size: solution values, a per-equation substitution check rendered
+ * with KaTeX, residuals, method and iteration count, and a plain-English
+ * explanation of each equation. Runs in exact arithmetic mode show the
+ * values and the substitution check as fractions.
+ */
+
+import { renderLaTeXWithKaTeX, equationToLaTeX } from '../utils/formatting.js';
+import { calculateErrors, getMaxError } from '../core/math.js';
+import { getMethodLabel } from '../core/methods.js';
+import { getBandFrequency } from './bands.js';
+import { ZERO, fromNumber, add, multiply, formatRational, rationalToLatex } from '../core/rational.js';
+
+/**
+ * Format a coefficient for prose ("4 times", "negative 2 times", "")
+ * @param {number} coeff - Coefficient
+ * @returns {string} Multiplier phrase (empty for ±1)
+ */
+function formatMultiplier(coeff) {
+    const abs = Math.abs(coeff);
+    if (Math.abs(abs - 1) < 1e-10) return '';
+    return `${Number.isInteger(abs) ? abs : abs.toFixed(2)} times `;
+}
+
+/**
+ * Describe an equation's left-hand side in plain English
+ * @param {number[]} row - Row of A
+ * @returns {string} e.g. "4 times knob 1, minus knob 2, plus knob 3"
+ */
+export function describeEquation(row) {
+    const parts = [];
+
+    row.forEach((coeff, j) => {
+        if (Math.abs(coeff) < 1e-10) return;
+        const term = `${formatMultiplier(coeff)}knob ${j + 1}`;
+        if (parts.length === 0) {
+            parts.push(coeff < 0 ? `negative ${term}` : term);
+        } else {
+            parts.push(coeff < 0 ? `minus ${term}` : `plus ${term}`);
+        }
+    });
+
+    return parts.length > 0 ? parts.join(', ') : 'nothing (all coefficients are zero)';
+}
+
+/**
+ * Format a number for the substitution check
+ * @param {number} value - Value
+ * @returns {string} Value with 4 decimals
+ */
+function formatValue(value) {
+    return value.toFixed(4);
+}
+
+/**
+ * Build the LaTeX substitution check for one equation
+ * @param {number[]} row - Row of A
+ * @param {number[]} x - Solution vector
+ * @param {number} lhs - Computed left-hand side
+ * @param {Object[]|null} exact - Solution as fractions; the check is then exact
+ * @returns {string} e.g. "4(2.0000) - (4.0000) + (3.0000) = 7.0000"
+ */
+export function buildSubstitutionLatex(row, x, lhs, exact = null) {
+    const terms = [];
+    // Fractions need stretchy parentheses
+    const value = j => (exact ? `\\left(${rationalToLatex(exact[j])}\\right)` : `(${formatValue(x[j])})`);
+
+    row.forEach((coeff, j) => {
+        if (Math.abs(coeff) < 1e-10) return;
+        const abs = Math.abs(coeff);
+        let multiplier = '';
+        if (Math.abs(abs - 1) >= 1e-10) {
+            multiplier = exact ? rationalToLatex(fromNumber(abs)) : `${Number.isInteger(abs) ? abs : abs.toFixed(2)}`;
+        }
+        const term = `${multiplier}${value(j)}`;
+        if (terms.length === 0) {
+            terms.push(coeff < 0 ? `-${term}` : term);
+        } else {
+            terms.push(`${coeff < 0 ? '-' : '+'} ${term}`);
+        }
+    });
+
+    const result = exact
+        ? rationalToLatex(row.reduce((sum, coeff, j) => add(sum, multiply(fromNumber(coeff), exact[j])), ZERO))
+        : formatValue(lhs);
+    return `${terms.length > 0 ? terms.join(' ') : '0'} = ${result}`;
+}
+
+/**
+ * Build the plain-English method explanation
+ * @param {string} method - Method key
+ * @param {number} n - System size
+ * @param {number} omega - SOR relaxation factor
+ * @returns {string} Explanation text
+ */
+export function buildMethodExplanation(method, n, omega) {
+    const knobs = n === 2 ? 'both knob values' : `all ${n} knob values`;
+    const base = `The ${getMethodLabel(method)} method works like this: we started with an initial guess for ${knobs}. Then, we repeatedly adjusted each knob by solving its own equation for it, using the equations as our guide.`;
+
+    if (method === 'cg') {
+        return `The Conjugate Gradient method works like this: we started with an initial guess for ${knobs}. Instead of adjusting one knob at a time, each step turned ${n === 2 ? 'both knobs' : 'all knobs'} together in a carefully chosen direction, by exactly the amount that brought the settings closest to balance along that direction. Each new direction avoids undoing the previous ones, so for a symmetric positive-definite system the balance is reached in at most ${n} steps.`;
+    }
+    if (method === 'gaussSeidel') {
+        return `${base} Within each adjustment round the knobs are updated one after another, and each knob immediately uses the new settings of the knobs before it, which usually reaches the balance in fewer rounds than Jacobi.`;
+    }
+    if (method === 'sor') {
+        const style = omega > 1 ? 'overshoots each Gauss-Seidel correction a little' : (omega < 1 ? 'takes only part of each Gauss-Seidel correction' : 'takes exactly the Gauss-Seidel correction');
+        return `${base} Like Gauss-Seidel, each knob uses the newest settings of the knobs before it, but with the relaxation factor ω = ${omega.toFixed(2)} every adjustment ${style}, which can speed up or stabilize the balancing.`;
+    }
+    return `${base} Every knob in a round is computed from the previous round's settings, so all knobs move at the same time. Each round brought us closer to the perfect settings.`;
+}
+
+/**
+ * Render solution modal content
+ * @param {Object} params - Parameters
+ * @param {number[][]} params.A - Coefficient matrix
+ * @param {number[]} params.b - Constant vector
+ * @param {number[]} params.x - Current solution
+ * @param {number} params.n - System size
+ * @param {string} params.method - Method key
+ * @param {number} params.iteration - Iteration count
+ * @param {number} params.omega - SOR relaxation factor
+ * @param {number} params.tolerance - Convergence tolerance
+ * @param {string} params.criterion - Description of the stopping rule
+ * @param {Object[]|null} params.exact - Solution as fractions (exact arithmetic mode)
+ */
+export function renderSolutionModal({ A, b, x, n, method, iteration, omega, tolerance = 0.0001, criterion = null, exact = null }) {
+    const errors = calculateErrors(x, A, b);
+    const maxError = getMaxError(errors);
+
+    // Solution vector
+    const valuesEl = document.getElementById('solutionValues');
+    if (valuesEl) {
+        valuesEl.innerHTML = '';
+        for (let i = 0; i < n; i++) {
+            const line = document.createElement('div');
+            line.className = 'solution-value';
+            line.innerHTML = exact
+                ? `<strong>Knob ${i + 1} (x<sub>${i + 1}</sub>): <span>${formatRational(exact[i])}</span></strong> ≈ ${x[i].toFixed(4)}`
+                : `<strong>Knob ${i + 1} (x<sub>${i + 1}</sub>): <span>${x[i].toFixed(4)}</span></strong>`;
+            valuesEl.appendChild(line);
+        }
+    }
+
+    const summaryEl = document.getElementById('solutionSummary');
+    if (summaryEl) {
+        const bands = n === 2 ? 'both frequency bands' : `all ${n} frequency bands`;
+        summaryEl.textContent = `These are the values that balance ${bands} simultaneously. Think of it like finding the perfect mix of every band on the equalizer—when each band hits its target, the sound is perfect!`;
+    }
+
+    // Per-equation verification
+    const verificationEl = document.getElementById('solutionVerification');
+    if (verificationEl) {
+        verificationEl.innerHTML = '';
+        for (let i = 0; i < n; i++) {
+            const error = errors[`eq${i + 1}`];
+            const residual = Math.abs(error.error);
+            let status = '✗ Not Yet Balanced';
+            if (residual < tolerance) {
+                status = '✓ Perfectly Balanced';
+            } else if (residual < tolerance * 100) {
+                status = '≈ Nearly Balanced';
+            }
+
+            const item = document.createElement('div');
+            item.className = 'verification-item';
+
+            const header = document.createElement('div');
+            header.className = 'condition-header-plain';
+            header.innerHTML = `<strong>📡 Frequency Band ${i + 1} (${getBandFrequency(i)} Hz)</strong>
+                <span class="condition-status">${status}</span>`;
+            item.appendChild(header);
+
+            const prose = document.createElement('p');
+            prose.className = 'equation-plain-english';
+            prose.innerHTML = `This frequency band required: <strong>${describeEquation(A[i])}</strong> to equal exactly <strong>${b[i]}</strong>.`;
+            item.appendChild(prose);
+
+            renderLaTeXWithKaTeX(equationToLaTeX(A[i], b[i]), item, { displayMode: true });
+            renderLaTeXWithKaTeX(buildSubstitutionLatex(A[i], x, error.lhs, exact), item, { displayMode: true });
+
+            const residualEl = document.createElement('p');
+            residualEl.className = 'equation-result-explanation';
+            residualEl.innerHTML = `Target: <span class="result-value">${formatValue(b[i])}</span> · Residual: <span class="result-value">${residual.toExponential(2)}</span>`;
+            item.appendChild(residualEl);
+
+            verificationEl.appendChild(item);
+        }
+    }
+
+    // Convergence details
+    const iterationsEl = document.getElementById('solutionIterations');
+    if (iterationsEl) iterationsEl.textContent = iteration;
+    const maxErrorEl = document.getElementById('solutionMaxError');
+    if (maxErrorEl) maxErrorEl.textContent = maxError.toFixed(6);
+    const methodEl = document.getElementById('solutionMethod');
+    if (methodEl) {
+        methodEl.textContent = method === 'sor'
+            ? `${getMethodLabel(method)} (ω = ${omega.toFixed(2)})`
+            : getMethodLabel(method);
+    }
+    const thresholdEl = document.getElementById('solutionThreshold');
+    if (thresholdEl) thresholdEl.textContent = criterion || `Error less than ${tolerance}`;
+
+    const explanationEl = document.getElementById('solutionExplanation');
+    if (explanationEl) {
+        explanationEl.textContent = buildMethodExplanation(method, n, omega);
+    }
+}
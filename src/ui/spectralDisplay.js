@@ -0,0 +1,71 @@
+/**
+ * Spectral Analysis Display Module
+ *
+ * Renders the convergence prediction panel (spectral radius ρ of each
+ * method's iteration matrix and estimated iterations to tolerance;
+ * condition number κ for Conjugate Gradient)
+ */
+
+import { METHODS, getMethodLabel } from '../core/methods.js';
+
+/**
+ * Format spectral radius to "0.4321" or "-"
+ * @param {number|null} rho - Spectral radius
+ * @returns {string} Formatted value
+ */
+function formatRho(rho) {
+    if (rho === null || rho === undefined || !isFinite(rho)) {
+        return '-';
+    }
+    return rho.toFixed(4);
+}
+
+/**
+ * Build the ρ (or κ for Conjugate Gradient) column
+ * @param {string} method - Method key
+ * @param {Object} result - Analysis for the method
+ * @returns {string} HTML span
+ */
+function renderRate(method, result) {
+    if (method === 'cg') {
+        const condition = result.condition ? result.condition.toFixed(1) : '-';
+        return `<span class="spectral-rho" data-tooltip="Condition number λmax/λmin; the error shrinks at least by (√κ − 1)/(√κ + 1) per step">κ = ${condition}</span>`;
+    }
+    return `<span class="spectral-rho" data-tooltip="Spectral radius of the iteration matrix">ρ = ${formatRho(result.rho)}</span>`;
+}
+
+/**
+ * Update spectral analysis panel
+ * @param {Object} analysis - Result of analyzeConvergence()
+ * @param {Object} options - Options
+ * @param {number} options.omega - SOR relaxation factor shown next to the SOR label
+ * @param {string} options.activeMethod - Currently selected method (highlighted)
+ */
+export function updateSpectralDisplay(analysis, options = {}) {
+    const { omega, activeMethod } = options;
+    const content = document.getElementById('spectralAnalysisContent');
+    if (!content || !analysis) {
+        return;
+    }
+
+    const rows = METHODS
+        .filter(method => analysis[method])
+        .map(method => {
+            const result = analysis[method];
+            const label = method === 'sor' && typeof omega === 'number'
+                ? `${getMethodLabel(method)} (ω = ${omega.toFixed(2)})`
+                : getMethodLabel(method);
+            const statusClass = result.converges ? 'spectral-converges' : 'spectral-diverges';
+            const activeClass = method === activeMethod ? 'spectral-active' : '';
+
+            return `
+            <div class="spectral-row ${activeClass}">
+                <span class="spectral-method">${label}</span>
+                ${renderRate(method, result)}
+                <span class="spectral-prediction ${statusClass}">${result.message}</span>
+            </div>
+        `;
+        });
+
+    content.innerHTML = rows.join('');
+}
@@ -0,0 +1,55 @@
+/**
+ * Timeline Scrubber Module
+ *
+ * Keeps the step-back button, the iteration slider and its label in
+ * sync with the iteration history. attachTimeline() redraws them when the
+ * iteration or the recorded run changes in the store.
+ */
+
+import { getHistoryBounds, getSnapshot } from '../utils/iterationHistory.js';
+
+/**
+ * Update the timeline controls
+ * @param {Object} controls - Timeline elements
+ * @param {HTMLInputElement} controls.slider - Range input
+ * @param {HTMLElement} controls.label - Iteration label
+ * @param {HTMLButtonElement} controls.backBtn - Step-back button
+ * @param {Object} history - Iteration history
+ * @param {number} iteration - Current iteration
+ */
+export function updateTimeline({ slider, label, backBtn }, history, iteration) {
+    const bounds = getHistoryBounds(history);
+    const first = bounds ? bounds.first : 0;
+    const last = bounds ? Math.max(bounds.last, iteration) : iteration;
+
+    if (slider) {
+        slider.min = first;
+        slider.max = last;
+        slider.value = iteration;
+        slider.disabled = !bounds || last === first;
+        slider.setAttribute('aria-valuemin', first);
+        slider.setAttribute('aria-valuemax', last);
+        slider.setAttribute('aria-valuenow', iteration);
+    }
+    if (label) {
+        const snapshot = getSnapshot(history, iteration);
+        const residual = snapshot ? ` · residual ${snapshot.maxResidual.toExponential(2)}` : '';
+        label.textContent = `Iteration ${iteration} / ${last}${residual}`;
+    }
+    if (backBtn) {
+        backBtn.disabled = !getSnapshot(history, iteration - 1);
+    }
+}
+
+/**
+ * Redraw the timeline whenever the iteration or the recorded run changes in the store
+ * @param {Object} store - State manager
+ * @param {Object} controls - Timeline elements (see updateTimeline)
+ * @param {Object} view - App state: iteration and iterationHistory
+ * @returns {Function} Unsubscribe function
+ */
+export function attachTimeline(store, controls, view) {
+    const render = () => updateTimeline(controls, view.iterationHistory, view.iteration);
+    const unsubscribers = ['system.iteration', 'iteration.runRevision'].map(path => store.subscribe(path, render));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -1,9 +1,11 @@
 /**
  * Export Module
  * 
- * Handles CSV export of performance data
+ * Handles CSV export of performance data and generic file downloads
  */
 
+import { METHODS, getMethodLabel } from '../core/methods.js';
+
 /**
  * Escape CSV field (handle commas and quotes)
  * @param {string} field - Field value to escape
@@ -61,7 +63,7 @@ export function exportPerformanceToCSV(performanceHistory) {
     lines.push('Method,Run,Iterations,Time (s),Memory (MB),Avg Time/Iter (ms),Timestamp');
     
     // Process each method
-    ['jacobi', 'gaussSeidel'].forEach(method => {
+    METHODS.forEach(method => {
         const methodData = performanceHistory[method];
         if (!methodData || !methodData.runs || methodData.runs.length === 0) {
             return;
@@ -70,7 +72,7 @@ export function exportPerformanceToCSV(performanceHistory) {
         // Add each run
         methodData.runs.forEach((run, index) => {
             const row = [
-                method === 'jacobi' ? 'Jacobi' : 'Gauss-Seidel',
+                getMethodLabel(method),
                 index + 1,
                 run.iterations || 0,
                 formatNumber(run.timeToConverge, 3),
@@ -83,14 +85,14 @@ export function exportPerformanceToCSV(performanceHistory) {
     });
     
     // Add statistics rows if we have data
-    ['jacobi', 'gaussSeidel'].forEach(method => {
+    METHODS.forEach(method => {
         const methodData = performanceHistory[method];
         if (!methodData || !methodData.runs || methodData.runs.length === 0) {
             return;
         }
         
         const runs = methodData.runs;
-        const methodName = method === 'jacobi' ? 'Jacobi' : 'Gauss-Seidel';
+        const methodName = getMethodLabel(method);
         
         // Calculate statistics
         const times = runs.map(r => r.timeToConverge).filter(t => t !== null && isFinite(t));
@@ -154,12 +156,11 @@ export function exportPerformanceToCSV(performanceHistory) {
 }
 
 /**
- * Download CSV file
- * @param {string} csvContent - CSV content string
+ * Download a Blob as a file
+ * @param {Blob} blob - File content
  * @param {string} filename - Filename for download
  */
-export function downloadCSV(csvContent, filename) {
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -171,11 +172,23 @@ export function downloadCSV(csvContent, filename) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Download CSV file
+ * @param {string} csvContent - CSV content string
+ * @param {string} filename - Filename for download
+ */
+export function downloadCSV(csvContent, filename) {
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(blob, filename);
+}
+
 /**
  * Generate filename with timestamp
+ * @param {string} prefix - Filename prefix (default: 'performance-data')
+ * @param {string} extension - File extension without dot (default: 'csv')
  * @returns {string} Filename
  */
-export function generateFilename() {
+export function generateFilename(prefix = 'performance-data', extension = 'csv') {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -183,7 +196,6 @@ export function generateFilename() {
     const hours = String(now.getHours()).padStart(2, '0');
     const minutes = String(now.getMinutes()).padStart(2, '0');
     const seconds = String(now.getSeconds()).padStart(2, '0');
-    return `performance-data-${year}-${month}-${day}-${hours}-${minutes}-${seconds}.csv`;
+    return `${prefix}-${year}-${month}-${day}-${hours}-${minutes}-${seconds}.${extension}`;
 }
 
-
@@ -73,13 +73,17 @@ export function formatSolution(solution) {
  * @param {number[]} coefficients - Array of coefficients
  * @param {number} constant - Constant term
  * @param {string} variablePrefix - Variable prefix (default: 'x')
+ * @param {number[]} order - Variable indices in the order to write the terms
+ *   (default: column order; variables left out follow in column order)
  * @returns {string} LaTeX equation string
  */
-export function equationToLaTeX(coefficients, constant, variablePrefix = 'x') {
+export function equationToLaTeX(coefficients, constant, variablePrefix = 'x', order = null) {
     let equationLatex = '';
     let hasTerms = false;
+    const columns = coefficients.map((_, i) => i);
+    const sequence = order ? [...order, ...columns.filter(i => !order.includes(i))] : columns;
     
-    for (let i = 0; i < coefficients.length; i++) {
+    for (const i of sequence) {
         const coeff = coefficients[i];
         if (coeff !== 0) {
             hasTerms = true;
@@ -108,7 +112,8 @@ export function equationToLaTeX(coefficients, constant, variablePrefix = 'x') {
  * @param {number[]} coefficients - Array of coefficients
  * @param {number} constant - Constant term
  * @param {HTMLElement} container - Container element to render into
- * @param {Object} options - Rendering options {displayMode, variablePrefix}
+ * @param {Object} options - Rendering options {displayMode, variablePrefix, order}
+ *   (order: variable indices in the order to write the terms, see equationToLaTeX)
  * @returns {HTMLElement|null} Created element or null if KaTeX not available
  */
 export function renderEquationWithKaTeX(coefficients, constant, container, options = {}) {
@@ -124,10 +129,11 @@ export function renderEquationWithKaTeX(coefficients, constant, container, optio
     
     const {
         displayMode = false,
-        variablePrefix = 'x'
+        variablePrefix = 'x',
+        order = null
     } = options;
     
-    const latex = equationToLaTeX(coefficients, constant, variablePrefix);
+    const latex = equationToLaTeX(coefficients, constant, variablePrefix, order);
     
     try {
         const equationHTML = katex.renderToString(latex, {
@@ -0,0 +1,88 @@
+/**
+ * Iteration History Module
+ *
+ * Full-run store of every iterate and its residuals, used by the timeline
+ * scrubber to step back and resume from any earlier iteration.
+ * Unlike the equation visualizer's 50-entry ring, nothing is dropped
+ * until the run is cleared or resumed from an earlier point.
+ */
+
+/**
+ * Create an empty iteration history
+ * @returns {Object} History { method, snapshots }
+ */
+export function createIterationHistory() {
+    return { method: null, snapshots: [] };
+}
+
+/**
+ * Clear the history (new system, new initial guess or method switch)
+ * @param {Object} history - Iteration history
+ */
+export function clearIterationHistory(history) {
+    history.method = null;
+    history.snapshots.length = 0;
+}
+
+/**
+ * Record the state at an iteration
+ *
+ * Recording iteration k discards any snapshots from k onward first, so
+ * resuming from an earlier iteration overwrites the abandoned future.
+ *
+ * @param {Object} history - Iteration history
+ * @param {Object} snapshot - Snapshot data
+ * @param {number} snapshot.iteration - Iteration number
+ * @param {number[]} snapshot.x - Iterate (copied)
+ * @param {number[]} snapshot.residuals - Residuals b − Ax per equation (copied)
+ * @param {string} snapshot.method - Method that produced the iterate
+ * @param {Object|null} snapshot.solverState - Method state needed to resume from here,
+ *   e.g. the Conjugate Gradient residual and search direction (stored as given)
+ * @param {string[]|null} snapshot.exact - Exact iterate as fractions ("7/4") in exact
+ *   arithmetic mode (see core/exactArithmetic.js), otherwise null
+ */
+export function recordIteration(history, { iteration, x, residuals, method, solverState = null, exact = null }) {
+    truncateIterationHistory(history, iteration - 1);
+    history.method = method;
+    history.snapshots.push({
+        iteration,
+        x: [...x],
+        residuals: [...residuals],
+        maxResidual: residuals.reduce((max, r) => Math.max(max, Math.abs(r)), 0),
+        solverState,
+        exact: exact ? [...exact] : null
+    });
+}
+
+/**
+ * Drop every snapshot after an iteration
+ * @param {Object} history - Iteration history
+ * @param {number} iteration - Last iteration to keep
+ */
+export function truncateIterationHistory(history, iteration) {
+    const index = history.snapshots.findIndex(snapshot => snapshot.iteration > iteration);
+    if (index !== -1) {
+        history.snapshots.length = index;
+    }
+}
+
+/**
+ * Look up the snapshot for an iteration
+ * @param {Object} history - Iteration history
+ * @param {number} iteration - Iteration number
+ * @returns {Object|null} Snapshot, or null if it was not recorded
+ */
+export function getSnapshot(history, iteration) {
+    return history.snapshots.find(snapshot => snapshot.iteration === iteration) || null;
+}
+
+/**
+ * Iteration range covered by the history
+ * @param {Object} history - Iteration history
+ * @returns {Object|null} { first, last }, or null if empty
+ */
+export function getHistoryBounds(history) {
+    const { snapshots } = history;
+    if (snapshots.length === 0) return null;
+    return { first: snapshots[0].iteration, last: snapshots[snapshots.length - 1].iteration };
+}
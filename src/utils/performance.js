@@ -4,6 +4,71 @@
  * Tracks time, memory, and CPU usage for iteration methods
  */
 
+import { METHODS } from '../core/methods.js';
+
+// Completed runs kept per method (oldest dropped first), so the saved history stays small
+export const MAX_RUNS_PER_METHOD = 100;
+
+/**
+ * Drop the oldest runs beyond MAX_RUNS_PER_METHOD
+ * @param {Array} runs - Completed runs, oldest first (trimmed in place)
+ */
+function trimRuns(runs) {
+    if (runs.length > MAX_RUNS_PER_METHOD) {
+        runs.splice(0, runs.length - MAX_RUNS_PER_METHOD);
+    }
+}
+
+/**
+ * Create an empty performance history with one entry per iteration method
+ * @returns {Object} Performance history keyed by method
+ */
+export function createPerformanceHistory() {
+    const history = {};
+    METHODS.forEach(method => {
+        history[method] = { runs: [], currentRun: null };
+    });
+    return history;
+}
+
+/**
+ * Completed runs of a performance history, for saving
+ * @param {Object} history - Performance history keyed by method
+ * @returns {Object} Runs keyed by method (runs in progress are left out)
+ */
+export function getSavedRuns(history) {
+    const saved = {};
+    METHODS.forEach(method => {
+        saved[method] = history[method] ? [...history[method].runs] : [];
+    });
+    return saved;
+}
+
+/**
+ * Performance history holding saved runs
+ * @param {Object|null} saved - Runs keyed by method, from getSavedRuns()
+ * @returns {Object} Performance history keyed by method
+ */
+export function restorePerformanceHistory(saved) {
+    const history = createPerformanceHistory();
+    if (saved) {
+        METHODS.forEach(method => {
+            if (Array.isArray(saved[method])) {
+                history[method].runs = saved[method].slice(-MAX_RUNS_PER_METHOD).map(run => ({ ...run }));
+            }
+        });
+    }
+    return history;
+}
+
+/**
+ * Reset current runs for every method without affecting history
+ * @param {Object} state - Application state
+ */
+export function resetAllCurrentRuns(state) {
+    METHODS.forEach(method => resetCurrentRun(method, state));
+}
+
 /**
  * Get current memory usage in MB
  * @returns {number|null} Memory in MB or null if API unavailable
@@ -17,7 +82,7 @@ export function getMemoryUsage() {
 
 /**
  * Start performance measurement for a method
- * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * @param {string} method - Method key from METHODS ('jacobi', 'gaussSeidel', 'sor')
  * @param {Object} state - Application state
  */
 export function startMeasurement(method, state) {
@@ -60,7 +125,7 @@ function validateNumber(value, defaultValue = 0) {
 
 /**
  * Update performance measurement during iteration
- * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * @param {string} method - Method key from METHODS ('jacobi', 'gaussSeidel', 'sor')
  * @param {number} iteration - Current iteration count
  * @param {Object} state - Application state
  */
@@ -100,11 +165,12 @@ export function updateMeasurement(method, iteration, state) {
 
 /**
  * Complete performance measurement and store in history
- * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * @param {string} method - Method key from METHODS ('jacobi', 'gaussSeidel', 'sor')
  * @param {number} iteration - Final iteration count
  * @param {Object} state - Application state
+ * @param {Object} convergence - Stopping rule the run converged under (optional)
  */
-export function completeMeasurement(method, iteration, state) {
+export function completeMeasurement(method, iteration, state, convergence = null) {
     if (!state.performanceHistory[method]) {
         return;
     }
@@ -138,51 +204,71 @@ export function completeMeasurement(method, iteration, state) {
         avgTimePerIteration: validatedAvgTime,
         timestamp: new Date().toISOString()
     };
+    if (convergence) {
+        const { tolerance, norm, criterion, maxIterations } = convergence;
+        completedRun.convergence = { tolerance, norm, criterion, maxIterations };
+    }
     
     // Add to history
     if (!perf.runs) {
         perf.runs = [];
     }
     perf.runs.push(completedRun);
+    trimRuns(perf.runs);
     
     // Clear current run
     perf.currentRun = null;
 }
 
 /**
- * Reset current run without affecting history
- * @param {string} method - 'jacobi' or 'gaussSeidel'
+ * Store a run measured outside startMeasurement/completeMeasurement
+ * (e.g. a race lane, timed from the shared race start)
+ * @param {string} method - Method key from METHODS ('jacobi', 'gaussSeidel', 'sor')
+ * @param {Object} run - Run data
+ * @param {number} run.iterations - Iterations to converge
+ * @param {number} run.timeToConverge - Seconds from start to convergence
+ * @param {Object} run.convergence - Stopping rule the run converged under (optional)
+ * @param {boolean} run.race - Whether the run was part of a race (optional)
  * @param {Object} state - Application state
  */
-export function resetCurrentRun(method, state) {
+export function recordRun(method, run, state) {
     if (!state.performanceHistory[method]) {
-        return;
+        state.performanceHistory[method] = { runs: [], currentRun: null };
     }
     
-    const perf = state.performanceHistory[method];
-    perf.currentRun = null;
+    const iterations = validateNumber(run.iterations, 0);
+    const timeToConverge = validateNumber(run.timeToConverge, 0);
+    const completedRun = {
+        iterations,
+        timeToConverge,
+        memoryUsed: null,
+        avgTimePerIteration: iterations > 0 ? timeToConverge / iterations * 1000 : 0,
+        timestamp: new Date().toISOString()
+    };
+    if (run.convergence) {
+        const { tolerance, norm, criterion, maxIterations } = run.convergence;
+        completedRun.convergence = { tolerance, norm, criterion, maxIterations };
+    }
+    if (run.race) {
+        completedRun.race = true;
+    }
+    
+    state.performanceHistory[method].runs.push(completedRun);
+    trimRuns(state.performanceHistory[method].runs);
 }
 
 /**
- * Migrate bytes to MB for historical data
- * Detects if a memory value is in bytes format (large number >= 1MB) and converts to MB
- * @param {number|null} memoryValue - Memory value to potentially migrate
- * @returns {number|null} Memory value in MB
+ * Reset current run without affecting history
+ * @param {string} method - Method key from METHODS ('jacobi', 'gaussSeidel', 'sor')
+ * @param {Object} state - Application state
  */
-function migrateBytesToMB(memoryValue) {
-    if (memoryValue === null || memoryValue === undefined || !isFinite(memoryValue)) {
-        return memoryValue;
-    }
-    
-    // If memory value is greater than or equal to 1MB (1,048,576 bytes), it's likely in bytes format
-    // Real memory usage in MB is typically in the range of 1-1000 MB, so values >= 1MB are likely bytes
-    const ONE_MB_IN_BYTES = 1024 * 1024;
-    if (memoryValue >= ONE_MB_IN_BYTES) {
-        // Convert from bytes to MB
-        return memoryValue / ONE_MB_IN_BYTES;
+export function resetCurrentRun(method, state) {
+    if (!state.performanceHistory[method]) {
+        return;
     }
     
-    return memoryValue;
+    const perf = state.performanceHistory[method];
+    perf.currentRun = null;
 }
 
 /**
@@ -197,23 +283,22 @@ export function calculateStats(runs) {
     
     if (runs.length === 1) {
         const run = runs[0];
-        const migratedMemory = migrateBytesToMB(run.memoryUsed);
         return {
             best: {
                 time: run.timeToConverge,
-                memory: migratedMemory,
+                memory: run.memoryUsed,
                 iterations: run.iterations,
                 avgTimePerIter: run.avgTimePerIteration
             },
             worst: {
                 time: run.timeToConverge,
-                memory: migratedMemory,
+                memory: run.memoryUsed,
                 iterations: run.iterations,
                 avgTimePerIter: run.avgTimePerIteration
             },
             average: {
                 time: run.timeToConverge,
-                memory: migratedMemory,
+                memory: run.memoryUsed,
                 iterations: run.iterations,
                 avgTimePerIter: run.avgTimePerIteration
             }
@@ -242,12 +327,11 @@ export function calculateStats(runs) {
         if (run.timeToConverge > worstTime) worstTime = run.timeToConverge;
         sumTime += run.timeToConverge;
         
-        // Memory (only if available) - migrate bytes to MB
+        // Memory (only if available)
         if (run.memoryUsed !== null) {
-            const migratedMemory = migrateBytesToMB(run.memoryUsed);
-            if (migratedMemory < bestMemory) bestMemory = migratedMemory;
-            if (migratedMemory > worstMemory) worstMemory = migratedMemory;
-            sumMemory += migratedMemory;
+            if (run.memoryUsed < bestMemory) bestMemory = run.memoryUsed;
+            if (run.memoryUsed > worstMemory) worstMemory = run.memoryUsed;
+            sumMemory += run.memoryUsed;
             countMemory++;
         }
         
@@ -0,0 +1,214 @@
+/**
+ * Share Link Module
+ *
+ * Encodes a session (system, initial guess, method, convergence settings,
+ * theme and visibility flags) into a compact URL hash, "#s=<payload>", and
+ * decodes it back. The payload is base64url-encoded JSON with short keys:
+ *
+ *   { v: version, n, A, b, x: initial guess, m: method, w: ω,
+ *     c: [tolerance, criterion, norm, maxIterations], t: 'v' | 'm' (theme),
+ *     h: bitmask of hidden components (SHARE_VISIBILITY_KEYS order),
+ *     k: visible knobs, d: visible bands }
+ *
+ * Only n, A and b are required; missing fields leave the current setting.
+ * Decoding throws an Error with a readable message for any invalid link.
+ */
+
+import { METHODS } from '../core/methods.js';
+import { clampOmega } from '../core/sor.js';
+import { validateConvergenceSettings } from '../core/convergence.js';
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE, validateSystemSize, validateMatrixDimensions } from './validation.js';
+
+export const SHARE_HASH_KEY = 's';
+export const SHARE_VERSION = 1;
+
+// Longest hash accepted or produced (chat apps and some browsers truncate longer URLs)
+export const MAX_SHARE_HASH_LENGTH = 8000;
+
+/**
+ * Visibility flags in bitmask order (bit i set = component i hidden)
+ */
+export const SHARE_VISIBILITY_KEYS = [
+    'header', 'equalizerBands', 'signalClarityDisplay', 'radioBody', 'speakerGrille',
+    'powerIndicator', 'knobs', 'volumeControl', 'tuningDial', 'controls', 'themeToggle'
+];
+
+/**
+ * Encode a string as base64url (UTF-8, no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string (UTF-8)
+ * @param {string} encoded - base64url string
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Check that every entry is a finite number
+ * @param {Array} values - Values to check
+ * @returns {boolean} True if all are finite numbers
+ */
+function allFinite(values) {
+    return values.every(value => typeof value === 'number' && isFinite(value));
+}
+
+/**
+ * Encode a session as a share payload
+ * @param {Object} session - Session to share
+ * @param {number} session.n - System size
+ * @param {number[][]} session.A - Coefficient matrix
+ * @param {number[]} session.b - Constant vector
+ * @param {number[]} session.x - Initial guess (optional)
+ * @param {string} session.method - Method key (optional)
+ * @param {number} session.omega - SOR relaxation factor (optional)
+ * @param {Object} session.convergence - Convergence settings (optional)
+ * @param {string} session.theme - 'vintage' or 'modern' (optional)
+ * @param {Object} session.visibility - Component visibility flags (optional)
+ * @param {number} session.visibleKnobs - Knobs shown (optional)
+ * @param {number} session.visibleBands - Bands shown (optional)
+ * @returns {string} base64url payload
+ */
+export function encodeSession(session) {
+    const payload = { v: SHARE_VERSION, n: session.n, A: session.A, b: session.b };
+    if (session.x) payload.x = session.x;
+    if (session.method) payload.m = session.method;
+    if (session.omega !== undefined) payload.w = session.omega;
+    if (session.convergence) {
+        const { tolerance, criterion, norm, maxIterations } = session.convergence;
+        payload.c = [tolerance, criterion, norm, maxIterations];
+    }
+    if (session.theme) payload.t = session.theme === 'modern' ? 'm' : 'v';
+    if (session.visibility) {
+        payload.h = SHARE_VISIBILITY_KEYS.reduce((mask, key, i) => (session.visibility[key] === false ? mask | (1 << i) : mask), 0);
+    }
+    if (session.visibleKnobs) payload.k = session.visibleKnobs;
+    if (session.visibleBands) payload.d = session.visibleBands;
+    return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Decode and validate a share payload
+ * @param {string} encoded - base64url payload from encodeSession
+ * @returns {Object} Session with the fields present in the link
+ * @throws {Error} If the payload is corrupt or describes an invalid session
+ */
+export function decodeSession(encoded) {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(encoded));
+    } catch (e) {
+        throw new Error('the link is corrupt or incomplete');
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('the link is corrupt or incomplete');
+    }
+    if (payload.v !== SHARE_VERSION) {
+        throw new Error(`unsupported link version ${payload.v}`);
+    }
+
+    const { n, A, b } = payload;
+    if (!validateSystemSize(n)) {
+        throw new Error(`system size must be between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}`);
+    }
+    if (!validateMatrixDimensions(A, b) || A.length !== n || !allFinite(A.flat()) || !allFinite(b)) {
+        throw new Error(`A must be a ${n}×${n} matrix and b a vector of ${n} numbers`);
+    }
+    const session = { n, A, b };
+
+    if (payload.x !== undefined) {
+        if (!Array.isArray(payload.x) || payload.x.length !== n || !allFinite(payload.x)) {
+            throw new Error(`the initial guess must have ${n} numbers`);
+        }
+        session.x = payload.x;
+    }
+    if (payload.m !== undefined) {
+        if (!METHODS.includes(payload.m)) {
+            throw new Error(`unknown method '${payload.m}'`);
+        }
+        session.method = payload.m;
+    }
+    if (payload.w !== undefined) {
+        if (typeof payload.w !== 'number' || !isFinite(payload.w)) {
+            throw new Error('ω must be a number');
+        }
+        session.omega = clampOmega(payload.w);
+    }
+    if (payload.c !== undefined) {
+        if (!Array.isArray(payload.c)) {
+            throw new Error('invalid convergence settings');
+        }
+        const [tolerance, criterion, norm, maxIterations] = payload.c;
+        session.convergence = { tolerance, criterion, norm, maxIterations };
+        validateConvergenceSettings(session.convergence);
+    }
+    if (payload.t !== undefined) {
+        if (payload.t !== 'm' && payload.t !== 'v') {
+            throw new Error(`unknown theme '${payload.t}'`);
+        }
+        session.theme = payload.t === 'm' ? 'modern' : 'vintage';
+    }
+    if (payload.h !== undefined) {
+        if (!Number.isInteger(payload.h) || payload.h < 0 || payload.h >= (1 << SHARE_VISIBILITY_KEYS.length)) {
+            throw new Error('invalid visibility flags');
+        }
+        session.visibility = {};
+        SHARE_VISIBILITY_KEYS.forEach((key, i) => {
+            session.visibility[key] = (payload.h & (1 << i)) === 0;
+        });
+    }
+    [['k', 'visibleKnobs'], ['d', 'visibleBands']].forEach(([short, name]) => {
+        if (payload[short] === undefined) return;
+        if (!Number.isInteger(payload[short]) || payload[short] < 1 || payload[short] > n) {
+            throw new Error(`${name} must be an integer between 1 and ${n}`);
+        }
+        session[name] = payload[short];
+    });
+
+    return session;
+}
+
+/**
+ * Build the URL hash for a session
+ * @param {Object} session - Session (see encodeSession)
+ * @returns {string} Hash including the leading '#'
+ * @throws {Error} If the hash would be longer than MAX_SHARE_HASH_LENGTH
+ */
+export function buildShareHash(session) {
+    const hash = `#${SHARE_HASH_KEY}=${encodeSession(session)}`;
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+        throw new Error(`the system is too large to share as a link (${hash.length} characters, limit ${MAX_SHARE_HASH_LENGTH})`);
+    }
+    return hash;
+}
+
+/**
+ * Read a session from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {Object|null} Session, or null if the hash holds no shared session
+ * @throws {Error} If the hash holds an invalid or oversized session
+ */
+export function readShareHash(hash) {
+    if (!hash || hash.length <= 1) return null;
+    const params = new URLSearchParams(hash.slice(1));
+    const encoded = params.get(SHARE_HASH_KEY);
+    if (encoded === null) return null;
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+        throw new Error(`the link is too long (${hash.length} characters, limit ${MAX_SHARE_HASH_LENGTH})`);
+    }
+    return decodeSession(encoded);
+}
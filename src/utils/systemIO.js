@@ -0,0 +1,336 @@
+/**
+ * System File Import/Export Module
+ *
+ * Reads and writes a system (A and b) as:
+ * - Matrix Market (.mtx), coordinate or array layout
+ * - CSV / TSV, one equation per line: a_i1, …, a_in, b_i
+ * - JSON, following SYSTEM_JSON_FORMAT below
+ *
+ * Matrix Market and CSV/TSV hold a single matrix, so the system is stored as
+ * the augmented matrix [A | b] (n rows, n + 1 columns). A square n×n matrix
+ * is also accepted; b is then set to A·(1, …, 1) so the solution is all ones.
+ *
+ * Parse functions throw an Error with a line-specific message on bad input.
+ */
+
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE, validateSystemSize, validateMatrixDimensions } from './validation.js';
+
+/**
+ * Identifier written to (and required in) exported JSON files:
+ * { "format": "jacobi-system", "version": 1, "n": 3,
+ *   "A": [[4, -1, 1], ...], "b": [7, ...] }
+ * Files with just "A" and "b" (such as a saved custom configuration) are accepted too.
+ */
+export const SYSTEM_JSON_FORMAT = 'jacobi-system';
+export const SYSTEM_JSON_VERSION = 1;
+
+/**
+ * Format keys in display order
+ */
+export const SYSTEM_FORMATS = ['mtx', 'csv', 'tsv', 'json'];
+
+/**
+ * Human-readable format names
+ */
+export const SYSTEM_FORMAT_LABELS = {
+    mtx: 'Matrix Market (.mtx)',
+    csv: 'CSV (.csv)',
+    tsv: 'TSV (.tsv)',
+    json: 'JSON (.json)'
+};
+
+/**
+ * MIME type of each format (for downloads)
+ */
+export const SYSTEM_FORMAT_TYPES = {
+    mtx: 'text/plain;charset=utf-8;',
+    csv: 'text/csv;charset=utf-8;',
+    tsv: 'text/tab-separated-values;charset=utf-8;',
+    json: 'application/json;charset=utf-8;'
+};
+
+/**
+ * File extensions accepted by the file picker
+ */
+export const SYSTEM_FILE_ACCEPT = '.mtx,.mm,.csv,.tsv,.txt,.json';
+
+/**
+ * Guess the format of a file
+ * @param {string} filename - File name (extension wins when known)
+ * @param {string} text - File content
+ * @returns {string} Key from SYSTEM_FORMATS
+ */
+export function detectFormat(filename = '', text = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (extension === 'mtx' || extension === 'mm') return 'mtx';
+    if (SYSTEM_FORMATS.includes(extension)) return extension;
+
+    const content = text.trimStart();
+    if (content.startsWith('%%MatrixMarket')) return 'mtx';
+    if (content.startsWith('{')) return 'json';
+    return content.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Parse a number field
+ * @param {string} field - Text to parse
+ * @param {string} where - Location for the error message, e.g. "Line 3"
+ * @returns {number} Parsed value
+ */
+function parseNumberField(field, where) {
+    const value = Number(field.trim());
+    if (field.trim() === '' || !isFinite(value)) {
+        throw new Error(`${where}: '${field.trim()}' is not a number`);
+    }
+    return value;
+}
+
+/**
+ * Split a rectangular matrix into a system
+ * @param {number[][]} M - n×(n+1) augmented matrix or n×n matrix
+ * @returns {Object} { A, b, n, notes }
+ */
+export function matrixToSystem(M) {
+    const rows = M.length;
+    const columns = rows > 0 ? M[0].length : 0;
+    const notes = [];
+    let A;
+    let b;
+
+    if (columns === rows + 1) {
+        A = M.map(row => row.slice(0, rows));
+        b = M.map(row => row[rows]);
+    } else if (columns === rows) {
+        A = M.map(row => [...row]);
+        b = A.map(row => row.reduce((sum, value) => sum + value, 0));
+        notes.push('No b column found, so b = A·(1, …, 1) (solution all ones).');
+    } else {
+        throw new Error(`Expected an n×(n+1) augmented matrix [A | b] or an n×n matrix, got ${rows}×${columns}`);
+    }
+
+    if (!validateSystemSize(rows)) {
+        throw new Error(`System size must be between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}, got ${rows}`);
+    }
+    return { A, b, n: rows, notes };
+}
+
+/**
+ * Parse a Matrix Market file
+ * @param {string} text - File content
+ * @returns {Object} { A, b, n, notes }
+ */
+export function parseMatrixMarket(text) {
+    const lines = text.split(/\r?\n/);
+    const header = (lines[0] || '').trim().toLowerCase().split(/\s+/);
+    if (header[0] !== '%%matrixmarket' || header[1] !== 'matrix') {
+        throw new Error('Line 1: expected a "%%MatrixMarket matrix ..." header');
+    }
+    const [, , layout, field, symmetry = 'general'] = header;
+    if (layout !== 'coordinate' && layout !== 'array') {
+        throw new Error(`Line 1: unknown layout '${layout}' (expected coordinate or array)`);
+    }
+    if (!['real', 'integer', 'pattern'].includes(field) || (field === 'pattern' && layout === 'array')) {
+        throw new Error(`Line 1: unsupported field '${field}' (expected real, integer or pattern)`);
+    }
+    if (!['general', 'symmetric', 'skew-symmetric'].includes(symmetry)) {
+        throw new Error(`Line 1: unsupported symmetry '${symmetry}'`);
+    }
+
+    // Remaining non-comment lines with their 1-based line numbers
+    const data = [];
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (index > 0 && trimmed !== '' && !trimmed.startsWith('%')) {
+            data.push({ line: index + 1, fields: trimmed.split(/\s+/) });
+        }
+    });
+    if (data.length === 0) {
+        throw new Error('Missing size line');
+    }
+
+    const size = data.shift();
+    const [rows, columns, entries] = size.fields.map(value => parseNumberField(value, `Line ${size.line}`));
+    if (!Number.isInteger(rows) || !Number.isInteger(columns) || rows < 1 || columns < 1) {
+        throw new Error(`Line ${size.line}: invalid size '${size.fields.join(' ')}'`);
+    }
+    if (!validateSystemSize(rows) || (columns !== rows && columns !== rows + 1)) {
+        throw new Error(`Line ${size.line}: expected an n×(n+1) augmented matrix [A | b] or an n×n matrix with n from ${MIN_SYSTEM_SIZE} to ${MAX_SYSTEM_SIZE}, got ${rows}×${columns}`);
+    }
+    const M = Array.from({ length: rows }, () => new Array(columns).fill(0));
+    const mirror = (i, j, value) => {
+        if (i === j) return;
+        if (symmetry === 'symmetric') M[j][i] = value;
+        if (symmetry === 'skew-symmetric') M[j][i] = -value;
+    };
+
+    if (layout === 'coordinate') {
+        if (!Number.isInteger(entries) || entries < 0) {
+            throw new Error(`Line ${size.line}: coordinate files need a non-negative entry count`);
+        }
+        if (data.length !== entries) {
+            throw new Error(`Expected ${entries} entries, found ${data.length}`);
+        }
+        data.forEach(({ line, fields }) => {
+            const i = parseNumberField(fields[0] || '', `Line ${line}`) - 1;
+            const j = parseNumberField(fields[1] || '', `Line ${line}`) - 1;
+            if (!Number.isInteger(i) || !Number.isInteger(j) || i < 0 || j < 0 || i >= rows || j >= columns) {
+                throw new Error(`Line ${line}: index (${fields[0]}, ${fields[1]}) is outside the ${rows}×${columns} matrix`);
+            }
+            const value = field === 'pattern' ? 1 : parseNumberField(fields[2] || '', `Line ${line}`);
+            M[i][j] = value;
+            mirror(i, j, value);
+        });
+    } else {
+        // Array layout: column-major, only the lower triangle for symmetric matrices
+        const positions = [];
+        for (let j = 0; j < columns; j++) {
+            for (let i = symmetry === 'general' ? 0 : j; i < rows; i++) {
+                if (symmetry === 'skew-symmetric' && i === j) continue;
+                positions.push([i, j]);
+            }
+        }
+        if (data.length !== positions.length) {
+            throw new Error(`Expected ${positions.length} values, found ${data.length}`);
+        }
+        data.forEach(({ line, fields }, k) => {
+            const [i, j] = positions[k];
+            const value = parseNumberField(fields[0], `Line ${line}`);
+            M[i][j] = value;
+            mirror(i, j, value);
+        });
+    }
+
+    return matrixToSystem(M);
+}
+
+/**
+ * Parse a CSV or TSV file
+ * @param {string} text - File content
+ * @param {string} delimiter - Field separator (default: guessed from the first line)
+ * @returns {Object} { A, b, n, notes }
+ */
+export function parseDelimited(text, delimiter = null) {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ line: index + 1, text: line.trim() }))
+        .filter(({ text: content }) => content !== '' && !content.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('The file is empty');
+    }
+    const separator = delimiter || (lines[0].text.includes('\t') ? '\t' : (lines[0].text.includes(';') && !lines[0].text.includes(',') ? ';' : ','));
+    const split = content => content.split(separator).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+
+    // A first line with no numbers at all is a header
+    if (split(lines[0].text).every(field => field === '' || !isFinite(Number(field)))) {
+        lines.shift();
+    }
+
+    const M = lines.map(({ line, text: content }) => split(content).map(field => parseNumberField(field, `Line ${line}`)));
+    const columns = M.length > 0 ? M[0].length : 0;
+    const ragged = M.findIndex(row => row.length !== columns);
+    if (ragged !== -1) {
+        throw new Error(`Line ${lines[ragged].line}: expected ${columns} values, found ${M[ragged].length}`);
+    }
+    return matrixToSystem(M);
+}
+
+/**
+ * Parse a JSON system file
+ * @param {string} text - File content
+ * @returns {Object} { A, b, n, notes }
+ */
+export function parseSystemJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('JSON must be an object with "A" and "b"');
+    }
+    if (data.format !== undefined && data.format !== SYSTEM_JSON_FORMAT) {
+        throw new Error(`Unknown JSON format '${data.format}' (expected '${SYSTEM_JSON_FORMAT}')`);
+    }
+    if (data.version !== undefined && data.version > SYSTEM_JSON_VERSION) {
+        throw new Error(`JSON version ${data.version} is newer than this app supports (${SYSTEM_JSON_VERSION})`);
+    }
+
+    const { A, b } = data;
+    if (!validateMatrixDimensions(A, b)) {
+        throw new Error('"A" must be an n×n array of numbers and "b" an array of n numbers');
+    }
+    if ([...A.flat(), ...b].some(value => typeof value !== 'number' || !isFinite(value))) {
+        throw new Error('"A" and "b" must contain only finite numbers');
+    }
+    if (data.n !== undefined && data.n !== A.length) {
+        throw new Error(`"n" is ${data.n} but "A" has ${A.length} rows`);
+    }
+    if (!validateSystemSize(A.length)) {
+        throw new Error(`System size must be between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}, got ${A.length}`);
+    }
+    return { A: A.map(row => [...row]), b: [...b], n: A.length, notes: [] };
+}
+
+/**
+ * Parse a system file of any supported format
+ * @param {string} text - File content
+ * @param {string} filename - File name (used to pick the format)
+ * @returns {Object} { A, b, n, format, notes }
+ * @throws {Error} If the file can't be read as a system
+ */
+export function parseSystemFile(text, filename = '') {
+    const format = detectFormat(filename, text);
+    let system;
+    switch (format) {
+        case 'mtx':
+            system = parseMatrixMarket(text);
+            break;
+        case 'json':
+            system = parseSystemJSON(text);
+            break;
+        case 'tsv':
+            system = parseDelimited(text, '\t');
+            break;
+        case 'csv':
+        default:
+            system = parseDelimited(text);
+            break;
+    }
+    return { ...system, format };
+}
+
+/**
+ * Write a system in a supported format
+ * @param {number[][]} A - Coefficient matrix
+ * @param {number[]} b - Constant vector
+ * @param {string} format - Key from SYSTEM_FORMATS
+ * @returns {string} File content
+ */
+export function serializeSystem(A, b, format) {
+    const n = A.length;
+    const augmented = A.map((row, i) => [...row, b[i]]);
+
+    switch (format) {
+        case 'mtx': {
+            const entries = [];
+            augmented.forEach((row, i) => row.forEach((value, j) => {
+                if (value !== 0) entries.push(`${i + 1} ${j + 1} ${value}`);
+            }));
+            return [
+                '%%MatrixMarket matrix coordinate real general',
+                '% Augmented matrix [A | b]: the last column is b',
+                `${n} ${n + 1} ${entries.length}`,
+                ...entries
+            ].join('\n') + '\n';
+        }
+        case 'tsv':
+            return augmented.map(row => row.join('\t')).join('\n') + '\n';
+        case 'json':
+            return JSON.stringify({ format: SYSTEM_JSON_FORMAT, version: SYSTEM_JSON_VERSION, n, A, b }, null, 2) + '\n';
+        case 'csv':
+        default: {
+            const header = [...A[0].map((_, j) => `x${j + 1}`), 'b'].join(',');
+            return [header, ...augmented.map(row => row.join(','))].join('\n') + '\n';
+        }
+    }
+}
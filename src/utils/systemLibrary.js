@@ -0,0 +1,405 @@
+/**
+ * System Library Module
+ *
+ * Named scenarios saved in the browser: a system (n, A, b) with a
+ * description, tags, initial guess, preferred method and optionally the
+ * recorded iterates of a run. Entries live in IndexedDB, which holds far
+ * more than localStorage (a 20×20 system with a long run history is a few
+ * hundred kilobytes). The whole library can be exported to, and imported
+ * from, a single JSON file:
+ *
+ *   { format: 'jacobi-radio-library', version: 1, exportedAt, entries: [...] }
+ *
+ * Helpers that build, validate and search entries are pure; the IndexedDB
+ * access is in openLibrary().
+ */
+
+import { METHODS, getMethodLabel } from '../core/methods.js';
+import { DEFAULT_OMEGA, OMEGA_MIN, OMEGA_MAX } from '../core/sor.js';
+import { MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE, validateSystemSize, validateMatrixDimensions } from './validation.js';
+
+export const LIBRARY_DB_NAME = 'jacobiRadioLibrary';
+export const LIBRARY_DB_VERSION = 1;
+export const LIBRARY_STORE = 'systems';
+
+export const LIBRARY_FORMAT = 'jacobi-radio-library';
+export const LIBRARY_VERSION = 1;
+
+export const MAX_NAME_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+// Exact iterates are stored as text such as "7/4" (see core/exactArithmetic.js)
+const FRACTION_PATTERN = /^-?\d+(\/[1-9]\d*)?$/;
+
+/**
+ * Check that every entry is a finite number
+ * @param {Array} values - Values to check
+ * @returns {boolean} True if all are finite numbers
+ */
+function allFinite(values) {
+    return values.every(value => typeof value === 'number' && isFinite(value));
+}
+
+/**
+ * Create a unique entry id
+ * @returns {string} Id
+ */
+export function createEntryId() {
+    return `sys-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Split a tag list typed by the user
+ * @param {string} text - Tags separated by commas
+ * @returns {string[]} Trimmed, non-empty, de-duplicated tags (case-insensitive)
+ */
+export function parseTags(text) {
+    const tags = [];
+    (text || '').split(',').forEach(part => {
+        const tag = part.trim();
+        if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Check for a date-time string such as new Date().toISOString() returns
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a parseable date string
+ */
+function isTimestamp(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a library entry
+ * @param {Object} entry - Entry to check
+ * @throws {Error} If any field is invalid
+ */
+export function validateLibraryEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Entry must be an object');
+    }
+    if (typeof entry.id !== 'string' || entry.id === '') {
+        throw new Error('Entry needs an id');
+    }
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+        throw new Error('Name is required');
+    }
+    if (entry.name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof entry.description !== 'string' || entry.description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+        throw new Error('Tags must be a list of non-empty words');
+    }
+    if (!isTimestamp(entry.createdAt) || !isTimestamp(entry.updatedAt)) {
+        throw new Error('Created and updated times must be ISO date strings');
+    }
+
+    const { n, A, b } = entry;
+    if (!validateSystemSize(n)) {
+        throw new Error(`System size must be between ${MIN_SYSTEM_SIZE} and ${MAX_SYSTEM_SIZE}`);
+    }
+    if (!validateMatrixDimensions(A, b) || A.length !== n || !allFinite(A.flat()) || !allFinite(b)) {
+        throw new Error(`A must be a ${n}×${n} matrix and b a vector of ${n} numbers`);
+    }
+    if (!Array.isArray(entry.initialGuess) || entry.initialGuess.length !== n || !allFinite(entry.initialGuess)) {
+        throw new Error(`Initial guess must have ${n} numbers`);
+    }
+    if (!METHODS.includes(entry.method)) {
+        throw new Error(`Method must be one of: ${METHODS.join(', ')}`);
+    }
+    if (typeof entry.omega !== 'number' || !(entry.omega >= OMEGA_MIN && entry.omega <= OMEGA_MAX)) {
+        throw new Error(`ω must be between ${OMEGA_MIN} and ${OMEGA_MAX}`);
+    }
+    if (entry.history !== null) {
+        const { history } = entry;
+        if (!history || !METHODS.includes(history.method) || !Array.isArray(history.snapshots) || history.snapshots.length === 0) {
+            throw new Error('Run history must name its method and list its iterates');
+        }
+        history.snapshots.forEach((snapshot, i) => {
+            if (!snapshot || !Array.isArray(snapshot.x) || snapshot.x.length !== n || !allFinite(snapshot.x)) {
+                throw new Error(`Every recorded iterate must have ${n} numbers`);
+            }
+            if (!Number.isInteger(snapshot.iteration) || (i > 0 && snapshot.iteration !== history.snapshots[i - 1].iteration + 1)) {
+                throw new Error('Recorded iterations must be consecutive');
+            }
+            if (snapshot.exact != null && (!Array.isArray(snapshot.exact) || snapshot.exact.length !== n ||
+                !snapshot.exact.every(value => typeof value === 'string' && FRACTION_PATTERN.test(value)))) {
+                throw new Error(`Exact iterates must list ${n} fractions`);
+            }
+        });
+    }
+}
+
+/**
+ * Build a new library entry
+ * @param {Object} fields - Entry fields
+ * @param {string} fields.name - Name
+ * @param {string} fields.description - Description (optional)
+ * @param {string[]} fields.tags - Tags (optional)
+ * @param {number} fields.n - System size
+ * @param {number[][]} fields.A - Coefficient matrix
+ * @param {number[]} fields.b - Constant vector
+ * @param {number[]} fields.initialGuess - Initial guess (default: zeros)
+ * @param {string} fields.method - Preferred method (default: 'jacobi')
+ * @param {number} fields.omega - SOR relaxation factor (default: DEFAULT_OMEGA)
+ * @param {Object|null} fields.history - Iteration history { method, snapshots } (optional)
+ * @returns {Object} Entry with id and timestamps (copies of the arrays)
+ * @throws {Error} If any field is invalid
+ */
+export function createLibraryEntry(fields) {
+    const now = new Date().toISOString();
+    const n = fields.n;
+    const entry = {
+        id: createEntryId(),
+        name: (fields.name || '').trim(),
+        description: (fields.description || '').trim(),
+        tags: [...(fields.tags || [])],
+        n,
+        A: (fields.A || []).map(row => [...row]),
+        b: [...(fields.b || [])],
+        initialGuess: fields.initialGuess ? [...fields.initialGuess] : new Array(n).fill(0),
+        method: fields.method || 'jacobi',
+        omega: fields.omega === undefined ? DEFAULT_OMEGA : fields.omega,
+        history: fields.history && fields.history.snapshots.length > 0
+            ? JSON.parse(JSON.stringify({ method: fields.history.method, snapshots: fields.history.snapshots }))
+            : null,
+        createdAt: now,
+        updatedAt: now
+    };
+    validateLibraryEntry(entry);
+    return entry;
+}
+
+/**
+ * Pick a name not used by other entries: "Name", "Name (copy)", "Name (copy 2)", ...
+ * @param {string} name - Wanted name
+ * @param {string[]} takenNames - Names already in the library
+ * @returns {string} Unused name
+ */
+export function uniqueName(name, takenNames) {
+    const taken = new Set(takenNames.map(taken => taken.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+    const base = name.replace(/ \(copy(?: \d+)?\)$/, '');
+    for (let i = 1; ; i++) {
+        const candidate = i === 1 ? `${base} (copy)` : `${base} (copy ${i})`;
+        if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+}
+
+/**
+ * Copy an entry under a new id and an unused name
+ * @param {Object} entry - Entry to copy
+ * @param {string[]} takenNames - Names already in the library
+ * @returns {Object} New entry
+ */
+export function duplicateEntry(entry, takenNames) {
+    const now = new Date().toISOString();
+    return {
+        ...JSON.parse(JSON.stringify(entry)),
+        id: createEntryId(),
+        name: uniqueName(entry.name, takenNames).slice(0, MAX_NAME_LENGTH),
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Rename an entry
+ * @param {Object} entry - Entry to rename
+ * @param {string} name - New name
+ * @returns {Object} Renamed copy
+ * @throws {Error} If the name is empty or too long
+ */
+export function renameEntry(entry, name) {
+    const renamed = { ...entry, name: (name || '').trim(), updatedAt: new Date().toISOString() };
+    validateLibraryEntry(renamed);
+    return renamed;
+}
+
+/**
+ * Filter and order entries for display
+ *
+ * Every word of the query must appear in the name, description or a tag
+ * (case-insensitive); "tag:word" only matches tags exactly.
+ *
+ * @param {Object[]} entries - Library entries
+ * @param {string} query - Search text
+ * @returns {Object[]} Matching entries, most recently updated first
+ */
+export function searchLibrary(entries, query = '') {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries
+        .filter(entry => terms.every(term => {
+            const tags = entry.tags.map(tag => tag.toLowerCase());
+            if (term.startsWith('tag:')) {
+                return tags.includes(term.slice(4));
+            }
+            return entry.name.toLowerCase().includes(term) ||
+                entry.description.toLowerCase().includes(term) ||
+                tags.some(tag => tag.includes(term));
+        }))
+        .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+}
+
+/**
+ * One-line summary of an entry
+ * @param {Object} entry - Library entry
+ * @returns {string} e.g. "4×4 · Gauss-Seidel · 12 iterations recorded"
+ */
+export function describeEntry(entry) {
+    const parts = [`${entry.n}×${entry.n}`, getMethodLabel(entry.method)];
+    if (entry.history) {
+        const last = entry.history.snapshots[entry.history.snapshots.length - 1];
+        parts.push(`${last.iteration} iteration${last.iteration === 1 ? '' : 's'} recorded`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Serialize the library for export
+ * @param {Object[]} entries - Library entries
+ * @returns {string} JSON text
+ */
+export function serializeLibrary(entries) {
+    return JSON.stringify({
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries
+    }, null, 2);
+}
+
+/**
+ * Parse an exported library file
+ *
+ * Entries without timestamps (e.g. written by hand) are dated to the export,
+ * or to now if the file has no export time either.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { entries, skipped } where skipped lists { name, reason } for invalid entries
+ * @throws {Error} If the file is not a library export
+ */
+export function parseLibraryFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('the file is not valid JSON');
+    }
+    if (!data || data.format !== LIBRARY_FORMAT || !Array.isArray(data.entries)) {
+        throw new Error('the file is not an exported system library');
+    }
+    if (data.version !== LIBRARY_VERSION) {
+        throw new Error(`unsupported library version ${data.version}`);
+    }
+
+    const entries = [];
+    const skipped = [];
+    const fallbackTime = isTimestamp(data.exportedAt) ? data.exportedAt : new Date().toISOString();
+    data.entries.forEach((entry, i) => {
+        try {
+            if (entry && typeof entry === 'object') {
+                const createdAt = entry.createdAt === undefined ? entry.updatedAt || fallbackTime : entry.createdAt;
+                const updatedAt = entry.updatedAt === undefined ? createdAt : entry.updatedAt;
+                entry = { ...entry, createdAt, updatedAt };
+            }
+            validateLibraryEntry(entry);
+            entries.push(entry);
+        } catch (e) {
+            const name = entry && typeof entry.name === 'string' ? entry.name : `Entry ${i + 1}`;
+            skipped.push({ name, reason: e.message });
+        }
+    });
+    return { entries, skipped };
+}
+
+/**
+ * Prepare imported entries for the library: entries whose id is already
+ * used get a new id, and clashing names get " (copy)" suffixes
+ * @param {Object[]} existing - Entries already in the library
+ * @param {Object[]} imported - Entries from parseLibraryFile
+ * @returns {Object[]} Entries to store
+ */
+export function mergeImportedEntries(existing, imported) {
+    const ids = new Set(existing.map(entry => entry.id));
+    const names = existing.map(entry => entry.name);
+    return imported.map(entry => {
+        const merged = {
+            ...entry,
+            id: ids.has(entry.id) ? createEntryId() : entry.id,
+            name: uniqueName(entry.name, names).slice(0, MAX_NAME_LENGTH)
+        };
+        ids.add(merged.id);
+        names.push(merged.name);
+        return merged;
+    });
+}
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise} Resolves with the request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the library database
+ * @param {IDBFactory} factory - IndexedDB factory (default: window.indexedDB)
+ * @returns {Promise<Object>} { list, put, putAll, remove, close }
+ */
+export function openLibrary(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    if (!factory) {
+        return Promise.reject(new Error('this browser has no IndexedDB storage'));
+    }
+    const request = factory.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+            db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+        }
+    };
+
+    return requestToPromise(request).then(db => {
+        const objectStore = mode => db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE);
+        return {
+            /** All entries */
+            list() {
+                return requestToPromise(objectStore('readonly').getAll());
+            },
+            /** Add or replace an entry */
+            put(entry) {
+                return requestToPromise(objectStore('readwrite').put(entry)).then(() => entry);
+            },
+            /** Add or replace several entries in one transaction */
+            putAll(entries) {
+                const transaction = db.transaction(LIBRARY_STORE, 'readwrite');
+                const store = transaction.objectStore(LIBRARY_STORE);
+                entries.forEach(entry => store.put(entry));
+                return new Promise((resolve, reject) => {
+                    transaction.oncomplete = () => resolve(entries);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                });
+            },
+            /** Delete an entry */
+            remove(id) {
+                return requestToPromise(objectStore('readwrite').delete(id));
+            },
+            close() {
+                db.close();
+            }
+        };
+    });
+}
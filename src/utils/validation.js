@@ -4,6 +4,14 @@
  * Functions for validating user input and system configurations
  */
 
+/**
+ * Smallest and largest supported system (n variables, n equations).
+ * Every entry point — store validator, editors, text parser, file import,
+ * share links, generators and the library — uses these limits.
+ */
+export const MIN_SYSTEM_SIZE = 2;
+export const MAX_SYSTEM_SIZE = 20;
+
 /**
  * Validate number in range
  * @param {number} value - Value to validate
@@ -21,10 +29,10 @@ export function validateNumber(value, min, max) {
 /**
  * Validate system size
  * @param {number} n - System size
- * @returns {boolean} True if valid (2-20)
+ * @returns {boolean} True if valid (MIN_SYSTEM_SIZE to MAX_SYSTEM_SIZE)
  */
 export function validateSystemSize(n) {
-    return validateNumber(n, 2, 20) && Number.isInteger(n);
+    return validateNumber(n, MIN_SYSTEM_SIZE, MAX_SYSTEM_SIZE) && Number.isInteger(n);
 }
 
 /**
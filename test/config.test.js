@@ -1,9 +1,30 @@
 /**
- * Tests for config modules: equationParser.js
+ * Tests for config modules: equationParser.js, matrixEditor.js
  */
 
 import { describe, it, expect } from 'vitest';
-import { parseEquations, parseEquation, extractCoefficients, validateEquationFormat } from '../src/config/equationParser.js';
+import {
+  parseEquations,
+  parseEquation,
+  extractCoefficients,
+  validateEquationFormat,
+  tokenizeEquation,
+  parseLinearEquation,
+  parseEquationSystem,
+  parseSystemText
+} from '../src/config/equationParser.js';
+import {
+  parsePastedBlock,
+  pastedSystemSize,
+  applyPastedBlock,
+  neighborCell,
+  insertRowColumn,
+  deleteRowColumn,
+  fillDiagonal,
+  makeSymmetric,
+  findDominanceViolations
+} from '../src/config/matrixEditor.js';
+import { MAX_SYSTEM_SIZE } from '../src/utils/validation.js';
 
 describe('Config: Equation Parser', () => {
   describe('parseEquation', () => {
@@ -170,7 +191,7 @@ invalid equation
       const result = parseEquations(text);
       
       expect(result).not.toBeNull();
-      // System size is max of equation count and max variable index
+      // n is the number of variables, which must match the number of equations
       // 2 equations with x1 and x2, so n = 2
       expect(result.n).toBe(2);
     });
@@ -204,5 +225,238 @@ x1 + 2x2 = 3`;
       expect(validateEquationFormat('x1 = abc')).toBe(false);
     });
   });
+
+  describe('tokenizeEquation', () => {
+    it('should split numbers, variables and symbols with columns', () => {
+      const tokens = tokenizeEquation('1.5e-3x1 − 2(y) = 4 # note');
+      expect(tokens.map(token => [token.type, token.column])).toEqual([
+        ['number', 1], ['variable', 7], ['minus', 10], ['number', 12], ['lparen', 13],
+        ['variable', 14], ['rparen', 15], ['equals', 17], ['number', 19], ['end', 20]
+      ]);
+      expect(tokens[0].value).toBeCloseTo(0.0015, 10);
+    });
+
+    it('should point at an unexpected character', () => {
+      expect(() => tokenizeEquation('x1 ^ 2 = 1', 3)).toThrow(expect.objectContaining({ line: 3, column: 4, length: 1 }));
+    });
+  });
+
+  describe('parseLinearEquation', () => {
+    it('should move terms and constants to A x = b form', () => {
+      const result = parseLinearEquation('3x + 2 = y - 4');
+      expect(result.coeffs).toEqual({ x: 3, y: -1 });
+      expect(result.b).toBe(-6);
+    });
+
+    it('should handle parentheses, fractions and division by constants', () => {
+      const result = parseLinearEquation('2(x1 - x2) + x3/4 + 1/2x1 = 2E1');
+      expect(result.coeffs).toEqual({ x1: 2.5, x2: -2, x3: 0.25 });
+      expect(result.b).toBe(20);
+    });
+
+    it('should skip blank and comment-only lines', () => {
+      expect(parseLinearEquation('   ')).toBeNull();
+      expect(parseLinearEquation('// just a note')).toBeNull();
+    });
+
+    it('should report where the equation goes wrong', () => {
+      const cases = [
+        ['x1 + x2', "missing '='", 8],
+        ['x1 + x2 = ', "expected a number, variable or '('", 10],
+        ['x1 = 1 = 2', "only one '='", 8],
+        ['x1 x2 = 1', 'not linear', 4],
+        ['x / y = 1', 'dividing by a variable', 5],
+        ['x / 0 = 1', 'division by zero', 5],
+        ['(x1 + x2 = 1', "expected ')'", 10],
+        ['x1 + x2 3 = 1', "operator before '3'", 9],
+        ['3 = 3', 'no variables', 1]
+      ];
+      cases.forEach(([text, message, column]) => {
+        let error;
+        try {
+          parseLinearEquation(text, 2);
+        } catch (e) {
+          error = e;
+        }
+        expect(error, text).toBeDefined();
+        expect(error.message, text).toContain(message);
+        expect(error.line, text).toBe(2);
+        expect(error.column, text).toBe(column);
+      });
+    });
+  });
+
+  describe('parseEquationSystem', () => {
+    it('should order named variables alphabetically', () => {
+      const result = parseEquationSystem('z + y = 1\n2x + 3y - z = 1\n# comment\nx = 5');
+      expect(result.variables).toEqual(['x', 'y', 'z']);
+      expect(result.A).toEqual([[0, 1, 1], [2, 3, -1], [1, 0, 0]]);
+      expect(result.b).toEqual([1, 1, 5]);
+      expect(result.lines).toEqual([1, 2, 4]);
+    });
+
+    it('should place numbered variables by their number', () => {
+      const result = parseEquationSystem('x1 + x_3 = 1\nx1 = 2\nx3 = 3');
+      expect(result.variables).toEqual(['x1', 'x2', 'x3']);
+      expect(result.A).toEqual([[1, 0, 1], [1, 0, 0], [0, 0, 1]]);
+    });
+
+    it('should reject mixed and conflicting variable names', () => {
+      expect(() => parseEquationSystem('x1 + y = 1')).toThrow(expect.objectContaining({ line: 1, column: 6 }));
+      expect(() => parseEquationSystem('x1 = 1\na1 = 2')).toThrow('both refer to variable 1');
+      expect(() => parseEquationSystem('x0 = 1')).toThrow('start at 1');
+    });
+
+    it('should reject text without equations', () => {
+      expect(() => parseEquationSystem('# nothing here')).toThrow('No equations found');
+    });
+  });
+
+  describe('parseEquations with the richer grammar', () => {
+    it('should accept named variables and terms on both sides', () => {
+      expect(parseEquations('2x + y = 3\nx = 1 - y')).toEqual({ n: 2, A: [[2, 1], [1, 1]], b: [3, 1] });
+    });
+
+    it('should keep numbered-only semantics for parseEquation', () => {
+      expect(parseEquation('2x + y = 3')).toBeNull();
+      expect(parseEquation('x1 = 2x2 + 1').coeffs).toEqual({ 1: 1, 2: -2 });
+    });
+  });
+
+  describe('parseSystemText', () => {
+    const system = n => Array.from({ length: n }, (_, i) => `x${i + 1} = ${i}`).join('\n');
+
+    it('should return the square system with its variables', () => {
+      expect(parseSystemText('2x + y = 3\nx = 1 - y')).toEqual({ n: 2, A: [[2, 1], [1, 1]], b: [3, 1], variables: ['x', 'y'] });
+    });
+
+    it('should accept sizes up to the system.n limit', () => {
+      expect(parseSystemText(system(MAX_SYSTEM_SIZE)).n).toBe(MAX_SYSTEM_SIZE);
+      expect(() => parseSystemText(system(MAX_SYSTEM_SIZE + 1))).toThrow(`max ${MAX_SYSTEM_SIZE}`);
+      expect(() => parseSystemText('x1 = 1')).toThrow('too small');
+    });
+
+    it('should take configurable size limits', () => {
+      expect(() => parseSystemText(system(4), { maxSize: 3 })).toThrow('max 3');
+      expect(parseSystemText(system(4), { minSize: 4 }).n).toBe(4);
+    });
+
+    it('should reject a huge variable number before building the rows', () => {
+      // Sizing the rows by this index used to take hundreds of megabytes
+      expect(() => parseSystemText('x1 + x3000000 = 1')).toThrow(
+        expect.objectContaining({ message: expect.stringContaining(`max ${MAX_SYSTEM_SIZE} variables`), line: 1, column: 6 })
+      );
+      expect(() => parseEquationSystem('x1 = 1\nx99999999999 = 2')).toThrow(expect.objectContaining({ line: 2 }));
+    });
+
+    it('should add up repeated variables', () => {
+      expect(parseSystemText('x1 + 2x1 - x2 = 3\nx2 + x2 = 4').A).toEqual([[3, -1], [0, 2]]);
+    });
+
+    it('should require one equation per variable', () => {
+      expect(() => parseSystemText('x1 + x2 + x3 = 1\nx1 = 2')).toThrow('2 equations for 3 variables (x1, x2, x3). Write 1 more equation.');
+      expect(() => parseSystemText('x + y = 1\nx = 2\ny = 3')).toThrow('Write 1 fewer equation.');
+      expect(parseEquations('x1 + x2 + x3 = 1\nx1 = 2')).toBeNull();
+    });
+
+    it('should keep token positions on syntax errors', () => {
+      expect(() => parseSystemText('x1 + x2 = 1\nx1 ^ x2 = 0')).toThrow(expect.objectContaining({ line: 2, column: 4 }));
+    });
+  });
 });
 
+describe('Config: Matrix Editor', () => {
+  const A = [[4, -1, 0], [1, 2, 3], [0, 1, 5]];
+  const b = [7, 8, 9];
+
+  describe('parsePastedBlock', () => {
+    it('should read spreadsheet (tab separated) copies', () => {
+      expect(parsePastedBlock('4\t-1\t7\n1\t5\t3\n')).toEqual([[4, -1, 7], [1, 5, 3]]);
+    });
+
+    it('should keep leading empty spreadsheet cells as zeros', () => {
+      expect(parsePastedBlock('\t2\n3\t')).toEqual([[0, 2], [3, 0]]);
+    });
+
+    it('should read CSV with commas or semicolons and skip a header row', () => {
+      expect(parsePastedBlock('x1,x2,b\n1,2,3\n4,5,6')).toEqual([[1, 2, 3], [4, 5, 6]]);
+      expect(parsePastedBlock('1;2\r\n3;4')).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it('should read Octave output and matrix literals', () => {
+      expect(parsePastedBlock('A =\n\n   4  -1   0\n   1   5   2\n')).toEqual([[4, -1, 0], [1, 5, 2]]);
+      expect(parsePastedBlock('A = [4 -1; 1 5e-1]')).toEqual([[4, -1], [1, 0.5]]);
+    });
+
+    it('should reject cells that are not numbers', () => {
+      expect(() => parsePastedBlock('1 2\n3 abc')).toThrow("Line 2, cell 2: 'abc' is not a number");
+      expect(() => parsePastedBlock('\n  \n')).toThrow('no numbers');
+    });
+  });
+
+  describe('pasting into the grid', () => {
+    it('should fill from the pasted cell, b column included', () => {
+      const result = applyPastedBlock(A, b, [[9, 8], [7, 6]], 1, 2);
+
+      expect(result.A).toEqual([[4, -1, 0], [1, 2, 9], [0, 1, 7]]);
+      expect(result.b).toEqual([7, 8, 6]);
+      expect(result).toMatchObject({ filled: 4, clipped: 0 });
+      expect(A[1][2]).toBe(3);
+    });
+
+    it('should drop values that fall outside the grid', () => {
+      const result = applyPastedBlock(A, b, [[1, 2, 3]], 2, 2);
+
+      expect(result.A[2]).toEqual([0, 1, 1]);
+      expect(result.b[2]).toBe(2);
+      expect(result).toMatchObject({ filled: 2, clipped: 1 });
+    });
+
+    it('should resize only for a whole system pasted into the first cell', () => {
+      const system4 = [[1, 0, 0, 0, 1], [0, 1, 0, 0, 1], [0, 0, 1, 0, 1], [0, 0, 0, 1, 1]];
+      expect(pastedSystemSize(system4, 0, 0, 3)).toBe(4);
+      expect(pastedSystemSize(system4.map(row => row.slice(0, 4)), 0, 0, 3)).toBe(4);
+      expect(pastedSystemSize(system4, 1, 0, 3)).toBeNull();
+      expect(pastedSystemSize([[1, 2, 3]], 0, 0, 3)).toBeNull();
+      expect(pastedSystemSize([[1, 2], [3, 4]], 0, 0, 2)).toBeNull();
+    });
+  });
+
+  describe('neighborCell', () => {
+    it('should move within the augmented grid and stop at its edges', () => {
+      expect(neighborCell(0, 0, 'down', 3)).toEqual({ row: 1, col: 0 });
+      expect(neighborCell(1, 2, 'right', 3)).toEqual({ row: 1, col: 3 });
+      expect(neighborCell(1, 3, 'right', 3)).toBeNull();
+      expect(neighborCell(0, 1, 'up', 3)).toBeNull();
+      expect(neighborCell(2, 0, 'left', 3)).toBeNull();
+    });
+  });
+
+  describe('row and column edits', () => {
+    it('should insert an equation and a variable together', () => {
+      const result = insertRowColumn(A, b, 1);
+
+      expect(result.A).toEqual([[4, 0, -1, 0], [0, 4, 0, 0], [1, 0, 2, 3], [0, 0, 1, 5]]);
+      expect(result.b).toEqual([7, 0, 8, 9]);
+    });
+
+    it('should delete an equation and its variable', () => {
+      expect(deleteRowColumn(A, b, 1)).toEqual({ A: [[4, 0], [0, 5]], b: [7, 9] });
+    });
+
+    it('should fill the diagonal', () => {
+      expect(fillDiagonal(A, 10)).toEqual([[10, -1, 0], [1, 10, 3], [0, 1, 10]]);
+    });
+
+    it('should mirror the upper triangle', () => {
+      expect(makeSymmetric(A)).toEqual([[4, -1, 0], [-1, 2, 3], [0, 3, 5]]);
+    });
+  });
+
+  describe('findDominanceViolations', () => {
+    it('should list rows whose diagonal does not exceed the rest of the row', () => {
+      expect(findDominanceViolations(A)).toEqual([{ row: 1, diagonal: 2, offDiagonal: 4 }]);
+      expect(findDominanceViolations([[2, 2], [0, 1]])).toEqual([{ row: 0, diagonal: 2, offDiagonal: 2 }]);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for the residual convergence chart
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    createChartData,
+    clearChartData,
+    startChartRun,
+    recordChartPoint,
+    truncateChartRun,
+    buildChartSVG,
+    renderConvergenceChart
+} from '../src/ui/convergenceChart.js';
+import { calculateErrors } from '../src/core/math.js';
+import { computeNextJacobi } from '../src/core/jacobi.js';
+import { computeNextGaussSeidel } from '../src/core/gaussSeidel.js';
+
+const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+];
+const b = [7, -21, 15];
+
+/**
+ * Record a full run of a method into chart data
+ */
+function recordRun(chartData, method, step, iterations) {
+    let x = [1, 2, 2];
+    startChartRun(chartData, method, calculateErrors(x, A, b));
+    for (let k = 1; k <= iterations; k++) {
+        x = step([...x], A, b);
+        recordChartPoint(chartData, method, k, calculateErrors(x, A, b));
+    }
+}
+
+describe('Convergence Chart', () => {
+    let chartData;
+
+    beforeEach(() => {
+        chartData = createChartData();
+    });
+
+    describe('chart data', () => {
+        it('should record the starting point and every iteration', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 5);
+
+            const run = chartData.runs.jacobi;
+            expect(run).toHaveLength(6);
+            expect(run[0].iteration).toBe(0);
+            expect(run[0].residuals).toHaveLength(3);
+            expect(run[0].maxResidual).toBe(Math.max(...run[0].residuals));
+        });
+
+        it('should keep runs of other methods when a new run starts', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 5);
+            recordRun(chartData, 'gaussSeidel', computeNextGaussSeidel, 3);
+            recordRun(chartData, 'gaussSeidel', computeNextGaussSeidel, 2);
+
+            expect(chartData.runs.jacobi).toHaveLength(6);
+            expect(chartData.runs.gaussSeidel).toHaveLength(3);
+        });
+
+        it('should drop points after an iteration when a run resumes', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 5);
+            truncateChartRun(chartData, 'jacobi', 2);
+
+            expect(chartData.runs.jacobi.map(point => point.iteration)).toEqual([0, 1, 2]);
+            expect(() => truncateChartRun(chartData, 'sor', 2)).not.toThrow();
+        });
+
+        it('should clear all runs', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 2);
+            clearChartData(chartData);
+
+            expect(chartData.runs).toEqual({});
+        });
+    });
+
+    describe('buildChartSVG', () => {
+        it('should render an empty chart with the threshold line', () => {
+            const svg = buildChartSVG(chartData, { threshold: 1e-4 });
+
+            expect(svg).toContain('<svg');
+            expect(svg).toContain('chart-threshold');
+            expect(svg).toContain('Step or play');
+        });
+
+        it('should overlay one max-residual line per method', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 10);
+            recordRun(chartData, 'gaussSeidel', computeNextGaussSeidel, 6);
+
+            const svg = buildChartSVG(chartData, { activeMethod: 'gaussSeidel', showPerEquation: false });
+
+            expect(svg).toContain('data-method="jacobi"');
+            expect(svg).toContain('data-method="gaussSeidel"');
+            expect(svg).toContain('Jacobi (10 iters)');
+            expect(svg).not.toContain('chart-equation-line');
+        });
+
+        it('should draw per-equation residuals for the active method', () => {
+            recordRun(chartData, 'jacobi', computeNextJacobi, 4);
+
+            const svg = buildChartSVG(chartData, { activeMethod: 'jacobi', showPerEquation: true });
+
+            expect(svg.match(/chart-equation-line/g)).toHaveLength(3);
+        });
+
+        it('should use decade labels on the log axis', () => {
+            recordRun(chartData, 'gaussSeidel', computeNextGaussSeidel, 20);
+
+            const svg = buildChartSVG(chartData, { threshold: 1e-4 });
+
+            expect(svg).toContain('>1e-4<');
+            expect(svg).toContain('>1<');
+        });
+
+        it('should handle exact zero residuals', () => {
+            startChartRun(chartData, 'jacobi', calculateErrors([2, 4, 3], A, b));
+
+            const svg = buildChartSVG(chartData, { activeMethod: 'jacobi' });
+
+            expect(svg).not.toContain('NaN');
+            expect(svg).not.toContain('Infinity');
+        });
+    });
+
+    describe('renderConvergenceChart', () => {
+        it('should render into the container', () => {
+            const container = document.createElement('div');
+            recordRun(chartData, 'jacobi', computeNextJacobi, 3);
+
+            renderConvergenceChart(container, chartData, { activeMethod: 'jacobi' });
+
+            expect(container.querySelector('svg')).not.toBeNull();
+            expect(container.querySelectorAll('polyline').length).toBeGreaterThan(0);
+        });
+
+        it('should ignore a missing container', () => {
+            expect(() => renderConvergenceChart(null, chartData)).not.toThrow();
+        });
+    });
+});
@@ -1,11 +1,106 @@
 /**
- * Tests for core modules: math.js, jacobi.js, system.js
+ * Tests for core modules: math.js, jacobi.js, sor.js, conjugateGradient.js, methods.js, spectral.js, directSolver.js, system.js, race.js, reorder.js, generators.js, rational.js, exactArithmetic.js
  */
 
 import { describe, it, expect } from 'vitest';
 import { calculateErrors, getMaxError, getConvergenceState, clamp, roundToDecimal } from '../src/core/math.js';
 import { computeNextJacobi, generateJacobiFormulas, validateDiagonalDominance } from '../src/core/jacobi.js';
+import { computeNextGaussSeidel } from '../src/core/gaussSeidel.js';
+import { computeNextSOR, generateSORFormulas, clampOmega, DEFAULT_OMEGA, OMEGA_MIN, OMEGA_MAX } from '../src/core/sor.js';
+import {
+  isSymmetric,
+  isPositiveDefinite,
+  checkSPD,
+  createCGState,
+  copyCGState,
+  isCGStateCurrent,
+  computeNextCG
+} from '../src/core/conjugateGradient.js';
+import { METHODS, getMethodLabel } from '../src/core/methods.js';
+import {
+  buildJacobiIterationMatrix,
+  buildGaussSeidelIterationMatrix,
+  buildSORIterationMatrix,
+  estimateSpectralRadius,
+  estimateIterationsToTolerance,
+  estimateConditionNumber,
+  analyzeConvergence
+} from '../src/core/spectral.js';
+import { solveDirect, luDecompose, luSolve, distanceToSolution, MAX_DIRECT_SIZE } from '../src/core/directSolver.js';
 import { getDefaultSystem, createSystem, validateSystem } from '../src/core/system.js';
+import {
+  DEFAULT_CONVERGENCE,
+  vectorNorm,
+  residualVector,
+  computeConvergenceMeasure,
+  isConverged,
+  normalizeMeasure,
+  validateConvergenceSettings,
+  describeConvergenceSettings
+} from '../src/core/convergence.js';
+import {
+  DEFAULT_VALUE_RANGE,
+  niceCeil,
+  deriveValueRange,
+  expandValueRange,
+  validateValueRange,
+  rangeScale,
+  valueToFraction,
+  findOutOfRange,
+  getDivergenceLimit,
+  checkDivergence
+} from '../src/core/valueRange.js';
+import { RACE_METHODS, computeNextByMethod, createRace, stepRace, summarizeRace } from '../src/core/race.js';
+import {
+  dominanceRatio,
+  describeDiagonal,
+  solveAssignment,
+  permuteRows,
+  permuteColumns,
+  findBestDiagonal,
+  makeSolvable,
+  describeMoves
+} from '../src/core/reorder.js';
+import {
+  GENERATORS,
+  GENERATOR_LABELS,
+  createRandom,
+  poisson1D,
+  poisson2D,
+  randomDiagonallyDominant,
+  randomSPD,
+  hilbert,
+  tridiagonalToeplitz,
+  buildSolution,
+  validateGeneratorOptions,
+  generateSystem
+} from '../src/core/generators.js';
+import {
+  rational,
+  fromNumber,
+  toNumber,
+  add,
+  subtract,
+  multiply,
+  divide,
+  denominatorDigits,
+  formatRational,
+  parseRational,
+  rationalToLatex
+} from '../src/core/rational.js';
+import { computeNextJacobiExact } from '../src/core/jacobi.js';
+import { computeNextGaussSeidelExact } from '../src/core/gaussSeidel.js';
+import {
+  DEFAULT_EXACT_SETTINGS,
+  validateExactSettings,
+  usesExactArithmetic,
+  createExactState,
+  serializeExactState,
+  restoreExactState,
+  isExactStateCurrent,
+  computeNextExact,
+  exceedsDenominatorLimit
+} from '../src/core/exactArithmetic.js';
 
 describe('Core: Math Module', () => {
   const mockA = [
@@ -132,6 +227,13 @@ describe('Core: Math Module', () => {
       expect(getConvergenceState(0.1).state).toBe('Balancing');
       expect(getConvergenceState(0.0001).state).toBe('Nearly Balanced');
     });
+
+    it('should scale the bands with the tolerance', () => {
+      expect(getConvergenceState(5e-7, 1e-6).state).toBe('Perfectly Balanced');
+      expect(getConvergenceState(5e-5, 1e-6).state).toBe('Nearly Balanced');
+      expect(getConvergenceState(5e-3, 1e-6).state).toBe('Balancing');
+      expect(getConvergenceState(0.05, 1e-6).state).toBe('Unbalanced');
+    });
   });
 
   describe('clamp', () => {
@@ -324,6 +426,964 @@ describe('Core: Jacobi Module', () => {
   });
 });
 
+describe('Core: SOR Module', () => {
+  const mockA = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const mockB = [7, -21, 15];
+
+  describe('computeNextSOR', () => {
+    it('should match Gauss-Seidel when omega is 1', () => {
+      const sor = computeNextSOR([1.0, 2.0, 2.0], mockA, mockB, 1);
+      const gaussSeidel = computeNextGaussSeidel([1.0, 2.0, 2.0], mockA, mockB);
+
+      sor.forEach((value, i) => {
+        expect(value).toBeCloseTo(gaussSeidel[i], 10);
+      });
+    });
+
+    it('should blend the Gauss-Seidel value with the old value', () => {
+      const x = [1.0, 2.0, 2.0];
+      const result = computeNextSOR(x, mockA, mockB, 1.5);
+
+      // x1 (GS) = (7 + 2 - 2) / 4 = 1.75, x1 (SOR) = -0.5 * 1 + 1.5 * 1.75
+      expect(result[0]).toBeCloseTo(2.125, 10);
+    });
+
+    it('should update the vector in place', () => {
+      const x = [1.0, 2.0, 2.0];
+      const result = computeNextSOR(x, mockA, mockB, DEFAULT_OMEGA);
+
+      expect(result).toBe(x);
+    });
+
+    it('should converge to the true solution', () => {
+      let x = [0, 0, 0];
+      for (let i = 0; i < 100; i++) {
+        x = computeNextSOR(x, mockA, mockB, 1.1);
+      }
+
+      expect(x[0]).toBeCloseTo(2, 6);
+      expect(x[1]).toBeCloseTo(4, 6);
+      expect(x[2]).toBeCloseTo(3, 6);
+    });
+
+    it('should keep current value when diagonal is zero', () => {
+      const A = [
+        [0, 1],
+        [1, 2]
+      ];
+      const result = computeNextSOR([5, 1], A, [1, 2], 1.2);
+
+      expect(result[0]).toBe(5);
+    });
+  });
+
+  describe('clampOmega', () => {
+    it('should keep omega inside the supported range', () => {
+      expect(clampOmega(1.5)).toBe(1.5);
+      expect(clampOmega(0)).toBe(OMEGA_MIN);
+      expect(clampOmega(2.5)).toBe(OMEGA_MAX);
+    });
+
+    it('should fall back to the default for invalid input', () => {
+      expect(clampOmega(NaN)).toBe(DEFAULT_OMEGA);
+      expect(clampOmega(undefined)).toBe(DEFAULT_OMEGA);
+    });
+  });
+
+  describe('generateSORFormulas', () => {
+    it('should generate one formula per equation with omega', () => {
+      const formulas = generateSORFormulas(mockA, mockB, 1.25);
+
+      expect(formulas).toHaveLength(3);
+      expect(formulas[0]).toContain('x_1 = 1.25(');
+      expect(formulas[0]).toContain('(old)');
+      expect(formulas[1]).toContain('(new)');
+    });
+
+    it('should flag zero diagonal', () => {
+      const formulas = generateSORFormulas([[0, 1], [1, 2]], [1, 2], 1.25);
+
+      expect(formulas[0]).toContain('diagonal too small');
+    });
+  });
+});
+
+describe('Core: Conjugate Gradient Module', () => {
+  // Symmetric positive definite, solution [1, 2, 3]
+  const A = [
+    [4, 1, 0],
+    [1, 3, -1],
+    [0, -1, 2]
+  ];
+  const b = [6, 4, 4];
+
+  describe('checkSPD', () => {
+    it('should accept a symmetric positive-definite matrix', () => {
+      expect(isSymmetric(A)).toBe(true);
+      expect(isPositiveDefinite(A)).toBe(true);
+      expect(checkSPD(A).isSPD).toBe(true);
+    });
+
+    it('should reject non-symmetric and indefinite matrices', () => {
+      expect(checkSPD([[4, -1, 1], [4, -8, 1], [-2, 1, 5]])).toMatchObject({ isSymmetric: false, isSPD: false });
+      expect(checkSPD([[1, 2], [2, 1]])).toMatchObject({ isSymmetric: true, isPositiveDefinite: false, isSPD: false });
+      expect(checkSPD([[1, 2]]).isSPD).toBe(false);
+    });
+  });
+
+  describe('computeNextCG', () => {
+    it('should take a steepest-descent first step with the exact step length', () => {
+      const x0 = [0, 0, 0];
+      const cg = createCGState(x0, A, b);
+      const x1 = computeNextCG(x0, A, b, cg);
+
+      // r0 = b, α0 = bᵀb / bᵀAb = 68 / 240
+      const alpha = 68 / 240;
+      expect(cg.lastStep.alpha).toBeCloseTo(alpha, 12);
+      expect(cg.lastStep.direction).toEqual(b);
+      expect(cg.lastStep.beta).toBeNull();
+      x1.forEach((value, i) => expect(value).toBeCloseTo(alpha * b[i], 12));
+      expect(x0).toEqual([0, 0, 0]);
+    });
+
+    it('should reach the exact solution in at most n steps', () => {
+      let x = [0, 0, 0];
+      const cg = createCGState(x, A, b);
+      for (let k = 0; k < 3; k++) {
+        x = computeNextCG(x, A, b, cg);
+      }
+
+      expect(x[0]).toBeCloseTo(1, 10);
+      expect(x[1]).toBeCloseTo(2, 10);
+      expect(x[2]).toBeCloseTo(3, 10);
+    });
+
+    it('should keep successive search directions A-conjugate', () => {
+      let x = [0, 0, 0];
+      const cg = createCGState(x, A, b);
+      x = computeNextCG(x, A, b, cg);
+      const p0 = cg.lastStep.direction;
+      x = computeNextCG(x, A, b, cg);
+      const p1 = cg.lastStep.direction;
+
+      const Ap1 = A.map(row => row.reduce((sum, a, j) => sum + a * p1[j], 0));
+      expect(p0.reduce((sum, value, i) => sum + value * Ap1[i], 0)).toBeCloseTo(0, 10);
+      expect(cg.lastStep.beta).toBeGreaterThan(0);
+    });
+
+    it('should stay put once the residual is zero', () => {
+      const cg = createCGState([1, 2, 3], A, b);
+      expect(computeNextCG([1, 2, 3], A, b, cg)).toEqual([1, 2, 3]);
+      expect(cg.lastStep.alpha).toBe(0);
+    });
+  });
+
+  describe('state helpers', () => {
+    it('should detect stale state and copy independently', () => {
+      const cg = createCGState([0, 0, 0], A, b);
+      const copy = copyCGState(cg);
+      copy.direction[0] = 99;
+
+      expect(cg.direction[0]).toBe(6);
+      expect(isCGStateCurrent(cg, [0, 0, 0])).toBe(true);
+      expect(isCGStateCurrent(cg, [0, 1, 0])).toBe(false);
+      expect(isCGStateCurrent(null, [0, 0, 0])).toBe(false);
+      expect(copyCGState(null)).toBeNull();
+    });
+  });
+});
+
+describe('Core: Methods Registry', () => {
+  it('should list every iteration method', () => {
+    expect(METHODS).toEqual(['jacobi', 'gaussSeidel', 'sor', 'cg']);
+  });
+
+  it('should return display labels', () => {
+    expect(getMethodLabel('jacobi')).toBe('Jacobi');
+    expect(getMethodLabel('gaussSeidel')).toBe('Gauss-Seidel');
+    expect(getMethodLabel('sor')).toBe('SOR');
+    expect(getMethodLabel('cg')).toBe('Conjugate Gradient');
+    expect(getMethodLabel('unknown')).toBe('unknown');
+  });
+});
+
+describe('Core: Spectral Module', () => {
+  const mockA = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const mockB = [7, -21, 15];
+
+  const multiply = (T, v) => T.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+
+  describe('buildJacobiIterationMatrix', () => {
+    it('should build D^-1(L + U) with zero diagonal', () => {
+      const T = buildJacobiIterationMatrix(mockA);
+
+      expect(T[0]).toEqual([0, 0.25, -0.25]);
+      expect(T[1][1]).toBe(0);
+      expect(T[2][0]).toBeCloseTo(0.4, 10);
+    });
+
+    it('should return null for a zero diagonal', () => {
+      expect(buildJacobiIterationMatrix([[0, 1], [1, 2]])).toBeNull();
+    });
+  });
+
+  describe('buildGaussSeidelIterationMatrix', () => {
+    it('should reproduce one homogeneous Gauss-Seidel sweep', () => {
+      const T = buildGaussSeidelIterationMatrix(mockA);
+      const x = [1, 2, 2];
+      // With b = 0 a Gauss-Seidel step is exactly x -> T x
+      const expected = computeNextGaussSeidel([...x], mockA, [0, 0, 0]);
+
+      multiply(T, x).forEach((value, i) => {
+        expect(value).toBeCloseTo(expected[i], 10);
+      });
+    });
+  });
+
+  describe('buildSORIterationMatrix', () => {
+    it('should reproduce one homogeneous SOR sweep', () => {
+      const T = buildSORIterationMatrix(mockA, 1.3);
+      const x = [1, 2, 2];
+      const expected = computeNextSOR([...x], mockA, [0, 0, 0], 1.3);
+
+      multiply(T, x).forEach((value, i) => {
+        expect(value).toBeCloseTo(expected[i], 10);
+      });
+    });
+  });
+
+  describe('estimateSpectralRadius', () => {
+    it('should find the dominant eigenvalue of a diagonal matrix', () => {
+      expect(estimateSpectralRadius([[0.5, 0], [0, -0.8]])).toBeCloseTo(0.8, 6);
+    });
+
+    it('should handle a complex eigenvalue pair', () => {
+      // Rotation scaled by 0.9 has eigenvalues 0.9(cos θ ± i sin θ)
+      const c = 0.9 * Math.cos(1);
+      const s = 0.9 * Math.sin(1);
+      expect(estimateSpectralRadius([[c, -s], [s, c]])).toBeCloseTo(0.9, 6);
+    });
+
+    it('should return 0 for a nilpotent matrix', () => {
+      expect(estimateSpectralRadius([[0, 1], [0, 0]])).toBe(0);
+    });
+
+    it('should return null for invalid input', () => {
+      expect(estimateSpectralRadius([])).toBeNull();
+    });
+  });
+
+  describe('estimateIterationsToTolerance', () => {
+    it('should estimate iterations from the contraction rate', () => {
+      // 1 * 0.1^k <= 1e-4 needs k = 4
+      expect(estimateIterationsToTolerance(0.1, 1, 1e-4)).toBe(4);
+    });
+
+    it('should return null when not converging', () => {
+      expect(estimateIterationsToTolerance(1.2, 1, 1e-4)).toBeNull();
+    });
+
+    it('should return 0 when already within tolerance', () => {
+      expect(estimateIterationsToTolerance(0.5, 1e-5, 1e-4)).toBe(0);
+    });
+  });
+
+  describe('analyzeConvergence', () => {
+    it('should predict convergence for every stationary method on the default system', () => {
+      const analysis = analyzeConvergence(mockA, mockB, [1, 2, 2], { omega: 1.1 });
+
+      ['jacobi', 'gaussSeidel', 'sor'].forEach(method => {
+        expect(analysis[method].converges).toBe(true);
+        expect(analysis[method].rho).toBeLessThan(1);
+        expect(analysis[method].iterations).toBeGreaterThan(0);
+      });
+      expect(analysis.gaussSeidel.rho).toBeLessThan(analysis.jacobi.rho);
+      // The default matrix is not symmetric, so Conjugate Gradient does not apply
+      expect(analysis.cg.converges).toBe(false);
+      expect(analysis.cg.message).toContain('not symmetric');
+    });
+
+    it('should predict convergence for a system that is not diagonally dominant', () => {
+      // Not diagonally dominant, but symmetric positive definite so Gauss-Seidel converges
+      // (Jacobi eigenvalues are -1.6 and 0.8, so Jacobi diverges)
+      const A = [
+        [1, 0.8, 0.8],
+        [0.8, 1, 0.8],
+        [0.8, 0.8, 1]
+      ];
+      const analysis = analyzeConvergence(A, [1, 1, 1], [0, 0, 0]);
+
+      expect(validateDiagonalDominance(A)).toBe(false);
+      expect(analysis.gaussSeidel.converges).toBe(true);
+      expect(analysis.jacobi.converges).toBe(false);
+      expect(analysis.cg.converges).toBe(true);
+      expect(analysis.cg.iterations).toBeLessThanOrEqual(3);
+    });
+
+    it('should estimate the condition number of an SPD matrix', () => {
+      // Eigenvalues 2.6, 0.2, 0.2
+      const A = [
+        [1, 0.8, 0.8],
+        [0.8, 1, 0.8],
+        [0.8, 0.8, 1]
+      ];
+      expect(estimateConditionNumber(A)).toBeCloseTo(13, 3);
+    });
+
+    it('should report undefined methods for a zero diagonal', () => {
+      const analysis = analyzeConvergence([[0, 1], [1, 0]], [1, 1], [0, 0]);
+
+      expect(analysis.jacobi.rho).toBeNull();
+      expect(analysis.jacobi.converges).toBe(false);
+    });
+  });
+});
+
+describe('Core: Direct Solver Module', () => {
+  const mockA = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const mockB = [7, -21, 15];
+
+  describe('solveDirect', () => {
+    it('should solve the default system exactly', () => {
+      const result = solveDirect(mockA, mockB);
+
+      expect(result.isSingular).toBe(false);
+      expect(result.isIllConditioned).toBe(false);
+      expect(result.solution[0]).toBeCloseTo(2, 10);
+      expect(result.solution[1]).toBeCloseTo(4, 10);
+      expect(result.solution[2]).toBeCloseTo(3, 10);
+    });
+
+    it('should pivot around a zero leading entry', () => {
+      const result = solveDirect([[0, 1], [1, 1]], [2, 3]);
+
+      expect(result.solution[0]).toBeCloseTo(1, 10);
+      expect(result.solution[1]).toBeCloseTo(2, 10);
+    });
+
+    it('should detect a singular matrix', () => {
+      const result = solveDirect([[1, 2], [2, 4]], [1, 2]);
+
+      expect(result.isSingular).toBe(true);
+      expect(result.solution).toBeNull();
+      expect(result.message).toContain('singular');
+    });
+
+    it('should flag an ill-conditioned matrix', () => {
+      // 10×10 Hilbert matrix has κ∞ around 3.5e13
+      const n = 10;
+      const hilbert = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => 1 / (i + j + 1)));
+      const result = solveDirect(hilbert, new Array(n).fill(1));
+
+      expect(result.isSingular).toBe(false);
+      expect(result.isIllConditioned).toBe(true);
+      expect(result.conditionNumber).toBeGreaterThan(1e10);
+    });
+
+    it('should solve a 20×20 system', () => {
+      const n = MAX_DIRECT_SIZE;
+      const A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 4 : (Math.abs(i - j) === 1 ? -1 : 0))));
+      const expected = Array.from({ length: n }, (_, i) => i + 1);
+      const b = A.map(row => row.reduce((sum, value, j) => sum + value * expected[j], 0));
+
+      const result = solveDirect(A, b);
+
+      expect(distanceToSolution(result.solution, expected)).toBeLessThan(1e-10);
+    });
+
+    it('should reject systems larger than the maximum size', () => {
+      const n = MAX_DIRECT_SIZE + 1;
+      const A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+      const result = solveDirect(A, new Array(n).fill(1));
+
+      expect(result.solution).toBeNull();
+      expect(result.message).toContain('too large');
+    });
+
+    it('should reject mismatched dimensions', () => {
+      const result = solveDirect([[1, 2], [3, 4]], [1]);
+
+      expect(result.solution).toBeNull();
+    });
+  });
+
+  describe('luDecompose / luSolve', () => {
+    it('should reuse a decomposition for several right-hand sides', () => {
+      const decomposition = luDecompose(mockA);
+
+      expect(decomposition.isSingular).toBe(false);
+      expect(luSolve(decomposition, mockB)[0]).toBeCloseTo(2, 10);
+      expect(luSolve(decomposition, [4, 4, -2])).toEqual([
+        expect.closeTo(1, 10),
+        expect.closeTo(0, 10),
+        expect.closeTo(0, 10)
+      ]);
+    });
+  });
+
+  describe('distanceToSolution', () => {
+    it('should return the infinity norm of the difference', () => {
+      expect(distanceToSolution([1, 2, 2], [2, 4, 3])).toBe(2);
+    });
+
+    it('should return null for mismatched vectors', () => {
+      expect(distanceToSolution([1, 2], [1, 2, 3])).toBeNull();
+      expect(distanceToSolution([1, 2], null)).toBeNull();
+    });
+  });
+});
+
+describe('Core: Convergence Module', () => {
+  const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const b = [7, -21, 15];
+  const solution = [2, 4, 3];
+
+  describe('vectorNorm', () => {
+    it('should compute the ∞, 1 and 2 norms', () => {
+      const v = [3, -4, 0];
+      expect(vectorNorm(v, 'inf')).toBe(4);
+      expect(vectorNorm(v, '1')).toBe(7);
+      expect(vectorNorm(v, '2')).toBe(5);
+    });
+  });
+
+  describe('residualVector', () => {
+    it('should be zero at the solution', () => {
+      expect(residualVector(A, b, solution)).toEqual([0, 0, 0]);
+    });
+  });
+
+  describe('computeConvergenceMeasure', () => {
+    const x = [1, 2, 2];
+
+    it('should match the max error for the default settings', () => {
+      const measure = computeConvergenceMeasure({ A, b, x }, DEFAULT_CONVERGENCE);
+      expect(measure).toBeCloseTo(getMaxError(calculateErrors(x, A, b)), 10);
+    });
+
+    it('should divide by ‖b‖ for the relative residual', () => {
+      const settings = { ...DEFAULT_CONVERGENCE, criterion: 'relativeResidual' };
+      const residual = computeConvergenceMeasure({ A, b, x }, DEFAULT_CONVERGENCE);
+      expect(computeConvergenceMeasure({ A, b, x }, settings)).toBeCloseTo(residual / 21, 10);
+    });
+
+    it('should measure the last step for the step-size criterion', () => {
+      const settings = { ...DEFAULT_CONVERGENCE, criterion: 'stepSize', norm: '1' };
+      expect(computeConvergenceMeasure({ A, b, x: [1, 2, 2], previousX: [1.5, 2, 1] }, settings)).toBeCloseTo(1.5, 10);
+    });
+
+    it('should fall back to the residual without a previous iterate', () => {
+      const settings = { ...DEFAULT_CONVERGENCE, criterion: 'stepSize' };
+      expect(computeConvergenceMeasure({ A, b, x }, settings))
+        .toBeCloseTo(computeConvergenceMeasure({ A, b, x }, DEFAULT_CONVERGENCE), 10);
+    });
+  });
+
+  describe('isConverged / normalizeMeasure', () => {
+    it('should compare against the tolerance', () => {
+      expect(isConverged(5e-5)).toBe(true);
+      expect(isConverged(1e-4)).toBe(false);
+      expect(isConverged(NaN)).toBe(false);
+      expect(isConverged(5e-7, { ...DEFAULT_CONVERGENCE, tolerance: 1e-6 })).toBe(true);
+    });
+
+    it('should map the tolerance onto the default tolerance', () => {
+      expect(normalizeMeasure(1e-6, 1e-6)).toBeCloseTo(1e-4, 12);
+      expect(normalizeMeasure(0.5)).toBe(0.5);
+    });
+  });
+
+  describe('validateConvergenceSettings', () => {
+    it('should accept the defaults', () => {
+      expect(() => validateConvergenceSettings(DEFAULT_CONVERGENCE)).not.toThrow();
+    });
+
+    it('should reject invalid fields', () => {
+      expect(() => validateConvergenceSettings({ ...DEFAULT_CONVERGENCE, tolerance: -1 })).toThrow('Tolerance');
+      expect(() => validateConvergenceSettings({ ...DEFAULT_CONVERGENCE, norm: 'max' })).toThrow('Norm');
+      expect(() => validateConvergenceSettings({ ...DEFAULT_CONVERGENCE, criterion: 'x' })).toThrow('Criterion');
+      expect(() => validateConvergenceSettings({ ...DEFAULT_CONVERGENCE, maxIterations: 0 })).toThrow('Maximum iterations');
+      expect(() => validateConvergenceSettings(null)).toThrow();
+    });
+  });
+
+  describe('describeConvergenceSettings', () => {
+    it('should describe the stopping rule', () => {
+      expect(describeConvergenceSettings(DEFAULT_CONVERGENCE)).toBe('Residual ‖b − Ax‖ (∞-norm) < 0.0001');
+    });
+  });
+});
+
+describe('Core: Value Range Module', () => {
+  describe('niceCeil', () => {
+    it('should round up to 1, 2, 2.5 or 5 times a power of ten', () => {
+      expect(niceCeil(1)).toBe(1);
+      expect(niceCeil(1.1)).toBe(2);
+      expect(niceCeil(2.2)).toBe(2.5);
+      expect(niceCeil(37)).toBe(50);
+      expect(niceCeil(0.03)).toBe(0.05);
+      expect(niceCeil(0)).toBe(1);
+    });
+  });
+
+  describe('deriveValueRange', () => {
+    it('should contain the solution and initial guess with headroom', () => {
+      expect(deriveValueRange([[2, 4, 3], [1, 2, 2]])).toEqual({ min: -5, max: 5 });
+      expect(deriveValueRange([[50, -120], null])).toEqual({ min: -200, max: 200 });
+    });
+
+    it('should never be narrower than [-1, 1]', () => {
+      expect(deriveValueRange([[0, 0], null])).toEqual({ min: -1, max: 1 });
+    });
+  });
+
+  describe('expandValueRange', () => {
+    it('should keep a range that already fits', () => {
+      const range = { min: -10, max: 10 };
+      expect(expandValueRange(range, [3, -9])).toBe(range);
+    });
+
+    it('should grow to contain an out-of-range value', () => {
+      expect(expandValueRange({ min: -10, max: 10 }, [3, -30])).toEqual({ min: -50, max: 50 });
+    });
+  });
+
+  describe('validateValueRange', () => {
+    it('should reject empty or non-numeric ranges', () => {
+      expect(() => validateValueRange({ min: 5, max: 5 })).toThrow('less than');
+      expect(() => validateValueRange({ min: NaN, max: 5 })).toThrow('numbers');
+      expect(() => validateValueRange({ min: -1, max: 1 })).not.toThrow();
+    });
+  });
+
+  describe('scaling helpers', () => {
+    it('should scale sensitivity relative to the original range', () => {
+      expect(rangeScale(DEFAULT_VALUE_RANGE)).toBe(1);
+      expect(rangeScale({ min: -100, max: 100 })).toBe(10);
+    });
+
+    it('should pin fractions outside the range', () => {
+      expect(valueToFraction(0, DEFAULT_VALUE_RANGE)).toBe(0.5);
+      expect(valueToFraction(25, DEFAULT_VALUE_RANGE)).toBe(1);
+      expect(valueToFraction(-Infinity, DEFAULT_VALUE_RANGE)).toBe(0);
+    });
+
+    it('should find the first out-of-range value', () => {
+      expect(findOutOfRange([1, 12, -20], DEFAULT_VALUE_RANGE)).toBe(1);
+      expect(findOutOfRange([1, 2], DEFAULT_VALUE_RANGE)).toBe(-1);
+    });
+  });
+
+  describe('divergence', () => {
+    it('should base the limit on the natural scale of the system', () => {
+      expect(getDivergenceLimit([[2, 4, 3], [1, 2, 2]])).toBe(4000);
+      expect(getDivergenceLimit([null])).toBe(1000);
+    });
+
+    it('should flag huge or non-finite values', () => {
+      expect(checkDivergence([1, 2], 1000)).toBeNull();
+      expect(checkDivergence([1, -5000], 1000)).toEqual({ index: 1, value: -5000 });
+      expect(checkDivergence([NaN, 1], 1000).index).toBe(0);
+    });
+  });
+});
+
+describe('Core: Race Module', () => {
+  const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const b = [7, -21, 15];
+  const x0 = [1, 2, 2];
+
+  it('should start every lane from the same guess', () => {
+    const race = createRace(x0, A, b, RACE_METHODS, 0);
+
+    expect(race.lanes.map(lane => lane.method)).toEqual(['jacobi', 'gaussSeidel']);
+    race.lanes.forEach(lane => {
+      expect(lane.x).toEqual(x0);
+      expect(lane.x).not.toBe(x0);
+      expect(lane.iteration).toBe(0);
+      expect(lane.status).toBe('running');
+    });
+    expect(race.finished).toBe(false);
+  });
+
+  it('should compute the next iterate without mutating the input', () => {
+    const x = [...x0];
+    expect(computeNextByMethod('gaussSeidel', x, A, b)).toEqual(computeNextGaussSeidel([...x0], A, b));
+    expect(computeNextByMethod('jacobi', x, A, b)).toEqual(computeNextJacobi(x0, A, b));
+    expect(x).toEqual(x0);
+  });
+
+  it('should advance lanes independently in lockstep', () => {
+    const race = createRace(x0, A, b, RACE_METHODS, 0);
+    const advanced = stepRace(race, A, b, { now: 10 });
+
+    expect(advanced).toHaveLength(2);
+    expect(race.lanes[0].x).toEqual(computeNextJacobi(x0, A, b));
+    expect(race.lanes[1].x).toEqual(computeNextGaussSeidel([...x0], A, b));
+    expect(race.lanes[0].iteration).toBe(1);
+    expect(race.lanes[1].iteration).toBe(1);
+  });
+
+  it('should let Gauss-Seidel finish first on the default system', () => {
+    const race = createRace(x0, A, b, RACE_METHODS, 0);
+    let steps = 0;
+    while (!race.finished && steps < 200) {
+      stepRace(race, A, b, { now: ++steps });
+    }
+
+    const [jacobi, gaussSeidel] = race.lanes;
+    expect(jacobi.status).toBe('converged');
+    expect(gaussSeidel.status).toBe('converged');
+    expect(gaussSeidel.iteration).toBeLessThan(jacobi.iteration);
+    expect(gaussSeidel.finishTime).toBe(gaussSeidel.iteration);
+    expect(jacobi.x[0]).toBeCloseTo(2, 3);
+
+    const summary = summarizeRace(race);
+    expect(summary.winner).toBe('gaussSeidel');
+    expect(summary.text).toContain('Gauss-Seidel wins');
+  });
+
+  it('should stop a diverging lane while the other keeps running', () => {
+    // Jacobi diverges here (ρ ≈ 1.118) while Gauss-Seidel converges (ρ = 0.5)
+    const A2 = [
+      [2, -1, 1],
+      [2, 2, 2],
+      [-1, -1, 2]
+    ];
+    const b2 = [2, 6, 0];
+    const race = createRace([0, 0, 0], A2, b2, RACE_METHODS, 0);
+    let steps = 0;
+    while (!race.finished && steps < 1000) {
+      stepRace(race, A2, b2, { divergenceLimit: 1000, now: ++steps });
+    }
+
+    expect(race.lanes[0].status).toBe('diverged');
+    expect(race.lanes[0].divergence).not.toBeNull();
+    expect(race.lanes[1].status).toBe('converged');
+    expect(summarizeRace(race).text).toContain('Jacobi diverged');
+  });
+
+  it('should mark lanes that hit the iteration limit as stalled', () => {
+    const race = createRace(x0, A, b, RACE_METHODS, 0);
+    stepRace(race, A, b, { convergence: { ...DEFAULT_CONVERGENCE, maxIterations: 1 } });
+
+    expect(race.lanes.every(lane => lane.status === 'stalled')).toBe(true);
+    expect(race.finished).toBe(true);
+    expect(summarizeRace(race).winner).toBeNull();
+  });
+});
+
+describe('Core: Reorder Module', () => {
+  // Default system with its equations shuffled: zero-free diagonal but not dominant
+  const shuffledA = [
+    [4, -8, 1],
+    [-2, 1, 5],
+    [4, -1, 1]
+  ];
+  const shuffledB = [-21, 15, 7];
+
+  describe('dominanceRatio', () => {
+    it('should compare the chosen entry with the rest of the row', () => {
+      expect(dominanceRatio([4, -1, 1], 0)).toBe(2);
+      expect(dominanceRatio([4, -1, 1], 1)).toBe(0.2);
+    });
+
+    it('should return 0 for a zero entry', () => {
+      expect(dominanceRatio([0, 1, 2], 0)).toBe(0);
+    });
+
+    it('should cap rows with nothing off the diagonal', () => {
+      expect(dominanceRatio([0, 3, 0], 1)).toBe(1e12);
+    });
+  });
+
+  describe('describeDiagonal', () => {
+    it('should count zero and dominant rows', () => {
+      const result = describeDiagonal([[0, 1], [1, 3]]);
+      expect(result.zeroDiagonal).toBe(1);
+      expect(result.dominantRows).toBe(1);
+      expect(result.isDiagonallyDominant).toBe(false);
+    });
+
+    it('should recognize a diagonally dominant matrix', () => {
+      expect(describeDiagonal(getDefaultSystem().A).isDiagonallyDominant).toBe(true);
+    });
+  });
+
+  describe('solveAssignment', () => {
+    it('should find the cheapest assignment', () => {
+      const cost = [
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2]
+      ];
+      // Row 0 → col 1, row 1 → col 0, row 2 → col 2 costs 1 + 2 + 2 = 5
+      expect(solveAssignment(cost)).toEqual([1, 0, 2]);
+    });
+
+    it('should return a permutation', () => {
+      const assignment = solveAssignment([[1, 1], [1, 1]]);
+      expect([...assignment].sort()).toEqual([0, 1]);
+    });
+  });
+
+  describe('permuteRows and permuteColumns', () => {
+    it('should move rows and constants together', () => {
+      const result = permuteRows([[1, 2], [3, 4]], [5, 6], [1, 0]);
+      expect(result.A).toEqual([[3, 4], [1, 2]]);
+      expect(result.b).toEqual([6, 5]);
+    });
+
+    it('should move columns', () => {
+      expect(permuteColumns([[1, 2], [3, 4]], [1, 0])).toEqual([[2, 1], [4, 3]]);
+    });
+
+    it('should not modify the input', () => {
+      const A = [[1, 2], [3, 4]];
+      permuteRows(A, [5, 6], [1, 0]);
+      permuteColumns(A, [1, 0]);
+      expect(A).toEqual([[1, 2], [3, 4]]);
+    });
+  });
+
+  describe('findBestDiagonal', () => {
+    it('should pick the dominant entry of each row', () => {
+      expect(findBestDiagonal(shuffledA)).toEqual([1, 2, 0]);
+    });
+
+    it('should return null for a structurally singular matrix', () => {
+      expect(findBestDiagonal([[1, 2], [0, 0]])).toBeNull();
+      expect(findBestDiagonal([[1, 0, 0], [1, 0, 0], [0, 1, 1]])).toBeNull();
+    });
+  });
+
+  describe('makeSolvable', () => {
+    it('should reorder equations to restore diagonal dominance', () => {
+      const result = makeSolvable(shuffledA, shuffledB);
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(true);
+      expect(result.rowOrder).toEqual([2, 0, 1]);
+      expect(result.A).toEqual(getDefaultSystem().A);
+      expect(result.b).toEqual(getDefaultSystem().b);
+      expect(result.diagonal.isDiagonallyDominant).toBe(true);
+      expect(result.message).toContain('diagonally dominant');
+    });
+
+    it('should fix a zero diagonal by swapping equations', () => {
+      const result = makeSolvable([[0, 1], [3, 1]], [1, 5]);
+      expect(result.changed).toBe(true);
+      expect(result.A).toEqual([[3, 1], [0, 1]]);
+      expect(result.b).toEqual([5, 1]);
+      expect(result.moves).toEqual([{ from: 1, to: 0 }, { from: 0, to: 1 }]);
+    });
+
+    it('should reorder variables instead of equations', () => {
+      const result = makeSolvable(shuffledA, shuffledB, { permuteVariables: true });
+      expect(result.changed).toBe(true);
+      expect(result.rowOrder).toEqual([0, 1, 2]);
+      expect(result.columnOrder).toEqual([1, 2, 0]);
+      expect(result.A).toEqual([[-8, 1, 4], [1, 5, -2], [-1, 1, 4]]);
+      expect(result.b).toEqual(shuffledB);
+      expect(result.diagonal.isDiagonallyDominant).toBe(true);
+    });
+
+    it('should leave a dominant system unchanged', () => {
+      const { A, b } = getDefaultSystem();
+      const result = makeSolvable(A, b);
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(false);
+      expect(result.moves).toEqual([]);
+      expect(result.message).toContain('already diagonally dominant');
+    });
+
+    it('should explain when no order avoids a zero diagonal', () => {
+      const A = [[1, 2], [0, 0]];
+      const result = makeSolvable(A, [1, 2]);
+      expect(result.success).toBe(false);
+      expect(result.changed).toBe(false);
+      expect(result.A).toBe(A);
+      expect(result.message).toContain('No reordering helps');
+    });
+
+    it('should say when the best order is still not dominant', () => {
+      const result = makeSolvable([[1, 1, 1], [1, 1, 1], [1, 1, 1]], [3, 3, 3]);
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(false);
+      expect(result.message).toContain('Convergence is not guaranteed');
+    });
+  });
+
+  describe('describeMoves', () => {
+    it('should describe moved equations', () => {
+      expect(describeMoves([{ from: 2, to: 0 }])).toEqual(['Equation 3 → row 1']);
+    });
+
+    it('should describe renamed variables', () => {
+      expect(describeMoves([{ from: 1, to: 0 }], true)).toEqual(['x1 is the old x2']);
+    });
+  });
+});
+
+describe('Core: Generators Module', () => {
+  describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const a = createRandom(42);
+      const b = createRandom(42);
+      const first = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(first);
+      first.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    it('should give different sequences for different seeds', () => {
+      expect(createRandom(1)()).not.toBe(createRandom(2)());
+    });
+  });
+
+  describe('matrix families', () => {
+    it('should build the 1D Poisson matrix', () => {
+      expect(poisson1D(3)).toEqual([
+        [2, -1, 0],
+        [-1, 2, -1],
+        [0, -1, 2]
+      ]);
+    });
+
+    it('should build the 5-point Laplacian on a 2×2 grid', () => {
+      expect(poisson2D(4)).toEqual([
+        [4, -1, -1, 0],
+        [-1, 4, 0, -1],
+        [-1, 0, 4, -1],
+        [0, -1, -1, 4]
+      ]);
+    });
+
+    it('should not link the end of one grid row to the start of the next', () => {
+      const A = poisson2D(9);
+      expect(A[2][3]).toBe(0);
+      expect(A[3][2]).toBe(0);
+      expect(A[4].filter(value => value === -1)).toHaveLength(4);
+    });
+
+    it('should build strictly diagonally dominant random matrices', () => {
+      const A = randomDiagonallyDominant(6, createRandom(7));
+      A.forEach((row, i) => {
+        const offDiagonal = row.reduce((sum, value, j) => (j === i ? sum : sum + Math.abs(value)), 0);
+        expect(Math.abs(row[i])).toBeGreaterThan(offDiagonal);
+      });
+    });
+
+    it('should build SPD random matrices', () => {
+      const A = randomSPD(5, createRandom(3));
+      expect(checkSPD(A).isSPD).toBe(true);
+    });
+
+    it('should build the Hilbert matrix', () => {
+      const H = hilbert(3);
+      expect(H[0]).toEqual([1, 1 / 2, 1 / 3]);
+      expect(H[2][2]).toBeCloseTo(1 / 5, 12);
+      expect(checkSPD(H).isSPD).toBe(true);
+    });
+
+    it('should build tridiagonal Toeplitz matrices', () => {
+      expect(tridiagonalToeplitz(3, { lower: 1, diagonal: 5, upper: 2 })).toEqual([
+        [5, 2, 0],
+        [1, 5, 2],
+        [0, 1, 5]
+      ]);
+    });
+  });
+
+  describe('buildSolution', () => {
+    it('should build each kind of solution', () => {
+      expect(buildSolution('ones', 3)).toEqual([1, 1, 1]);
+      expect(buildSolution('sequence', 3)).toEqual([1, 2, 3]);
+      expect(buildSolution('custom', 2, null, [4, -1])).toEqual([4, -1]);
+      buildSolution('random', 5, createRandom(1)).forEach(value => {
+        expect(Number.isInteger(value)).toBe(true);
+      });
+    });
+  });
+
+  describe('validateGeneratorOptions', () => {
+    it('should accept valid options', () => {
+      expect(() => validateGeneratorOptions({ family: 'spd', n: 5, seed: 3, solution: 'random' })).not.toThrow();
+    });
+
+    it('should reject unknown families and bad sizes', () => {
+      expect(() => validateGeneratorOptions({ family: 'magic', n: 3 })).toThrow('Generator');
+      expect(() => validateGeneratorOptions({ family: 'hilbert', n: 1 })).toThrow('Size');
+      expect(() => validateGeneratorOptions({ family: 'hilbert', n: 21 })).toThrow('Size');
+    });
+
+    it('should require a perfect square for 2D Poisson', () => {
+      expect(() => validateGeneratorOptions({ family: 'poisson2d', n: 5 })).toThrow('perfect-square');
+    });
+
+    it('should check custom solutions', () => {
+      expect(() => validateGeneratorOptions({ family: 'hilbert', n: 3, solution: 'custom', customSolution: [1, 2] })).toThrow('3 values');
+      expect(() => validateGeneratorOptions({ family: 'hilbert', n: 2, solution: 'custom', customSolution: [1, NaN] })).toThrow('numbers');
+    });
+  });
+
+  describe('generateSystem', () => {
+    it('should generate every family with b = Ax*', () => {
+      GENERATORS.forEach(family => {
+        const n = family === 'poisson2d' ? 9 : 4;
+        const system = generateSystem({ family, n, solution: 'sequence' });
+        expect(system.n).toBe(n);
+        expect(system.label).toBe(GENERATOR_LABELS[family]);
+        system.A.forEach((row, i) => {
+          const Ax = row.reduce((sum, value, j) => sum + value * system.solution[j], 0);
+          expect(system.b[i]).toBeCloseTo(Ax, 8);
+        });
+      });
+    });
+
+    it('should have the chosen solution as its exact solution', () => {
+      const system = generateSystem({ family: 'diagonallyDominant', n: 4, seed: 9, solution: 'custom', customSolution: [2, -1, 0.5, 3] });
+      const { solution } = solveDirect(system.A, system.b);
+      solution.forEach((value, i) => {
+        expect(value).toBeCloseTo(system.solution[i], 8);
+      });
+    });
+
+    it('should be reproducible for a seed', () => {
+      const options = { family: 'spd', n: 4, seed: 11, solution: 'random' };
+      expect(generateSystem(options)).toEqual(generateSystem(options));
+      expect(generateSystem({ ...options, seed: 12 }).A).not.toEqual(generateSystem(options).A);
+    });
+
+    it('should keep the matrix when only the solution changes', () => {
+      const options = { family: 'diagonallyDominant', n: 4, seed: 5 };
+      expect(generateSystem({ ...options, solution: 'random' }).A).toEqual(generateSystem({ ...options, solution: 'ones' }).A);
+    });
+  });
+});
+
 describe('Core: System Module', () => {
   describe('getDefaultSystem', () => {
     it('should return default 3x3 system', () => {
@@ -429,6 +1489,20 @@ describe('Core: System Module', () => {
       expect(result.message).toContain('zero');
     });
 
+    it('should suggest reordering when swapping equations fixes a zero diagonal', () => {
+      const result = validateSystem([[0, 1], [3, 1]], [1, 5]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('Make solvable');
+    });
+
+    it('should not suggest reordering for a singular matrix', () => {
+      const result = validateSystem([[0, 0], [1, 2]], [1, 5]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.message).not.toContain('Make solvable');
+    });
+
     it('should reject very small diagonal', () => {
       const A = [
         [1e-11, 1],
@@ -443,3 +1517,152 @@ describe('Core: System Module', () => {
   });
 });
 
+describe('Core: Rational Module', () => {
+  describe('rational', () => {
+    it('should reduce to lowest terms with a positive denominator', () => {
+      expect(rational(6n, -8n)).toEqual({ num: -3n, den: 4n });
+      expect(rational(0, 5)).toEqual({ num: 0n, den: 1n });
+    });
+
+    it('should reject a zero denominator', () => {
+      expect(() => rational(1n, 0n)).toThrow('Division by zero');
+    });
+  });
+
+  describe('fromNumber / toNumber', () => {
+    it('should read the decimal a number prints as', () => {
+      expect(fromNumber(0.1)).toEqual({ num: 1n, den: 10n });
+      expect(fromNumber(-1.25)).toEqual({ num: -5n, den: 4n });
+      expect(fromNumber(1e-7)).toEqual({ num: 1n, den: 10000000n });
+      expect(fromNumber(3e21)).toEqual({ num: 3000000000000000000000n, den: 1n });
+    });
+
+    it('should reject values without a fraction', () => {
+      expect(() => fromNumber(NaN)).toThrow();
+      expect(() => fromNumber(Infinity)).toThrow();
+    });
+
+    it('should convert large fractions back to numbers', () => {
+      expect(toNumber(rational(7n, 4n))).toBe(1.75);
+      expect(toNumber(rational(10n ** 30n + 1n, 3n * 10n ** 30n))).toBeCloseTo(1 / 3, 15);
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('should add, subtract, multiply and divide exactly', () => {
+      const third = rational(1n, 3n);
+      const sixth = rational(1n, 6n);
+
+      expect(add(third, sixth)).toEqual({ num: 1n, den: 2n });
+      expect(subtract(third, sixth)).toEqual({ num: 1n, den: 6n });
+      expect(multiply(third, sixth)).toEqual({ num: 1n, den: 18n });
+      expect(divide(third, sixth)).toEqual({ num: 2n, den: 1n });
+      expect(() => divide(third, rational(0n))).toThrow('Division by zero');
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format and parse plain text', () => {
+      expect(formatRational(rational(-7n, 4n))).toBe('-7/4');
+      expect(formatRational(rational(5n))).toBe('5');
+      expect(parseRational('-7/4')).toEqual({ num: -7n, den: 4n });
+      expect(parseRational('6/3')).toEqual({ num: 2n, den: 1n });
+      expect(() => parseRational('1.5')).toThrow('not a fraction');
+    });
+
+    it('should format LaTeX and count denominator digits', () => {
+      expect(rationalToLatex(rational(-7n, 4n))).toBe('-\\frac{7}{4}');
+      expect(rationalToLatex(rational(3n))).toBe('3');
+      expect(denominatorDigits(rational(1n, 1024n))).toBe(4);
+    });
+  });
+});
+
+describe('Core: Exact Arithmetic Module', () => {
+  const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const b = [7, -21, 15];
+  const zero = [0, 0, 0].map(fromNumber);
+
+  describe('exact steps', () => {
+    it('should compute the first Jacobi step as fractions', () => {
+      const next = computeNextJacobiExact(zero, A.map(row => row.map(fromNumber)), b.map(fromNumber));
+
+      expect(next.map(formatRational)).toEqual(['7/4', '21/8', '3']);
+    });
+
+    it('should use updated values within a Gauss-Seidel step', () => {
+      const next = computeNextGaussSeidelExact(zero, A.map(row => row.map(fromNumber)), b.map(fromNumber));
+
+      // x2 = (-21 - 4·7/4) / -8, x3 = (15 + 2·7/4 - 7/2) / 5
+      expect(next.map(formatRational)).toEqual(['7/4', '7/2', '3']);
+      expect(zero.map(formatRational)).toEqual(['0', '0', '0']);
+    });
+
+    it('should match the floating-point methods', () => {
+      const x = [1, 2, 2];
+      const jacobi = computeNextExact('jacobi', createExactState(x), A, b);
+      const gaussSeidel = computeNextExact('gaussSeidel', createExactState(x), A, b);
+
+      jacobi.x.forEach((value, i) => expect(value).toBeCloseTo(computeNextJacobi(x, A, b)[i], 12));
+      gaussSeidel.x.forEach((value, i) => expect(value).toBeCloseTo(computeNextGaussSeidel([...x], A, b)[i], 12));
+    });
+
+    it('should reject methods without an exact version', () => {
+      expect(() => computeNextExact('sor', createExactState([0, 0, 0]), A, b)).toThrow('no exact version');
+    });
+  });
+
+  describe('settings', () => {
+    it('should only apply to Jacobi and Gauss-Seidel when enabled', () => {
+      const enabled = { ...DEFAULT_EXACT_SETTINGS, enabled: true };
+
+      expect(usesExactArithmetic('jacobi', DEFAULT_EXACT_SETTINGS)).toBe(false);
+      expect(usesExactArithmetic('gaussSeidel', enabled)).toBe(true);
+      expect(usesExactArithmetic('sor', enabled)).toBe(false);
+      expect(usesExactArithmetic('cg', enabled)).toBe(false);
+    });
+
+    it('should validate settings', () => {
+      expect(() => validateExactSettings(DEFAULT_EXACT_SETTINGS)).not.toThrow();
+      expect(() => validateExactSettings({ enabled: 'yes', maxDenominatorDigits: 12 })).toThrow();
+      expect(() => validateExactSettings({ enabled: true, maxDenominatorDigits: 0 })).toThrow('between 1 and');
+      expect(() => validateExactSettings({ enabled: true, maxDenominatorDigits: 2.5 })).toThrow();
+    });
+  });
+
+  describe('state helpers', () => {
+    it('should fall back once a denominator outgrows the limit', () => {
+      const settings = { enabled: true, maxDenominatorDigits: 3 };
+      let exact = createExactState([1, 2, 2]);
+      let steps = 0;
+      while (!exceedsDenominatorLimit(exact, settings)) {
+        exact = computeNextExact('jacobi', exact, A, b).state;
+        steps++;
+      }
+
+      expect(steps).toBeGreaterThan(1);
+      expect(exact.digits).toBeGreaterThan(3);
+    });
+
+    it('should round-trip through plain text', () => {
+      const { state } = computeNextExact('jacobi', createExactState([0, 0, 0]), A, b);
+      const text = serializeExactState(state);
+
+      expect(text).toEqual(['7/4', '21/8', '3']);
+      expect(JSON.parse(JSON.stringify(text))).toEqual(text);
+      expect(restoreExactState(text)).toEqual(state);
+    });
+
+    it('should notice when the knobs no longer match', () => {
+      const { state, x } = computeNextExact('jacobi', createExactState([0, 0, 0]), A, b);
+
+      expect(isExactStateCurrent(state, x)).toBe(true);
+      expect(isExactStateCurrent(state, [1.75, 2.625, 3.1])).toBe(false);
+      expect(isExactStateCurrent(null, x)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the visual equation builder
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    createBuilderModel,
+    builderToSystem,
+    getTermOrder,
+    addTerm,
+    removeTerm,
+    moveTerm,
+    setTermCoefficient,
+    setConstant,
+    renderEquationBuilder
+} from '../src/ui/equationBuilder.js';
+
+describe('Equation Builder', () => {
+    const A = [
+        [4, -1, 0],
+        [1, 5, 2],
+        [0, 0, 3]
+    ];
+    const b = [7, -2, 9];
+    let model;
+
+    beforeEach(() => {
+        model = createBuilderModel(A, b);
+    });
+
+    describe('Model', () => {
+        it('should build terms in column order without zero coefficients', () => {
+            expect(model.n).toBe(3);
+            expect(model.equations[0]).toEqual({
+                terms: [{ variable: 0, coeff: 4 }, { variable: 1, coeff: -1 }],
+                constant: 7
+            });
+            expect(getTermOrder(model.equations[2])).toEqual([2]);
+        });
+
+        it('should round-trip to the same system', () => {
+            expect(builderToSystem(model)).toEqual({ n: 3, A, b });
+        });
+
+        it('should insert a new term at the given position', () => {
+            const index = addTerm(model, 0, 2, 6, 0);
+
+            expect(index).toBe(0);
+            expect(getTermOrder(model.equations[0])).toEqual([2, 0, 1]);
+            expect(builderToSystem(model).A[0]).toEqual([4, -1, 6]);
+        });
+
+        it('should add to an existing term instead of repeating a variable', () => {
+            const index = addTerm(model, 1, 1, 2);
+
+            expect(index).toBe(1);
+            expect(model.equations[1].terms).toHaveLength(3);
+            expect(builderToSystem(model).A[1]).toEqual([1, 7, 2]);
+        });
+
+        it('should reorder terms without changing the system', () => {
+            moveTerm(model, 1, 0, 1, 3);
+
+            expect(getTermOrder(model.equations[1])).toEqual([1, 2, 0]);
+            expect(builderToSystem(model).A).toEqual(A);
+        });
+
+        it('should move a term to another equation', () => {
+            moveTerm(model, 1, 2, 0, 0);
+
+            expect(getTermOrder(model.equations[0])).toEqual([2, 0, 1]);
+            expect(builderToSystem(model).A[0]).toEqual([4, -1, 2]);
+            expect(builderToSystem(model).A[1]).toEqual([1, 5, 0]);
+        });
+
+        it('should merge a moved term into the same variable', () => {
+            moveTerm(model, 1, 0, 0, 2);
+
+            expect(model.equations[0].terms).toHaveLength(2);
+            expect(builderToSystem(model).A[0]).toEqual([5, -1, 0]);
+        });
+
+        it('should remove terms and edit coefficients and constants', () => {
+            expect(removeTerm(model, 0, 1)).toEqual({ variable: 1, coeff: -1 });
+            setTermCoefficient(model, 2, 0, 8);
+            setConstant(model, 2, 4);
+
+            const system = builderToSystem(model);
+            expect(system.A[0]).toEqual([4, 0, 0]);
+            expect(system.A[2]).toEqual([0, 0, 8]);
+            expect(system.b[2]).toBe(4);
+        });
+    });
+
+    describe('Rendering', () => {
+        let container;
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="builder"></div>';
+            container = document.getElementById('builder');
+        });
+
+        it('should render a token per variable and a chip per term', () => {
+            renderEquationBuilder(container, model);
+
+            expect(container.querySelectorAll('.builder-token')).toHaveLength(3);
+            expect(container.querySelectorAll('.builder-equation')).toHaveLength(3);
+            expect(container.querySelectorAll('.builder-chip')).toHaveLength(6);
+        });
+
+        it('should only offer missing variables in the add menu', () => {
+            renderEquationBuilder(container, model);
+
+            const add = container.querySelectorAll('.builder-add')[0];
+            const values = Array.from(add.options).map(option => option.value);
+            expect(values).toEqual(['', '2']);
+            expect(container.querySelectorAll('.builder-add')[1].disabled).toBe(true);
+        });
+
+        it('should update the model when a coefficient is typed', () => {
+            const onChange = vi.fn();
+            const renderPreview = vi.fn();
+            renderEquationBuilder(container, model, { onChange, renderPreview });
+            renderPreview.mockClear();
+
+            const input = container.querySelector('.builder-coeff');
+            input.value = '10';
+            input.dispatchEvent(new Event('input'));
+
+            expect(builderToSystem(model).A[0][0]).toBe(10);
+            expect(onChange).toHaveBeenCalledWith(model, 0);
+            expect(renderPreview).toHaveBeenCalledTimes(1);
+            // Typing doesn't redraw, so the input keeps focus
+            expect(container.querySelector('.builder-coeff')).toBe(input);
+        });
+
+        it('should add a term from the add menu', () => {
+            const onChange = vi.fn();
+            renderEquationBuilder(container, model, { onChange });
+
+            const add = container.querySelector('.builder-add');
+            add.value = '2';
+            add.dispatchEvent(new Event('change'));
+
+            expect(getTermOrder(model.equations[0])).toEqual([0, 1, 2]);
+            expect(container.querySelectorAll('.builder-chip')).toHaveLength(7);
+            expect(onChange).toHaveBeenCalledWith(model, 0);
+        });
+
+        it('should move and remove chips from the keyboard', () => {
+            renderEquationBuilder(container, model);
+
+            const chip = container.querySelector('.builder-chip[data-row="1"][data-index="0"]');
+            chip.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', altKey: true }));
+            expect(getTermOrder(model.equations[1])).toEqual([1, 0, 2]);
+            expect(document.activeElement.dataset.index).toBe('1');
+
+            document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete' }));
+            expect(getTermOrder(model.equations[1])).toEqual([1, 2]);
+        });
+
+        it('should move a chip dropped onto another equation', () => {
+            renderEquationBuilder(container, model);
+
+            const chip = container.querySelector('.builder-chip[data-row="1"][data-index="2"]');
+            chip.dispatchEvent(new Event('dragstart'));
+            container.querySelectorAll('.builder-terms')[2].dispatchEvent(new Event('drop'));
+
+            expect(getTermOrder(model.equations[1])).toEqual([0, 1]);
+            expect(builderToSystem(model).A[2]).toEqual([0, 0, 5]);
+        });
+
+        it('should remove a chip dropped on the palette', () => {
+            renderEquationBuilder(container, model);
+
+            container.querySelector('.builder-chip').dispatchEvent(new Event('dragstart'));
+            container.querySelector('.builder-palette').dispatchEvent(new Event('drop'));
+
+            expect(getTermOrder(model.equations[0])).toEqual([1]);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the equation visualizer
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { addIterationSnapshot, updateEquationVisualizer } from '../src/ui/equationVisualizer.js';
+
+const A = [
+    [4, 1],
+    [1, 3]
+];
+const b = [1, 2];
+
+describe('Equation Visualizer', () => {
+    let history;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="equationVisualizerContent"></div>';
+        history = [];
+    });
+
+    describe('addIterationSnapshot', () => {
+        it('should record the relaxation factor of the step with the iterate', () => {
+            addIterationSnapshot(history, 0, [0, 0], A);
+            addIterationSnapshot(history, 1, [0.25, 0.6], A, null, null, 1.5);
+
+            expect(history[0].omega).toBeUndefined();
+            expect(history[1].omega).toBe(1.5);
+        });
+    });
+
+    describe('updateEquationVisualizer', () => {
+        it('should show past SOR steps with the ω they were taken with', () => {
+            addIterationSnapshot(history, 0, [0, 0], A);
+            addIterationSnapshot(history, 1, [0.375, 0.8125], A, null, null, 1.5);
+
+            updateEquationVisualizer(history, A, b, 2, 'sor', 1.1);
+
+            const sections = document.querySelectorAll('.iteration-section');
+            expect(sections).toHaveLength(2);
+            expect(sections[0].textContent).toContain('(1 - 1.50)');
+            expect(sections[0].textContent).not.toContain('1.10');
+            // The step not taken yet uses the current ω
+            expect(sections[1].textContent).toContain('(1 - 1.10)');
+        });
+    });
+});
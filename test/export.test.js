@@ -144,6 +144,27 @@ describe('Export: CSV Export', () => {
             expect(csv).toContain('Jacobi');
             expect(csv).toContain('Gauss-Seidel');
         });
+        
+        it('should export SOR runs and statistics', () => {
+            const history = {
+                sor: {
+                    runs: [{
+                        iterations: 6,
+                        timeToConverge: 0.06,
+                        memoryUsed: 4.5,
+                        avgTimePerIteration: 10.0,
+                        timestamp: '2024-01-01T12:00:00.000Z'
+                    }]
+                }
+            };
+            
+            const csv = exportPerformanceToCSV(history);
+            const lines = csv.split('\n');
+            
+            expect(lines[1]).toMatch(/^SOR,1,6,/);
+            expect(csv).toContain('SOR - Best');
+            expect(csv).toContain('SOR - Average');
+        });
 
         it('should escape CSV special characters', () => {
             const history = {
@@ -246,6 +267,12 @@ describe('Export: CSV Export', () => {
             expect(filename.startsWith('performance-data-')).toBe(true);
             expect(filename.endsWith('.csv')).toBe(true);
         });
+        
+        it('should accept a custom prefix and extension', () => {
+            const filename = generateFilename('residual-chart', 'svg');
+            
+            expect(filename).toMatch(/^residual-chart-\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}\.svg$/);
+        });
     });
 });
 
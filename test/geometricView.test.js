@@ -0,0 +1,168 @@
+/**
+ * Tests for the 2×2 geometric view
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    computeViewport,
+    dataToSVG,
+    svgToData,
+    lineEndpoints,
+    buildIteratePath,
+    buildGeometricSVG,
+    attachGeometricView
+} from '../src/ui/geometricView.js';
+import store from '../src/state/stateManager.js';
+
+const A = [
+    [3, 1],
+    [1, 2]
+];
+const b = [9, 8];
+// Solution: x₁ = 2, x₂ = 3
+
+describe('Geometric View', () => {
+    describe('computeViewport', () => {
+        it('should contain every point in a square viewport', () => {
+            const viewport = computeViewport([[2, 3], [0, 0], [-1, 5]]);
+
+            expect(viewport.xMin).toBeLessThan(-1);
+            expect(viewport.xMax).toBeGreaterThan(2);
+            expect(viewport.yMin).toBeLessThan(0);
+            expect(viewport.yMax).toBeGreaterThan(5);
+            expect(viewport.xMax - viewport.xMin).toBeCloseTo(viewport.yMax - viewport.yMin, 10);
+        });
+
+        it('should ignore missing points and fall back to a default range', () => {
+            expect(computeViewport([null, [NaN, 1]])).toEqual({ xMin: -10, xMax: 10, yMin: -10, yMax: 10 });
+        });
+    });
+
+    describe('coordinate mapping', () => {
+        it('should round-trip between data and SVG coordinates', () => {
+            const viewport = computeViewport([[2, 3], [0, 0]]);
+            const [x, y] = svgToData(dataToSVG([1.25, -0.5], viewport), viewport);
+
+            expect(x).toBeCloseTo(1.25, 10);
+            expect(y).toBeCloseTo(-0.5, 10);
+        });
+
+        it('should point the y axis up', () => {
+            const viewport = { xMin: 0, xMax: 10, yMin: 0, yMax: 10 };
+
+            expect(dataToSVG([0, 10], viewport)[1]).toBeLessThan(dataToSVG([0, 0], viewport)[1]);
+        });
+    });
+
+    describe('lineEndpoints', () => {
+        const viewport = { xMin: -5, xMax: 5, yMin: -5, yMax: 5 };
+
+        it('should return points on the line', () => {
+            const [p1, p2] = lineEndpoints(A[0], b[0], viewport);
+
+            expect(3 * p1[0] + p1[1]).toBeCloseTo(9, 10);
+            expect(3 * p2[0] + p2[1]).toBeCloseTo(9, 10);
+        });
+
+        it('should handle vertical lines', () => {
+            const [p1, p2] = lineEndpoints([2, 0], 4, viewport);
+
+            expect(p1[0]).toBe(2);
+            expect(p2[0]).toBe(2);
+        });
+
+        it('should return null for an all-zero row', () => {
+            expect(lineEndpoints([0, 0], 1, viewport)).toBeNull();
+        });
+    });
+
+    describe('buildIteratePath', () => {
+        const iterates = [[0, 0], [3, 4], [1.67, 2.5]];
+
+        it('should move diagonally for Jacobi', () => {
+            expect(buildIteratePath(iterates, 'jacobi')).toEqual(iterates);
+        });
+
+        it('should move one axis at a time for Gauss-Seidel', () => {
+            const path = buildIteratePath(iterates, 'gaussSeidel');
+
+            expect(path).toEqual([[0, 0], [3, 0], [3, 4], [1.67, 4], [1.67, 2.5]]);
+        });
+
+        it('should return an empty path without iterates', () => {
+            expect(buildIteratePath([], 'jacobi')).toEqual([]);
+        });
+    });
+
+    describe('buildGeometricSVG', () => {
+        it('should draw both lines, the solution, the path and the iterate', () => {
+            const iterates = [[0, 0], [3, 4]];
+            const svg = buildGeometricSVG({
+                A,
+                b,
+                iterates,
+                x: [3, 4],
+                solution: [2, 3],
+                method: 'jacobi',
+                viewport: computeViewport([[2, 3], ...iterates])
+            });
+
+            expect(svg.match(/geometric-equation-line/g)).toHaveLength(2);
+            expect(svg).toContain('geometric-solution');
+            expect(svg).toContain('geometric-path');
+            expect(svg).toContain('geometric-iterate');
+            expect(svg).not.toContain('NaN');
+        });
+
+        it('should omit the solution marker when there is no unique solution', () => {
+            const svg = buildGeometricSVG({
+                A: [[1, 1], [2, 2]],
+                b: [1, 3],
+                iterates: [],
+                x: [0, 0],
+                solution: null,
+                method: 'jacobi',
+                viewport: computeViewport([[0, 0]])
+            });
+
+            expect(svg).not.toContain('geometric-solution');
+            expect(svg).not.toContain('geometric-path');
+        });
+    });
+
+    describe('attachGeometricView', () => {
+        let elements;
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="geometricViewPanel"><div id="geometricView"></div></div>';
+            elements = {
+                geometricViewPanel: document.getElementById('geometricViewPanel'),
+                geometricView: document.getElementById('geometricView')
+            };
+        });
+
+        it('should redraw the plot when the iterate changes in the store', () => {
+            const view = { n: 2, A, b, x: [0, 0], method: 'jacobi', equationHistory: [], reference: { solution: [2, 3] } };
+            const detach = attachGeometricView(store, elements, view);
+
+            view.x = [1, 1];
+            store.set('system.x', view.x);
+            expect(elements.geometricViewPanel.style.display).toBe('');
+            expect(elements.geometricView.innerHTML).toContain('geometric-iterate');
+
+            detach();
+            elements.geometricView.innerHTML = '';
+            store.set('system.x', [2, 2]);
+            expect(elements.geometricView.innerHTML).toBe('');
+        });
+
+        it('should hide the plot for systems that are not 2×2', () => {
+            const view = { n: 3, A: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], b: [1, 1, 1], x: [0, 0, 0], method: 'jacobi', equationHistory: [], reference: null };
+            const detach = attachGeometricView(store, elements, view);
+
+            store.set('iteration.runRevision', store.get('iteration.runRevision') + 1);
+            expect(elements.geometricViewPanel.style.display).toBe('none');
+            detach();
+        });
+    });
+});
@@ -8,8 +8,12 @@ import {
     startMeasurement,
     updateMeasurement,
     completeMeasurement,
+    recordRun,
     resetCurrentRun,
-    calculateStats
+    calculateStats,
+    getSavedRuns,
+    restorePerformanceHistory,
+    MAX_RUNS_PER_METHOD
 } from '../src/utils/performance.js';
 
 describe('Performance: Memory Usage', () => {
@@ -176,6 +180,83 @@ describe('Performance: Measurement Lifecycle', () => {
             const run = mockState.performanceHistory.jacobi.runs[0];
             expect(run.memoryUsed).toBeNull();
         });
+
+        it('should record the stopping rule the run converged under', () => {
+            startMeasurement('jacobi', mockState);
+            global.performance.now = vi.fn(() => 2000);
+            completeMeasurement('jacobi', 10, mockState, {
+                tolerance: 1e-6,
+                norm: '2',
+                criterion: 'stepSize',
+                maxIterations: 500
+            });
+            
+            const run = mockState.performanceHistory.jacobi.runs[0];
+            expect(run.convergence).toEqual({ tolerance: 1e-6, norm: '2', criterion: 'stepSize', maxIterations: 500 });
+        });
+    });
+
+    describe('recordRun', () => {
+        it('should store a race run with its stopping rule', () => {
+            recordRun('gaussSeidel', {
+                iterations: 8,
+                timeToConverge: 0.4,
+                convergence: { tolerance: 1e-4, norm: 'inf', criterion: 'residual', maxIterations: 1000 },
+                race: true
+            }, mockState);
+            
+            const run = mockState.performanceHistory.gaussSeidel.runs[0];
+            expect(run.iterations).toBe(8);
+            expect(run.timeToConverge).toBe(0.4);
+            expect(run.avgTimePerIteration).toBeCloseTo(50, 5);
+            expect(run.memoryUsed).toBeNull();
+            expect(run.race).toBe(true);
+            expect(run.convergence.criterion).toBe('residual');
+        });
+        
+        it('should not disturb a measurement in progress', () => {
+            startMeasurement('jacobi', mockState);
+            recordRun('jacobi', { iterations: 5, timeToConverge: 0.1 }, mockState);
+            
+            expect(mockState.performanceHistory.jacobi.runs).toHaveLength(1);
+            expect(mockState.performanceHistory.jacobi.currentRun).not.toBeNull();
+            expect(mockState.performanceHistory.jacobi.runs[0].race).toBeUndefined();
+        });
+    });
+
+    describe('saved runs', () => {
+        it('should save completed runs and restore them without a run in progress', () => {
+            recordRun('sor', { iterations: 4, timeToConverge: 0.2 }, mockState);
+            startMeasurement('jacobi', mockState);
+            
+            const saved = getSavedRuns(mockState.performanceHistory);
+            expect(saved.sor).toHaveLength(1);
+            expect(saved.jacobi).toEqual([]);
+            
+            const restored = restorePerformanceHistory(JSON.parse(JSON.stringify(saved)));
+            expect(restored.sor.runs[0].iterations).toBe(4);
+            expect(restored.jacobi).toEqual({ runs: [], currentRun: null });
+            expect(restorePerformanceHistory(null).cg).toEqual({ runs: [], currentRun: null });
+        });
+        
+        it('should keep only the most recent runs of each method', () => {
+            for (let i = 1; i <= MAX_RUNS_PER_METHOD + 5; i++) {
+                recordRun('jacobi', { iterations: i, timeToConverge: 0.1 }, mockState);
+            }
+            startMeasurement('jacobi', mockState);
+            completeMeasurement('jacobi', 500, mockState);
+            
+            const runs = mockState.performanceHistory.jacobi.runs;
+            expect(runs).toHaveLength(MAX_RUNS_PER_METHOD);
+            expect(runs[0].iterations).toBe(7);
+            expect(runs[runs.length - 1].iterations).toBe(500);
+            
+            // Oversized saves are trimmed on load too
+            const saved = { jacobi: Array.from({ length: MAX_RUNS_PER_METHOD + 3 }, (_, i) => ({ iterations: i, timeToConverge: 0.1 })) };
+            const restored = restorePerformanceHistory(saved).jacobi.runs;
+            expect(restored).toHaveLength(MAX_RUNS_PER_METHOD);
+            expect(restored[0].iterations).toBe(3);
+        });
     });
 
     describe('resetCurrentRun', () => {
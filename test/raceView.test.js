@@ -0,0 +1,77 @@
+/**
+ * Tests for the race mode view
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { buildRaceLaneHTML, renderRaceLanes, renderRaceSummary } from '../src/ui/raceView.js';
+import { createRace } from '../src/core/race.js';
+
+const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+];
+const b = [7, -21, 15];
+
+describe('Race View', () => {
+    describe('buildRaceLaneHTML', () => {
+        it('should draw one knob per visible variable with the readout', () => {
+            const [lane] = createRace([1, 2, 2], A, b, ['jacobi'], 0).lanes;
+            const html = buildRaceLaneHTML(lane, { visibleKnobs: 3 });
+
+            expect(html).toContain('data-method="jacobi"');
+            expect(html).toContain('Jacobi');
+            expect((html.match(/race-knob-wrapper/g) || []).length).toBe(3);
+            expect(html).toContain('Iter: 0');
+            expect(html).toContain(`Residual: ${lane.residual.toExponential(2)}`);
+            expect(html).toContain('Racing');
+        });
+
+        it('should summarize hidden variables and flag values outside the range', () => {
+            const lane = { ...createRace([1, 2, 2], A, b, ['gaussSeidel'], 0).lanes[0], x: [15, 2, 2] };
+            const html = buildRaceLaneHTML(lane, { visibleKnobs: 2, valueRange: { min: -10, max: 10 } });
+
+            expect((html.match(/race-knob-wrapper/g) || []).length).toBe(2);
+            expect(html).toContain('+1');
+            expect(html).toContain('out-of-range');
+        });
+    });
+
+    describe('renderRaceLanes', () => {
+        let container;
+
+        beforeEach(() => {
+            container = document.createElement('div');
+        });
+
+        it('should render every lane and highlight the winner', () => {
+            const race = createRace([1, 2, 2], A, b, undefined, 0);
+            race.lanes[1].status = 'converged';
+            renderRaceLanes(container, race, { winner: 'gaussSeidel' });
+
+            const lanes = container.querySelectorAll('.race-lane');
+            expect(lanes).toHaveLength(2);
+            expect(lanes[1].classList.contains('race-lane-winner')).toBe(true);
+            expect(lanes[1].classList.contains('race-lane-converged')).toBe(true);
+            expect(lanes[0].classList.contains('race-lane-winner')).toBe(false);
+        });
+
+        it('should ignore a missing container', () => {
+            expect(() => renderRaceLanes(null, createRace([1, 2, 2], A, b))).not.toThrow();
+        });
+    });
+
+    describe('renderRaceSummary', () => {
+        it('should show and clear the finish summary', () => {
+            const element = document.createElement('div');
+
+            renderRaceSummary(element, { winner: 'jacobi', text: 'Jacobi wins.' });
+            expect(element.textContent).toBe('Jacobi wins.');
+            expect(element.style.display).toBe('');
+
+            renderRaceSummary(element, null);
+            expect(element.textContent).toBe('');
+            expect(element.style.display).toBe('none');
+        });
+    });
+});
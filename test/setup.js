@@ -18,6 +18,10 @@ const localStorageMock = (() => {
     },
     clear: () => {
       store = {};
+    },
+    key: (index) => Object.keys(store)[index] ?? null,
+    get length() {
+      return Object.keys(store).length;
     }
   };
 })();
@@ -0,0 +1,115 @@
+/**
+ * Tests for the global keyboard shortcuts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { isEditableTarget, handleGlobalShortcut } from '../src/controls/shortcuts.js';
+
+describe('Keyboard Shortcuts', () => {
+    let actions;
+    let listener;
+
+    /**
+     * Press a key on an element, as the browser would
+     * @returns {KeyboardEvent} Dispatched event
+     */
+    function press(target, key) {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        target.dispatchEvent(event);
+        return event;
+    }
+
+    beforeEach(() => {
+        actions = {
+            step: vi.fn(),
+            stepBack: vi.fn(),
+            toggleAutoplay: vi.fn(),
+            toggleMute: vi.fn()
+        };
+        listener = (e) => handleGlobalShortcut(e, actions);
+        document.addEventListener('keydown', listener);
+    });
+
+    afterEach(() => {
+        document.removeEventListener('keydown', listener);
+        document.body.innerHTML = '';
+    });
+
+    describe('isEditableTarget', () => {
+        it('should recognise form fields and nothing else', () => {
+            expect(isEditableTarget(document.createElement('input'))).toBe(true);
+            expect(isEditableTarget(document.createElement('textarea'))).toBe(true);
+            expect(isEditableTarget(document.createElement('select'))).toBe(true);
+            expect(isEditableTarget(document.createElement('button'))).toBe(false);
+            expect(isEditableTarget(document.body)).toBe(false);
+            expect(isEditableTarget(null)).toBe(false);
+        });
+    });
+
+    describe('handleGlobalShortcut', () => {
+        it('should run the shortcuts outside form fields', () => {
+            expect(press(document.body, 'b').defaultPrevented).toBe(true);
+            press(document.body, ' ');
+            press(document.body, 'P');
+            press(document.body, 'm');
+
+            expect(actions.stepBack).toHaveBeenCalledTimes(1);
+            expect(actions.step).toHaveBeenCalledTimes(1);
+            expect(actions.toggleAutoplay).toHaveBeenCalledTimes(1);
+            expect(actions.toggleMute).toHaveBeenCalledTimes(1);
+        });
+
+        it('should leave b to a focused text input', () => {
+            document.body.innerHTML = '<input type="text" id="field">';
+            const input = document.getElementById('field');
+            input.focus();
+
+            const event = press(input, 'b');
+
+            expect(event.defaultPrevented).toBe(false);
+            expect(actions.stepBack).not.toHaveBeenCalled();
+        });
+
+        it('should leave typing in the equation textarea alone', () => {
+            document.body.innerHTML = '<textarea id="equationInput"></textarea>';
+            const textarea = document.getElementById('equationInput');
+
+            const events = ['b', ' ', 'p', 'm', 'Enter'].map(key => press(textarea, key));
+
+            expect(events.some(event => event.defaultPrevented)).toBe(false);
+            Object.values(actions).forEach(action => expect(action).not.toHaveBeenCalled());
+        });
+
+        it('should let names, tags and searches be typed into the library form', () => {
+            document.body.innerHTML = `
+                <input type="text" id="libraryName">
+                <input type="text" id="libraryDescription">
+                <input type="text" id="libraryTags">
+                <input type="search" id="librarySearch">
+            `;
+            const typed = {
+                libraryName: 'Simple example',
+                libraryDescription: 'Jacobi beats GS on this map',
+                libraryTags: 'lecture 3, bump',
+                librarySearch: 'tag:demo big'
+            };
+
+            Object.entries(typed).forEach(([id, text]) => {
+                const input = document.getElementById(id);
+                const events = [...text].map(key => press(input, key));
+                expect(events.some(event => event.defaultPrevented)).toBe(false);
+            });
+            Object.values(actions).forEach(action => expect(action).not.toHaveBeenCalled());
+        });
+
+        it('should let a spaced vector be typed as the generator\'s custom solution', () => {
+            document.body.innerHTML = '<input type="text" id="generatorCustomSolution" placeholder="1, -2, 3, 0">';
+            const input = document.getElementById('generatorCustomSolution');
+
+            const events = [...'1, -2, 3, 0'].map(key => press(input, key));
+
+            expect(events.some(event => event.defaultPrevented)).toBe(false);
+            expect(actions.step).not.toHaveBeenCalled();
+        });
+    });
+});
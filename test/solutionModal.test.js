@@ -0,0 +1,125 @@
+/**
+ * Tests for the generated solution modal
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    describeEquation,
+    buildSubstitutionLatex,
+    buildMethodExplanation,
+    renderSolutionModal
+} from '../src/ui/solutionModal.js';
+import { parseRational } from '../src/core/rational.js';
+
+describe('Solution Modal', () => {
+    describe('describeEquation', () => {
+        it('should describe the default first equation', () => {
+            expect(describeEquation([4, -1, 1])).toBe('4 times knob 1, minus knob 2, plus knob 3');
+        });
+
+        it('should describe a leading negative coefficient and skip zeros', () => {
+            expect(describeEquation([-2, 0, 5])).toBe('negative 2 times knob 1, plus 5 times knob 3');
+        });
+    });
+
+    describe('buildSubstitutionLatex', () => {
+        it('should substitute each value with its coefficient', () => {
+            expect(buildSubstitutionLatex([4, -8, 1], [2, 4, 3], -21))
+                .toBe('4(2.0000) - 8(4.0000) + (3.0000) = -21.0000');
+        });
+
+        it('should handle a leading negative coefficient', () => {
+            expect(buildSubstitutionLatex([-2, 1], [1, 1], -1)).toBe('-2(1.0000) + (1.0000) = -1.0000');
+        });
+
+        it('should substitute fractions in exact arithmetic mode', () => {
+            const exact = [parseRational('7/4'), parseRational('1/2')];
+
+            expect(buildSubstitutionLatex([4, -0.5], [1.75, 0.5], 6.75, exact))
+                .toBe('4\\left(\\frac{7}{4}\\right) - \\frac{1}{2}\\left(\\frac{1}{2}\\right) = \\frac{27}{4}');
+        });
+    });
+
+    describe('buildMethodExplanation', () => {
+        it('should name the method and the system size', () => {
+            const text = buildMethodExplanation('gaussSeidel', 5, 1);
+
+            expect(text).toContain('Gauss-Seidel');
+            expect(text).toContain('all 5 knob values');
+        });
+
+        it('should mention the relaxation factor for SOR', () => {
+            expect(buildMethodExplanation('sor', 2, 1.25)).toContain('ω = 1.25');
+        });
+    });
+
+    describe('renderSolutionModal', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div id="solutionValues"></div>
+                <p id="solutionSummary"></p>
+                <div id="solutionVerification"></div>
+                <span id="solutionMethod"></span>
+                <span id="solutionIterations"></span>
+                <span id="solutionMaxError"></span>
+                <span id="solutionThreshold"></span>
+                <p id="solutionExplanation"></p>
+            `;
+        });
+
+        it('should render one value and one verification item per equation', () => {
+            const n = 4;
+            const A = [
+                [4, 1, 0, 0],
+                [1, 4, 1, 0],
+                [0, 1, 4, 1],
+                [0, 0, 1, 4]
+            ];
+            const x = [1, 1, 1, 1];
+            const b = [5, 6, 6, 5];
+
+            renderSolutionModal({ A, b, x, n, method: 'jacobi', iteration: 12, omega: 1.25 });
+
+            expect(document.querySelectorAll('#solutionValues .solution-value')).toHaveLength(4);
+            expect(document.querySelectorAll('#solutionVerification .verification-item')).toHaveLength(4);
+            expect(document.getElementById('solutionIterations').textContent).toBe('12');
+            expect(document.getElementById('solutionMethod').textContent).toBe('Jacobi');
+            expect(document.getElementById('solutionMaxError').textContent).toBe('0.000000');
+            expect(document.getElementById('solutionExplanation').textContent).toContain('all 4 knob values');
+        });
+
+        it('should report residuals of an unconverged solution', () => {
+            renderSolutionModal({
+                A: [[2, 1], [1, 3]],
+                b: [3, 5],
+                x: [0, 0],
+                n: 2,
+                method: 'sor',
+                iteration: 0,
+                omega: 1.5
+            });
+
+            const verification = document.getElementById('solutionVerification').textContent;
+            expect(verification).toContain('Not Yet Balanced');
+            expect(verification).toContain('5.00e+0');
+            expect(document.getElementById('solutionMethod').textContent).toContain('ω = 1.50');
+        });
+
+        it('should show exact values as fractions', () => {
+            renderSolutionModal({
+                A: [[4, 0], [0, 8]],
+                b: [7, 3],
+                x: [1.75, 0.375],
+                n: 2,
+                method: 'jacobi',
+                iteration: 1,
+                omega: 1,
+                exact: [parseRational('7/4'), parseRational('3/8')]
+            });
+
+            const values = document.getElementById('solutionValues').textContent;
+            expect(values).toContain('7/4');
+            expect(values).toContain('≈ 0.3750');
+        });
+    });
+});
@@ -4,6 +4,7 @@
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import store, { PERSISTENCE_KEYS, defaultState } from '../src/state/stateManager.js';
+import { SCHEMA_VERSION, QUARANTINE_PREFIX, encodeEntry } from '../src/state/persistence.js';
 
 describe('State Manager', () => {
   beforeEach(() => {
@@ -28,6 +29,14 @@ describe('State Manager', () => {
     store.set('display', defaultState.display, { silent: true });
     store.set('audio', defaultState.audio, { silent: true });
     store.set('cache', defaultState.cache, { silent: true });
+    store.set('convergence', defaultState.convergence, { silent: true });
+    store.set('exact', defaultState.exact, { silent: true });
+
+    // Restore the default tracked paths and drop recorded steps
+    store.configureHistory();
+
+    // Forget entries quarantined by the test
+    store.clearQuarantine();
   });
 
   describe('get', () => {
@@ -93,7 +102,7 @@ describe('State Manager', () => {
       expect(saved).toBeTruthy();
       
       const parsed = JSON.parse(saved);
-      expect(parsed).toBe(60);
+      expect(parsed).toEqual({ $v: SCHEMA_VERSION, data: 60 });
     });
   });
 
@@ -188,6 +197,49 @@ describe('State Manager', () => {
     });
   });
 
+  describe('convergence settings', () => {
+    it('should default to the original stopping rule', () => {
+      expect(store.get('convergence')).toEqual({
+        tolerance: 0.0001,
+        norm: 'inf',
+        criterion: 'residual',
+        maxIterations: 1000
+      });
+    });
+
+    it('should validate individual fields', () => {
+      expect(() => store.set('convergence.tolerance', 0, { validate: true })).toThrow();
+      expect(() => store.set('convergence.norm', 'max', { validate: true })).toThrow();
+      expect(() => store.set('convergence.criterion', 'energy', { validate: true })).toThrow();
+      expect(() => store.set('convergence.maxIterations', 2.5, { validate: true })).toThrow();
+      expect(store.get('convergence.tolerance')).toBe(0.0001);
+
+      store.set('convergence.norm', '2', { validate: true });
+      expect(store.get('convergence.norm')).toBe('2');
+    });
+
+    it('should persist under the convergence key', () => {
+      const settings = { tolerance: 1e-6, norm: '1', criterion: 'relativeResidual', maxIterations: 200 };
+      store.set('convergence', settings, { validate: true, persist: true });
+
+      expect(JSON.parse(localStorage.getItem(PERSISTENCE_KEYS.CONVERGENCE)).data).toEqual(settings);
+    });
+  });
+
+  describe('exact arithmetic settings', () => {
+    it('should default to floating point', () => {
+      expect(store.get('exact')).toEqual({ enabled: false, maxDenominatorDigits: 12 });
+    });
+
+    it('should validate and persist under the exact key', () => {
+      expect(() => store.set('exact.maxDenominatorDigits', 0, { validate: true })).toThrow();
+      expect(() => store.set('exact.enabled', 'on', { validate: true })).toThrow();
+
+      store.set('exact', { enabled: true, maxDenominatorDigits: 40 }, { validate: true, persist: true });
+      expect(JSON.parse(localStorage.getItem(PERSISTENCE_KEYS.EXACT)).data).toEqual({ enabled: true, maxDenominatorDigits: 40 });
+    });
+  });
+
   describe('persist and restore', () => {
     it('should persist and restore values', () => {
       store.set('audio.volume', 85);
@@ -216,6 +268,92 @@ describe('State Manager', () => {
     });
   });
 
+  describe('versioned persistence', () => {
+    const legacyConfig = { n: 2, A: [[4, 1], [1, 3]], b: [1, 2] };
+
+    it('should save values in a versioned envelope and load them back', () => {
+      store.save(PERSISTENCE_KEYS.STARTUP_CHOICE, 'custom');
+
+      expect(localStorage.getItem(PERSISTENCE_KEYS.STARTUP_CHOICE)).toBe(encodeEntry('custom'));
+      expect(store.load(PERSISTENCE_KEYS.STARTUP_CHOICE)).toBe('custom');
+    });
+
+    it('should migrate unversioned saves and write them back upgraded', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.SYSTEM_CONFIG, JSON.stringify(legacyConfig));
+
+      const config = store.load(PERSISTENCE_KEYS.SYSTEM_CONFIG);
+      expect(config).toEqual({ ...legacyConfig, visibleKnobs: 3, visibleBands: 3, valueRange: null });
+      expect(JSON.parse(localStorage.getItem(PERSISTENCE_KEYS.SYSTEM_CONFIG))).toEqual({ $v: SCHEMA_VERSION, data: config });
+    });
+
+    it('should convert run memory saved in bytes to MB once', () => {
+      const legacyRuns = {
+        jacobi: [
+          { iterations: 10, timeToConverge: 0.1, memoryUsed: 5 * 1024 * 1024, avgTimePerIteration: 10 },
+          { iterations: 12, timeToConverge: 0.2, memoryUsed: 1.5, avgTimePerIteration: 16 }
+        ],
+        gaussSeidel: [{ iterations: 6, timeToConverge: 0.05, memoryUsed: null, avgTimePerIteration: 8 }]
+      };
+      localStorage.setItem(PERSISTENCE_KEYS.PERFORMANCE, JSON.stringify(legacyRuns));
+
+      const runs = store.load(PERSISTENCE_KEYS.PERFORMANCE);
+      expect(runs.jacobi.map(run => run.memoryUsed)).toEqual([5, 1.5]);
+      expect(runs.gaussSeidel[0].memoryUsed).toBeNull();
+
+      // Written back at the current version, so later reads leave it alone
+      expect(JSON.parse(localStorage.getItem(PERSISTENCE_KEYS.PERFORMANCE))).toEqual({ $v: SCHEMA_VERSION, data: runs });
+      store.save(PERSISTENCE_KEYS.PERFORMANCE, { jacobi: [{ ...runs.jacobi[0], memoryUsed: 2 * 1024 * 1024 }] });
+      expect(store.load(PERSISTENCE_KEYS.PERFORMANCE).jacobi[0].memoryUsed).toBe(2 * 1024 * 1024);
+    });
+
+    it('should read bare strings saved before versioning', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.THEME, 'modern');
+      expect(store.load(PERSISTENCE_KEYS.THEME)).toBe('modern');
+    });
+
+    it('should fill missing convergence fields from the defaults', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.CONVERGENCE, JSON.stringify({ tolerance: 1e-6 }));
+      expect(store.load(PERSISTENCE_KEYS.CONVERGENCE)).toEqual({ ...defaultState.convergence, tolerance: 1e-6 });
+    });
+
+    it('should quarantine entries that fail validation and report them', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.SYSTEM_CONFIG, JSON.stringify({ ...legacyConfig, b: [1] }));
+
+      expect(store.load(PERSISTENCE_KEYS.SYSTEM_CONFIG, 'fallback')).toBe('fallback');
+      expect(localStorage.getItem(PERSISTENCE_KEYS.SYSTEM_CONFIG)).toBeNull();
+
+      const quarantined = JSON.parse(localStorage.getItem(QUARANTINE_PREFIX + PERSISTENCE_KEYS.SYSTEM_CONFIG));
+      expect(quarantined.raw).toBe(JSON.stringify({ ...legacyConfig, b: [1] }));
+      expect(quarantined.reason).toBe('b must be a vector of 2 numbers');
+      expect(store.getPersistenceIssues()).toEqual([
+        { key: PERSISTENCE_KEYS.SYSTEM_CONFIG, label: 'custom system', reason: 'b must be a vector of 2 numbers' }
+      ]);
+    });
+
+    it('should quarantine entries saved by a newer schema', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.THEME, encodeEntry('modern', SCHEMA_VERSION + 1));
+
+      expect(store.load(PERSISTENCE_KEYS.THEME, 'vintage')).toBe('vintage');
+      expect(store.getPersistenceIssues()[0].reason).toMatch(/newer version/);
+    });
+
+    it('should list and clear quarantined entries', () => {
+      localStorage.setItem(PERSISTENCE_KEYS.WELCOME_SHOWN, '"yes"');
+      store.load(PERSISTENCE_KEYS.WELCOME_SHOWN);
+
+      expect(store.getQuarantinedEntries().map(entry => entry.key)).toEqual([PERSISTENCE_KEYS.WELCOME_SHOWN]);
+      store.clearQuarantine();
+      expect(store.getQuarantinedEntries()).toEqual([]);
+      expect(store.getPersistenceIssues()).toEqual([]);
+    });
+
+    it('should validate values against the store validators', () => {
+      expect(() => store.validate('system.b', [1, 2], { system: { n: 3 } })).toThrow('b must be a vector of 3 numbers');
+      expect(() => store.validate('display.theme', 'retro')).toThrow("Theme must be 'vintage' or 'modern'");
+      expect(() => store.validate('display.visibility', { header: false })).not.toThrow();
+    });
+  });
+
   describe('reset', () => {
     it('should reset path to default value', () => {
       store.set('audio.volume', 90);
@@ -234,6 +372,192 @@ describe('State Manager', () => {
     });
   });
 
+  describe('bind', () => {
+    it('should read and write store paths through plain properties', () => {
+      const view = store.bind({ local: 1 }, { n: 'system.n', volume: 'audio.volume' });
+
+      expect(view.n).toBe(3);
+      view.volume = 30;
+      expect(store.get('audio.volume')).toBe(30);
+      expect(view.local).toBe(1);
+    });
+
+    it('should notify subscribers on assignment', () => {
+      const view = store.bind({}, { x: 'system.x' });
+      let notified = null;
+      const unsubscribe = store.subscribe('system.x', (newValue) => {
+        notified = newValue;
+      });
+
+      view.x = [4, 5, 6];
+      expect(notified).toEqual([4, 5, 6]);
+
+      unsubscribe();
+    });
+
+    it('should record assignments for undo only inside a transaction', () => {
+      store.clearHistory();
+      const view = store.bind({}, { x: 'system.x' });
+
+      view.x = [0, 0, 0];
+      expect(store.canUndo()).toBe(false);
+
+      store.transaction('Move x1', () => {
+        view.x = [1, 0, 0];
+      });
+      store.undo();
+      expect(view.x).toEqual([0, 0, 0]);
+    });
+
+    it('should hold the method, ω and knob range defaults', () => {
+      expect(store.get('iteration.method')).toBe('jacobi');
+      expect(store.get('iteration.omega')).toBeGreaterThan(0);
+      expect(store.get('display.valueRange')).toEqual({ min: -10, max: 10 });
+      expect(() => store.set('iteration.method', 'newton', { validate: true })).toThrow('Method must be one of');
+    });
+  });
+
+  describe('undo/redo', () => {
+    beforeEach(() => {
+      store.clearHistory();
+    });
+
+    it('should undo and redo a tracked change', () => {
+      store.set('system.n', 5);
+      expect(store.canUndo()).toBe(true);
+
+      store.undo();
+      expect(store.get('system.n')).toBe(3);
+      expect(store.canRedo()).toBe(true);
+
+      store.redo();
+      expect(store.get('system.n')).toBe(5);
+    });
+
+    it('should not record untracked paths, silent updates or history: false', () => {
+      store.set('audio.volume', 80);
+      store.set('convergence.maxIterations', 500);
+      store.set('system.n', 4, { silent: true });
+      store.set('system.n', 5, { history: false });
+
+      expect(store.canUndo()).toBe(false);
+    });
+
+    it('should not record changes that keep the same value', () => {
+      store.set('system.b', [7, -21, 15]);
+      expect(store.canUndo()).toBe(false);
+    });
+
+    it('should record a batch as one step', () => {
+      store.batch({ 'system.n': 2, 'system.b': [1, 2], 'display.visibleKnobs': 2 }, { label: 'Resize' });
+
+      expect(store.getHistory().undoCount).toBe(1);
+      expect(store.getHistory().undoLabel).toBe('Resize');
+
+      store.undo();
+      expect(store.get('system.n')).toBe(3);
+      expect(store.get('system.b')).toEqual([7, -21, 15]);
+      expect(store.get('display.visibleKnobs')).toBe(3);
+    });
+
+    it('should group a transaction into one step', () => {
+      store.transaction('Drag x1', () => {
+        store.set('system.x[0]', 1.5);
+        store.set('system.x[0]', 2.5);
+        store.set('system.x[0]', 3.5);
+      });
+
+      expect(store.getHistory().undoCount).toBe(1);
+      store.undo();
+      expect(store.get('system.x[0]')).toBe(1);
+      store.redo();
+      expect(store.get('system.x[0]')).toBe(3.5);
+    });
+
+    it('should record nested transactions when the outermost one ends', () => {
+      store.beginTransaction('Outer');
+      store.set('system.n', 4);
+      store.beginTransaction('Inner');
+      store.set('display.visibleBands', 2);
+      store.endTransaction();
+      expect(store.canUndo()).toBe(false);
+      store.endTransaction();
+
+      expect(store.getHistory()).toMatchObject({ undoCount: 1, undoLabel: 'Outer' });
+    });
+
+    it('should collapse consecutive steps with the same merge key', () => {
+      store.set('system.x[1]', 3, { mergeKey: 'knob-1' });
+      store.set('system.x[1]', 4, { mergeKey: 'knob-1' });
+      store.set('system.x[2]', 5, { mergeKey: 'knob-2' });
+
+      expect(store.getHistory().undoCount).toBe(2);
+      store.undo();
+      store.undo();
+      expect(store.get('system.x')).toEqual([1, 2, 2]);
+    });
+
+    it('should clear the redo stack on a new change', () => {
+      store.set('system.n', 4);
+      store.undo();
+      store.set('system.n', 6);
+
+      expect(store.canRedo()).toBe(false);
+    });
+
+    it('should keep at most limit steps', () => {
+      store.configureHistory({ limit: 2 });
+      store.set('system.n', 4);
+      store.set('system.n', 5);
+      store.set('system.n', 6);
+
+      expect(store.getHistory().undoCount).toBe(2);
+      store.undo();
+      store.undo();
+      expect(store.get('system.n')).toBe(4);
+      expect(store.undo()).toBeNull();
+    });
+
+    it('should track configured paths only', () => {
+      store.configureHistory({ paths: ['audio.*'] });
+      store.set('system.n', 4);
+      store.set('audio.volume', 20);
+
+      store.undo();
+      expect(store.get('audio.volume')).toBe(50);
+      expect(store.get('system.n')).toBe(4);
+    });
+
+    it('should notify subscribers when undoing', () => {
+      store.set('system.n', 4);
+      let notified = null;
+      const unsubscribe = store.subscribe('system.n', (newValue) => {
+        notified = newValue;
+      });
+
+      store.undo();
+      expect(notified).toBe(3);
+
+      unsubscribe();
+    });
+
+    it('should notify history listeners', () => {
+      const seen = [];
+      const unsubscribe = store.subscribeHistory((info) => seen.push(info.canUndo));
+
+      store.set('system.n', 4);
+      store.undo();
+      unsubscribe();
+      store.redo();
+
+      expect(seen).toEqual([true, false]);
+    });
+
+    it('should reject an invalid limit', () => {
+      expect(() => store.configureHistory({ limit: 0 })).toThrow('History limit must be a positive integer');
+    });
+  });
+
   describe('Edge cases', () => {
     it('should handle array indices in paths', () => {
       store.set('system.x[0]', 5);
@@ -0,0 +1,198 @@
+/**
+ * Tests for cross-tab synchronization
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import store, { defaultState } from '../src/state/stateManager.js';
+import { createTabSync } from '../src/state/tabSync.js';
+
+/**
+ * Transport that records sent messages and lets the test play the other tabs
+ */
+function createFakeTransport() {
+  const transport = {
+    sent: [],
+    handler: null,
+    closed: false,
+    post(message) {
+      transport.sent.push(message);
+    },
+    onMessage(handler) {
+      transport.handler = handler;
+    },
+    close() {
+      transport.closed = true;
+    },
+    receive(message) {
+      transport.handler(message);
+    },
+    ofType(type) {
+      return transport.sent.filter(message => message.type === type);
+    }
+  };
+  return transport;
+}
+
+// Tab ids start with a base-36 timestamp, so these sort before / after any real id
+const SMALL_ID = '0-other';
+const LARGE_ID = 'zzzzzzzzzz-other';
+
+describe('Tab Sync', () => {
+  let transport;
+  let sync;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+    transport = createFakeTransport();
+  });
+
+  afterEach(() => {
+    if (sync) sync.stop();
+    sync = null;
+    vi.useRealTimers();
+    const state = store.getState();
+    if (state._subscribers instanceof Map) {
+      state._subscribers.clear();
+    }
+    store.set('system', defaultState.system, { silent: true });
+    store.set('iteration', defaultState.iteration, { silent: true });
+    store.set('display', defaultState.display, { silent: true });
+    store.configureHistory();
+  });
+
+  it('should announce itself and start as a follower', () => {
+    sync = createTabSync(store, { transport });
+    expect(transport.ofType('hello')).toHaveLength(1);
+    expect(transport.sent[0].from).toBe(sync.id);
+    expect(sync.getRole()).toBe('follower');
+  });
+
+  it('should send synced changes made together in one message', async () => {
+    sync = createTabSync(store, { transport, paths: ['system.x', 'iteration.method'] });
+    store.set('system.x', [1, 2, 3]);
+    store.set('iteration.method', 'sor');
+    store.set('display.theme', 'modern');
+    await Promise.resolve();
+
+    const changes = transport.ofType('changes');
+    expect(changes).toHaveLength(1);
+    expect(changes[0].changes).toEqual([
+      { path: 'system.x', value: [1, 2, 3] },
+      { path: 'iteration.method', value: 'sor' }
+    ]);
+  });
+
+  it('should apply remote changes without echoing or recording them', async () => {
+    const onRemoteChange = vi.fn();
+    sync = createTabSync(store, { transport, onRemoteChange });
+    transport.receive({ type: 'changes', from: LARGE_ID, changes: [{ path: 'system.x', value: [4, 5, 6] }] });
+    await Promise.resolve();
+
+    expect(store.get('system.x')).toEqual([4, 5, 6]);
+    expect(onRemoteChange).toHaveBeenCalledWith(['system.x'], { snapshot: false });
+    expect(transport.ofType('changes')).toHaveLength(0);
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('should ignore unsynced paths and changes addressed to another tab', () => {
+    const onRemoteChange = vi.fn();
+    sync = createTabSync(store, { transport, paths: ['system.x'], onRemoteChange });
+    transport.receive({ type: 'changes', from: LARGE_ID, changes: [{ path: 'display.theme', value: 'modern' }] });
+    transport.receive({ type: 'changes', from: LARGE_ID, to: 'someone-else', changes: [{ path: 'system.x', value: [9, 9, 9] }] });
+
+    expect(store.get('display.theme')).toBe(defaultState.display.theme);
+    expect(store.get('system.x')).toEqual(defaultState.system.x);
+    expect(onRemoteChange).not.toHaveBeenCalled();
+  });
+
+  it('should become leader when no leader answers', () => {
+    const onRoleChange = vi.fn();
+    sync = createTabSync(store, { transport, onRoleChange, heartbeatInterval: 100, leaderTimeout: 300 });
+    vi.advanceTimersByTime(200);
+    expect(sync.isLeader()).toBe(false);
+
+    vi.advanceTimersByTime(300);
+    expect(sync.isLeader()).toBe(true);
+    expect(onRoleChange).toHaveBeenCalledWith('leader');
+    expect(transport.ofType('leader')[0].force).toBe(false);
+
+    vi.advanceTimersByTime(100);
+    expect(transport.ofType('heartbeat').length).toBeGreaterThan(0);
+  });
+
+  it('should stay a follower while the leader sends heartbeats', () => {
+    sync = createTabSync(store, { transport, heartbeatInterval: 100, leaderTimeout: 300 });
+    for (let i = 0; i < 10; i++) {
+      vi.advanceTimersByTime(100);
+      transport.receive({ type: 'heartbeat', from: LARGE_ID });
+    }
+    expect(sync.isLeader()).toBe(false);
+  });
+
+  it('should answer a new tab with a snapshot when leading', () => {
+    sync = createTabSync(store, { transport, paths: ['system.n', 'convergence.*'] });
+    sync.claimLeadership();
+    transport.receive({ type: 'hello', from: LARGE_ID });
+
+    const [snapshot] = transport.ofType('changes');
+    expect(snapshot.to).toBe(LARGE_ID);
+    expect(snapshot.snapshot).toBe(true);
+    expect(snapshot.changes.map(change => change.path)).toEqual(['system.n', 'convergence']);
+  });
+
+  it('should apply a snapshot and report it', () => {
+    const onRemoteChange = vi.fn();
+    sync = createTabSync(store, { transport, onRemoteChange });
+    transport.receive({ type: 'changes', from: LARGE_ID, to: sync.id, snapshot: true, changes: [{ path: 'iteration.method', value: 'gaussSeidel' }] });
+
+    expect(store.get('iteration.method')).toBe('gaussSeidel');
+    expect(onRemoteChange).toHaveBeenCalledWith(['iteration.method'], { snapshot: true });
+  });
+
+  it('should hand over leadership to a tab that claims it', () => {
+    const onRoleChange = vi.fn();
+    sync = createTabSync(store, { transport, onRoleChange });
+    sync.claimLeadership();
+    expect(transport.ofType('leader')[0].force).toBe(true);
+
+    transport.receive({ type: 'leader', from: LARGE_ID, force: true });
+    expect(sync.isLeader()).toBe(false);
+    expect(onRoleChange).toHaveBeenLastCalledWith('follower');
+  });
+
+  it('should keep leadership against a larger id after an election', () => {
+    sync = createTabSync(store, { transport });
+    sync.claimLeadership();
+    transport.receive({ type: 'heartbeat', from: LARGE_ID });
+    expect(sync.isLeader()).toBe(true);
+
+    transport.receive({ type: 'heartbeat', from: SMALL_ID });
+    expect(sync.isLeader()).toBe(false);
+  });
+
+  it('should elect a new leader when the leader closes', () => {
+    sync = createTabSync(store, { transport });
+    transport.receive({ type: 'heartbeat', from: LARGE_ID });
+    transport.receive({ type: 'bye', from: SMALL_ID });
+    expect(sync.isLeader()).toBe(false);
+
+    transport.receive({ type: 'bye', from: LARGE_ID });
+    expect(sync.isLeader()).toBe(true);
+  });
+
+  it('should say goodbye and stop listening when stopped', async () => {
+    sync = createTabSync(store, { transport });
+    sync.stop();
+    expect(transport.ofType('bye')).toHaveLength(1);
+    expect(transport.closed).toBe(true);
+
+    store.set('system.x', [7, 7, 7]);
+    await Promise.resolve();
+    expect(transport.ofType('changes')).toHaveLength(0);
+    sync = null;
+  });
+
+  it('should throw when tabs cannot talk to each other', () => {
+    expect(() => createTabSync(store, { transport: null })).toThrow('This browser cannot share state between tabs');
+  });
+});
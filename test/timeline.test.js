@@ -0,0 +1,79 @@
+/**
+ * Tests for the timeline scrubber
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { updateTimeline, attachTimeline } from '../src/ui/timeline.js';
+import { createIterationHistory, recordIteration } from '../src/utils/iterationHistory.js';
+import store from '../src/state/stateManager.js';
+
+describe('Timeline Scrubber', () => {
+    let controls;
+    let history;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="stepBackBtn">Back</button>
+            <input type="range" id="timelineSlider">
+            <span id="timelineLabel"></span>
+        `;
+        controls = {
+            slider: document.getElementById('timelineSlider'),
+            label: document.getElementById('timelineLabel'),
+            backBtn: document.getElementById('stepBackBtn')
+        };
+        history = createIterationHistory();
+    });
+
+    it('should disable scrubbing before the first step', () => {
+        updateTimeline(controls, history, 0);
+
+        expect(controls.slider.disabled).toBe(true);
+        expect(controls.backBtn.disabled).toBe(true);
+        expect(controls.label.textContent).toBe('Iteration 0 / 0');
+    });
+
+    it('should span the recorded run and show the current residual', () => {
+        for (let k = 0; k <= 5; k++) {
+            recordIteration(history, { iteration: k, x: [k], residuals: [0.1 * (6 - k)], method: 'jacobi' });
+        }
+        updateTimeline(controls, history, 3);
+
+        expect(controls.slider.disabled).toBe(false);
+        expect(controls.slider.max).toBe('5');
+        expect(controls.slider.value).toBe('3');
+        expect(controls.slider.getAttribute('aria-valuenow')).toBe('3');
+        expect(controls.backBtn.disabled).toBe(false);
+        expect(controls.label.textContent).toBe('Iteration 3 / 5 · residual 3.00e-1');
+    });
+
+    it('should not step back past the first recorded iteration', () => {
+        recordIteration(history, { iteration: 0, x: [1], residuals: [1], method: 'jacobi' });
+        recordIteration(history, { iteration: 1, x: [2], residuals: [0.5], method: 'jacobi' });
+        updateTimeline(controls, history, 0);
+
+        expect(controls.backBtn.disabled).toBe(true);
+        expect(controls.slider.value).toBe('0');
+    });
+
+    it('should follow the iteration and the recorded run in the store', () => {
+        const view = { iteration: 0, iterationHistory: history };
+        const detach = attachTimeline(store, controls, view);
+
+        for (let k = 0; k <= 2; k++) {
+            recordIteration(history, { iteration: k, x: [k], residuals: [1 / (k + 1)], method: 'jacobi' });
+        }
+        view.iteration = 2;
+        store.set('iteration.runRevision', store.get('iteration.runRevision') + 1);
+        expect(controls.label.textContent).toBe('Iteration 2 / 2 · residual 3.33e-1');
+
+        view.iteration = 1;
+        store.set('system.iteration', 1);
+        expect(controls.slider.value).toBe('1');
+
+        detach();
+        view.iteration = 0;
+        store.set('system.iteration', 0);
+        expect(controls.slider.value).toBe('1');
+    });
+});
@@ -6,6 +6,47 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { validateNumber, validateSystemSize, validateMatrixDimensions, sanitizeInput } from '../src/utils/validation.js';
 import { formatNumber, formatError, formatEquation, formatSolution, equationToLaTeX } from '../src/utils/formatting.js';
 import { querySelector, createElement, updateElement, showElement, hideElement } from '../src/utils/dom.js';
+import {
+  SHARE_VISIBILITY_KEYS,
+  MAX_SHARE_HASH_LENGTH,
+  encodeSession,
+  decodeSession,
+  buildShareHash,
+  readShareHash
+} from '../src/utils/shareLink.js';
+import {
+  SYSTEM_FORMATS,
+  detectFormat,
+  matrixToSystem,
+  parseMatrixMarket,
+  parseDelimited,
+  parseSystemJSON,
+  parseSystemFile,
+  serializeSystem
+} from '../src/utils/systemIO.js';
+import {
+  LIBRARY_FORMAT,
+  createLibraryEntry,
+  validateLibraryEntry,
+  parseTags,
+  uniqueName,
+  duplicateEntry,
+  renameEntry,
+  searchLibrary,
+  describeEntry,
+  serializeLibrary,
+  parseLibraryFile,
+  mergeImportedEntries,
+  openLibrary
+} from '../src/utils/systemLibrary.js';
+import {
+  createIterationHistory,
+  clearIterationHistory,
+  recordIteration,
+  truncateIterationHistory,
+  getSnapshot,
+  getHistoryBounds
+} from '../src/utils/iterationHistory.js';
 
 describe('Utils: Validation', () => {
   describe('validateNumber', () => {
@@ -230,6 +271,10 @@ describe('Utils: Formatting', () => {
       
       expect(result).toContain('0 = 0');
     });
+
+    it('should write terms in the given order', () => {
+      expect(equationToLaTeX([4, -1, 2], 7, 'x', [2, 0])).toBe('2x_{3}+4x_{1}-x_{2} = 7');
+    });
   });
 });
 
@@ -343,3 +388,408 @@ describe('Utils: DOM', () => {
   });
 });
 
+describe('Utils: Iteration History', () => {
+  let history;
+
+  beforeEach(() => {
+    history = createIterationHistory();
+    for (let k = 0; k <= 4; k++) {
+      recordIteration(history, { iteration: k, x: [k, -k], residuals: [0.5 / (k + 1), -1 / (k + 1)], method: 'jacobi' });
+    }
+  });
+
+  it('should keep every iteration of the run with copies of x and residuals', () => {
+    const x = [7, 8];
+    recordIteration(history, { iteration: 5, x, residuals: [0, 0], method: 'jacobi' });
+    x[0] = 99;
+
+    expect(history.snapshots).toHaveLength(6);
+    expect(getSnapshot(history, 5).x).toEqual([7, 8]);
+    expect(getSnapshot(history, 2).maxResidual).toBeCloseTo(1 / 3, 10);
+    expect(getHistoryBounds(history)).toEqual({ first: 0, last: 5 });
+  });
+
+  it('should overwrite the abandoned future when recording an earlier iteration', () => {
+    recordIteration(history, { iteration: 2, x: [10, 10], residuals: [1, 1], method: 'jacobi' });
+
+    expect(getHistoryBounds(history)).toEqual({ first: 0, last: 2 });
+    expect(getSnapshot(history, 2).x).toEqual([10, 10]);
+    expect(getSnapshot(history, 3)).toBeNull();
+  });
+
+  it('should truncate and clear', () => {
+    truncateIterationHistory(history, 1);
+    expect(getHistoryBounds(history)).toEqual({ first: 0, last: 1 });
+
+    clearIterationHistory(history);
+    expect(getHistoryBounds(history)).toBeNull();
+    expect(history.method).toBeNull();
+  });
+});
+
+describe('Utils: System IO', () => {
+  const A = [
+    [4, -1, 1],
+    [4, -8, 1],
+    [-2, 1, 5]
+  ];
+  const b = [7, -21, 15];
+
+  describe('detectFormat', () => {
+    it('should use the file extension', () => {
+      expect(detectFormat('system.mtx')).toBe('mtx');
+      expect(detectFormat('system.MM')).toBe('mtx');
+      expect(detectFormat('system.tsv')).toBe('tsv');
+      expect(detectFormat('system.json')).toBe('json');
+    });
+
+    it('should sniff the content otherwise', () => {
+      expect(detectFormat('system.txt', '%%MatrixMarket matrix array real general')).toBe('mtx');
+      expect(detectFormat('', '{"A": []}')).toBe('json');
+      expect(detectFormat('', '1\t2\t3')).toBe('tsv');
+      expect(detectFormat('', '1,2,3')).toBe('csv');
+    });
+  });
+
+  describe('matrixToSystem', () => {
+    it('should split an augmented matrix', () => {
+      const system = matrixToSystem([[2, 1, 3], [1, 2, 3]]);
+      expect(system.A).toEqual([[2, 1], [1, 2]]);
+      expect(system.b).toEqual([3, 3]);
+      expect(system.notes).toEqual([]);
+    });
+
+    it('should build b from a square matrix', () => {
+      const system = matrixToSystem([[2, 1], [1, 2]]);
+      expect(system.b).toEqual([3, 3]);
+      expect(system.notes[0]).toContain('solution all ones');
+    });
+
+    it('should reject other shapes and sizes', () => {
+      expect(() => matrixToSystem([[1, 2, 3, 4], [1, 2, 3, 4]])).toThrow('2×4');
+      expect(() => matrixToSystem([[1, 2]])).toThrow('between 2 and 20');
+    });
+  });
+
+  describe('parseMatrixMarket', () => {
+    it('should read a coordinate file', () => {
+      const text = [
+        '%%MatrixMarket matrix coordinate real general',
+        '% comment',
+        '2 3 4',
+        '1 1 4',
+        '2 2 5',
+        '1 3 8',
+        '2 3 10'
+      ].join('\n');
+      const system = parseMatrixMarket(text);
+      expect(system.A).toEqual([[4, 0], [0, 5]]);
+      expect(system.b).toEqual([8, 10]);
+    });
+
+    it('should mirror symmetric entries', () => {
+      const text = '%%MatrixMarket matrix coordinate real symmetric\n2 2 3\n1 1 2\n2 1 -1\n2 2 2\n';
+      expect(parseMatrixMarket(text).A).toEqual([[2, -1], [-1, 2]]);
+    });
+
+    it('should read an array file in column-major order', () => {
+      const text = '%%MatrixMarket matrix array integer general\n2 3\n2\n1\n1\n2\n3\n3\n';
+      const system = parseMatrixMarket(text);
+      expect(system.A).toEqual([[2, 1], [1, 2]]);
+      expect(system.b).toEqual([3, 3]);
+    });
+
+    it('should report bad headers and entries by line', () => {
+      expect(() => parseMatrixMarket('1 2 3')).toThrow('Line 1');
+      expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate complex general\n2 2 0')).toThrow('complex');
+      expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 1\n3 1 5')).toThrow('Line 3');
+      expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 2\n1 1 5')).toThrow('Expected 2 entries');
+    });
+  });
+
+  describe('parseDelimited', () => {
+    it('should read CSV with a header row', () => {
+      const system = parseDelimited('x1,x2,b\n2,1,3\n1,2,3\n');
+      expect(system.A).toEqual([[2, 1], [1, 2]]);
+      expect(system.b).toEqual([3, 3]);
+    });
+
+    it('should read TSV and semicolon-separated files', () => {
+      expect(parseDelimited('2\t1\t3\n1\t2\t3').b).toEqual([3, 3]);
+      expect(parseDelimited('2;1;3\n1;2;3').A).toEqual([[2, 1], [1, 2]]);
+    });
+
+    it('should report the line of a bad value or row', () => {
+      expect(() => parseDelimited('2,1,3\n1,abc,3')).toThrow("Line 2: 'abc' is not a number");
+      expect(() => parseDelimited('2,1,3\n1,2')).toThrow('Line 2: expected 3 values');
+    });
+  });
+
+  describe('parseSystemJSON', () => {
+    it('should read the documented schema', () => {
+      const system = parseSystemJSON(JSON.stringify({ format: 'jacobi-system', version: 1, n: 3, A, b }));
+      expect(system.A).toEqual(A);
+      expect(system.b).toEqual(b);
+    });
+
+    it('should accept a saved custom configuration', () => {
+      const system = parseSystemJSON(JSON.stringify({ n: 3, A, b, visibleKnobs: 3, visibleBands: 3 }));
+      expect(system.n).toBe(3);
+    });
+
+    it('should reject invalid files', () => {
+      expect(() => parseSystemJSON('{')).toThrow('Invalid JSON');
+      expect(() => parseSystemJSON('{"format": "other", "A": [], "b": []}')).toThrow('Unknown JSON format');
+      expect(() => parseSystemJSON('{"A": [[1, 2]], "b": [1]}')).toThrow('n×n');
+      expect(() => parseSystemJSON('{"A": [[1, "2"], [3, 4]], "b": [1, 2]}')).toThrow('finite numbers');
+      expect(() => parseSystemJSON(JSON.stringify({ n: 2, A, b }))).toThrow('"n" is 2');
+    });
+  });
+
+  describe('serializeSystem', () => {
+    it('should round-trip every format', () => {
+      SYSTEM_FORMATS.forEach(format => {
+        const text = serializeSystem(A, b, format);
+        const system = parseSystemFile(text, `system.${format}`);
+        expect(system.format).toBe(format);
+        expect(system.A).toEqual(A);
+        expect(system.b).toEqual(b);
+      });
+    });
+
+    it('should write Matrix Market coordinates for nonzero entries only', () => {
+      const lines = serializeSystem([[2, 0], [0, 2]], [1, 0], 'mtx').trim().split('\n');
+      expect(lines[0]).toBe('%%MatrixMarket matrix coordinate real general');
+      expect(lines[2]).toBe('2 3 3');
+      expect(lines.slice(3)).toEqual(['1 1 2', '1 3 1', '2 2 2']);
+    });
+  });
+});
+
+describe('Utils: Share Link', () => {
+  const session = {
+    n: 3,
+    A: [[4, -1, 1], [4, -8, 1], [-2, 1, 5]],
+    b: [7, -21, 15],
+    x: [1, 2, 2],
+    method: 'sor',
+    omega: 1.3,
+    convergence: { tolerance: 1e-6, criterion: 'stepSize', norm: '2', maxIterations: 500 },
+    theme: 'modern',
+    visibility: Object.fromEntries(SHARE_VISIBILITY_KEYS.map(key => [key, key !== 'speakerGrille'])),
+    visibleKnobs: 2,
+    visibleBands: 3
+  };
+
+  /**
+   * Encode a raw payload the way encodeSession does
+   */
+  const encodeRaw = payload => btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  it('should round-trip a full session', () => {
+    expect(decodeSession(encodeSession(session))).toEqual(session);
+  });
+
+  it('should produce a URL-safe payload', () => {
+    expect(encodeSession(session)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should only require the system', () => {
+    const decoded = decodeSession(encodeSession({ n: 2, A: [[2, 1], [1, 2]], b: [3, 3] }));
+    expect(decoded).toEqual({ n: 2, A: [[2, 1], [1, 2]], b: [3, 3] });
+  });
+
+  it('should read the session from a hash', () => {
+    const hash = buildShareHash(session);
+    expect(hash.startsWith('#s=')).toBe(true);
+    expect(readShareHash(hash)).toEqual(session);
+  });
+
+  it('should ignore hashes without a shared session', () => {
+    expect(readShareHash('')).toBeNull();
+    expect(readShareHash('#')).toBeNull();
+    expect(readShareHash('#help')).toBeNull();
+  });
+
+  it('should reject corrupt payloads', () => {
+    expect(() => readShareHash('#s=not*base64')).toThrow('corrupt');
+    expect(() => decodeSession(encodeRaw([1, 2]))).toThrow('corrupt');
+    expect(() => decodeSession(encodeRaw({ v: 99, n: 2 }))).toThrow('version');
+  });
+
+  it('should reject invalid sessions', () => {
+    const base = { v: 1, n: 2, A: [[2, 1], [1, 2]], b: [3, 3] };
+    expect(() => decodeSession(encodeRaw({ ...base, n: 30 }))).toThrow('between 2 and 20');
+    expect(() => decodeSession(encodeRaw({ ...base, A: [[2, 1]] }))).toThrow('2×2');
+    expect(() => decodeSession(encodeRaw({ ...base, x: [1] }))).toThrow('initial guess');
+    expect(() => decodeSession(encodeRaw({ ...base, m: 'newton' }))).toThrow('unknown method');
+    expect(() => decodeSession(encodeRaw({ ...base, c: [2, 'residual', 'inf', 10] }))).toThrow('Tolerance');
+    expect(() => decodeSession(encodeRaw({ ...base, k: 5 }))).toThrow('visibleKnobs');
+  });
+
+  it('should refuse oversized links', () => {
+    const n = 20;
+    const A = Array.from({ length: n }, () => Array.from({ length: n }, () => Math.PI));
+    expect(() => buildShareHash({ n, A, b: new Array(n).fill(Math.PI) })).toThrow('too large');
+    expect(() => readShareHash(`#s=${'A'.repeat(MAX_SHARE_HASH_LENGTH)}`)).toThrow('too long');
+  });
+});
+
+describe('Utils: System Library', () => {
+  const fields = {
+    name: 'Textbook 3×3',
+    description: 'Diagonally dominant example from lecture 2',
+    tags: ['lecture', 'converges'],
+    n: 3,
+    A: [[4, -1, 1], [4, -8, 1], [-2, 1, 5]],
+    b: [7, -21, 15]
+  };
+  const history = {
+    method: 'jacobi',
+    snapshots: [
+      { iteration: 0, x: [0, 0, 0], residuals: [7, -21, 15], maxResidual: 21, solverState: null },
+      { iteration: 1, x: [1.75, 2.625, 3], residuals: [-0.375, 3, 1.875], maxResidual: 3, solverState: null }
+    ]
+  };
+
+  it('should create an entry with defaults', () => {
+    const entry = createLibraryEntry(fields);
+    expect(entry.id).toMatch(/^sys-/);
+    expect(entry.initialGuess).toEqual([0, 0, 0]);
+    expect(entry.method).toBe('jacobi');
+    expect(entry.history).toBeNull();
+    expect(entry.createdAt).toBe(entry.updatedAt);
+  });
+
+  it('should copy the system and run history', () => {
+    const A = fields.A.map(row => [...row]);
+    const entry = createLibraryEntry({ ...fields, A, method: 'jacobi', history });
+    A[0][0] = 99;
+    expect(entry.A[0][0]).toBe(4);
+    expect(entry.history).toEqual(history);
+    expect(entry.history.snapshots).not.toBe(history.snapshots);
+  });
+
+  it('should drop an empty run history', () => {
+    expect(createLibraryEntry({ ...fields, history: { method: 'jacobi', snapshots: [] } }).history).toBeNull();
+  });
+
+  it('should reject invalid entries', () => {
+    expect(() => createLibraryEntry({ ...fields, name: '  ' })).toThrow('Name is required');
+    expect(() => createLibraryEntry({ ...fields, n: 21 })).toThrow('between 2 and 20');
+    expect(() => createLibraryEntry({ ...fields, b: [1, 2] })).toThrow('3×3');
+    expect(() => createLibraryEntry({ ...fields, initialGuess: [1] })).toThrow('Initial guess');
+    expect(() => createLibraryEntry({ ...fields, method: 'newton' })).toThrow('Method');
+    expect(() => createLibraryEntry({ ...fields, omega: 3 })).toThrow('ω');
+    const gap = { method: 'jacobi', snapshots: [history.snapshots[0], { ...history.snapshots[1], iteration: 5 }] };
+    expect(() => createLibraryEntry({ ...fields, history: gap })).toThrow('consecutive');
+  });
+
+  it('should keep exact iterates and reject malformed ones', () => {
+    const exact = {
+      method: 'jacobi',
+      snapshots: [
+        { ...history.snapshots[0], exact: ['0', '0', '0'] },
+        { ...history.snapshots[1], exact: ['7/4', '21/8', '3'] }
+      ]
+    };
+    expect(createLibraryEntry({ ...fields, history: exact }).history.snapshots[1].exact).toEqual(['7/4', '21/8', '3']);
+
+    const bad = { method: 'jacobi', snapshots: [{ ...history.snapshots[0], exact: ['0', '1/0', '0'] }] };
+    expect(() => createLibraryEntry({ ...fields, history: bad })).toThrow('3 fractions');
+  });
+
+  it('should split and de-duplicate tags', () => {
+    expect(parseTags(' lecture 3, diverges,, Lecture 3 ')).toEqual(['lecture 3', 'diverges']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  it('should pick unused names for copies', () => {
+    expect(uniqueName('Demo', ['Other'])).toBe('Demo');
+    expect(uniqueName('Demo', ['demo'])).toBe('Demo (copy)');
+    expect(uniqueName('Demo', ['Demo', 'Demo (copy)'])).toBe('Demo (copy 2)');
+    expect(uniqueName('Demo (copy)', ['Demo', 'Demo (copy)'])).toBe('Demo (copy 2)');
+  });
+
+  it('should duplicate and rename entries', () => {
+    const entry = createLibraryEntry(fields);
+    const copy = duplicateEntry(entry, [entry.name]);
+    expect(copy.id).not.toBe(entry.id);
+    expect(copy.name).toBe('Textbook 3×3 (copy)');
+    expect(copy.A).toEqual(entry.A);
+
+    expect(renameEntry(entry, ' Renamed ').name).toBe('Renamed');
+    expect(() => renameEntry(entry, '')).toThrow('Name is required');
+  });
+
+  it('should search names, descriptions and tags', () => {
+    const older = { ...createLibraryEntry(fields), updatedAt: '2024-01-01T00:00:00.000Z' };
+    const newer = { ...createLibraryEntry({ ...fields, name: 'Divergent', description: '', tags: ['lecture 3'] }), updatedAt: '2024-02-01T00:00:00.000Z' };
+    const entries = [older, newer];
+
+    expect(searchLibrary(entries).map(entry => entry.name)).toEqual(['Divergent', 'Textbook 3×3']);
+    expect(searchLibrary(entries, 'DOMINANT')).toEqual([older]);
+    expect(searchLibrary(entries, 'lecture')).toHaveLength(2);
+    expect(searchLibrary(entries, 'tag:lecture')).toEqual([older]);
+    expect(searchLibrary(entries, 'lecture divergent')).toEqual([newer]);
+  });
+
+  it('should describe an entry', () => {
+    expect(describeEntry(createLibraryEntry({ ...fields, method: 'gaussSeidel' }))).toBe('3×3 · Gauss-Seidel');
+    expect(describeEntry(createLibraryEntry({ ...fields, history }))).toContain('1 iteration recorded');
+  });
+
+  it('should round-trip an exported library', () => {
+    const entries = [createLibraryEntry(fields), createLibraryEntry({ ...fields, name: 'Run', history })];
+    const text = serializeLibrary(entries);
+    expect(JSON.parse(text).format).toBe(LIBRARY_FORMAT);
+    expect(parseLibraryFile(text)).toEqual({ entries, skipped: [] });
+  });
+
+  it('should skip invalid entries and reject other files', () => {
+    const valid = createLibraryEntry(fields);
+    const text = JSON.stringify({ format: LIBRARY_FORMAT, version: 1, entries: [valid, { ...valid, name: 'Broken', A: [[1]] }] });
+    const { entries, skipped } = parseLibraryFile(text);
+    expect(entries).toEqual([valid]);
+    expect(skipped).toEqual([{ name: 'Broken', reason: expect.stringContaining('3×3') }]);
+
+    expect(() => parseLibraryFile('not json')).toThrow('not valid JSON');
+    expect(() => parseLibraryFile('{"n": 3}')).toThrow('not an exported system library');
+    expect(() => parseLibraryFile(JSON.stringify({ format: LIBRARY_FORMAT, version: 9, entries: [] }))).toThrow('version 9');
+  });
+
+  it('should date imported entries that have no timestamps', () => {
+    const { createdAt, updatedAt, ...undated } = createLibraryEntry(fields);
+    const text = JSON.stringify({
+      format: LIBRARY_FORMAT,
+      version: 1,
+      exportedAt: '2026-01-02T03:04:05.000Z',
+      entries: [undated, { ...undated, id: 'sys-other', name: 'Other', updatedAt: '2026-03-01T00:00:00.000Z' }, { ...undated, name: 'Bad', createdAt: 5 }]
+    });
+    const { entries, skipped } = parseLibraryFile(text);
+
+    expect(entries[0]).toMatchObject({ createdAt: '2026-01-02T03:04:05.000Z', updatedAt: '2026-01-02T03:04:05.000Z' });
+    expect(entries[1]).toMatchObject({ createdAt: '2026-03-01T00:00:00.000Z', updatedAt: '2026-03-01T00:00:00.000Z' });
+    expect(skipped).toEqual([{ name: 'Bad', reason: expect.stringContaining('ISO date') }]);
+
+    const merged = mergeImportedEntries([], entries);
+    expect(searchLibrary(merged).map(entry => entry.name)).toEqual(['Other', 'Textbook 3×3']);
+    // Entries saved before timestamps were checked still list
+    expect(() => searchLibrary([...merged, undated])).not.toThrow();
+  });
+
+  it('should give clashing imports new ids and names', () => {
+    const existing = createLibraryEntry(fields);
+    const fresh = createLibraryEntry({ ...fields, name: 'Fresh' });
+    const merged = mergeImportedEntries([existing], [existing, fresh]);
+
+    expect(merged[0].id).not.toBe(existing.id);
+    expect(merged[0].name).toBe('Textbook 3×3 (copy)');
+    expect(merged[1]).toEqual(fresh);
+    merged.forEach(entry => expect(() => validateLibraryEntry(entry)).not.toThrow());
+  });
+
+  it('should fail readably without IndexedDB', async () => {
+    await expect(openLibrary(null)).rejects.toThrow('no IndexedDB');
+  });
+});